@@ -0,0 +1,51 @@
+// app/ai.cache.server.js
+/**
+ * AI result cache (worker-side, Redis)
+ * - Content-addressed: provider + model + the exact prompt. The system / user text already carries the
+ *   resource inputs and every setting that shapes the answer, so unchanged products regenerated with
+ *   unchanged settings reuse the previous answer instead of paying for a new call.
+ * - TTL: AI_CACHE_TTL_SECONDS (default 7 days). AI_CACHE=0 turns it off.
+ * - Jobs with forceFresh skip the lookup; their answer still replaces the cached one.
+ */
+
+import crypto from "node:crypto";
+
+// Bump when the stored shape or the meaning of a prompt changes (invalidates every entry).
+const CACHE_VERSION = 1;
+const DEFAULT_TTL_SECONDS = 7 * 24 * 3600;
+
+export function aiCacheKey({ providerKey, model, sys, user, max_tokens, imageUrl }) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([CACHE_VERSION, providerKey, model || "", sys, user, max_tokens, imageUrl || ""]))
+    .digest("hex");
+}
+
+/**
+ * Redis-backed cache for setAiResultCache() (ai.providers.server.js); null when disabled.
+ * `redis`: ioredis client (the worker's connection). Redis errors read as a miss.
+ */
+export function createAiResultCache(redis, { prefix = "ai-cache" } = {}) {
+  if (String(process.env.AI_CACHE || "1") === "0") return null;
+  const ttl = Math.max(60, Number(process.env.AI_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS);
+
+  return {
+    async get(key) {
+      try {
+        const raw = await redis.get(`${prefix}:${key}`);
+        const value = raw ? JSON.parse(raw) : null;
+        return value && typeof value === "object" ? value : null;
+      } catch {
+        return null;
+      }
+    },
+
+    async set(key, value) {
+      try {
+        await redis.set(`${prefix}:${key}`, JSON.stringify(value), "EX", ttl);
+      } catch {
+        // best effort
+      }
+    },
+  };
+}
@@ -0,0 +1,560 @@
+// app/ai.providers.server.js
+/**
+ * AI provider layer (worker-side)
+ * - Each provider only knows how to send ONE chat request and return the raw text.
+ * - Retry/backoff + transient/permanent classification is shared (aiChatJson).
+ * - Provider is selected per shop via Settings → "AI provider" (settings.apiMode).
+ *
+ * apiMode values:
+ *   auto | openai | anthropic | azure | ollama | mock
+ * "auto" (and legacy "fast" / "quality") uses AI_PROVIDER env (default: openai).
+ *
+ * Vision (image input):
+ *   Providers with supportsVision() accept an optional `image` ({ url }) in complete().
+ *   Callers check providerSupportsVision() first and fall back to text-only prompts.
+ *   AI_VISION=0 turns image input off for every provider.
+ *
+ * Rate limiting (optional):
+ *   setAiRateLimiter() installs a shared limiter (worker: ai.ratelimit.server.js). Every attempt waits
+ *   for capacity first and every response's rate-limit headers are reported back to it.
+ *
+ * Result cache (optional):
+ *   setAiResultCache() installs a shared cache (worker: ai.cache.server.js). aiChatJson() answers a
+ *   repeated prompt from it unless the caller asks for a fresh result.
+ */
+
+import { estimateAiTokens } from "./ai.ratelimit.server.js";
+import { aiCacheKey } from "./ai.cache.server.js";
+
+export const AI_PROVIDER_KEYS = ["openai", "anthropic", "azure", "ollama", "mock"];
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// { acquire(providerKey, { tokens }), observe(providerKey, { headers, status }) } | null
+let rateLimiter = null;
+
+export function setAiRateLimiter(limiter) {
+  rateLimiter = limiter || null;
+}
+
+// { get(key), set(key, value) } | null
+let resultCache = null;
+
+export function setAiResultCache(cache) {
+  resultCache = cache || null;
+}
+
+export function computeBackoffMs(attempt, baseMs = 1000) {
+  // attempt: 1..N (retry attempt number)
+  const exp = Math.min(3, attempt - 1); // cap growth
+  const ms = baseMs * Math.pow(2, exp) + attempt * 500; // 1s, ~3s, ~7s
+  const jitter = Math.floor(Math.random() * 250);
+  return ms + jitter;
+}
+
+async function parseAiErrorBody(resp) {
+  try {
+    const ct = resp.headers.get("content-type") || "";
+    if (ct.includes("application/json")) {
+      const j = await resp.json();
+      const msg =
+        j?.error?.message ||
+        (typeof j?.error === "string" ? j.error : "") ||
+        j?.message ||
+        JSON.stringify(j);
+      return String(msg || "");
+    }
+    return await resp.text();
+  } catch {
+    return "";
+  }
+}
+
+export function classifyAiFailure({ status, message, name, label = "OpenAI" }) {
+  // Transient errors worth retrying
+  const transientStatus = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+  const isAbort = name === "AbortError" || /aborted/i.test(String(message || ""));
+  const isNetwork = /ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|network|fetch failed/i.test(String(message || ""));
+  const isTransient = (status && transientStatus.has(status)) || isAbort || isNetwork;
+
+  // User-facing (short) messages
+  if (status === 401 || status === 403) {
+    return { isTransient: false, userMessage: `${label} API key is invalid or missing.` };
+  }
+  if (status === 429) {
+    return { isTransient: true, userMessage: `${label} rate limit reached.` };
+  }
+  if (status === 529) {
+    return { isTransient: true, userMessage: `${label} is overloaded.` };
+  }
+  if (status === 400 && /context length|max.*tokens|too long|prompt is too long/i.test(String(message || ""))) {
+    return { isTransient: false, userMessage: "Input is too long for the model." };
+  }
+  if (status && status >= 400 && status < 500) {
+    return { isTransient: false, userMessage: `${label} request failed (${status}).` };
+  }
+  if (status && status >= 500) {
+    return { isTransient: true, userMessage: `${label} server error (${status}).` };
+  }
+  if (isAbort) return { isTransient: true, userMessage: `${label} request timed out.` };
+  if (isNetwork) return { isTransient: true, userMessage: `Network error while calling ${label}.` };
+
+  return { isTransient, userMessage: `${label} request failed.` };
+}
+
+// Models sometimes wrap JSON in ```json fences or add a sentence around it.
+function extractJsonText(text) {
+  const s = String(text || "").trim();
+  if (!s) return "{}";
+  const fenced = s.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) return fenced[1].trim();
+  const start = s.indexOf("{");
+  const end = s.lastIndexOf("}");
+  if (start >= 0 && end > start) return s.slice(start, end + 1);
+  return s;
+}
+
+async function postJson(url, { key, headers, body, label }) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), Number(process.env.OPENAI_TIMEOUT_MS || 60_000));
+
+  const resp = await fetch(url, {
+    method: "POST",
+    signal: controller.signal,
+    headers: { "Content-Type": "application/json", ...(headers || {}) },
+    body: JSON.stringify(body),
+  }).finally(() => clearTimeout(timeout));
+
+  if (rateLimiter && key) await rateLimiter.observe(key, { headers: resp.headers, status: resp.status });
+
+  if (!resp.ok) {
+    const bodyMsg = await parseAiErrorBody(resp);
+    const status = resp.status;
+    const retryAfter = Number(resp.headers.get("retry-after") || 0);
+    const cls = classifyAiFailure({ status, message: bodyMsg, label });
+
+    const err = new Error(`${cls.userMessage}${bodyMsg ? ` Details: ${bodyMsg}` : ""}`);
+    err.status = status;
+    err.isTransient = cls.isTransient;
+    err.userMessage = cls.userMessage;
+    err.retryAfter = retryAfter;
+    throw err;
+  }
+
+  return await resp.json();
+}
+
+/** ----------------------- images ----------------------- **/
+
+// Shopify CDN resizes on the fly (?width=) -> keep vision payloads small.
+function resizedImageUrl(url, width = Number(process.env.AI_VISION_IMAGE_WIDTH || 768)) {
+  try {
+    const u = new URL(String(url || ""));
+    if (/(^|\.)cdn\.shopify\.com$/i.test(u.hostname) || /\/cdn\/shop\//.test(u.pathname)) {
+      u.searchParams.set("width", String(Math.max(128, Math.floor(width))));
+    }
+    return u.toString();
+  } catch {
+    return String(url || "");
+  }
+}
+
+// Some providers (Ollama, or when AI_VISION_INLINE=1) need the bytes instead of a URL.
+async function fetchImageBase64(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), Number(process.env.AI_VISION_FETCH_TIMEOUT_MS || 15_000));
+  const maxBytes = Number(process.env.AI_VISION_MAX_BYTES || 4 * 1024 * 1024);
+
+  try {
+    const resp = await fetch(url, { signal: controller.signal });
+    if (!resp.ok) {
+      const err = new Error(`Image download failed (${resp.status}).`);
+      err.isTransient = resp.status >= 500;
+      err.userMessage = err.message;
+      throw err;
+    }
+
+    const mediaType = String(resp.headers.get("content-type") || "image/jpeg").split(";")[0].trim();
+    if (!mediaType.startsWith("image/")) {
+      const err = new Error(`Unsupported image content-type: ${mediaType}`);
+      err.isTransient = false;
+      err.userMessage = "Unsupported image format.";
+      throw err;
+    }
+
+    const buf = Buffer.from(await resp.arrayBuffer());
+    if (buf.length > maxBytes) {
+      const err = new Error(`Image is too large for vision input (${buf.length} bytes).`);
+      err.isTransient = false;
+      err.userMessage = "Image is too large for vision input.";
+      throw err;
+    }
+
+    return { mediaType, data: buf.toString("base64") };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function inlineImages() {
+  return String(process.env.AI_VISION_INLINE || "") === "1";
+}
+
+/** ----------------------- providers ----------------------- **/
+
+// OpenAI-style multimodal user content (OpenAI + Azure OpenAI).
+async function openaiImageContent(user, image) {
+  let url = image.url;
+  if (inlineImages()) {
+    const b = await fetchImageBase64(image.url);
+    url = `data:${b.mediaType};base64,${b.data}`;
+  }
+  return [
+    { type: "text", text: user },
+    { type: "image_url", image_url: { url, detail: "low" } },
+  ];
+}
+
+const openaiProvider = {
+  key: "openai",
+  label: "OpenAI",
+  configError() {
+    return process.env.OPENAI_API_KEY ? null : "OPENAI_API_KEY is not set on the server.";
+  },
+  supportsVision() {
+    return String(process.env.OPENAI_VISION || "1") !== "0";
+  },
+  modelId() {
+    return process.env.OPENAI_MODEL || "gpt-4o-mini";
+  },
+  async complete({ sys, user, max_tokens, image }) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || "https://api.openai.com").replace(/\/$/, "");
+    const data = await postJson(`${baseUrl}/v1/chat/completions`, {
+      key: this.key,
+      label: this.label,
+      headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+      body: {
+        model: this.modelId(),
+        temperature: 0.6,
+        max_tokens,
+        response_format: { type: "json_object" },
+        messages: [
+          { role: "system", content: sys },
+          { role: "user", content: image ? await openaiImageContent(user, image) : user },
+        ],
+      },
+    });
+    return data?.choices?.[0]?.message?.content || "{}";
+  },
+};
+
+const anthropicProvider = {
+  key: "anthropic",
+  label: "Anthropic",
+  configError() {
+    return process.env.ANTHROPIC_API_KEY ? null : "ANTHROPIC_API_KEY is not set on the server.";
+  },
+  supportsVision() {
+    return String(process.env.ANTHROPIC_VISION || "1") !== "0";
+  },
+  modelId() {
+    return process.env.ANTHROPIC_MODEL || "claude-3-5-haiku-latest";
+  },
+  async complete({ sys, user, max_tokens, image }) {
+    const baseUrl = (process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com").replace(/\/$/, "");
+    let content = user;
+    if (image) {
+      let source = { type: "url", url: image.url };
+      if (inlineImages()) {
+        const b = await fetchImageBase64(image.url);
+        source = { type: "base64", media_type: b.mediaType, data: b.data };
+      }
+      content = [
+        { type: "image", source },
+        { type: "text", text: user },
+      ];
+    }
+    // Messages API has no JSON mode; the system prompt already asks for JSON only.
+    const data = await postJson(`${baseUrl}/v1/messages`, {
+      key: this.key,
+      label: this.label,
+      headers: {
+        "x-api-key": process.env.ANTHROPIC_API_KEY,
+        "anthropic-version": process.env.ANTHROPIC_VERSION || "2023-06-01",
+      },
+      body: {
+        model: this.modelId(),
+        temperature: 0.6,
+        max_tokens,
+        system: sys,
+        messages: [{ role: "user", content }],
+      },
+    });
+    const text = (data?.content || [])
+      .filter((b) => b?.type === "text")
+      .map((b) => b.text)
+      .join("");
+    return extractJsonText(text);
+  },
+};
+
+const azureProvider = {
+  key: "azure",
+  label: "Azure OpenAI",
+  configError() {
+    if (!process.env.AZURE_OPENAI_ENDPOINT) return "AZURE_OPENAI_ENDPOINT is not set on the server.";
+    if (!process.env.AZURE_OPENAI_API_KEY) return "AZURE_OPENAI_API_KEY is not set on the server.";
+    if (!process.env.AZURE_OPENAI_DEPLOYMENT) return "AZURE_OPENAI_DEPLOYMENT is not set on the server.";
+    return null;
+  },
+  supportsVision() {
+    // Depends on the deployed model -> opt-in.
+    return String(process.env.AZURE_OPENAI_VISION || "") === "1";
+  },
+  modelId() {
+    return `${process.env.AZURE_OPENAI_ENDPOINT || ""}/${process.env.AZURE_OPENAI_DEPLOYMENT || ""}`;
+  },
+  async complete({ sys, user, max_tokens, image }) {
+    const endpoint = String(process.env.AZURE_OPENAI_ENDPOINT).replace(/\/$/, "");
+    const deployment = encodeURIComponent(process.env.AZURE_OPENAI_DEPLOYMENT);
+    const apiVersion = process.env.AZURE_OPENAI_API_VERSION || "2024-10-21";
+    const data = await postJson(
+      `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+      {
+        key: this.key,
+        label: this.label,
+        headers: { "api-key": process.env.AZURE_OPENAI_API_KEY },
+        body: {
+          temperature: 0.6,
+          max_tokens,
+          response_format: { type: "json_object" },
+          messages: [
+            { role: "system", content: sys },
+            { role: "user", content: image ? await openaiImageContent(user, image) : user },
+          ],
+        },
+      },
+    );
+    return data?.choices?.[0]?.message?.content || "{}";
+  },
+};
+
+const ollamaProvider = {
+  key: "ollama",
+  label: "Ollama",
+  configError() {
+    return null; // local HTTP, defaults to localhost
+  },
+  supportsVision() {
+    // Only when a multimodal model is configured (e.g. llava, llama3.2-vision).
+    return Boolean(process.env.OLLAMA_VISION_MODEL);
+  },
+  modelId(image) {
+    return image ? process.env.OLLAMA_VISION_MODEL : process.env.OLLAMA_MODEL || "llama3.1";
+  },
+  async complete({ sys, user, max_tokens, image }) {
+    const baseUrl = (process.env.OLLAMA_BASE_URL || "http://localhost:11434").replace(/\/$/, "");
+    const userMessage = { role: "user", content: user };
+    if (image) userMessage.images = [(await fetchImageBase64(image.url)).data];
+
+    const data = await postJson(`${baseUrl}/api/chat`, {
+      key: this.key,
+      label: this.label,
+      body: {
+        model: this.modelId(Boolean(image)),
+        stream: false,
+        format: "json",
+        options: { temperature: 0.6, num_predict: max_tokens },
+        messages: [{ role: "system", content: sys }, userMessage],
+      },
+    });
+    return extractJsonText(data?.message?.content || "");
+  },
+};
+
+// Deterministic offline provider (local dev / demos / worker smoke tests).
+// Builds values from the prompt itself so the same input always gives the same output.
+const mockProvider = {
+  key: "mock",
+  label: "Mock AI",
+  configError() {
+    return null;
+  },
+  supportsVision() {
+    return true;
+  },
+  modelId() {
+    return "mock";
+  },
+  async complete({ sys, user, image }) {
+    // Language rewrite prompts carry the JSON to rewrite -> echo it back unchanged.
+    const jsonLine = String(user || "").match(/^JSON:\s*(\{[\s\S]*\})\s*$/m);
+    if (jsonLine) return jsonLine[1];
+
+    const keysMatch = String(sys || "").match(/JSON with keys?:\s*([A-Za-z0-9_,\s]+?)\./);
+    const keys = keysMatch
+      ? keysMatch[1].split(",").map((k) => k.trim()).filter(Boolean)
+      : ["seoTitle", "seoDescription"];
+
+    const line = (re) => {
+      const m = String(user || "").match(re);
+      return m ? String(m[1]).trim() : "";
+    };
+    const title = line(/^[A-Za-z ]*title:\s*(.+)$/im) || "Untitled";
+    const brand = line(/^Brand:\s*(.+)$/im);
+    const body = line(/^[A-Za-z ]*(?:description|content|body):\s*(.+)$/im);
+
+    // "Sees" the image file name so per-image outputs differ like a real vision model.
+    const imageName = image?.url
+      ? decodeURIComponent(String(image.url).split("?")[0].split("/").pop() || "")
+          .replace(/\.[a-z0-9]+$/i, "")
+          .replace(/[_-]+/g, " ")
+          .trim()
+      : "";
+
+    // "arrays of N distinct alternatives" (settings.variantCount) -> N numbered variants per key
+    const variants = Number(String(sys || "").match(/arrays of (\d+)/)?.[1] || 0);
+
+    const out = {};
+    for (const k of keys) {
+      const lk = k.toLowerCase();
+      let value;
+      if (lk.includes("alt")) value = imageName ? `${title} – ${imageName}` : title;
+      else if (lk.includes("desc")) value = [title, body].filter(Boolean).join(" – ").slice(0, 300);
+      else value = brand ? `${title} | ${brand}` : title;
+      out[k] = variants > 1 ? Array.from({ length: variants }, (_, i) => (i ? `${value} (${i + 1})` : value)) : value;
+    }
+    return JSON.stringify(out);
+  },
+};
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  anthropic: anthropicProvider,
+  azure: azureProvider,
+  ollama: ollamaProvider,
+  mock: mockProvider,
+};
+
+/**
+ * Resolve provider from a shop setting value (settings.apiMode).
+ * Unknown / legacy values fall back to the server default.
+ */
+export function resolveAiProvider(apiMode) {
+  const mode = String(apiMode || "auto").trim().toLowerCase();
+  if (PROVIDERS[mode]) return PROVIDERS[mode];
+
+  const envDefault = String(process.env.AI_PROVIDER || "openai").trim().toLowerCase();
+  return PROVIDERS[envDefault] || openaiProvider;
+}
+
+/**
+ * True when the provider can take image input (and AI_VISION is not turned off).
+ */
+export function providerSupportsVision(provider) {
+  if (String(process.env.AI_VISION || "1") === "0") return false;
+  return typeof provider?.supportsVision === "function" && Boolean(provider.supportsVision());
+}
+
+/**
+ * JSON chat call with retry/backoff + transient/permanent classification.
+ * - Retries: 3 attempts (configurable)
+ * - Backoff: 1s / 3s / 7s (+ jitter)
+ * - imageUrl (optional): sent as image input; only pass it when providerSupportsVision(provider)
+ *
+ * - cache ({ fresh, onHit }, optional): fresh=true skips the result cache lookup; onHit() runs when the
+ *   answer came from the cache (no provider call, onAttempt is not called)
+ *
+ * Hooks:
+ * - onAttempt(attemptNumber)
+ * - onRetry({ attemptNumber, waitMs, reason })
+ */
+export async function aiChatJson({ provider, sys, user, max_tokens = 220, imageUrl, cache, onAttempt, onRetry }) {
+  const p = provider || resolveAiProvider("auto");
+
+  const configError = p.configError();
+  if (configError) throw new Error(configError);
+
+  const image = imageUrl ? { url: resizedImageUrl(imageUrl) } : undefined;
+  if (image && !providerSupportsVision(p)) throw new Error(`${p.label} does not support image input.`);
+
+  const cacheKey = resultCache
+    ? aiCacheKey({ providerKey: p.key, model: p.modelId?.(Boolean(image)), sys, user, max_tokens, imageUrl: image?.url })
+    : null;
+  if (cacheKey && !cache?.fresh) {
+    const cached = await resultCache.get(cacheKey);
+    if (cached) {
+      if (typeof cache?.onHit === "function") {
+        try { await cache.onHit(); } catch {}
+      }
+      return cached;
+    }
+  }
+
+  const maxAttempts = Number(process.env.OPENAI_MAX_ATTEMPTS || 3);
+  const baseBackoffMs = Number(process.env.OPENAI_BACKOFF_BASE_MS || 1000);
+
+  let lastErr;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (typeof onAttempt === "function") {
+      try { await onAttempt(attempt); } catch {}
+    }
+
+    try {
+      if (rateLimiter) {
+        await rateLimiter.acquire(p.key, { tokens: estimateAiTokens({ sys, user, max_tokens, image: Boolean(image) }) });
+      }
+      const content = await p.complete({ sys, user, max_tokens, image });
+
+      let out;
+      try {
+        out = JSON.parse(content);
+      } catch {
+        const err = new Error(`${p.label} returned non-JSON content.`);
+        err.isTransient = true; // we can retry malformed outputs
+        err.userMessage = `${p.label} returned an invalid response.`;
+        throw err;
+      }
+
+      if (cacheKey && out && typeof out === "object") await resultCache.set(cacheKey, out);
+      return out;
+    } catch (e) {
+      lastErr = e;
+
+      const status = e?.status;
+      const cls = classifyAiFailure({ status, message: e?.message, name: e?.name, label: p.label });
+      const isTransient = Boolean(e?.isTransient ?? cls.isTransient);
+
+      // Permanent: fail immediately
+      if (!isTransient) {
+        const msg = String(e?.userMessage || cls.userMessage || e?.message || e);
+        throw new Error(msg);
+      }
+
+      // No more attempts
+      if (attempt >= maxAttempts) {
+        const msg = String(e?.userMessage || cls.userMessage || e?.message || e);
+        throw new Error(msg);
+      }
+
+      // Wait + retry
+      const waitMs = e?.retryAfter ? Math.max(e.retryAfter * 1000, 1000) : computeBackoffMs(attempt, baseBackoffMs);
+      if (typeof onRetry === "function") {
+        try {
+          await onRetry({
+            attemptNumber: attempt,
+            waitMs,
+            reason: String(e?.userMessage || cls.userMessage || e?.message || "transient error"),
+          });
+        } catch {}
+      }
+      await sleep(waitMs);
+    }
+  }
+
+  // Should never reach here
+  throw lastErr || new Error(`${p.label} request failed.`);
+}
@@ -0,0 +1,208 @@
+// app/ai.ratelimit.server.js
+/**
+ * Global AI rate limiter (worker-side, shared by every worker process through Redis)
+ * - Two token buckets per provider: requests / minute and tokens / minute.
+ *   Limits: AI_RPM_<PROVIDER> / AI_TPM_<PROVIDER> (e.g. AI_RPM_OPENAI), fallback AI_RPM / AI_TPM. 0 = no limit.
+ * - acquire(): waits until both buckets have room, then takes one request + the estimated tokens.
+ * - observe(): provider rate-limit headers (remaining / reset / limit) tighten the buckets, a 429 with
+ *   retry-after pauses the provider for every worker.
+ *
+ * Time comes from Redis (TIME) so processes with drifting clocks agree.
+ */
+
+const KEY_TTL_MS = 5 * 60_000;
+const MAX_WAIT_SLICE_MS = 5_000;
+
+const DEFAULT_LIMITS = {
+  openai: { rpm: 500, tpm: 200_000 },
+  azure: { rpm: 300, tpm: 100_000 },
+  anthropic: { rpm: 50, tpm: 40_000 },
+  ollama: { rpm: 0, tpm: 0 },
+  mock: { rpm: 0, tpm: 0 },
+};
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function envLimit(name, providerKey, fallback) {
+  const specific = process.env[`${name}_${String(providerKey).toUpperCase()}`];
+  const raw = specific ?? process.env[name];
+  const n = Number(raw);
+  return raw != null && raw !== "" && Number.isFinite(n) ? Math.max(0, n) : fallback;
+}
+
+function limitsFor(providerKey) {
+  const d = DEFAULT_LIMITS[providerKey] || { rpm: 0, tpm: 0 };
+  return { rpm: envLimit("AI_RPM", providerKey, d.rpm), tpm: envLimit("AI_TPM", providerKey, d.tpm) };
+}
+
+// KEYS: request bucket, token bucket
+// ARGV: rpm, tpm, tokens (cost), ttl
+// Returns 0 when taken, otherwise the ms to wait (nothing taken).
+const ACQUIRE_SCRIPT = `
+local t = redis.call('TIME')
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+local caps = { tonumber(ARGV[1]), tonumber(ARGV[2]) }
+local costs = { 1, tonumber(ARGV[3]) }
+local ttl = tonumber(ARGV[4])
+local state = {}
+local wait = 0
+
+for i = 1, 2 do
+  local cap = caps[i]
+  if cap > 0 then
+    local b = redis.call('HMGET', KEYS[i], 'tokens', 'ts', 'blockedUntil', 'limit')
+    local limit = tonumber(b[4])
+    if limit and limit > 0 and limit < cap then cap = limit end
+    local rate = cap / 60000
+    local tokens = tonumber(b[1]) or cap
+    local ts = tonumber(b[2]) or now
+    local blocked = tonumber(b[3]) or 0
+    tokens = math.min(cap, tokens + math.max(0, now - ts) * rate)
+    local cost = math.min(costs[i], cap)
+    if blocked > now then
+      wait = math.max(wait, blocked - now)
+    elseif tokens < cost then
+      wait = math.max(wait, math.ceil((cost - tokens) / rate))
+    end
+    state[i] = { tokens, cost }
+  end
+end
+
+for i = 1, 2 do
+  if state[i] then
+    local tokens = state[i][1]
+    if wait == 0 then tokens = tokens - state[i][2] end
+    redis.call('HSET', KEYS[i], 'tokens', tostring(tokens), 'ts', tostring(now))
+    redis.call('PEXPIRE', KEYS[i], ttl)
+  end
+end
+
+return wait
+`;
+
+// KEYS: bucket
+// ARGV: remaining (-1 = unknown), resetMs (-1 = unknown), limit (-1 = unknown), blockMs (-1 = none), ttl
+const OBSERVE_SCRIPT = `
+local t = redis.call('TIME')
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+local remaining = tonumber(ARGV[1])
+local resetMs = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+local blockMs = tonumber(ARGV[4])
+
+if limit > 0 then redis.call('HSET', KEYS[1], 'limit', tostring(limit)) end
+if remaining >= 0 then
+  local cur = tonumber(redis.call('HGET', KEYS[1], 'tokens'))
+  if not cur or remaining < cur then
+    redis.call('HSET', KEYS[1], 'tokens', tostring(remaining), 'ts', tostring(now))
+  end
+  if remaining < 1 and resetMs > 0 then blockMs = math.max(blockMs, resetMs) end
+end
+if blockMs > 0 then
+  local blocked = tonumber(redis.call('HGET', KEYS[1], 'blockedUntil')) or 0
+  redis.call('HSET', KEYS[1], 'blockedUntil', tostring(math.max(blocked, now + blockMs)))
+end
+redis.call('PEXPIRE', KEYS[1], tonumber(ARGV[5]))
+return 1
+`;
+
+// "6m0s", "1.5s", "20ms", "1h2m" (OpenAI / Azure) or an RFC 3339 timestamp (Anthropic).
+function parseResetMs(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return -1;
+  if (/^\d{4}-\d{2}-\d{2}T/.test(s)) {
+    const at = Date.parse(s);
+    return Number.isFinite(at) ? Math.max(0, at - Date.now()) : -1;
+  }
+  let ms = 0;
+  let matched = false;
+  for (const [, num, unit] of s.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    matched = true;
+    ms += Number(num) * { ms: 1, s: 1000, m: 60_000, h: 3_600_000 }[unit];
+  }
+  return matched ? Math.ceil(ms) : -1;
+}
+
+function headerNumber(headers, name) {
+  const raw = headers?.get?.(name);
+  if (raw == null || raw === "") return -1;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : -1;
+}
+
+// Provider header names -> { requests: {...}, tokens: {...} }
+function readRateLimitHeaders(headers) {
+  const pick = (prefix, kind) => {
+    if (prefix === "anthropic") {
+      return {
+        remaining: headerNumber(headers, `anthropic-ratelimit-${kind}-remaining`),
+        resetMs: parseResetMs(headers?.get?.(`anthropic-ratelimit-${kind}-reset`)),
+        limit: headerNumber(headers, `anthropic-ratelimit-${kind}-limit`),
+      };
+    }
+    return {
+      remaining: headerNumber(headers, `x-ratelimit-remaining-${kind}`),
+      resetMs: parseResetMs(headers?.get?.(`x-ratelimit-reset-${kind}`)),
+      limit: headerNumber(headers, `x-ratelimit-limit-${kind}`),
+    };
+  };
+  const prefix = headers?.get?.("anthropic-ratelimit-requests-limit") != null ? "anthropic" : "x";
+  return { requests: pick(prefix, "requests"), tokens: pick(prefix, "tokens") };
+}
+
+// Rough prompt size (~4 chars per token) + the completion budget; images count as a fixed block.
+export function estimateAiTokens({ sys, user, max_tokens = 0, image = false }) {
+  const chars = String(sys || "").length + String(user || "").length;
+  return Math.ceil(chars / 4) + Number(max_tokens || 0) + (image ? 1000 : 0);
+}
+
+/**
+ * Redis-backed limiter for setAiRateLimiter() (ai.providers.server.js).
+ * `redis`: ioredis client (the worker's connection).
+ */
+export function createAiRateLimiter(redis, { prefix = "ai-ratelimit" } = {}) {
+  const keys = (providerKey) => [`${prefix}:${providerKey}:requests`, `${prefix}:${providerKey}:tokens`];
+
+  return {
+    async acquire(providerKey, { tokens = 0 } = {}) {
+      const { rpm, tpm } = limitsFor(providerKey);
+      if (!rpm && !tpm) return;
+
+      for (;;) {
+        let waitMs = 0;
+        try {
+          waitMs = Number(await redis.eval(ACQUIRE_SCRIPT, 2, ...keys(providerKey), rpm, tpm, Math.max(1, tokens), KEY_TTL_MS));
+        } catch (e) {
+          // Redis trouble must not stop generation; the provider's own 429 handling still applies.
+          // eslint-disable-next-line no-console
+          console.warn("[ai-ratelimit] acquire failed, continuing without limiter:", String(e?.message || e));
+          return;
+        }
+        if (!waitMs) return;
+
+        // Re-check in slices: other workers may report fresher headers meanwhile.
+        await sleep(Math.min(waitMs, MAX_WAIT_SLICE_MS) + Math.floor(Math.random() * 100));
+      }
+    },
+
+    async observe(providerKey, { headers, status } = {}) {
+      try {
+        const rl = readRateLimitHeaders(headers);
+        const retryAfterMs = status === 429 ? Math.max(1000, headerNumber(headers, "retry-after") * 1000) : -1;
+        const [requestsKey, tokensKey] = keys(providerKey);
+
+        for (const [key, h] of [
+          [requestsKey, rl.requests],
+          [tokensKey, rl.tokens],
+        ]) {
+          if (h.remaining < 0 && h.limit < 0 && retryAfterMs < 0) continue;
+          await redis.eval(OBSERVE_SCRIPT, 1, key, h.remaining, h.resetMs, h.limit, retryAfterMs, KEY_TTL_MS);
+        }
+      } catch {
+        // best effort
+      }
+    },
+  };
+}
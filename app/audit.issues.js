@@ -0,0 +1,31 @@
+// app/audit.issues.js
+// Client-safe SEO audit metadata (NO server-only imports here).
+
+export const AUDIT_ISSUES = {
+  missing_title: { label: "Missing SEO title", tone: "critical" },
+  missing_description: { label: "Missing SEO description", tone: "critical" },
+  duplicate_title: { label: "Duplicate SEO title", tone: "warning" },
+  title_too_long: { label: "SEO title too long", tone: "warning" },
+  description_too_long: { label: "SEO description too long", tone: "warning" },
+  title_equals_name: { label: "SEO title same as name", tone: "attention" },
+  banned_word: { label: "Contains banned word", tone: "warning" },
+  missing_alt: { label: "Missing ALT text", tone: "critical" },
+};
+
+export const AUDIT_RESOURCE_TYPES = {
+  PRODUCT: "Products",
+  COLLECTION: "Collections",
+  PAGE: "Pages",
+  ARTICLE: "Blog articles",
+  IMAGE: "Images",
+};
+
+export function auditIssueLabel(issue) {
+  return AUDIT_ISSUES[issue]?.label || String(issue || "-");
+}
+
+// "Fix with AI" support per resource type (which generation job a finding seeds).
+export function isAuditFindingFixable(resourceType) {
+  const t = String(resourceType || "").toUpperCase();
+  return t === "PRODUCT" || t === "COLLECTION" || t === "PAGE" || t === "IMAGE" || t === "ARTICLE";
+}
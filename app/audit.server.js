@@ -0,0 +1,233 @@
+// app/audit.server.js
+/**
+ * SEO audit scanner (worker-side, SEO_AUDIT jobs)
+ * - Scans products (+ media), collections, pages and articles via bulk operations
+ * - Records findings in SeoAuditFinding, summary counts in SeoAuditRun
+ *
+ * Issue keys are defined in app/audit.issues.js (shared with the dashboard UI).
+ */
+
+import prisma from "./db.server.js";
+import { runBulkQuery, readJsonl } from "./bulk.server.js";
+
+const FINDINGS_CHUNK = 500;
+
+const SEO_METAFIELDS = `
+  titleTag: metafield(namespace: "global", key: "title_tag") { value }
+  descriptionTag: metafield(namespace: "global", key: "description_tag") { value }
+`;
+
+const AUDIT_SCANS = [
+  {
+    resourceType: "PRODUCT",
+    countField: "scannedProducts",
+    query: `{
+      products {
+        edges {
+          node {
+            id
+            title
+            seo { title description }
+            media {
+              edges {
+                node {
+                  ... on MediaImage { id alt image { url } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }`,
+  },
+  {
+    resourceType: "COLLECTION",
+    countField: "scannedCollections",
+    query: `{
+      collections {
+        edges { node { id title seo { title description } } }
+      }
+    }`,
+  },
+  {
+    resourceType: "PAGE",
+    countField: "scannedPages",
+    query: `{
+      pages {
+        edges { node { id title ${SEO_METAFIELDS} } }
+      }
+    }`,
+  },
+  {
+    resourceType: "ARTICLE",
+    countField: "scannedArticles",
+    query: `{
+      articles {
+        edges { node { id title ${SEO_METAFIELDS} } }
+      }
+    }`,
+  },
+];
+
+function splitCsv(s) {
+  return String(s || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+function norm(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+export function auditRulesFromSettings(settings) {
+  return {
+    titleMaxChars: Math.max(20, Number.parseInt(String(settings?.titleMaxChars || ""), 10) || 70),
+    descriptionMaxChars: Math.max(60, Number.parseInt(String(settings?.descriptionMaxChars || ""), 10) || 160),
+    bannedWords: splitCsv(settings?.bannedWords).map(norm),
+  };
+}
+
+/**
+ * records: [{ id, title, seoTitle, seoDescription }]
+ * Returns finding rows (without runId/shop).
+ */
+export function auditSeoRecords(resourceType, records, rules) {
+  const out = [];
+  const push = (r, issue, detail = null) =>
+    out.push({ resourceType, resourceId: r.id, title: r.title || null, issue, detail });
+
+  // Duplicate titles are checked within the same resource type.
+  const byTitle = new Map();
+  for (const r of records) {
+    const t = norm(r.seoTitle);
+    if (!t) continue;
+    byTitle.set(t, (byTitle.get(t) || 0) + 1);
+  }
+
+  for (const r of records) {
+    const title = String(r.seoTitle || "").trim();
+    const desc = String(r.seoDescription || "").trim();
+
+    if (!title) push(r, "missing_title");
+    if (!desc) push(r, "missing_description");
+
+    if (title) {
+      const dupes = byTitle.get(norm(title)) || 0;
+      if (dupes > 1) push(r, "duplicate_title", `Shared with ${dupes - 1} other(s)`);
+      if (title.length > rules.titleMaxChars) push(r, "title_too_long", `${title.length}/${rules.titleMaxChars} chars`);
+      if (r.title && norm(title) === norm(r.title)) push(r, "title_equals_name");
+    }
+
+    if (desc && desc.length > rules.descriptionMaxChars) {
+      push(r, "description_too_long", `${desc.length}/${rules.descriptionMaxChars} chars`);
+    }
+
+    if (rules.bannedWords.length && (title || desc)) {
+      const text = norm(`${title} ${desc}`);
+      const hits = rules.bannedWords.filter((w) => text.includes(w));
+      if (hits.length) push(r, "banned_word", hits.slice(0, 5).join(", "));
+    }
+  }
+
+  return out;
+}
+
+async function insertFindings({ shop, runId, findings }) {
+  for (let i = 0; i < findings.length; i += FINDINGS_CHUNK) {
+    const chunk = findings.slice(i, i + FINDINGS_CHUNK).map((f) => ({ ...f, shop, runId }));
+    await prisma.seoAuditFinding.createMany({ data: chunk });
+  }
+}
+
+/**
+ * Run a full audit for a shop.
+ * - gql: ({ query, variables, label }) => json (retrying GraphQL client)
+ * - onProgress: heartbeat hook (called while bulk operations are polled)
+ * - isCancelled: () => Promise<boolean>
+ */
+export async function runSeoAudit({ shop, runId, gql, settings, onProgress, isCancelled }) {
+  const rules = auditRulesFromSettings(settings);
+  const counts = { byIssue: {}, byType: {} };
+  const scanned = {};
+  let issueCount = 0;
+
+  // Re-run (retry) of the same job: start from a clean slate.
+  await prisma.seoAuditFinding.deleteMany({ where: { runId } });
+
+  for (const scan of AUDIT_SCANS) {
+    if (typeof isCancelled === "function" && (await isCancelled())) {
+      return { cancelled: true, scanned, issueCount, counts };
+    }
+
+    const { url } = await runBulkQuery({
+      gql,
+      query: scan.query,
+      label: `SEO audit ${scan.resourceType}`,
+      onPoll: onProgress,
+    });
+
+    const records = [];
+    const images = [];
+    const parentTitles = new Map();
+
+    for await (const row of readJsonl(url)) {
+      if (row?.__parentId) {
+        // Product media rows (non-image media come through as empty objects)
+        if (row?.id && String(row.id).includes("/MediaImage/")) {
+          images.push({
+            id: String(row.id),
+            parentId: String(row.__parentId),
+            alt: row?.alt || "",
+            imageUrl: row?.image?.url || null,
+          });
+        }
+        continue;
+      }
+      if (!row?.id) continue;
+
+      parentTitles.set(String(row.id), row.title || "");
+      records.push({
+        id: String(row.id),
+        title: row.title || "",
+        seoTitle: row?.seo?.title ?? row?.titleTag?.value ?? "",
+        seoDescription: row?.seo?.description ?? row?.descriptionTag?.value ?? "",
+      });
+    }
+
+    const findings = auditSeoRecords(scan.resourceType, records, rules);
+
+    if (scan.resourceType === "PRODUCT") {
+      scanned.scannedImages = images.length;
+      for (const img of images) {
+        if (String(img.alt || "").trim()) continue;
+        findings.push({
+          resourceType: "IMAGE",
+          resourceId: img.id,
+          parentId: img.parentId,
+          title: parentTitles.get(img.parentId) || null,
+          imageUrl: img.imageUrl,
+          issue: "missing_alt",
+          detail: null,
+        });
+      }
+    }
+
+    scanned[scan.countField] = records.length;
+    await insertFindings({ shop, runId, findings });
+
+    for (const f of findings) {
+      counts.byIssue[f.issue] = (counts.byIssue[f.issue] || 0) + 1;
+      counts.byType[f.resourceType] = (counts.byType[f.resourceType] || 0) + 1;
+    }
+    issueCount += findings.length;
+
+    // Partial progress for the dashboard
+    await prisma.seoAuditRun.update({
+      where: { id: runId },
+      data: { ...scanned, issueCount, countsJson: JSON.stringify(counts) },
+    });
+  }
+
+  return { cancelled: false, scanned, issueCount, counts };
+}
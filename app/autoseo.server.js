@@ -0,0 +1,276 @@
+// app/autoseo.server.js
+/**
+ * Auto SEO (products/create, products/update webhooks)
+ * - Webhook routes call scheduleAutoSeo(): opt-in check + debounce (AutoSeoProduct.dueAt).
+ * - Worker calls processDueAutoSeo() periodically: one PRODUCT_SEO job per shop batch,
+ *   only for products with missing or stale meta.
+ *
+ * Settings (shop metafield):
+ * - autoSeoEnabled: boolean (master switch, default off)
+ * - autoSeoOnCreate: boolean (default on)
+ * - autoSeoOnUpdate: boolean (default off)
+ * - autoSeoMode: "hold" | "publish" (hold = drafts wait for review in Generation History)
+ */
+
+import crypto from "crypto";
+import prisma from "./db.server.js";
+import { unauthenticated } from "./shopify.server.js";
+import { createGenerateJob } from "./jobs.server.js";
+import { enqueueSeoJob } from "./queue.server.js";
+import { reserveIfFreePlan } from "./billing.gating.server.js";
+
+const SETTINGS_NAMESPACE = "ai_seo_assistant";
+const SETTINGS_KEY = "settings";
+
+const AUTO_SEO_DEBOUNCE_MS = Number(process.env.AUTO_SEO_DEBOUNCE_MS || 2 * 60_000); // 2 min
+const AUTO_SEO_RETRY_DELAY_MS = Number(process.env.AUTO_SEO_RETRY_DELAY_MS || 5 * 60_000); // 5 min
+const AUTO_SEO_BATCH_LIMIT = Number(process.env.AUTO_SEO_BATCH_LIMIT || 50);
+
+export async function getSettingsFromMetafield(admin) {
+  const query = `#graphql
+    query GetAiSeoAssistantSettings($namespace: String!, $key: String!) {
+      shop {
+        metafield(namespace: $namespace, key: $key) { value }
+      }
+    }`;
+
+  const res = await admin.graphql(query, {
+    variables: { namespace: SETTINGS_NAMESPACE, key: SETTINGS_KEY },
+  });
+  const json = await res.json();
+  const raw = json?.data?.shop?.metafield?.value;
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw) || {};
+  } catch {
+    return {};
+  }
+}
+
+function stripHtml(html) {
+  return String(html || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Same inputs from webhook payload (title/body_html) and GraphQL (title/descriptionHtml)
+// must give the same hash, otherwise our own publish would look like a content change.
+export function productContentHash({ title, descriptionHtml }) {
+  return crypto
+    .createHash("sha1")
+    .update(`${String(title || "").trim()}\n${stripHtml(descriptionHtml)}`)
+    .digest("hex");
+}
+
+export function isAutoSeoEnabled(settings, trigger) {
+  if (!settings?.autoSeoEnabled) return false;
+  if (trigger === "create") return settings?.autoSeoOnCreate !== false;
+  if (trigger === "update") return Boolean(settings?.autoSeoOnUpdate);
+  return false;
+}
+
+/**
+ * Webhook entrypoint.
+ * trigger: "create" | "update"
+ */
+export async function scheduleAutoSeo({ shop, admin, trigger, payload }) {
+  if (!shop || !admin) return { ok: false, skipped: "no_session" };
+
+  const productId = String(
+    payload?.admin_graphql_api_id || (payload?.id ? `gid://shopify/Product/${payload.id}` : ""),
+  );
+  if (!productId) return { ok: false, skipped: "no_product" };
+
+  const settings = await getSettingsFromMetafield(admin);
+  if (!isAutoSeoEnabled(settings, trigger)) return { ok: true, skipped: "disabled" };
+
+  const hash = productContentHash({ title: payload?.title, descriptionHtml: payload?.body_html });
+
+  const existing = await prisma.autoSeoProduct.findUnique({
+    where: { shop_productId: { shop, productId } },
+  });
+
+  // products/update also fires for our own SEO publish (and for inventory/price edits).
+  // If the content we generate from didn't change since the last run, there is nothing to do.
+  if (trigger === "update" && existing && !existing.dueAt && existing.contentHash === hash) {
+    return { ok: true, skipped: "unchanged" };
+  }
+
+  const dueAt = new Date(Date.now() + AUTO_SEO_DEBOUNCE_MS);
+
+  await prisma.autoSeoProduct.upsert({
+    where: { shop_productId: { shop, productId } },
+    create: {
+      shop,
+      productId,
+      productTitle: payload?.title ? String(payload.title) : null,
+      lastTrigger: trigger,
+      dueAt,
+    },
+    update: {
+      productTitle: payload?.title ? String(payload.title) : undefined,
+      lastTrigger: trigger,
+      dueAt,
+    },
+  });
+
+  return { ok: true, dueAt };
+}
+
+async function fetchProductsForAutoSeo(admin, ids) {
+  const query = `#graphql
+    query AutoSeoProducts($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          title
+          descriptionHtml
+          seo { title description }
+        }
+      }
+    }`;
+
+  const res = await admin.graphql(query, { variables: { ids } });
+  const json = await res.json();
+  return (json?.data?.nodes || []).filter((n) => n?.id);
+}
+
+async function processShopBatch(shop, rows) {
+  const out = await unauthenticated.admin(shop);
+  const admin = out?.admin;
+  if (!admin?.graphql) throw new Error("Failed to create admin client for auto SEO.");
+
+  const settings = await getSettingsFromMetafield(admin);
+
+  // Shop opted out after the webhook was received -> drop pending rows.
+  if (!settings?.autoSeoEnabled) return { queued: 0, skipped: rows.length };
+
+  const products = await fetchProductsForAutoSeo(
+    admin,
+    rows.map((r) => r.productId),
+  );
+  const byId = new Map(products.map((p) => [String(p.id), p]));
+
+  const candidates = [];
+  for (const row of rows) {
+    const p = byId.get(String(row.productId));
+    if (!p) {
+      // Deleted product (or not readable anymore)
+      await prisma.autoSeoProduct.deleteMany({ where: { shop, productId: row.productId } });
+      continue;
+    }
+
+    const hash = productContentHash({ title: p.title, descriptionHtml: p.descriptionHtml });
+    const missing = !String(p?.seo?.title || "").trim() || !String(p?.seo?.description || "").trim();
+    const stale = Boolean(row.contentHash) && row.contentHash !== hash;
+
+    if (missing || stale) {
+      candidates.push({ row, product: p, hash });
+    } else {
+      // Meta looks fine -> remember the content baseline for future stale checks.
+      await prisma.autoSeoProduct.update({
+        where: { shop_productId: { shop, productId: row.productId } },
+        data: { contentHash: hash, productTitle: p.title, lastError: null },
+      });
+    }
+  }
+
+  if (!candidates.length) return { queued: 0, skipped: rows.length };
+
+  const reservation = await reserveIfFreePlan({ shop, productCount: candidates.length });
+  if (!reservation.ok) {
+    await prisma.autoSeoProduct.updateMany({
+      where: { shop, productId: { in: candidates.map((c) => c.row.productId) } },
+      data: {
+        lastError:
+          reservation.code === "FREE_LIMIT_EXCEEDED"
+            ? "Free plan monthly limit reached. Upgrade to Pro to keep auto SEO running."
+            : "Not enough pay-as-you-go credits. Top up on the Billing page to keep auto SEO running.",
+      },
+    });
+    // eslint-disable-next-line no-console
+    console.warn("[auto-seo] FREE_LIMIT_EXCEEDED shop=", shop, "products=", candidates.length);
+    return { queued: 0, skipped: rows.length, code: reservation.code || "FREE_LIMIT_EXCEEDED" };
+  }
+
+  const productIds = candidates.map((c) => String(c.product.id));
+  const titlesById = Object.fromEntries(candidates.map((c) => [String(c.product.id), c.product.title]));
+
+  const job = await createGenerateJob({
+    shop,
+    seed: {
+      language: settings?.language || "tr",
+      settings,
+      fields: { metaTitle: true, metaDescription: true },
+    },
+    productIds,
+    productTitlesById: titlesById,
+    usageReserved: true,
+    reservation,
+    source: "auto",
+    autoPublish: String(settings?.autoSeoMode || "hold") === "publish",
+  });
+
+  await enqueueSeoJob(job.id);
+
+  const now = new Date();
+  for (const c of candidates) {
+    await prisma.autoSeoProduct.update({
+      where: { shop_productId: { shop, productId: c.row.productId } },
+      data: {
+        contentHash: c.hash,
+        productTitle: c.product.title,
+        lastJobId: job.id,
+        lastQueuedAt: now,
+        lastError: null,
+      },
+    });
+  }
+
+  return { queued: candidates.length, skipped: rows.length - candidates.length, jobId: job.id };
+}
+
+/**
+ * Worker entrypoint: process debounced rows whose dueAt has passed.
+ * Rows are claimed by clearing dueAt (compare-and-set), so a concurrent webhook
+ * that pushes dueAt forward is never lost and two workers never claim the same row.
+ */
+export async function processDueAutoSeo({ limit = AUTO_SEO_BATCH_LIMIT } = {}) {
+  const now = new Date();
+
+  const due = await prisma.autoSeoProduct.findMany({
+    where: { dueAt: { not: null, lte: now } },
+    orderBy: { dueAt: "asc" },
+    take: Math.max(1, Number(limit) || AUTO_SEO_BATCH_LIMIT),
+  });
+  if (!due.length) return;
+
+  const claimedByShop = new Map();
+  for (const row of due) {
+    const res = await prisma.autoSeoProduct.updateMany({
+      where: { shop: row.shop, productId: row.productId, dueAt: row.dueAt },
+      data: { dueAt: null },
+    });
+    if (!res.count) continue;
+    if (!claimedByShop.has(row.shop)) claimedByShop.set(row.shop, []);
+    claimedByShop.get(row.shop).push(row);
+  }
+
+  for (const [shop, rows] of claimedByShop.entries()) {
+    try {
+      const res = await processShopBatch(shop, rows);
+      // eslint-disable-next-line no-console
+      console.log("[auto-seo]", shop, res);
+    } catch (e) {
+      const msg = String(e?.message || e);
+      // Put rows back with a delay (only if no newer webhook re-scheduled them meanwhile).
+      await prisma.autoSeoProduct.updateMany({
+        where: { shop, productId: { in: rows.map((r) => r.productId) }, dueAt: null },
+        data: { dueAt: new Date(Date.now() + AUTO_SEO_RETRY_DELAY_MS), lastError: msg },
+      });
+      // eslint-disable-next-line no-console
+      console.error("[auto-seo] batch failed", shop, msg);
+    }
+  }
+}
@@ -0,0 +1,684 @@
+// app/billing.credits.server.js
+// Server-only pay-as-you-go credits (generations beyond the Free monthly allowance).
+//
+// CREDITS_MODE:
+// - "off" (default): the Free allowance is a hard limit (FREE_LIMIT_EXCEEDED)
+// - "packs": shops buy credit packs (appPurchaseOneTimeCreate) -> prepaid balance
+// - "metered": shops approve a capped usage subscription; used units are billed with appUsageRecordCreate
+//
+// Every movement is written to CreditLedgerEntry:
+// - debit: reserved for a job (one unit per generated item)
+// - refund: failed / cancelled items (reconcileJobCredits)
+// - purchase / grant: packs added to the balance
+// - charge: metered units billed to Shopify (settleMeteredUsage)
+//
+// With BILLING_MODE=mock, purchases and usage charges are simulated (no Shopify calls).
+
+import prisma from "./db.server.js";
+import { CREDIT_PACKS, METERED_PLAN } from "./billing.plans.js";
+import { BILLING_BACKEND } from "./billing.server.js";
+import { BILLING_TEST, billingGql, billingReturnUrl } from "./billing.shopify.server.js";
+import { isUndraftedItem } from "./billing.usage.server.js";
+
+const MODES = ["off", "packs", "metered"];
+
+export const CREDITS_MODE = (() => {
+  const m = String(process.env.CREDITS_MODE || "off").trim().toLowerCase();
+  return MODES.includes(m) ? m : "off";
+})();
+
+export function creditsEnabled() {
+  return CREDITS_MODE !== "off";
+}
+
+function roundMoney(n) {
+  return Math.round(Number(n || 0) * 100) / 100;
+}
+
+// ACTIVE | CANCELLED | DECLINED | EXPIRED | FROZEN | PENDING -> local status
+function normalizeStatus(status) {
+  return String(status || "").toLowerCase() || "pending";
+}
+
+async function ensureAccount(tx, shop) {
+  return tx.creditAccount.upsert({
+    where: { shop },
+    update: {},
+    create: { shop },
+  });
+}
+
+// Jobs still generating keep their units "pending" (not billed / not reconciled yet).
+function isGenerationDone(job) {
+  const phase = String(job?.phase || "generating").toLowerCase();
+  const status = String(job?.status || "").toLowerCase();
+  return phase !== "generating" || !["queued", "running"].includes(status);
+}
+
+// Metered: units reserved but not billed yet (still counted against the cap) — jobs' net units plus
+// reservations whose job is not created yet (CreditAccount.meteredReserved).
+async function pendingMeteredUnits(shop, account, db = prisma) {
+  const agg = await db.seoJob.aggregate({
+    where: { shop, creditUnits: { gt: 0 } },
+    _sum: { creditUnits: true, creditRefunded: true, creditBilled: true },
+  });
+  const s = agg?._sum || {};
+  const jobs = Math.max(0, Number(s.creditUnits || 0) - Number(s.creditRefunded || 0) - Number(s.creditBilled || 0));
+  return jobs + Math.max(0, Number(account?.meteredReserved || 0));
+}
+
+// Postgres-safe: SERIALIZABLE transaction, retried on contention (same as reserveFreeUsageMonthly).
+async function runSerializable(fn) {
+  const MAX_RETRIES = 3;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(fn, { isolationLevel: "Serializable" });
+    } catch (e) {
+      const msg = String(e?.message || e);
+      const shouldRetry =
+        msg.includes("Serialization") ||
+        msg.includes("could not serialize access") ||
+        msg.includes("P2034") ||
+        msg.includes("deadlock detected");
+      if (!shouldRetry || attempt === MAX_RETRIES) throw e;
+      await new Promise((r) => setTimeout(r, 50 * attempt));
+    }
+  }
+}
+
+export async function getCreditSummary(shop, { take = 25 } = {}) {
+  const account = await prisma.creditAccount.findUnique({ where: { shop } });
+  const ledger = await prisma.creditLedgerEntry.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+
+  const metered =
+    CREDITS_MODE === "metered"
+      ? {
+          status: account?.meteredStatus || null,
+          cappedAmount: account?.cappedAmount ?? METERED_PLAN.cappedAmount,
+          balanceUsed: roundMoney(account?.balanceUsed || 0),
+          pendingUnits: await pendingMeteredUnits(shop, account),
+          unitPrice: METERED_PLAN.unitPrice,
+        }
+      : null;
+
+  return {
+    mode: CREDITS_MODE,
+    balance: Number(account?.balance || 0),
+    metered,
+    ledger,
+  };
+}
+
+/**
+ * Reserve `units` credits (before the job exists).
+ * Returns { ok, code, units, entryId, balance } — linked to the job by attachReservationToJob() (gating).
+ */
+export async function debitCredits(shop, units, { note = null } = {}) {
+  const count = Math.max(0, Number(units || 0));
+  if (!count) return { ok: true, code: "OK", units: 0, entryId: null, balance: null };
+  if (!creditsEnabled()) return { ok: false, code: "FREE_LIMIT_EXCEEDED", units: count, entryId: null, balance: null };
+
+  if (CREDITS_MODE === "packs") {
+    return prisma.$transaction(async (tx) => {
+      await ensureAccount(tx, shop);
+      // Conditional decrement: never goes below zero under concurrent reservations.
+      const res = await tx.creditAccount.updateMany({
+        where: { shop, balance: { gte: count } },
+        data: { balance: { decrement: count } },
+      });
+      const account = await tx.creditAccount.findUnique({ where: { shop } });
+      if (!res.count) {
+        return { ok: false, code: "INSUFFICIENT_CREDITS", units: count, entryId: null, balance: account?.balance ?? 0 };
+      }
+      const entry = await tx.creditLedgerEntry.create({
+        data: { shop, kind: "debit", units: -count, balanceAfter: account.balance, note },
+      });
+      return { ok: true, code: "OK", units: count, entryId: entry.id, balance: account.balance };
+    });
+  }
+
+  // metered: approved usage subscription + room under the capped amount.
+  // The cap check and the reservation (meteredReserved on the account row) commit together; concurrent
+  // reservations of the same shop conflict on that row and are retried, so they cannot both pass the cap.
+  return runSerializable(async (tx) => {
+    const account = await tx.creditAccount.findUnique({ where: { shop } });
+    if (account?.meteredStatus !== "active") {
+      return { ok: false, code: "METERED_NOT_ACTIVE", units: count, entryId: null, balance: null };
+    }
+    const cap = Number(account.cappedAmount ?? METERED_PLAN.cappedAmount);
+    const pending = await pendingMeteredUnits(shop, account, tx);
+    const projected = Number(account.balanceUsed || 0) + (pending + count) * METERED_PLAN.unitPrice;
+    if (projected > cap + 1e-9) {
+      return { ok: false, code: "USAGE_CAP_REACHED", units: count, entryId: null, balance: null };
+    }
+
+    await tx.creditAccount.update({ where: { shop }, data: { meteredReserved: { increment: count } } });
+    const entry = await tx.creditLedgerEntry.create({
+      data: { shop, kind: "debit", units: -count, note },
+    });
+    return { ok: true, code: "OK", units: count, entryId: entry.id, balance: null };
+  });
+}
+
+// Give back a reservation that never turned into a job (e.g. the Free allowance reservation raced).
+export async function releaseCreditDebit(shop, credits, note = "Reservation released") {
+  const count = Number(credits?.units || 0);
+  if (!count || !credits?.entryId) return;
+
+  await prisma.$transaction(async (tx) => {
+    let balanceAfter = null;
+    if (CREDITS_MODE === "packs") {
+      const account = await tx.creditAccount.update({ where: { shop }, data: { balance: { increment: count } } });
+      balanceAfter = account.balance;
+    }
+    if (CREDITS_MODE === "metered") {
+      await tx.creditAccount.update({ where: { shop }, data: { meteredReserved: { decrement: count } } });
+    }
+    await tx.creditLedgerEntry.create({
+      data: { shop, kind: "refund", units: count, balanceAfter, note },
+    });
+  });
+}
+
+// Metered: from here on the units are counted on the job (creditUnits), not on the account row.
+export async function attachCreditDebit(credits, jobId) {
+  if (!credits?.entryId || !jobId) return;
+  await prisma.$transaction(async (tx) => {
+    const res = await tx.creditLedgerEntry.updateMany({
+      where: { id: credits.entryId, jobId: null },
+      data: { jobId: String(jobId) },
+    });
+    if (!res.count || CREDITS_MODE !== "metered") return;
+    const entry = await tx.creditLedgerEntry.findUnique({ where: { id: credits.entryId } });
+    await tx.creditAccount.update({
+      where: { shop: entry.shop },
+      data: { meteredReserved: { decrement: Number(credits.units || 0) } },
+    });
+  });
+}
+
+/**
+ * Refund failed / cancelled items of a finished job (idempotent, safe to call repeatedly).
+ * - target refund = min(undrafted items, creditUnits)
+ * - retried items that succeed later are debited again (negative delta)
+ *   packs: only if the balance covers it (never below zero); retries reserve up front (reserveRetryCredits)
+ * - metered: units already billed cannot be refunded
+ */
+export async function reconcileJobCredits(jobId) {
+  const id = String(jobId || "").trim();
+  if (!id) return 0;
+
+  const job = await prisma.seoJob.findUnique({
+    where: { id },
+    select: {
+      id: true,
+      shop: true,
+      status: true,
+      phase: true,
+      creditUnits: true,
+      creditRefunded: true,
+      creditBilled: true,
+    },
+  });
+  if (!job || !job.creditUnits || !isGenerationDone(job)) return 0;
+
+  const items = await prisma.seoJobItem.findMany({ where: { jobId: id }, select: { status: true } });
+  const failed = items.filter((it) => isUndraftedItem(it, job)).length;
+  const maxRefund = Math.max(0, job.creditUnits - job.creditBilled);
+  const target = Math.min(failed, job.creditUnits, maxRefund);
+  const delta = target - job.creditRefunded;
+  if (!delta) return 0;
+
+  return prisma.$transaction(async (tx) => {
+    // Optimistic guard: another reconcile (worker vs cancel) already applied it.
+    const res = await tx.seoJob.updateMany({
+      where: { id, creditRefunded: job.creditRefunded },
+      data: { creditRefunded: target },
+    });
+    if (!res.count) return 0;
+
+    let balanceAfter = null;
+    if (CREDITS_MODE === "packs") {
+      await ensureAccount(tx, job.shop);
+      // Conditional decrement (same as debitCredits): a re-debit never takes the balance below zero.
+      const debited = await tx.creditAccount.updateMany({
+        where: { shop: job.shop, ...(delta < 0 ? { balance: { gte: -delta } } : {}) },
+        data: { balance: { increment: delta } },
+      });
+      if (!debited.count) {
+        // creditRefunded only moves by what was actually applied (retries reserve up front, see reserveRetryCredits).
+        await tx.seoJob.update({ where: { id }, data: { creditRefunded: job.creditRefunded } });
+        return 0;
+      }
+      const account = await tx.creditAccount.findUnique({ where: { shop: job.shop } });
+      balanceAfter = account.balance;
+    }
+
+    await tx.creditLedgerEntry.create({
+      data: {
+        shop: job.shop,
+        kind: delta > 0 ? "refund" : "debit",
+        units: delta,
+        balanceAfter,
+        jobId: id,
+        note: delta > 0 ? `${delta} failed/cancelled item(s)` : `${-delta} retried item(s) succeeded`,
+      },
+    });
+    return delta;
+  });
+}
+
+/**
+ * Retry of failed items: credits refunded for them are reserved again before they are requeued
+ * (debitCredits, same balance / cap checks as a new job), so a retried item is never generated for free.
+ * `retryItemIds`: items being requeued. Returns the debitCredits result.
+ */
+export async function reserveRetryCredits(jobId, retryItemIds) {
+  const job = await prisma.seoJob.findUnique({
+    where: { id: String(jobId || "").trim() },
+    select: { id: true, shop: true, creditUnits: true, creditRefunded: true, creditBilled: true },
+  });
+  if (!job?.creditRefunded) return { ok: true, code: "OK", units: 0, entryId: null, balance: null };
+
+  // Refunds still due after the retry: failed items that are not requeued.
+  const retry = new Set(retryItemIds.map(String));
+  const failed = await prisma.seoJobItem.findMany({ where: { jobId: job.id, status: "failed" }, select: { id: true } });
+  const stillFailed = failed.filter((it) => !retry.has(it.id)).length;
+  const target = Math.min(stillFailed, job.creditUnits, Math.max(0, job.creditUnits - job.creditBilled));
+  const units = job.creditRefunded - target;
+  if (units <= 0) return { ok: true, code: "OK", units: 0, entryId: null, balance: null };
+
+  const credits = await debitCredits(job.shop, units, { note: `Retry: reserved ${units} item(s)` });
+  if (!credits.ok) return credits;
+
+  await prisma.seoJob.update({ where: { id: job.id }, data: { creditRefunded: { decrement: units } } });
+  await attachCreditDebit(credits, job.id);
+  return credits;
+}
+
+/**
+ * Metered: bill the net units of finished jobs (appUsageRecordCreate, idempotent per job + units).
+ * Called by the worker after generation and by the billing page (covers cancelled jobs).
+ */
+export async function settleMeteredUsage({ admin, shop }) {
+  if (CREDITS_MODE !== "metered" || !shop) return { billedUnits: 0 };
+
+  const account = await prisma.creditAccount.findUnique({ where: { shop } });
+  if (BILLING_BACKEND === "shopify" && (!admin || !account?.meteredLineItemId)) return { billedUnits: 0 };
+
+  const jobs = await prisma.seoJob.findMany({
+    where: { shop, creditUnits: { gt: 0 } },
+    select: {
+      id: true,
+      status: true,
+      phase: true,
+      jobType: true,
+      creditUnits: true,
+      creditRefunded: true,
+      creditBilled: true,
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  let billedUnits = 0;
+  for (const job of jobs) {
+    if (!isGenerationDone(job)) continue;
+    await reconcileJobCredits(job.id);
+
+    const fresh = await prisma.seoJob.findUnique({
+      where: { id: job.id },
+      select: { creditUnits: true, creditRefunded: true, creditBilled: true },
+    });
+    const units = Number(fresh.creditUnits) - Number(fresh.creditRefunded) - Number(fresh.creditBilled);
+    if (units <= 0) continue;
+
+    const amount = roundMoney(units * METERED_PLAN.unitPrice);
+    let reference = null;
+
+    if (BILLING_BACKEND === "shopify") {
+      const json = await billingGql(
+        admin,
+        `#graphql
+          mutation AppUsageRecordCreate(
+            $subscriptionLineItemId: ID!
+            $price: MoneyInput!
+            $description: String!
+            $idempotencyKey: String
+          ) {
+            appUsageRecordCreate(
+              subscriptionLineItemId: $subscriptionLineItemId
+              price: $price
+              description: $description
+              idempotencyKey: $idempotencyKey
+            ) {
+              appUsageRecord { id }
+              userErrors { field message }
+            }
+          }`,
+        {
+          subscriptionLineItemId: account.meteredLineItemId,
+          price: { amount, currencyCode: METERED_PLAN.currencyCode },
+          description: `${units} generated item(s) · ${String(job.jobType || "PRODUCT_SEO")} ${job.id}`,
+          idempotencyKey: `${job.id}:${Number(fresh.creditBilled) + units}`,
+        },
+      );
+      const out = json?.data?.appUsageRecordCreate;
+      const errs = out?.userErrors || [];
+      if (errs.length) throw new Error(errs.map((e) => e.message).join(" | "));
+      reference = out?.appUsageRecord?.id ? String(out.appUsageRecord.id) : null;
+    }
+
+    const claimed = await prisma.$transaction(async (tx) => {
+      // Optimistic guard: worker and billing page may settle the same job at once. Shopify dedupes the
+      // charge (same idempotencyKey); only the caller that moves creditBilled books it locally.
+      const res = await tx.seoJob.updateMany({
+        where: { id: job.id, creditBilled: fresh.creditBilled },
+        data: { creditBilled: { increment: units } },
+      });
+      if (!res.count) return false;
+
+      await tx.creditAccount.update({ where: { shop }, data: { balanceUsed: { increment: amount } } });
+      await tx.creditLedgerEntry.create({
+        data: {
+          shop,
+          kind: "charge",
+          units,
+          amount,
+          jobId: job.id,
+          reference,
+          note: BILLING_BACKEND === "shopify" ? "Usage charge" : "Usage charge (mock)",
+        },
+      });
+      return true;
+    });
+    if (claimed) billedUnits += units;
+  }
+
+  return { billedUnits };
+}
+
+async function addPurchase(shop, { units, amount, reference, note }) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      await ensureAccount(tx, shop);
+      const account = await tx.creditAccount.update({ where: { shop }, data: { balance: { increment: units } } });
+      await tx.creditLedgerEntry.create({
+        data: { shop, kind: "purchase", units, amount, reference, balanceAfter: account.balance, note },
+      });
+      return { added: units, balance: account.balance };
+    });
+  } catch (e) {
+    // Same purchase confirmed twice (return URL reloaded) -> unique (shop, reference)
+    if (e?.code === "P2002") return { added: 0 };
+    throw e;
+  }
+}
+
+/**
+ * Buy a credit pack.
+ * - shopify: returns { confirmationUrl } (credits are added on the confirm route once ACTIVE)
+ * - mock: adds the credits immediately
+ */
+export async function startCreditPurchase({ admin, shop, packKey }) {
+  if (CREDITS_MODE !== "packs") throw new Error("Credit packs are not enabled.");
+  const pack = CREDIT_PACKS.find((p) => p.key === packKey);
+  if (!pack) throw new Error("Unknown credit pack.");
+
+  if (BILLING_BACKEND !== "shopify") {
+    const res = await addPurchase(shop, { units: pack.units, amount: pack.price, reference: null, note: `${pack.name} (mock)` });
+    return { activated: true, ...res };
+  }
+
+  if (!admin) throw new Error("Missing admin client");
+  const json = await billingGql(
+    admin,
+    `#graphql
+      mutation AppPurchaseOneTimeCreate($name: String!, $price: MoneyInput!, $returnUrl: URL!, $test: Boolean) {
+        appPurchaseOneTimeCreate(name: $name, price: $price, returnUrl: $returnUrl, test: $test) {
+          appPurchaseOneTime { id status }
+          confirmationUrl
+          userErrors { field message }
+        }
+      }`,
+    {
+      name: pack.name,
+      price: { amount: pack.price, currencyCode: METERED_PLAN.currencyCode },
+      returnUrl: billingReturnUrl(shop, "credits=pack"),
+      test: BILLING_TEST,
+    },
+  );
+
+  const out = json?.data?.appPurchaseOneTimeCreate;
+  const errs = out?.userErrors || [];
+  if (errs.length) throw new Error(errs.map((e) => e.message).join(" | "));
+  if (!out?.confirmationUrl) throw new Error("Shopify did not return a confirmation URL.");
+  return { confirmationUrl: String(out.confirmationUrl) };
+}
+
+// Confirm route (?credits=pack&charge_id=...): add the pack once Shopify reports it ACTIVE.
+export async function confirmCreditPurchase({ admin, shop, chargeId }) {
+  const numeric = String(chargeId || "").replace(/\D/g, "");
+  if (!admin || !numeric) return { added: 0 };
+
+  const json = await billingGql(
+    admin,
+    `#graphql
+      query OneTimePurchase($id: ID!) {
+        node(id: $id) {
+          ... on AppPurchaseOneTime { id name status price { amount } }
+        }
+      }`,
+    { id: `gid://shopify/AppPurchaseOneTime/${numeric}` },
+  );
+
+  const purchase = json?.data?.node;
+  if (!purchase?.id || normalizeStatus(purchase.status) !== "active") return { added: 0 };
+
+  const pack = CREDIT_PACKS.find((p) => p.name === purchase.name);
+  if (!pack) return { added: 0 };
+
+  return addPurchase(shop, {
+    units: pack.units,
+    amount: Number(purchase?.price?.amount ?? pack.price),
+    reference: String(purchase.id),
+    note: pack.name,
+  });
+}
+
+// --- Metered usage subscription ---
+
+async function saveMetered(shop, data) {
+  return prisma.creditAccount.upsert({
+    where: { shop },
+    update: data,
+    create: { shop, ...data },
+  });
+}
+
+function usageLineItem(sub) {
+  return (sub?.lineItems || []).find((li) => li?.plan?.pricingDetails?.__typename === "AppUsagePricing") || null;
+}
+
+/**
+ * Enable pay-as-you-go billing.
+ * - shopify: usage-only AppSubscription (capped) -> returns { confirmationUrl }
+ * - mock: active immediately
+ */
+export async function startMeteredSubscription({ admin, shop }) {
+  if (CREDITS_MODE !== "metered") throw new Error("Pay-as-you-go billing is not enabled.");
+
+  if (BILLING_BACKEND !== "shopify") {
+    await saveMetered(shop, { meteredStatus: "active", cappedAmount: METERED_PLAN.cappedAmount });
+    return { activated: true };
+  }
+
+  if (!admin) throw new Error("Missing admin client");
+  const json = await billingGql(
+    admin,
+    `#graphql
+      mutation UsageSubscriptionCreate(
+        $name: String!
+        $returnUrl: URL!
+        $test: Boolean
+        $lineItems: [AppSubscriptionLineItemInput!]!
+      ) {
+        appSubscriptionCreate(name: $name, returnUrl: $returnUrl, test: $test, lineItems: $lineItems) {
+          appSubscription {
+            id
+            status
+            lineItems { id plan { pricingDetails { __typename } } }
+          }
+          confirmationUrl
+          userErrors { field message }
+        }
+      }`,
+    {
+      name: METERED_PLAN.name,
+      returnUrl: billingReturnUrl(shop, "credits=metered"),
+      test: BILLING_TEST,
+      lineItems: [
+        {
+          plan: {
+            appUsagePricingDetails: {
+              cappedAmount: { amount: METERED_PLAN.cappedAmount, currencyCode: METERED_PLAN.currencyCode },
+              terms: METERED_PLAN.terms,
+            },
+          },
+        },
+      ],
+    },
+  );
+
+  const out = json?.data?.appSubscriptionCreate;
+  const errs = out?.userErrors || [];
+  if (errs.length) throw new Error(errs.map((e) => e.message).join(" | "));
+  if (!out?.confirmationUrl || !out?.appSubscription?.id) throw new Error("Shopify did not return a confirmation URL.");
+
+  const li = usageLineItem(out.appSubscription);
+  await saveMetered(shop, {
+    meteredSubscriptionId: String(out.appSubscription.id),
+    meteredLineItemId: li?.id ? String(li.id) : null,
+    meteredStatus: normalizeStatus(out.appSubscription.status),
+    cappedAmount: METERED_PLAN.cappedAmount,
+  });
+
+  return { confirmationUrl: String(out.confirmationUrl) };
+}
+
+const USAGE_SUBSCRIPTION_FIELDS = `
+  id
+  name
+  status
+  lineItems {
+    id
+    plan {
+      pricingDetails {
+        __typename
+        ... on AppUsagePricing {
+          balanceUsed { amount }
+          cappedAmount { amount }
+        }
+      }
+    }
+  }
+`;
+
+async function saveUsageSubscription(shop, sub) {
+  const li = usageLineItem(sub);
+  const pricing = li?.plan?.pricingDetails;
+  return saveMetered(shop, {
+    meteredSubscriptionId: String(sub.id),
+    meteredLineItemId: li?.id ? String(li.id) : null,
+    meteredStatus: normalizeStatus(sub.status),
+    ...(pricing?.cappedAmount ? { cappedAmount: Number(pricing.cappedAmount.amount) } : {}),
+    ...(pricing?.balanceUsed ? { balanceUsed: Number(pricing.balanceUsed.amount) } : {}),
+  });
+}
+
+// Refresh status / balanceUsed from Shopify (confirm route, billing page).
+export async function syncMeteredSubscription({ admin, shop }) {
+  if (CREDITS_MODE !== "metered" || BILLING_BACKEND !== "shopify" || !admin || !shop) return;
+
+  const json = await billingGql(
+    admin,
+    `#graphql
+      query UsageSubscriptions {
+        currentAppInstallation {
+          activeSubscriptions { ${USAGE_SUBSCRIPTION_FIELDS} }
+        }
+      }`,
+  );
+
+  const active = (json?.data?.currentAppInstallation?.activeSubscriptions || []).find(
+    (s) => s?.name === METERED_PLAN.name && normalizeStatus(s?.status) === "active",
+  );
+  if (active) {
+    await saveUsageSubscription(shop, active);
+    return;
+  }
+
+  const account = await prisma.creditAccount.findUnique({ where: { shop } });
+  if (!account?.meteredSubscriptionId) return;
+
+  const node = await billingGql(
+    admin,
+    `#graphql
+      query UsageSubscription($id: ID!) {
+        node(id: $id) {
+          ... on AppSubscription { ${USAGE_SUBSCRIPTION_FIELDS} }
+        }
+      }`,
+    { id: account.meteredSubscriptionId },
+  );
+  if (node?.data?.node?.id) await saveUsageSubscription(shop, node.data.node);
+}
+
+// app_subscriptions/update for the usage subscription (Pro updates are handled in billing.shopify.server.js).
+export async function applyMeteredSubscriptionWebhook({ shop, payload }) {
+  const sub = payload?.app_subscription;
+  if (!shop || sub?.name !== METERED_PLAN.name) return { ok: true, skipped: "not a usage subscription" };
+
+  const id = String(sub?.admin_graphql_api_id || "");
+  const account = await prisma.creditAccount.findUnique({ where: { shop } });
+  if (account?.meteredSubscriptionId && account.meteredSubscriptionId !== id) {
+    return { ok: true, skipped: "not current subscription" };
+  }
+
+  await saveMetered(shop, {
+    meteredSubscriptionId: id || null,
+    meteredStatus: normalizeStatus(sub?.status),
+    ...(sub?.capped_amount ? { cappedAmount: Number(sub.capped_amount) } : {}),
+  });
+  return { ok: true };
+}
+
+export async function cancelMeteredSubscription({ admin, shop }) {
+  const account = await prisma.creditAccount.findUnique({ where: { shop } });
+  if (!account?.meteredStatus) throw new Error("Pay-as-you-go billing is not active.");
+
+  // Bill what was used before cancelling (usage records need an active subscription).
+  await settleMeteredUsage({ admin, shop });
+
+  if (BILLING_BACKEND === "shopify" && account.meteredSubscriptionId) {
+    const json = await billingGql(
+      admin,
+      `#graphql
+        mutation UsageSubscriptionCancel($id: ID!) {
+          appSubscriptionCancel(id: $id) {
+            appSubscription { id status }
+            userErrors { field message }
+          }
+        }`,
+      { id: account.meteredSubscriptionId },
+    );
+    const errs = json?.data?.appSubscriptionCancel?.userErrors || [];
+    if (errs.length) throw new Error(errs.map((e) => e.message).join(" | "));
+  }
+
+  await saveMetered(shop, { meteredStatus: "cancelled" });
+}
@@ -2,8 +2,24 @@
 // Central gating helpers used by routes.
 
 import { BILLING_PLANS } from "./billing.plans.js";
-import { getPlanForShop } from "./billing.mock.server.js";
-import { getFreeUsageMonthly, reserveFreeUsageMonthly, resetFreeUsageMonthly } from "./billing.usage.server.js";
+import { getPlanForShop } from "./billing.server.js";
+import {
+  attachFreeUsageEntry,
+  getFreeUsageMonthly,
+  reconcileFreeUsage,
+  reserveFreeUsageMonthly,
+  reserveRetryFreeUsage,
+  resetFreeUsageMonthly,
+} from "./billing.usage.server.js";
+import {
+  CREDITS_MODE,
+  attachCreditDebit,
+  creditsEnabled,
+  debitCredits,
+  reconcileJobCredits,
+  releaseCreditDebit,
+  reserveRetryCredits,
+} from "./billing.credits.server.js";
 
 export async function getBillingContext(shop) {
   const planInfo = await getPlanForShop(shop);
@@ -16,6 +32,7 @@ export async function getBillingContext(shop) {
       ...usage,
     },
     plans: BILLING_PLANS,
+    creditsMode: CREDITS_MODE,
   };
 }
 
@@ -23,19 +40,106 @@ export async function reserveIfFreePlan({ shop, productCount }) {
   const ctx = await getPlanForShop(shop);
   const freeLimit = BILLING_PLANS.FREE.monthlyProductLimit;
   if (ctx.isPro) {
-    return { ok: true, planKey: ctx.planKey, mode: ctx.mode, free: await getFreeUsageMonthly(shop, freeLimit) };
+    return { ok: true, planKey: ctx.planKey, mode: ctx.mode, free: await getFreeUsageMonthly(shop, freeLimit), freeUnits: 0 };
+  }
+
+  if (!creditsEnabled()) {
+    const reservation = await reserveFreeUsageMonthly(shop, productCount, freeLimit);
+    return {
+      ok: reservation.ok,
+      code: reservation.code,
+      planKey: ctx.planKey,
+      mode: ctx.mode,
+      free: reservation,
+      freeUnits: reservation.ok ? Math.max(0, Number(productCount || 0)) : 0,
+    };
+  }
+
+  // Pay-as-you-go: use what is left of the Free allowance, debit the rest from credits.
+  // `credits` ({ units, entryId }) must be stored on the job (creditUnits) so failures get refunded.
+  const count = Math.max(0, Number(productCount || 0));
+  const usage = await getFreeUsageMonthly(shop, freeLimit);
+  const freeUnits = Math.min(count, usage.remaining);
+  const creditUnits = count - freeUnits;
+
+  const credits = await debitCredits(shop, creditUnits, { note: `Reserved ${creditUnits} item(s)` });
+  if (!credits.ok) {
+    return { ok: false, code: credits.code, planKey: ctx.planKey, mode: ctx.mode, free: usage, credits };
+  }
+
+  const reservation = await reserveFreeUsageMonthly(shop, freeUnits, freeLimit);
+  if (!reservation.ok) {
+    // Another reservation took the allowance in the meantime.
+    await releaseCreditDebit(shop, credits);
+    return { ok: false, code: "FREE_LIMIT_EXCEEDED", planKey: ctx.planKey, mode: ctx.mode, free: reservation, credits: null };
   }
 
-  const reservation = await reserveFreeUsageMonthly(shop, productCount, freeLimit);
   return {
-    ok: reservation.ok,
-    code: reservation.code,
+    ok: true,
+    code: "OK",
     planKey: ctx.planKey,
     mode: ctx.mode,
     free: reservation,
+    freeUnits,
+    credits: credits.units ? credits : null,
+  };
+}
+
+// Job fields for a reservation (create*Job / worker enforcement): which units came from where.
+export function reservationJobFields(reservation) {
+  return {
+    usageFreeUnits: Number(reservation?.freeUnits || 0),
+    usageMonth: reservation?.freeUnits ? reservation?.free?.month || null : null,
+    creditUnits: Number(reservation?.credits?.units || 0),
   };
 }
 
+// Link the ledger entries written at reservation time to the job.
+export async function attachReservationToJob(reservation, jobId) {
+  if (!reservation || !jobId) return;
+  await attachFreeUsageEntry(reservation.free?.entryId, jobId);
+  await attachCreditDebit(reservation.credits, jobId);
+}
+
+/**
+ * Give back usage for items that never produced a draft (credits first, then the Free allowance).
+ * Idempotent: call it whenever a job stops generating (worker finalize, cancel).
+ */
+export async function reconcileJobUsage(jobId) {
+  const credits = await reconcileJobCredits(jobId);
+  const free = await reconcileFreeUsage(jobId);
+  return { credits, free };
+}
+
+/**
+ * Retry of failed items (retry_failed_generate): usage already refunded for them is reserved again
+ * before they are requeued (credits first, then the Free allowance — Pro has no allowance to check).
+ * Returns { ok, code } (code -> reservationErrorMessage).
+ */
+export async function reserveRetryUsage(shop, jobId, retryItemIds) {
+  const credits = await reserveRetryCredits(jobId, retryItemIds);
+  if (!credits.ok) return { ok: false, code: credits.code, credits };
+
+  const ctx = await getPlanForShop(shop);
+  if (!ctx.isPro) {
+    const free = await reserveRetryFreeUsage(jobId, retryItemIds, BILLING_PLANS.FREE.monthlyProductLimit);
+    if (!free.ok) {
+      // Nothing is requeued: the reconcile of the unchanged job gives the credits back.
+      await reconcileJobCredits(jobId);
+      return { ok: false, code: free.code, free };
+    }
+  }
+  return { ok: true, code: "OK", credits };
+}
+
+// User-facing text for a failed reservation (402 responses).
+export function reservationErrorMessage(code) {
+  if (code === "INSUFFICIENT_CREDITS") return "Not enough credits. Buy a credit pack on the Billing page.";
+  if (code === "METERED_NOT_ACTIVE") return "Free plan limit exceeded. Enable pay-as-you-go billing on the Billing page.";
+  if (code === "USAGE_CAP_REACHED") return "Pay-as-you-go spending cap reached for this billing period.";
+  return "Free plan limit exceeded";
+}
+
 export async function resetFreeUsage({ shop }) {
   return resetFreeUsageMonthly(shop);
 }
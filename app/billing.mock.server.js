@@ -4,7 +4,8 @@
 // IMPORTANT:
 // - Mock billing MUST NEVER be enabled in production.
 // - Use ENABLE_BILLING_MOCK=true (and NODE_ENV !== "production") to allow local/dev testing.
-// - In production, all shops are treated as FREE unless you wire in real Shopify Billing API logic.
+// - In production, all shops are treated as FREE here; use BILLING_MODE=shopify (billing.shopify.server.js)
+//   for real charges. Backend selection lives in billing.server.js.
 
 import prisma from "./db.server.js";
 import { BILLING_PLANS, DEFAULT_BILLING_MODE } from "./billing.plans.js";
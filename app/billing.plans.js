@@ -30,10 +30,30 @@ export const BILLING_PLANS = {
       "Debug report export",
       "Priority support",
     ],
-    // Display-only (mock billing). Real billing can override later.
     priceMonthlyText: "$19.90 / month",
     priceAnnualText: "$200 / year",
+    // Charged amounts (BILLING_MODE=shopify -> appSubscriptionCreate)
+    priceMonthly: 19.9,
+    priceAnnual: 200,
+    currencyCode: "USD",
+    trialDays: 7, // BILLING_TRIAL_DAYS env overrides
   },
 };
 
+// Pay-as-you-go credits beyond the Free allowance (CREDITS_MODE=packs | metered).
+// One credit = one generated item (product, image, article, collection, page, translation).
+export const CREDIT_PACKS = [
+  { key: "CREDITS_100", name: "100 SEO credits", units: 100, price: 4.9 },
+  { key: "CREDITS_500", name: "500 SEO credits", units: 500, price: 19.9 },
+  { key: "CREDITS_2000", name: "2000 SEO credits", units: 2000, price: 59 },
+];
+
+export const METERED_PLAN = {
+  name: "Pay as you go",
+  unitPrice: 0.05, // per generated item beyond the Free allowance
+  cappedAmount: 50, // Shopify capped amount per 30-day billing period
+  currencyCode: "USD",
+  terms: "$0.05 per generated item beyond the Free plan allowance",
+};
+
 export const DEFAULT_BILLING_MODE = "mock"; // "mock" | "shopify"
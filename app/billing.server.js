@@ -0,0 +1,53 @@
+// app/billing.server.js
+// Billing backend selected by BILLING_MODE:
+// - "mock"    -> billing.mock.server.js (dev only; FREE for everyone when the mock is disabled)
+// - "shopify" -> billing.shopify.server.js (Shopify Billing API)
+
+import {
+  BILLING_MODE,
+  getPlanForShop as getMockPlanForShop,
+  activatePro,
+  cancelPro,
+} from "./billing.mock.server.js";
+import {
+  getShopifyPlanForShop,
+  trialDays,
+  startSubscription,
+  syncSubscription,
+  cancelSubscription,
+} from "./billing.shopify.server.js";
+
+export const BILLING_BACKEND = BILLING_MODE === "shopify" ? "shopify" : "mock";
+
+// Trial only applies to real charges.
+export function proTrialDays() {
+  return BILLING_BACKEND === "shopify" ? trialDays() : 0;
+}
+
+export async function getPlanForShop(shop) {
+  if (BILLING_BACKEND === "shopify") return getShopifyPlanForShop(shop);
+  return getMockPlanForShop(shop);
+}
+
+/**
+ * Start Pro.
+ * - shopify: returns { confirmationUrl } (merchant approves the charge there)
+ * - mock: activates immediately, returns { activated: true }
+ */
+export async function startProSubscription({ admin, shop, interval = "monthly" }) {
+  if (BILLING_BACKEND === "shopify") return startSubscription({ admin, shop, interval });
+  await activatePro(shop, interval);
+  return { activated: true };
+}
+
+export async function cancelProSubscription({ admin, shop }) {
+  if (BILLING_BACKEND === "shopify") return cancelSubscription({ admin, shop });
+  await cancelPro(shop);
+  return getMockPlanForShop(shop);
+}
+
+// Shopify only: refresh the local mirror from the Billing API (no-op for mock).
+export async function syncProSubscription({ admin, shop, chargeId = null }) {
+  if (BILLING_BACKEND !== "shopify") return getMockPlanForShop(shop);
+  return syncSubscription({ admin, shop, chargeId });
+}
@@ -0,0 +1,285 @@
+// app/billing.shopify.server.js
+// Server-only Shopify Billing API implementation (BILLING_MODE=shopify).
+//
+// - startSubscription(): appSubscriptionCreate -> merchant approves on confirmationUrl
+// - syncSubscription(): pull the real status (confirm route, billing page, missed webhooks)
+// - applySubscriptionWebhook(): app_subscriptions/update -> BillingSubscription
+// - cancelSubscription(): appSubscriptionCancel
+//
+// BillingSubscription is a local mirror; Shopify stays the source of truth.
+
+import prisma from "./db.server.js";
+import { BILLING_PLANS } from "./billing.plans.js";
+
+const PLAN_NAMES = {
+  monthly: "Pro Monthly",
+  annual: "Pro Annual",
+};
+
+// Real charges only in production unless BILLING_TEST=true (test charges are free).
+export const BILLING_TEST = process.env.BILLING_TEST === "true" || process.env.NODE_ENV !== "production";
+
+export function trialDays() {
+  const env = Number.parseInt(String(process.env.BILLING_TRIAL_DAYS ?? ""), 10);
+  return Number.isFinite(env) && env >= 0 ? env : Number(BILLING_PLANS.PRO.trialDays || 0);
+}
+
+// `query` distinguishes charge kinds on the confirm route (e.g. "credits=pack").
+export function billingReturnUrl(shop, query = "") {
+  // Shopify appends charge_id=... ; the embedded URL keeps the merchant inside the admin.
+  const base =
+    process.env.BILLING_RETURN_URL || `https://${shop}/admin/apps/${process.env.SHOPIFY_API_KEY}/app/billing/confirm`;
+  if (!query) return base;
+  return `${base}${base.includes("?") ? "&" : "?"}${query}`;
+}
+
+// Pro subscriptions only (the pay-as-you-go usage subscription is tracked in CreditAccount).
+function isProPlanName(name) {
+  return Object.values(PLAN_NAMES).includes(String(name || ""));
+}
+
+// ACTIVE | CANCELLED | DECLINED | EXPIRED | FROZEN | PENDING | ACCEPTED (legacy) -> local status
+function normalizeStatus(status) {
+  const s = String(status || "").toLowerCase();
+  if (s === "accepted") return "pending";
+  return s || "pending";
+}
+
+function intervalFromShopify(sub) {
+  const items = sub?.lineItems || [];
+  for (const li of items) {
+    const interval = li?.plan?.pricingDetails?.interval;
+    if (interval === "ANNUAL") return "annual";
+    if (interval === "EVERY_30_DAYS") return "monthly";
+  }
+  return /annual/i.test(String(sub?.name || "")) ? "annual" : "monthly";
+}
+
+export async function billingGql(admin, query, variables) {
+  const res = await admin.graphql(query, { variables });
+  const json = await res.json();
+  if (Array.isArray(json?.errors) && json.errors.length) {
+    throw new Error(json.errors.map((e) => e?.message).filter(Boolean).join(" | ") || "Shopify billing request failed");
+  }
+  return json;
+}
+
+async function saveSubscription(shop, sub, extra = {}) {
+  const status = normalizeStatus(sub?.status);
+  const data = {
+    source: "shopify",
+    plan: String(sub?.name || PLAN_NAMES.monthly),
+    status,
+    subscriptionId: sub?.id ? String(sub.id) : null,
+    interval: extra.interval || intervalFromShopify(sub),
+    trialDays: sub?.trialDays ?? extra.trialDays ?? null,
+    test: Boolean(sub?.test),
+    currentPeriodEnd: sub?.currentPeriodEnd ? new Date(sub.currentPeriodEnd) : null,
+    cancelledAt: status === "cancelled" ? new Date() : null,
+    updatedAt: new Date(),
+  };
+
+  return prisma.billingSubscription.upsert({
+    where: { shop },
+    update: data,
+    create: { shop, createdAt: new Date(), ...data },
+  });
+}
+
+export async function getShopifyPlanForShop(shop) {
+  const sub = shop ? await prisma.billingSubscription.findUnique({ where: { shop } }) : null;
+  const isPro = !!sub && sub.source === "shopify" && sub.status === "active";
+  return {
+    planKey: isPro ? BILLING_PLANS.PRO.key : BILLING_PLANS.FREE.key,
+    isPro,
+    mode: "shopify",
+    subscription: sub,
+  };
+}
+
+/**
+ * Create a recurring Pro charge. Returns { confirmationUrl } — the merchant must approve it there.
+ */
+export async function startSubscription({ admin, shop, interval = "monthly" }) {
+  if (!admin) throw new Error("Missing admin client");
+  if (!shop) throw new Error("Missing shop");
+
+  const current = await getShopifyPlanForShop(shop);
+  if (current.isPro) throw new Error("Pro subscription is already active.");
+
+  const annual = interval === "annual";
+  const days = trialDays();
+
+  const mutation = `#graphql
+    mutation AppSubscriptionCreate(
+      $name: String!
+      $returnUrl: URL!
+      $trialDays: Int
+      $test: Boolean
+      $lineItems: [AppSubscriptionLineItemInput!]!
+    ) {
+      appSubscriptionCreate(
+        name: $name
+        returnUrl: $returnUrl
+        trialDays: $trialDays
+        test: $test
+        lineItems: $lineItems
+      ) {
+        appSubscription { id name status trialDays test currentPeriodEnd }
+        confirmationUrl
+        userErrors { field message }
+      }
+    }`;
+
+  const json = await billingGql(admin, mutation, {
+    name: annual ? PLAN_NAMES.annual : PLAN_NAMES.monthly,
+    returnUrl: billingReturnUrl(shop),
+    trialDays: days || null,
+    test: BILLING_TEST,
+    lineItems: [
+      {
+        plan: {
+          appRecurringPricingDetails: {
+            price: {
+              amount: annual ? BILLING_PLANS.PRO.priceAnnual : BILLING_PLANS.PRO.priceMonthly,
+              currencyCode: BILLING_PLANS.PRO.currencyCode || "USD",
+            },
+            interval: annual ? "ANNUAL" : "EVERY_30_DAYS",
+          },
+        },
+      },
+    ],
+  });
+
+  const out = json?.data?.appSubscriptionCreate;
+  const errs = out?.userErrors || [];
+  if (errs.length) throw new Error(errs.map((e) => e.message).join(" | "));
+  if (!out?.confirmationUrl || !out?.appSubscription?.id) throw new Error("Shopify did not return a confirmation URL.");
+
+  await saveSubscription(shop, out.appSubscription, { interval: annual ? "annual" : "monthly", trialDays: days });
+
+  return { confirmationUrl: String(out.confirmationUrl), subscriptionId: String(out.appSubscription.id) };
+}
+
+/**
+ * Pull the real subscription state from Shopify.
+ * - An active subscription wins.
+ * - Otherwise the locally known subscription is looked up (declined / expired / cancelled).
+ */
+export async function syncSubscription({ admin, shop, chargeId = null }) {
+  if (!admin || !shop) return getShopifyPlanForShop(shop);
+
+  const json = await billingGql(
+    admin,
+    `#graphql
+      query ActiveSubscriptions {
+        currentAppInstallation {
+          activeSubscriptions {
+            id
+            name
+            status
+            trialDays
+            test
+            currentPeriodEnd
+            lineItems {
+              plan {
+                pricingDetails {
+                  __typename
+                  ... on AppRecurringPricing { interval }
+                }
+              }
+            }
+          }
+        }
+      }`,
+  );
+
+  const active = (json?.data?.currentAppInstallation?.activeSubscriptions || []).find(
+    (s) => normalizeStatus(s?.status) === "active" && isProPlanName(s?.name),
+  );
+  if (active) {
+    await saveSubscription(shop, active);
+    return getShopifyPlanForShop(shop);
+  }
+
+  const local = await prisma.billingSubscription.findUnique({ where: { shop } });
+  const lookupId =
+    (local?.source === "shopify" && local?.subscriptionId) ||
+    (chargeId ? `gid://shopify/AppSubscription/${String(chargeId).replace(/\D/g, "")}` : null);
+
+  if (lookupId) {
+    const node = await billingGql(
+      admin,
+      `#graphql
+        query SubscriptionStatus($id: ID!) {
+          node(id: $id) {
+            ... on AppSubscription { id name status trialDays test currentPeriodEnd }
+          }
+        }`,
+      { id: lookupId },
+    );
+    const sub = node?.data?.node;
+    if (sub?.id) await saveSubscription(shop, sub, { interval: local?.interval || undefined });
+  }
+
+  return getShopifyPlanForShop(shop);
+}
+
+/**
+ * app_subscriptions/update webhook.
+ * Updates for an older subscription (e.g. the one replaced by a new charge) are ignored
+ * unless they activate it.
+ */
+export async function applySubscriptionWebhook({ shop, payload }) {
+  const sub = payload?.app_subscription;
+  const id = String(sub?.admin_graphql_api_id || "");
+  if (!shop || !id) return { ok: false, skipped: "missing subscription" };
+  if (!isProPlanName(sub?.name)) return { ok: true, skipped: "not a Pro subscription" };
+
+  const status = normalizeStatus(sub?.status);
+  const local = await prisma.billingSubscription.findUnique({ where: { shop } });
+  const isCurrent = !local?.subscriptionId || local.subscriptionId === id;
+  if (!isCurrent && status !== "active") return { ok: true, skipped: "not current subscription" };
+
+  await saveSubscription(
+    shop,
+    {
+      id,
+      name: sub?.name,
+      status: sub?.status,
+      trialDays: local?.subscriptionId === id ? local?.trialDays : null,
+      test: local?.subscriptionId === id ? local?.test : false,
+      currentPeriodEnd: sub?.current_period_end || local?.currentPeriodEnd || null,
+    },
+    { interval: local?.subscriptionId === id ? local?.interval : undefined },
+  );
+
+  return { ok: true, status };
+}
+
+export async function cancelSubscription({ admin, shop }) {
+  if (!admin) throw new Error("Missing admin client");
+  const local = await prisma.billingSubscription.findUnique({ where: { shop } });
+  if (!local?.subscriptionId || local.source !== "shopify") throw new Error("No Shopify subscription to cancel.");
+
+  const json = await billingGql(
+    admin,
+    `#graphql
+      mutation AppSubscriptionCancel($id: ID!) {
+        appSubscriptionCancel(id: $id, prorate: false) {
+          appSubscription { id name status trialDays test currentPeriodEnd }
+          userErrors { field message }
+        }
+      }`,
+    { id: local.subscriptionId },
+  );
+
+  const out = json?.data?.appSubscriptionCancel;
+  const errs = out?.userErrors || [];
+  if (errs.length) throw new Error(errs.map((e) => e.message).join(" | "));
+
+  await saveSubscription(shop, out?.appSubscription || { id: local.subscriptionId, name: local.plan, status: "CANCELLED" }, {
+    interval: local.interval,
+  });
+  return getShopifyPlanForShop(shop);
+}
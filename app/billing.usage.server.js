@@ -1,5 +1,7 @@
 // app/billing.usage.server.js
 // Server-only free-plan monthly usage tracking.
+// FreePlanUsageMonthly.used is the counter the limit is checked against; FreePlanUsageEntry is the
+// ledger behind it (reserve per job, refund / recharge per item).
 
 import prisma from "./db.server.js";
 
@@ -69,6 +71,11 @@ export async function reserveFreeUsageMonthly(shop, count, limit) {
             data: { used: newUsed, updatedAt: new Date() },
           });
 
+          // jobId is attached once the job exists (attachFreeUsageEntry)
+          const entry = await tx.freePlanUsageEntry.create({
+            data: { shop, month, kind: "reserve", units: safeCount },
+          });
+
           return {
             ok: true,
             code: "OK",
@@ -76,6 +83,7 @@ export async function reserveFreeUsageMonthly(shop, count, limit) {
             used: newUsed,
             limit: lim,
             remaining: Math.max(0, lim - newUsed),
+            entryId: entry.id,
           };
         },
         { isolationLevel: "Serializable" }
@@ -108,7 +116,178 @@ export async function reserveFreeUsageMonthly(shop, count, limit) {
 export async function resetFreeUsageMonthly(shop) {
   const month = monthKeyIstanbul();
   await prisma.freePlanUsageMonthly.deleteMany({ where: { shop, month } });
+  await prisma.freePlanUsageEntry.deleteMany({ where: { shop, month } });
   return { ok: true, month };
 }
 
+// Items that never produced a draft: failed, or left queued/running by a failed / cancelled job.
+export function isUndraftedItem(item, job) {
+  const jobStatus = String(job?.status || "").toLowerCase();
+  if (item?.status === "failed") return true;
+  return ["failed", "cancelled", "canceled"].includes(jobStatus) && ["queued", "running"].includes(item?.status);
+}
+
+export async function attachFreeUsageEntry(entryId, jobId) {
+  if (!entryId || !jobId) return;
+  await prisma.freePlanUsageEntry.update({ where: { id: entryId }, data: { jobId: String(jobId) } });
+}
+
+// Move one item's unit back to (-1) or out of (+1) the monthly allowance. Item flag flip = idempotency guard.
+async function flipItemUsage(job, itemId, refund) {
+  return prisma.$transaction(async (tx) => {
+    const res = await tx.seoJobItem.updateMany({
+      where: { id: itemId, usageRefunded: !refund },
+      data: { usageRefunded: refund },
+    });
+    if (!res.count) return 0;
+
+    const month = job.usageMonth;
+    await tx.freePlanUsageMonthly.upsert({
+      where: { shop_month: { shop: job.shop, month } },
+      update: { used: { increment: refund ? -1 : 1 }, updatedAt: new Date() },
+      create: { shop: job.shop, month, used: refund ? 0 : 1, createdAt: new Date(), updatedAt: new Date() },
+    });
+    // never below zero (e.g. the month was reset in dev)
+    await tx.freePlanUsageMonthly.updateMany({
+      where: { shop: job.shop, month, used: { lt: 0 } },
+      data: { used: 0 },
+    });
+
+    await tx.freePlanUsageEntry.create({
+      data: {
+        shop: job.shop,
+        month,
+        kind: refund ? "refund" : "recharge",
+        units: refund ? -1 : 1,
+        jobId: job.id,
+        itemId,
+      },
+    });
+    return 1;
+  });
+}
+
+/**
+ * Give Free plan units back for items that never produced a draft (see isUndraftedItem).
+ * Idempotent and safe across retries:
+ * - target = min(failed items not covered by credit refunds, usageFreeUnits)
+ * - refunded items that succeed on retry are charged again (recharge)
+ * Call after reconcileJobCredits (credits are refunded first).
+ */
+export async function reconcileFreeUsage(jobId) {
+  const id = String(jobId || "").trim();
+  if (!id) return { refunded: 0, recharged: 0 };
+
+  const job = await prisma.seoJob.findUnique({
+    where: { id },
+    select: { id: true, shop: true, status: true, usageFreeUnits: true, usageMonth: true, creditRefunded: true },
+  });
+  if (!job?.usageFreeUnits || !job.usageMonth) return { refunded: 0, recharged: 0 };
+
+  const items = await prisma.seoJobItem.findMany({
+    where: { jobId: id },
+    select: { id: true, status: true, usageRefunded: true },
+    orderBy: { id: "asc" },
+  });
+
+  const failed = items.filter((it) => isUndraftedItem(it, job));
+  const target = Math.min(Math.max(0, failed.length - Number(job.creditRefunded || 0)), job.usageFreeUnits);
+
+  // Keep already refunded failed items first (stable across reconciles), then fill up.
+  const keep = new Set(
+    [...failed.filter((it) => it.usageRefunded), ...failed.filter((it) => !it.usageRefunded)]
+      .slice(0, target)
+      .map((it) => it.id),
+  );
+
+  let refunded = 0;
+  let recharged = 0;
+  for (const it of items) {
+    if (keep.has(it.id) && !it.usageRefunded) refunded += await flipItemUsage(job, it.id, true);
+    else if (!keep.has(it.id) && it.usageRefunded) recharged += await flipItemUsage(job, it.id, false);
+  }
+
+  return { refunded, recharged };
+}
+
+/**
+ * Retry of failed items: Free units refunded for them are reserved again (monthly limit check) before
+ * they are requeued. The reserved items lose their refund flag, so a success is not recharged on top.
+ * Call after reserveRetryCredits (credits cover failed items first, as in reconcileFreeUsage).
+ */
+export async function reserveRetryFreeUsage(jobId, retryItemIds, limit) {
+  const job = await prisma.seoJob.findUnique({
+    where: { id: String(jobId || "").trim() },
+    select: { id: true, shop: true, usageFreeUnits: true, usageMonth: true, creditRefunded: true },
+  });
+  const lim = limit ?? 10;
+  if (!job?.usageFreeUnits || !job.usageMonth) return { ok: true, code: "OK", used: 0, limit: lim };
+
+  const items = await prisma.seoJobItem.findMany({
+    where: { jobId: job.id },
+    select: { id: true, status: true, usageRefunded: true },
+    orderBy: { id: "asc" },
+  });
+
+  // Refunds still due after the retry: failed items that are not requeued.
+  const retry = new Set(retryItemIds.map(String));
+  const stillFailed = items.filter((it) => it.status === "failed" && !retry.has(it.id)).length;
+  const target = Math.min(Math.max(0, stillFailed - Number(job.creditRefunded || 0)), job.usageFreeUnits);
+  const refunded = items.filter((it) => it.usageRefunded);
+  const units = refunded.length - target;
+  if (units <= 0) return { ok: true, code: "OK", used: 0, limit: lim };
+
+  const reservation = await reserveFreeUsageMonthly(job.shop, units, lim);
+  if (!reservation.ok) return reservation;
+
+  // Requeued items first; the failed items that stay refunded are kept (stable for reconcileFreeUsage).
+  const unflag = [...refunded.filter((it) => retry.has(it.id)), ...refunded.filter((it) => !retry.has(it.id))]
+    .slice(0, units)
+    .map((it) => it.id);
+  await prisma.seoJobItem.updateMany({ where: { id: { in: unflag } }, data: { usageRefunded: false } });
+  await attachFreeUsageEntry(reservation.entryId, job.id);
+  return reservation;
+}
+
+/**
+ * Billing page: reserved vs refunded vs consumed for the current month.
+ * - reserved: units taken when jobs were started (+ recharges)
+ * - refunded: units given back for failed / cancelled items
+ * - inProgress: reserved by jobs that are still generating
+ */
+export async function getFreeUsageSummary(shop, { take = 20 } = {}) {
+  const month = monthKeyIstanbul();
+  const entries = await prisma.freePlanUsageEntry.findMany({
+    where: { shop, month },
+    orderBy: { createdAt: "desc" },
+  });
+
+  let reserved = 0;
+  let refunded = 0;
+  for (const e of entries) {
+    if (e.units > 0) reserved += e.units;
+    else refunded += -e.units;
+  }
+
+  const active = await prisma.seoJob.aggregate({
+    where: {
+      shop,
+      usageMonth: month,
+      phase: "generating",
+      status: { in: ["queued", "running"] },
+    },
+    _sum: { usageFreeUnits: true },
+  });
+  const inProgress = Number(active?._sum?.usageFreeUnits || 0);
+
+  return {
+    month,
+    reserved,
+    refunded,
+    inProgress,
+    consumed: Math.max(0, reserved - refunded - inProgress),
+    entries: entries.slice(0, take),
+  };
+}
+
 export { monthKeyIstanbul };
@@ -0,0 +1,293 @@
+// app/bulk.server.js
+/**
+ * Shopify bulk operations (worker-side helpers)
+ * - runBulkQuery(): start bulkOperationRunQuery + poll until finished, returns the JSONL url
+ * - runBulkMutation(): upload a JSONL variables file (stagedUploadsCreate) + bulkOperationRunMutation + poll
+ * - readJsonl(): stream the result file line by line (no full download in memory)
+ *
+ * `gql({ query, variables, label })` is injected by the caller so the worker's
+ * retry/throttle handling (shopifyGraphqlJsonWithRetry) is reused.
+ */
+
+import { Readable } from "node:stream";
+import readline from "node:readline";
+
+const BULK_POLL_MS = Number(process.env.BULK_POLL_MS || 3000);
+const BULK_TIMEOUT_MS = Number(process.env.BULK_TIMEOUT_MS || 30 * 60_000); // 30 min
+// After a timeout the operation is cancelled; this is how long we wait for it to actually stop.
+const BULK_CANCEL_WAIT_MS = Number(process.env.BULK_CANCEL_WAIT_MS || 2 * 60_000);
+const BULK_FINAL_STATUSES = new Set(["COMPLETED", "FAILED", "CANCELED", "EXPIRED"]);
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+const RUN_BULK_QUERY = `#graphql
+  mutation RunBulkQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const STAGED_UPLOADS_CREATE = `#graphql
+  mutation StagedUploadsCreate($input: [StagedUploadInput!]!) {
+    stagedUploadsCreate(input: $input) {
+      stagedTargets { url resourceUrl parameters { name value } }
+      userErrors { field message }
+    }
+  }
+`;
+
+const RUN_BULK_MUTATION = `#graphql
+  mutation RunBulkMutation($mutation: String!, $stagedUploadPath: String!) {
+    bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_OPERATION_CANCEL = `#graphql
+  mutation BulkOperationCancel($id: ID!) {
+    bulkOperationCancel(id: $id) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_OPERATION_STATUS = `#graphql
+  query BulkOperationStatus($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+        partialDataUrl
+      }
+    }
+  }
+`;
+
+// Best effort: a userError here usually means the operation already finished, the next poll tells.
+async function cancelBulkOperation({ gql, id, label }) {
+  try {
+    await gql({ query: BULK_OPERATION_CANCEL, variables: { id }, label: `${label} cancel` });
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Wait for a bulk operation (query or mutation) to reach a final status.
+ * Returns { id, status, errorCode, timedOut, objectCount, url, partialDataUrl } for COMPLETED, FAILED,
+ * CANCELED and EXPIRED alike: a failed / cancelled mutation may still have run part of its lines
+ * (partialDataUrl), so the caller decides what a non-COMPLETED status means.
+ *
+ * On timeout the operation is cancelled (timedOut: true on the result). Throws with `err.timedOut`
+ * only when it does not stop within BULK_CANCEL_WAIT_MS either.
+ */
+export async function waitForBulkOperation({ gql, id, label = "bulk", onPoll, timeoutMs = BULK_TIMEOUT_MS }) {
+  const deadline = Date.now() + timeoutMs;
+  let cancelDeadline = 0;
+
+  for (;;) {
+    const json = await gql({ query: BULK_OPERATION_STATUS, variables: { id }, label: `${label} status` });
+    const op = json?.data?.node;
+    const status = String(op?.status || "");
+
+    if (typeof onPoll === "function") {
+      try { await onPoll({ status, objectCount: Number(op?.objectCount || 0) }); } catch {}
+    }
+
+    if (BULK_FINAL_STATUSES.has(status)) {
+      return {
+        id,
+        status,
+        errorCode: op?.errorCode || null,
+        timedOut: cancelDeadline > 0,
+        objectCount: Number(op?.objectCount || 0),
+        url: op?.url || null,
+        partialDataUrl: op?.partialDataUrl || null,
+      };
+    }
+
+    if (Date.now() >= deadline) {
+      if (!cancelDeadline) {
+        await cancelBulkOperation({ gql, id, label });
+        cancelDeadline = Date.now() + BULK_CANCEL_WAIT_MS;
+      } else if (Date.now() >= cancelDeadline) {
+        const err = new Error(`Bulk operation timed out and did not stop after cancel (${label})`);
+        err.timedOut = true;
+        throw err;
+      }
+    }
+
+    await sleep(BULK_POLL_MS);
+  }
+}
+
+function bulkStatusMessage(done, label) {
+  const what = done.timedOut ? "timed out" : done.status.toLowerCase();
+  return `Bulk operation ${what} (${label})${done.errorCode ? `: ${done.errorCode}` : ""}`;
+}
+
+/**
+ * Run a bulk query and wait for it. Returns { url, objectCount }.
+ * url is null when the query matched nothing.
+ */
+export async function runBulkQuery({ gql, query, label = "bulk query", onPoll, timeoutMs = BULK_TIMEOUT_MS }) {
+  const deadline = Date.now() + timeoutMs;
+  let op = null;
+
+  // Only one bulk query per shop+app can run at a time; wait for the previous one.
+  while (!op) {
+    const json = await gql({ query: RUN_BULK_QUERY, variables: { query }, label });
+    const payload = json?.data?.bulkOperationRunQuery;
+    const errs = payload?.userErrors || [];
+
+    if (errs.length) {
+      const msg = errs.map((e) => e.message).join(" | ");
+      if (/already in progress/i.test(msg) && Date.now() < deadline) {
+        if (typeof onPoll === "function") {
+          try { await onPoll({ status: "WAITING", objectCount: 0 }); } catch {}
+        }
+        await sleep(BULK_POLL_MS * 2);
+        continue;
+      }
+      throw new Error(msg);
+    }
+
+    op = payload?.bulkOperation;
+    if (!op?.id) throw new Error(`Bulk operation could not be started (${label})`);
+  }
+
+  const done = await waitForBulkOperation({
+    gql,
+    id: op.id,
+    label,
+    onPoll,
+    timeoutMs: Math.max(1000, deadline - Date.now()),
+  });
+  if (done.status !== "COMPLETED") throw new Error(bulkStatusMessage(done, label));
+  return { url: done.url, objectCount: done.objectCount };
+}
+
+/**
+ * Upload the mutation variables (one JSON object per line) to Shopify's staged storage.
+ * Returns the stagedUploadPath for bulkOperationRunMutation.
+ */
+async function uploadBulkVariables({ gql, lines, label }) {
+  const json = await gql({
+    query: STAGED_UPLOADS_CREATE,
+    variables: {
+      input: [{ resource: "BULK_MUTATION_VARIABLES", filename: "bulk-variables.jsonl", mimeType: "text/jsonl", httpMethod: "POST" }],
+    },
+    label: `${label} upload`,
+  });
+  const payload = json?.data?.stagedUploadsCreate;
+  const errs = payload?.userErrors || [];
+  if (errs.length) throw new Error(errs.map((e) => e.message).join(" | "));
+
+  const target = payload?.stagedTargets?.[0];
+  const params = target?.parameters || [];
+  const key = params.find((p) => p.name === "key")?.value;
+  if (!target?.url || !key) throw new Error(`Staged upload target missing (${label})`);
+
+  // The file must be the last form field.
+  const form = new FormData();
+  for (const p of params) form.append(p.name, p.value);
+  form.append("file", new Blob([lines.map((l) => JSON.stringify(l)).join("\n")], { type: "text/jsonl" }), "bulk-variables.jsonl");
+
+  const resp = await fetch(target.url, { method: "POST", body: form });
+  if (!resp.ok) throw new Error(`Bulk variables upload failed (${resp.status})`);
+  return key;
+}
+
+/**
+ * Run a bulk mutation: `lines` are the variables of each call, the result file has one line per call
+ * with `__lineNumber` (0-based index into `lines`).
+ * Returns { status, errorCode, timedOut, message, url, partialDataUrl, objectCount }; a FAILED / CANCELED /
+ * EXPIRED (or timed out and cancelled) operation is returned too, its partialDataUrl lists the lines that ran.
+ *
+ * Throws before anything is written when the operation cannot be started (upload / userErrors),
+ * `err.bulkStarted` is set once Shopify accepted the operation (final state unknown).
+ */
+export async function runBulkMutation({ gql, mutation, lines, label = "bulk mutation", onPoll, timeoutMs = BULK_TIMEOUT_MS }) {
+  const deadline = Date.now() + timeoutMs;
+  const stagedUploadPath = await uploadBulkVariables({ gql, lines, label });
+  let op = null;
+
+  // One bulk mutation per shop+app at a time (same wait as runBulkQuery).
+  while (!op) {
+    const json = await gql({ query: RUN_BULK_MUTATION, variables: { mutation, stagedUploadPath }, label });
+    const payload = json?.data?.bulkOperationRunMutation;
+    const errs = payload?.userErrors || [];
+
+    if (errs.length) {
+      const msg = errs.map((e) => e.message).join(" | ");
+      if (/already in progress/i.test(msg) && Date.now() < deadline) {
+        if (typeof onPoll === "function") {
+          try { await onPoll({ status: "WAITING", objectCount: 0 }); } catch {}
+        }
+        await sleep(BULK_POLL_MS * 2);
+        continue;
+      }
+      throw new Error(msg);
+    }
+
+    op = payload?.bulkOperation;
+    if (!op?.id) throw new Error(`Bulk operation could not be started (${label})`);
+  }
+
+  try {
+    const done = await waitForBulkOperation({
+      gql,
+      id: op.id,
+      label,
+      onPoll,
+      timeoutMs: Math.max(1000, deadline - Date.now()),
+    });
+    return {
+      status: done.status,
+      errorCode: done.errorCode,
+      timedOut: done.timedOut,
+      message: done.status === "COMPLETED" ? null : bulkStatusMessage(done, label),
+      url: done.url,
+      partialDataUrl: done.partialDataUrl,
+      objectCount: done.objectCount,
+    };
+  } catch (e) {
+    e.bulkStarted = true;
+    throw e;
+  }
+}
+
+/**
+ * Stream a JSONL result file. Nested connection rows carry `__parentId`.
+ */
+export async function* readJsonl(url) {
+  if (!url) return;
+
+  const resp = await fetch(url);
+  if (!resp.ok || !resp.body) throw new Error(`Bulk result download failed (${resp.status})`);
+
+  const rl = readline.createInterface({
+    input: Readable.fromWeb(resp.body),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of rl) {
+    const s = line.trim();
+    if (!s) continue;
+    try {
+      yield JSON.parse(s);
+    } catch {
+      // skip malformed line
+    }
+  }
+}
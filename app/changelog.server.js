@@ -0,0 +1,179 @@
+// app/changelog.server.js
+/**
+ * SEO change log (SeoChangeLog) — append-only audit trail of every SEO field written to the store.
+ * - Worker: publish + revert (per item, per written field)
+ * - SEO Tools: direct ALT text edit (update_image_alt)
+ * Rows are only inserted; the Change log page (app.change-log.jsx) reads / exports them.
+ */
+
+import prisma from "./db.server.js";
+
+export const CHANGE_LOG_FIELDS = ["seo_title", "seo_description", "alt_text"];
+export const CHANGE_LOG_SOURCES = ["publish", "revert", "direct"];
+export const CHANGE_LOG_PAGE_SIZE = 50;
+// CSV export cap (one request, no streaming)
+const CHANGE_LOG_EXPORT_LIMIT = 10_000;
+
+function normalizeValue(v) {
+  return String(v ?? "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Actor of a worker publish / revert.
+ * publishRequestedBy is the staff label, or "Schedule: <name>" for scheduled publishes;
+ * null = autoPublish right after generation (Auto SEO / scheduled generate).
+ */
+export function changeActorForJob(job, source = "publish") {
+  const requestedBy = String((source === "revert" ? job?.revertRequestedBy : job?.publishRequestedBy) || "").trim();
+  if (requestedBy && !requestedBy.startsWith("Schedule")) return { actor: requestedBy, actorType: "staff" };
+  if (requestedBy) return { actor: requestedBy, actorType: "automation" };
+
+  const jobSource = String(job?.source || "manual");
+  if (jobSource === "auto") return { actor: "Auto SEO", actorType: "automation" };
+  if (jobSource === "schedule") return { actor: "Schedule", actorType: "automation" };
+  return { actor: "System", actorType: "automation" };
+}
+
+/**
+ * changes: [{ field, oldValue, newValue }] — unchanged values are skipped.
+ * Never throws: the store write already happened, a missing log row must not fail the item.
+ */
+export async function recordSeoChanges({
+  shop,
+  resourceType,
+  resourceId,
+  resourceTitle = null,
+  productId = null,
+  locale = null,
+  jobId = null,
+  itemId = null,
+  source,
+  actor,
+  actorType,
+  changes = [],
+}) {
+  const rows = (changes || [])
+    .filter((c) => c && CHANGE_LOG_FIELDS.includes(c.field))
+    .filter((c) => normalizeValue(c.oldValue) !== normalizeValue(c.newValue))
+    .map((c) => ({
+      shop,
+      resourceType: String(resourceType || "PRODUCT"),
+      resourceId: String(resourceId || ""),
+      resourceTitle: resourceTitle ? String(resourceTitle) : null,
+      productId: productId ? String(productId) : null,
+      locale: locale ? String(locale) : null,
+      field: c.field,
+      oldValue: c.oldValue == null ? null : String(c.oldValue),
+      newValue: c.newValue == null ? null : String(c.newValue),
+      jobId: jobId || null,
+      itemId: itemId || null,
+      source: String(source || "publish"),
+      actor: String(actor || "System"),
+      actorType: actorType === "staff" ? "staff" : "automation",
+    }));
+
+  if (!shop || !rows.length || rows.some((r) => !r.resourceId)) return 0;
+
+  try {
+    const res = await prisma.seoChangeLog.createMany({ data: rows });
+    return res.count;
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn("[changelog] write failed", shop, resourceId, String(e?.message || e));
+    return 0;
+  }
+}
+
+/** ---- Query (Change log page) ---- */
+function parseDay(value, endOfDay = false) {
+  const s = String(value || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
+  const d = new Date(`${s}T00:00:00.000Z`);
+  if (Number.isNaN(d.getTime())) return null;
+  if (endOfDay) d.setUTCDate(d.getUTCDate() + 1);
+  return d;
+}
+
+/**
+ * filters: { resource, actor, from, to } (from/to: YYYY-MM-DD, UTC, inclusive)
+ * resource: numeric ID / GID (exact) or part of the resource title.
+ */
+export function changeLogWhere(shop, filters = {}) {
+  const where = { shop };
+
+  const resource = String(filters.resource || "").trim();
+  if (resource) {
+    if (/^\d+$/.test(resource)) {
+      where.OR = [{ resourceId: { endsWith: `/${resource}` } }, { productId: { endsWith: `/${resource}` } }];
+    } else if (resource.startsWith("gid://")) {
+      where.OR = [{ resourceId: resource }, { productId: resource }];
+    } else {
+      where.resourceTitle = { contains: resource, mode: "insensitive" };
+    }
+  }
+
+  const actor = String(filters.actor || "").trim();
+  if (actor === "staff" || actor === "automation") where.actorType = actor;
+  else if (actor) where.actor = { contains: actor, mode: "insensitive" };
+
+  const from = parseDay(filters.from);
+  const to = parseDay(filters.to, true);
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = from;
+    if (to) where.createdAt.lt = to;
+  }
+
+  return where;
+}
+
+export async function listSeoChanges(shop, filters = {}, { page = 1, pageSize = CHANGE_LOG_PAGE_SIZE } = {}) {
+  const where = changeLogWhere(shop, filters);
+  const safePage = Math.max(1, Math.floor(Number(page) || 1));
+
+  const [total, rows] = await Promise.all([
+    prisma.seoChangeLog.count({ where }),
+    prisma.seoChangeLog.findMany({
+      where,
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      skip: (safePage - 1) * pageSize,
+      take: pageSize,
+    }),
+  ]);
+
+  return { rows, total, page: safePage, pageCount: Math.max(1, Math.ceil(total / pageSize)) };
+}
+
+/** ---- CSV export ---- */
+const CSV_COLUMNS = [
+  ["createdAt", "Timestamp"],
+  ["resourceType", "Resource type"],
+  ["resourceId", "Resource ID"],
+  ["resourceTitle", "Resource title"],
+  ["productId", "Product ID"],
+  ["locale", "Locale"],
+  ["field", "Field"],
+  ["oldValue", "Old value"],
+  ["newValue", "New value"],
+  ["jobId", "Job ID"],
+  ["source", "Source"],
+  ["actor", "Actor"],
+  ["actorType", "Actor type"],
+];
+
+function csvCell(value) {
+  const s = value instanceof Date ? value.toISOString() : String(value ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export async function exportSeoChangesCsv(shop, filters = {}) {
+  const rows = await prisma.seoChangeLog.findMany({
+    where: changeLogWhere(shop, filters),
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: CHANGE_LOG_EXPORT_LIMIT,
+  });
+
+  const lines = [CSV_COLUMNS.map(([, label]) => csvCell(label)).join(",")];
+  for (const r of rows) lines.push(CSV_COLUMNS.map(([key]) => csvCell(r[key])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
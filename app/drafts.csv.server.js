@@ -0,0 +1,309 @@
+// app/drafts.csv.server.js
+/**
+ * Offline editing of a job's drafts (copywriters / spreadsheets).
+ * - Export: one row per item with the live value and the draft (Excel variant: UTF-8 BOM).
+ * - Import: parse (comma / semicolon / tab, Excel re-saves with the locale separator), match rows to
+ *   items (item_id, else resource_id + locale), validate against the settings and return a preview.
+ *   Applying writes seoTitle / seoDescription the same way "Save draft" does.
+ */
+
+import prisma from "./db.server.js";
+
+export const DRAFT_IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const DRAFT_IMPORT_MAX_ROWS = 5000;
+
+const META_COLUMNS = [
+  "item_id",
+  "resource_type",
+  "resource_id",
+  "locale",
+  "resource_title",
+  "live_seo_title",
+  "live_seo_description",
+  "draft_seo_title",
+  "draft_seo_description",
+];
+
+const IMAGE_COLUMNS = [
+  "item_id",
+  "resource_type",
+  "resource_id",
+  "product_id",
+  "resource_title",
+  "image_url",
+  "live_alt_text",
+  "draft_alt_text",
+];
+
+function isImageJob(job) {
+  return String(job?.jobType || "PRODUCT_SEO") === "ALT_TEXT_IMAGES";
+}
+
+function isTranslateJob(job) {
+  return String(job?.jobType || "PRODUCT_SEO") === "TRANSLATE_SEO";
+}
+
+function itemResourceId(job, item) {
+  if (isImageJob(job)) return String(item.mediaId || item.targetId || "");
+  return String(item.targetId || item.productId || "");
+}
+
+/** ---- CSV ---- */
+function csvCell(value) {
+  const s = String(value ?? "");
+  return /[",;\t\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// liveByItemId: { [itemId]: { seoTitle, seoDescription } } (not used for IMAGE jobs)
+export function buildDraftsCsv({ job, items, liveByItemId = {}, excel = false }) {
+  const image = isImageJob(job);
+  const lines = [(image ? IMAGE_COLUMNS : META_COLUMNS).join(",")];
+
+  for (const it of items || []) {
+    const live = liveByItemId?.[String(it.id)] || {};
+    const row = image
+      ? [
+          it.id,
+          "IMAGE",
+          itemResourceId(job, it),
+          it.productId,
+          it.productTitle,
+          it.imageUrl,
+          // IMAGE items keep the live ALT text in seoDescription
+          it.seoDescription,
+          it.seoTitle,
+        ]
+      : [
+          it.id,
+          it.targetType,
+          itemResourceId(job, it),
+          it.locale,
+          it.productTitle,
+          live.seoTitle,
+          live.seoDescription,
+          it.seoTitle,
+          it.seoDescription,
+        ];
+    lines.push(row.map(csvCell).join(","));
+  }
+
+  // Excel only detects UTF-8 (Turkish characters etc.) with a BOM
+  return (excel ? "\uFEFF" : "") + lines.join("\r\n") + "\r\n";
+}
+
+function detectDelimiter(headerLine) {
+  const counts = [",", ";", "\t"].map((d) => [d, headerLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 1 ? counts[0][0] : ",";
+}
+
+/** RFC 4180 parser (quoted fields, "" escapes, CRLF / LF). Returns rows of cells. */
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0] || "";
+  const delimiter = detectDelimiter(firstLine);
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && cell === "") quoted = true;
+    else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((c) => String(c).trim() !== ""));
+}
+
+/** ---- Validation ---- */
+function splitCsvSetting(s) {
+  return String(s || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+// Same limits / defaults as the generation prompt (worker)
+export function draftLimits(settings) {
+  return {
+    seoTitle: Math.max(30, Number.parseInt(String(settings?.titleMaxChars || ""), 10) || 70),
+    seoDescription: Math.max(60, Number.parseInt(String(settings?.descriptionMaxChars || ""), 10) || 160),
+    altText: Math.max(40, Number.parseInt(String(settings?.altTextMaxChars || ""), 10) || 125),
+  };
+}
+
+function findBanned(text, banned) {
+  const t = String(text || "").toLowerCase();
+  return banned.filter((w) => t.includes(w.toLowerCase()));
+}
+
+/** Length limit + banned words (settings) of one imported value -> error messages. */
+export function checkDraftText(value, { label, max, settings }) {
+  const errors = [];
+  const text = String(value || "");
+  if (text.length > max) errors.push(`${label} is ${text.length} characters (max ${max})`);
+  const hits = findBanned(text, splitCsvSetting(settings?.bannedWords));
+  if (hits.length) errors.push(`${label} contains banned words: ${hits.join(", ")}`);
+  return errors;
+}
+
+/**
+ * Validates an import against the job's items.
+ * Returns { ok, error?, rows: [{ line, itemId, resourceId, title, before, after, status, errors }], summary }
+ * status: update | unchanged | invalid. Empty draft cells keep the current draft.
+ */
+export function validateDraftImport({ job, items, csvText, settings }) {
+  if (String(csvText || "").length > DRAFT_IMPORT_MAX_BYTES) {
+    return { ok: false, error: "File is too large (max 2 MB)." };
+  }
+
+  const table = parseCsv(csvText);
+  if (table.length < 2) return { ok: false, error: "The file has no data rows." };
+  if (table.length - 1 > DRAFT_IMPORT_MAX_ROWS) {
+    return { ok: false, error: `Too many rows (max ${DRAFT_IMPORT_MAX_ROWS}).` };
+  }
+
+  const header = table[0].map((h) => String(h || "").trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  const image = isImageJob(job);
+  const translate = isTranslateJob(job);
+
+  const fieldColumns = image
+    ? [["seoTitle", col("draft_alt_text")]]
+    : [
+        ["seoTitle", (job?.metaTitle ?? true) ? col("draft_seo_title") : -1],
+        ["seoDescription", (job?.metaDescription ?? true) ? col("draft_seo_description") : -1],
+      ];
+  if (col("item_id") < 0 && col("resource_id") < 0) {
+    return { ok: false, error: "Missing item_id or resource_id column. Start from an exported file." };
+  }
+  if (!fieldColumns.some(([, idx]) => idx >= 0)) {
+    return {
+      ok: false,
+      error: image ? "Missing draft_alt_text column." : "Missing draft_seo_title / draft_seo_description column.",
+    };
+  }
+
+  const byId = new Map((items || []).map((it) => [String(it.id), it]));
+  const byResource = new Map((items || []).map((it) => [`${itemResourceId(job, it)}|${translate ? it.locale || "" : ""}`, it]));
+
+  const limits = draftLimits(settings);
+  const seen = new Set();
+  const rows = [];
+
+  table.slice(1).forEach((cells, idx) => {
+    const get = (name) => (col(name) >= 0 ? String(cells[col(name)] ?? "").trim() : "");
+    const itemId = get("item_id");
+    const resourceId = get("resource_id");
+    const item = byId.get(itemId) || byResource.get(`${resourceId}|${translate ? get("locale") : ""}`) || null;
+
+    const errors = [];
+    const before = {};
+    const after = {};
+    if (!item) {
+      errors.push(`Unknown ${itemId ? `item ID ${itemId}` : `resource ID ${resourceId || "(empty)"}`} for this job`);
+    } else if (seen.has(item.id)) {
+      errors.push("Duplicate row for this item");
+    } else if (String(item.status) !== "success") {
+      errors.push("This item has no draft (generation did not succeed)");
+    }
+
+    if (item && !errors.length) {
+      seen.add(item.id);
+      for (const [field, index] of fieldColumns) {
+        if (index < 0) continue;
+        const value = String(cells[index] ?? "").trim();
+        before[field] = String(item[field] ?? "");
+        after[field] = value || before[field];
+
+        const label = image ? "ALT text" : field === "seoTitle" ? "Title" : "Description";
+        errors.push(...checkDraftText(value, { label, max: image ? limits.altText : limits[field], settings }));
+      }
+    }
+
+    const changed = Object.keys(after).some((f) => after[f] !== before[f]);
+    rows.push({
+      line: idx + 2,
+      itemId: item?.id || itemId || null,
+      resourceId: item ? itemResourceId(job, item) : resourceId || null,
+      title: item?.productTitle || get("resource_title") || null,
+      locale: item?.locale || null,
+      before,
+      after,
+      status: errors.length ? "invalid" : changed ? "update" : "unchanged",
+      errors,
+    });
+  });
+
+  const summary = {
+    total: rows.length,
+    update: rows.filter((r) => r.status === "update").length,
+    unchanged: rows.filter((r) => r.status === "unchanged").length,
+    invalid: rows.filter((r) => r.status === "invalid").length,
+  };
+
+  return { ok: true, rows, summary };
+}
+
+/**
+ * Writes the valid, changed rows of a validated import (like "Save draft"): edited approved / rejected
+ * drafts go back to review. Returns the updated items ({ id, productId, seoTitle, seoDescription }).
+ */
+export async function applyDraftImport({ job, rows, editedBy = null }) {
+  const updates = (rows || []).filter((r) => r.status === "update" && r.itemId);
+  if (!updates.length) return [];
+
+  const now = new Date();
+  await prisma.$transaction(
+    updates.map((r) =>
+      prisma.seoJobItem.updateMany({
+        where: { jobId: job.id, id: r.itemId },
+        data: {
+          ...r.after,
+          editedAt: now,
+          editedBy,
+          reviewStatus: "draft",
+          reviewedBy: null,
+          reviewedByUserId: null,
+          reviewedAt: null,
+        },
+      }),
+    ),
+  );
+
+  return prisma.seoJobItem.findMany({
+    where: { jobId: job.id, id: { in: updates.map((r) => r.itemId) } },
+    select: { id: true, productId: true, seoTitle: true, seoDescription: true },
+  });
+}
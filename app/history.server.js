@@ -0,0 +1,302 @@
+// app/history.server.js
+/**
+ * Per-resource SEO version history (product / collection / page / article + its image ALT texts).
+ * Built from every SeoJobItem of the resource across jobs (AI draft, manual draft edit, live value
+ * before publish) and the SeoChangeLog (publish / revert / direct edits). Nothing is stored here.
+ * Restore = createRestoreJob (single-item publish through the worker).
+ */
+
+import prisma from "./db.server.js";
+
+const HISTORY_ITEM_LIMIT = 500;
+const HISTORY_LOG_LIMIT = 1000;
+
+const GID_TYPES = {
+  Product: "PRODUCT",
+  Collection: "COLLECTION",
+  Page: "PAGE",
+  Article: "BLOG_ARTICLE",
+  OnlineStoreArticle: "BLOG_ARTICLE",
+  MediaImage: "IMAGE",
+};
+
+export const VERSION_KIND_LABELS = {
+  before_publish: "Live before publish",
+  ai_draft: "AI draft",
+  imported: "Imported (CSV)",
+  edited: "Manual draft edit",
+  published: "Published",
+  reverted: "Reverted",
+  direct: "Direct edit",
+};
+
+// Numeric IDs are treated as products (the SEO Tools default).
+export function normalizeHistoryResourceId(input) {
+  const s = String(input || "").trim();
+  if (/^\d+$/.test(s)) return `gid://shopify/Product/${s}`;
+  return s.startsWith("gid://shopify/") ? s : "";
+}
+
+export function historyResourceType(resourceId) {
+  const m = String(resourceId || "").match(/^gid:\/\/shopify\/(\w+)\//);
+  return (m && GID_TYPES[m[1]]) || null;
+}
+
+// Blog items may carry either Article or OnlineStoreArticle GIDs.
+function resourceIdCandidates(resourceId) {
+  const s = String(resourceId || "");
+  const out = [s];
+  if (s.startsWith("gid://shopify/Article/")) out.push(s.replace("/Article/", "/OnlineStoreArticle/"));
+  if (s.startsWith("gid://shopify/OnlineStoreArticle/")) out.push(s.replace("/OnlineStoreArticle/", "/Article/"));
+  return out;
+}
+
+function clean(v) {
+  const s = String(v ?? "").trim();
+  return s || null;
+}
+
+function sameValues(a, b) {
+  return clean(a?.seoTitle) === clean(b?.seoTitle) && clean(a?.seoDescription) === clean(b?.seoDescription);
+}
+
+// Only the fields the job handled (metaTitle / metaDescription flags); images: seoTitle = ALT text.
+function itemValues(item, seoTitle, seoDescription) {
+  if (item.targetType === "IMAGE") return { seoTitle: clean(seoTitle) };
+  const out = {};
+  if (item.job?.metaTitle ?? true) out.seoTitle = clean(seoTitle);
+  if (item.job?.metaDescription ?? true) out.seoDescription = clean(seoDescription);
+  return out;
+}
+
+function groupKeyForItem(item) {
+  if (item.targetType === "IMAGE") return `IMAGE|${item.mediaId || item.targetId}`;
+  return `${item.targetType}|${item.locale || ""}`;
+}
+
+function groupKeyForLog(row) {
+  if (row.resourceType === "IMAGE") return `IMAGE|${row.resourceId}`;
+  return `${row.resourceType}|${row.locale || ""}`;
+}
+
+function versionsFromItem(item, loggedItemIds) {
+  const out = [];
+  const base = { itemId: item.id, jobId: item.jobId, jobType: item.job?.jobType || null };
+
+  if (item.snapshotAt) {
+    out.push({
+      ...base,
+      id: `before_publish:${item.id}`,
+      kind: "before_publish",
+      at: item.snapshotAt,
+      actor: null,
+      values: itemValues(item, item.prevSeoTitle, item.prevSeoDescription),
+    });
+  }
+
+  if (item.status === "success" && item.job?.source === "import") {
+    out.push({
+      ...base,
+      id: `imported:${item.id}`,
+      kind: "imported",
+      at: item.editedAt || item.finishedAt,
+      actor: item.editedBy,
+      values: itemValues(item, item.seoTitle, item.targetType === "IMAGE" ? null : item.seoDescription),
+    });
+  } else if (item.status === "success" && item.job?.source !== "restore") {
+    // Legacy rows (before aiSeo* existed): the stored draft is the best we have.
+    const ai = item.aiSeoTitle != null || item.aiSeoDescription != null;
+    const aiValues = itemValues(item, ai ? item.aiSeoTitle : item.seoTitle, ai ? item.aiSeoDescription : item.seoDescription);
+    out.push({
+      ...base,
+      id: `ai_draft:${item.id}`,
+      kind: "ai_draft",
+      at: item.finishedAt || item.job?.createdAt,
+      actor: item.job?.source === "auto" ? "Auto SEO" : item.job?.source === "schedule" ? "Schedule" : null,
+      values: aiValues,
+    });
+
+    const draft = itemValues(item, item.seoTitle, item.targetType === "IMAGE" ? null : item.seoDescription);
+    if (ai && item.editedAt && !sameValues(draft, aiValues)) {
+      out.push({ ...base, id: `edited:${item.id}`, kind: "edited", at: item.editedAt, actor: item.editedBy, values: draft });
+    }
+  }
+
+  // Publishes / reverts before the change log existed
+  if (!loggedItemIds.has(item.id)) {
+    if (item.publishedAt) {
+      out.push({
+        ...base,
+        id: `published:${item.id}`,
+        kind: "published",
+        at: item.publishedAt,
+        actor: item.publishedBy,
+        values: itemValues(item, item.seoTitle, item.targetType === "IMAGE" ? null : item.seoDescription),
+      });
+    }
+    if (item.revertStatus === "success" && item.revertedAt) {
+      out.push({
+        ...base,
+        id: `reverted:${item.id}`,
+        kind: "reverted",
+        at: item.revertedAt,
+        actor: null,
+        values: itemValues(item, item.prevSeoTitle, item.prevSeoDescription),
+      });
+    }
+  }
+
+  return out;
+}
+
+// One change log version per write (the rows of one publish share source + item + second).
+function versionsFromLogs(rows) {
+  const byWrite = new Map();
+  for (const r of rows) {
+    const key = `${groupKeyForLog(r)}|${r.source}|${r.itemId || ""}|${Math.floor(new Date(r.createdAt).getTime() / 1000)}`;
+    let v = byWrite.get(key);
+    if (!v) {
+      v = {
+        id: `log:${r.id}`,
+        groupKey: groupKeyForLog(r),
+        kind: r.source === "revert" ? "reverted" : r.source === "direct" ? "direct" : "published",
+        at: r.createdAt,
+        actor: r.actor,
+        jobId: r.jobId,
+        itemId: r.itemId,
+        values: {},
+        previous: {},
+      };
+      byWrite.set(key, v);
+    }
+    const field = r.field === "seo_description" ? "seoDescription" : "seoTitle";
+    v.values[field] = clean(r.newValue);
+    v.previous[field] = clean(r.oldValue);
+  }
+  return [...byWrite.values()];
+}
+
+function shortMediaId(gid) {
+  return String(gid || "").split("/").pop() || "";
+}
+
+function groupLabel(targetType, locale, title) {
+  if (targetType === "IMAGE") return `Image ALT text${title ? ` · #${title}` : ""}`;
+  if (locale) return `Translation (${locale})`;
+  return "Meta title & description";
+}
+
+/**
+ * History of a resource (GID). Products also include the ALT text history of their images.
+ * Returns { resourceId, resourceType, title, groups: [{ key, label, target, restorable, versions }] }
+ * (versions newest first).
+ */
+export async function getResourceHistory(shop, resourceId) {
+  const ids = resourceIdCandidates(resourceId);
+  const resourceType = historyResourceType(resourceId);
+
+  const [items, logs] = await Promise.all([
+    prisma.seoJobItem.findMany({
+      where: { job: { shop }, OR: [{ productId: { in: ids } }, { targetId: { in: ids } }] },
+      include: {
+        job: { select: { id: true, jobType: true, source: true, createdAt: true, metaTitle: true, metaDescription: true } },
+      },
+      orderBy: { id: "desc" },
+      take: HISTORY_ITEM_LIMIT,
+    }),
+    prisma.seoChangeLog.findMany({
+      where: { shop, OR: [{ resourceId: { in: ids } }, { productId: { in: ids } }] },
+      orderBy: { createdAt: "desc" },
+      take: HISTORY_LOG_LIMIT,
+    }),
+  ]);
+
+  const loggedItemIds = new Set(logs.map((r) => r.itemId).filter(Boolean));
+  const groups = new Map();
+  const ensureGroup = (key, target) => {
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        label: groupLabel(target.targetType, target.locale, target.targetType === "IMAGE" ? shortMediaId(target.resourceId) : null),
+        target,
+        // Translations are tied to the primary content digest -> regenerate instead of restoring.
+        restorable: !target.locale,
+        versions: [],
+      });
+    }
+    return groups.get(key);
+  };
+
+  let title = null;
+  for (const item of items) {
+    if (!title && item.productTitle) title = item.productTitle;
+    const group = ensureGroup(groupKeyForItem(item), {
+      targetType: item.targetType,
+      resourceId: item.targetType === "IMAGE" ? String(item.mediaId || item.targetId || "") : resourceId,
+      productId: item.targetType === "IMAGE" ? item.productId : null,
+      locale: item.locale || "",
+      title: item.productTitle || null,
+      imageUrl: item.imageUrl || null,
+    });
+    if (!group.target.imageUrl && item.imageUrl) group.target.imageUrl = item.imageUrl;
+    group.versions.push(...versionsFromItem(item, loggedItemIds));
+  }
+
+  const logsById = new Map(logs.map((r) => [`log:${r.id}`, r]));
+  for (const v of versionsFromLogs(logs)) {
+    const row = logsById.get(v.id);
+    if (!title && row?.resourceTitle) title = row.resourceTitle;
+    const group = ensureGroup(v.groupKey, {
+      targetType: row.resourceType,
+      resourceId: row.resourceType === "IMAGE" ? row.resourceId : resourceId,
+      productId: row.productId,
+      locale: row.locale || "",
+      title: row.resourceTitle || null,
+      imageUrl: null,
+    });
+    group.versions.push(v);
+  }
+
+  const sorted = [...groups.values()]
+    .map((g) => ({
+      ...g,
+      versions: g.versions.sort((a, b) => new Date(b.at).getTime() - new Date(a.at).getTime()),
+    }))
+    .filter((g) => g.versions.length)
+    // Resource meta first, then translations, then images
+    .sort((a, b) => {
+      const rank = (g) => (g.target.targetType === "IMAGE" ? 2 : g.target.locale ? 1 : 0);
+      return rank(a) - rank(b) || a.key.localeCompare(b.key);
+    });
+
+  return { resourceId, resourceType, title, groups: sorted };
+}
+
+export function findHistoryVersion(history, groupKey, versionId) {
+  const group = (history?.groups || []).find((g) => g.key === groupKey);
+  const version = group?.versions.find((v) => v.id === versionId);
+  return group && version ? { group, version } : null;
+}
+
+/** Resources with history whose title matches (lookup on the history page). */
+export async function searchHistoryResources(shop, query, limit = 20) {
+  const q = String(query || "").trim();
+  if (!q) return [];
+
+  const rows = await prisma.seoJobItem.findMany({
+    where: {
+      job: { shop },
+      locale: "",
+      targetType: { not: "IMAGE" },
+      productTitle: { contains: q, mode: "insensitive" },
+    },
+    select: { productId: true, productTitle: true, targetType: true },
+    distinct: ["productId"],
+    orderBy: { productId: "asc" },
+    take: limit,
+  });
+
+  return rows
+    .filter((r) => r.productId)
+    .map((r) => ({ resourceId: r.productId, title: r.productTitle, resourceType: r.targetType }));
+}
@@ -0,0 +1,182 @@
+// app/import.server.js
+/**
+ * Import job: SEO values delivered as CSV (e.g. by an SEO agency) -> a SeoJob created directly in the
+ * "generated" phase. No AI, no free plan / credit usage; review, publish, retry and revert are the
+ * regular job machinery (worker processPublish).
+ *
+ * CSV columns (header names, case-insensitive):
+ * - resource_id: GID or numeric ID (products, collections, blog articles; images: MediaImage)
+ * - seo_title, seo_description (images: alt_text)
+ * - product_id: images only (ALT text is written through the product)
+ */
+
+import { DRAFT_IMPORT_MAX_BYTES, parseCsv, checkDraftText, draftLimits } from "./drafts.csv.server.js";
+
+export const IMPORT_MAX_ROWS = 1000;
+const IMPORT_NODES_BATCH = 100;
+
+export const IMPORT_RESOURCE_TYPES = {
+  PRODUCT: { jobType: "PRODUCT_SEO", label: "Products", gid: "Product" },
+  COLLECTION: { jobType: "COLLECTION_SEO", label: "Collections", gid: "Collection" },
+  BLOG_ARTICLE: { jobType: "BLOG_SEO_META", label: "Blog articles", gid: "Article" },
+  IMAGE: { jobType: "ALT_TEXT_IMAGES", label: "Product images (ALT text)", gid: "MediaImage" },
+};
+
+const COLUMN_ALIASES = {
+  resource_id: ["resource_id", "id", "gid"],
+  product_id: ["product_id"],
+  seo_title: ["seo_title", "meta_title", "draft_seo_title"],
+  seo_description: ["seo_description", "meta_description", "draft_seo_description"],
+  alt_text: ["alt_text", "alt", "draft_alt_text"],
+};
+
+function toGid(gidType, raw) {
+  const s = String(raw || "").trim();
+  if (/^\d+$/.test(s)) return `gid://shopify/${gidType}/${s}`;
+  // Blog articles: OnlineStoreArticle GIDs (older exports) -> Article
+  if (gidType === "Article" && s.startsWith("gid://shopify/OnlineStoreArticle/")) {
+    return s.replace("/OnlineStoreArticle/", "/Article/");
+  }
+  return s.startsWith(`gid://shopify/${gidType}/`) ? s : "";
+}
+
+const NODE_FRAGMENTS = {
+  PRODUCT: `... on Product {
+    id
+    title
+    seo { title description }
+    titleTag: metafield(namespace: "global", key: "title_tag") { value }
+    descriptionTag: metafield(namespace: "global", key: "description_tag") { value }
+  }`,
+  COLLECTION: `... on Collection { id title seo { title description } }`,
+  BLOG_ARTICLE: `... on Article {
+    id
+    title
+    titleTag: metafield(namespace: "global", key: "title_tag") { value }
+    descriptionTag: metafield(namespace: "global", key: "description_tag") { value }
+  }`,
+  IMAGE: `... on MediaImage { id alt image { url } }`,
+};
+
+// Live values the same way the worker reads them before publishing (conflict baseline).
+function liveSeoOf(resourceType, node) {
+  if (resourceType === "IMAGE") return { seoTitle: String(node?.alt ?? ""), seoDescription: null };
+  const tagTitle = String(node?.titleTag?.value ?? "").trim();
+  const tagDesc = String(node?.descriptionTag?.value ?? "").trim();
+  if (resourceType === "BLOG_ARTICLE") return { seoTitle: tagTitle, seoDescription: tagDesc };
+  if (resourceType === "COLLECTION") {
+    return { seoTitle: String(node?.seo?.title ?? "").trim(), seoDescription: String(node?.seo?.description ?? "").trim() };
+  }
+  return {
+    seoTitle: tagTitle || String(node?.seo?.title ?? "").trim(),
+    seoDescription: tagDesc || String(node?.seo?.description ?? "").trim(),
+  };
+}
+
+async function fetchNodes(admin, ids, fragment) {
+  const out = new Map();
+  const query = `#graphql
+    query ImportNodes($ids: [ID!]!) {
+      nodes(ids: $ids) { ${fragment} }
+    }`;
+
+  for (let i = 0; i < ids.length; i += IMPORT_NODES_BATCH) {
+    const batch = ids.slice(i, i + IMPORT_NODES_BATCH);
+    const res = await admin.graphql(query, { variables: { ids: batch } });
+    const json = await res.json();
+    if (json?.errors?.length) throw new Error(json.errors.map((e) => e?.message || String(e)).join(" | "));
+    for (const n of json?.data?.nodes || []) {
+      if (n?.id) out.set(String(n.id), n);
+    }
+  }
+  return out;
+}
+
+/**
+ * Parses + validates an import file against the store.
+ * Returns { ok, error?, rows: [{ line, resourceId, productId, title, imageUrl, seoTitle, seoDescription, live, errors }],
+ *           summary: { total, valid, invalid }, metaTitle, metaDescription }
+ */
+export async function validateSeoImport(admin, { resourceType, csvText, settings }) {
+  const type = IMPORT_RESOURCE_TYPES[resourceType];
+  if (!type) return { ok: false, error: "Choose what to import." };
+
+  if (String(csvText || "").length > DRAFT_IMPORT_MAX_BYTES) {
+    return { ok: false, error: "File is too large (max 2 MB)." };
+  }
+
+  const table = parseCsv(csvText);
+  if (table.length < 2) return { ok: false, error: "The file has no data rows." };
+  if (table.length - 1 > IMPORT_MAX_ROWS) return { ok: false, error: `Too many rows (max ${IMPORT_MAX_ROWS}).` };
+
+  const header = table[0].map((h) => String(h || "").trim().toLowerCase());
+  const col = (name) => COLUMN_ALIASES[name].map((a) => header.indexOf(a)).find((i) => i >= 0) ?? -1;
+  const isImage = resourceType === "IMAGE";
+
+  if (col("resource_id") < 0) return { ok: false, error: "Missing resource_id column." };
+  if (isImage && col("product_id") < 0) return { ok: false, error: "Missing product_id column (required for images)." };
+  if (isImage ? col("alt_text") < 0 : col("seo_title") < 0 && col("seo_description") < 0) {
+    return { ok: false, error: isImage ? "Missing alt_text column." : "Missing seo_title / seo_description column." };
+  }
+
+  const limits = draftLimits(settings);
+  const seen = new Set();
+  const rows = table.slice(1).map((cells, idx) => {
+    const get = (name) => (col(name) >= 0 ? String(cells[col(name)] ?? "").trim() : "");
+    const rawId = get("resource_id");
+    const resourceId = toGid(type.gid, rawId);
+    const productId = isImage ? toGid("Product", get("product_id")) : null;
+    const seoTitle = isImage ? get("alt_text") : get("seo_title");
+    const seoDescription = isImage ? "" : get("seo_description");
+
+    const errors = [];
+    if (!resourceId) errors.push(`Invalid ${type.gid} ID: ${rawId || "(empty)"}`);
+    else if (seen.has(resourceId)) errors.push("Duplicate row for this resource");
+    if (isImage && !productId) errors.push(`Invalid product ID: ${get("product_id") || "(empty)"}`);
+    if (!seoTitle && !seoDescription) errors.push("No value to import");
+
+    if (isImage) {
+      errors.push(...checkDraftText(seoTitle, { label: "ALT text", max: limits.altText, settings }));
+    } else {
+      errors.push(...checkDraftText(seoTitle, { label: "Title", max: limits.seoTitle, settings }));
+      errors.push(...checkDraftText(seoDescription, { label: "Description", max: limits.seoDescription, settings }));
+    }
+    if (resourceId) seen.add(resourceId);
+
+    return { line: idx + 2, resourceId, productId, title: null, imageUrl: null, seoTitle, seoDescription, live: null, errors };
+  });
+
+  // Unknown IDs: look the resources up on Shopify (titles + live values for the conflict baseline)
+  const ids = [...new Set(rows.filter((r) => r.resourceId).map((r) => r.resourceId))];
+  const nodes = await fetchNodes(admin, ids, NODE_FRAGMENTS[resourceType]);
+  const products = isImage
+    ? await fetchNodes(admin, [...new Set(rows.map((r) => r.productId).filter(Boolean))], "... on Product { id title }")
+    : new Map();
+
+  for (const r of rows) {
+    if (!r.resourceId) continue;
+    const node = nodes.get(r.resourceId);
+    if (!node) {
+      r.errors.push(`${type.gid} not found in this store`);
+      continue;
+    }
+    r.live = liveSeoOf(resourceType, node);
+    r.title = node.title || null;
+    if (isImage) {
+      r.imageUrl = node.image?.url || null;
+      const product = r.productId ? products.get(r.productId) : null;
+      if (r.productId && !product) r.errors.push("Product not found in this store");
+      r.title = product?.title || null;
+    }
+  }
+
+  const valid = rows.filter((r) => !r.errors.length);
+  return {
+    ok: true,
+    rows,
+    summary: { total: rows.length, valid: valid.length, invalid: rows.length - valid.length },
+    // Only the fields present in the file are published
+    metaTitle: isImage || valid.some((r) => r.seoTitle),
+    metaDescription: !isImage && valid.some((r) => r.seoDescription),
+  };
+}
@@ -10,6 +10,7 @@ import prisma from "./db.server.js";
 import shopify from "./shopify.server.js";
 import crypto from "crypto";
 import { enqueueSeoJob, removeSeoQueueJob } from "./queue.server.js";
+import { attachReservationToJob, reconcileJobUsage, reservationJobFields } from "./billing.gating.server.js";
 
 /**
  * Offline session'ı bul.
@@ -38,7 +39,16 @@ function newJobId() {
 /**
  * Generate job oluşturur + job items ekler
  */
-export async function createGenerateJob({ shop, seed, productIds, productTitlesById = {}, usageReserved = false }) {
+export async function createGenerateJob({
+  shop,
+  seed,
+  productIds,
+  productTitlesById = {},
+  usageReserved = false,
+  reservation = null,
+  source = "manual",
+  autoPublish = false,
+}) {
   const jobId = newJobId();
 
     const language = sanitizeLanguage(seed?.language);
@@ -67,11 +77,16 @@ export async function createGenerateJob({ shop, seed, productIds, productTitlesB
       failedCount: 0,
       language,
       settingsJson,
+      forceFresh: Boolean(seed?.forceFresh), // skip the AI result cache
       metaTitle,
       metaDescription,
+      // Auto SEO (webhook) jobs: source=auto, optionally publish without review
+      source: String(source || "manual"),
+      autoPublish: Boolean(autoPublish),
       // ✅ Free plan usage reservation bookkeeping (C2)
       usageReserved: Boolean(usageReserved),
       usageCount: Math.max(0, Number(productIds?.length || 0)),
+      ...reservationJobFields(reservation),
       items: {
         create: itemsCreate,
       },
@@ -79,6 +94,7 @@ export async function createGenerateJob({ shop, seed, productIds, productTitlesB
     include: { items: true },
   });
 
+  await attachReservationToJob(reservation, job.id);
   return job;
 }
 
@@ -87,7 +103,15 @@ export async function createGenerateJob({ shop, seed, productIds, productTitlesB
  * - images: [{ productId, productTitle, mediaId, imageUrl, currentAltText }]
  * Draft alt text "seoTitle" alanında tutulur.
  */
-export async function createAltTextJob({ shop, seed, images = [], usageReserved = false }) {
+export async function createAltTextJob({
+  shop,
+  seed,
+  images = [],
+  usageReserved = false,
+  reservation = null,
+  source = "manual",
+  autoPublish = false,
+}) {
   const jobId = newJobId();
 
     const language = sanitizeLanguage(seed?.language);
@@ -116,21 +140,34 @@ export async function createAltTextJob({ shop, seed, images = [], usageReserved
       failedCount: 0,
       language,
       settingsJson,
+      forceFresh: Boolean(seed?.forceFresh),
       // meta flags not used for images but keep schema happy
       metaTitle: true,
       metaDescription: false,
+      source: String(source || "manual"),
+      autoPublish: Boolean(autoPublish),
       usageReserved: Boolean(usageReserved),
       usageCount: Math.max(0, Number(images?.length || 0)),
+      ...reservationJobFields(reservation),
       items: { create: itemsCreate },
     },
     include: { items: true },
   });
 
+  await attachReservationToJob(reservation, job.id);
   return job;
 }
 
 
-export async function createBlogMetaJob({ shop, seed, articles = [], usageReserved = false }) {
+export async function createBlogMetaJob({
+  shop,
+  seed,
+  articles = [],
+  usageReserved = false,
+  reservation = null,
+  source = "manual",
+  autoPublish = false,
+}) {
   const jobId = newJobId();
 
     const language = sanitizeLanguage(seed?.language);
@@ -158,18 +195,389 @@ export async function createBlogMetaJob({ shop, seed, articles = [], usageReserv
       failedCount: 0,
       language,
       settingsJson,
+      forceFresh: Boolean(seed?.forceFresh),
       metaTitle: true,
       metaDescription: true,
+      source: String(source || "manual"),
+      autoPublish: Boolean(autoPublish),
       usageReserved: Boolean(usageReserved),
       usageCount: Math.max(0, Number(articles?.length || 0)),
+      ...reservationJobFields(reservation),
       items: { create: itemsCreate },
     },
     include: { items: true },
   });
 
+  await attachReservationToJob(reservation, job.id);
   return job;
 }
 
+export async function createCollectionSeoJob({
+  shop,
+  seed,
+  collections = [],
+  usageReserved = false,
+  reservation = null,
+}) {
+  const jobId = newJobId();
+
+  const language = sanitizeLanguage(seed?.language);
+  const settingsJson = seed?.settings ? JSON.stringify(seed.settings) : null;
+
+  const metaTitle = seed?.fields?.metaTitle !== false;
+  const metaDescription = seed?.fields?.metaDescription !== false;
+
+  const itemsCreate = (collections || []).map((c) => ({
+    targetType: "COLLECTION",
+    targetId: String(c.collectionId),
+    // Reuse product fields for UI convenience (productId carries the Collection GID)
+    productId: String(c.collectionId),
+    productTitle: c.title ? String(c.title) : null,
+    status: "queued",
+  }));
+
+  const job = await prisma.seoJob.create({
+    data: {
+      id: jobId,
+      shop,
+      status: "queued",
+      jobType: "COLLECTION_SEO",
+      total: itemsCreate.length,
+      okCount: 0,
+      failedCount: 0,
+      language,
+      settingsJson,
+      forceFresh: Boolean(seed?.forceFresh),
+      metaTitle,
+      metaDescription,
+      usageReserved: Boolean(usageReserved),
+      usageCount: itemsCreate.length,
+      ...reservationJobFields(reservation),
+      items: { create: itemsCreate },
+    },
+    include: { items: true },
+  });
+
+  await attachReservationToJob(reservation, job.id);
+  return job;
+}
+export async function createPageSeoJob({ shop, seed, pages = [], usageReserved = false, reservation = null }) {
+  const jobId = newJobId();
+
+  const language = sanitizeLanguage(seed?.language);
+  const settingsJson = seed?.settings ? JSON.stringify(seed.settings) : null;
+
+  const metaTitle = seed?.fields?.metaTitle !== false;
+  const metaDescription = seed?.fields?.metaDescription !== false;
+
+  const itemsCreate = (pages || []).map((p) => ({
+    targetType: "PAGE",
+    targetId: String(p.pageId),
+    // Reuse product fields for UI convenience (productId carries the Page GID)
+    productId: String(p.pageId),
+    productTitle: p.title ? String(p.title) : null,
+    status: "queued",
+  }));
+
+  const job = await prisma.seoJob.create({
+    data: {
+      id: jobId,
+      shop,
+      status: "queued",
+      jobType: "PAGE_SEO",
+      total: itemsCreate.length,
+      okCount: 0,
+      failedCount: 0,
+      language,
+      settingsJson,
+      forceFresh: Boolean(seed?.forceFresh),
+      metaTitle,
+      metaDescription,
+      usageReserved: Boolean(usageReserved),
+      usageCount: itemsCreate.length,
+      ...reservationJobFields(reservation),
+      items: { create: itemsCreate },
+    },
+    include: { items: true },
+  });
+
+  await attachReservationToJob(reservation, job.id);
+  return job;
+}
+
+/**
+ * Translate job oluşturur: kaynak job'daki her kaynak x her hedef locale için bir item
+ * - resources: [{ targetType, resourceId, title }]
+ * - locales: ["de", "fr", ...] (primary locale hariç)
+ */
+export async function createTranslateSeoJob({
+  shop,
+  seed,
+  sourceJobId = null,
+  resources = [],
+  locales = [],
+  usageReserved = false,
+  reservation = null,
+}) {
+  const jobId = newJobId();
+  const settingsJson = seed?.settings ? JSON.stringify(seed.settings) : null;
+
+  const metaTitle = seed?.fields?.metaTitle !== false;
+  const metaDescription = seed?.fields?.metaDescription !== false;
+
+  const itemsCreate = [];
+  for (const r of resources || []) {
+    for (const locale of locales || []) {
+      itemsCreate.push({
+        targetType: String(r.targetType || "PRODUCT"),
+        targetId: String(r.resourceId),
+        // Reuse product fields for UI convenience (productId carries the resource GID)
+        productId: String(r.resourceId),
+        productTitle: r.title ? String(r.title) : null,
+        locale: String(locale),
+        status: "queued",
+      });
+    }
+  }
+
+  const job = await prisma.seoJob.create({
+    data: {
+      id: jobId,
+      shop,
+      status: "queued",
+      jobType: "TRANSLATE_SEO",
+      sourceJobId: sourceJobId ? String(sourceJobId) : null,
+      total: itemsCreate.length,
+      okCount: 0,
+      failedCount: 0,
+      // job.language = primary locale (source of the translations)
+      language: sanitizeLanguage(seed?.language),
+      settingsJson,
+      forceFresh: Boolean(seed?.forceFresh),
+      metaTitle,
+      metaDescription,
+      usageReserved: Boolean(usageReserved),
+      usageCount: itemsCreate.length,
+      ...reservationJobFields(reservation),
+      items: { create: itemsCreate },
+    },
+    include: { items: true },
+  });
+
+  await attachReservationToJob(reservation, job.id);
+  return job;
+}
+
+const RESTORE_JOB_TYPES = {
+  PRODUCT: "PRODUCT_SEO",
+  COLLECTION: "COLLECTION_SEO",
+  PAGE: "PAGE_SEO",
+  BLOG_ARTICLE: "BLOG_SEO_META",
+  IMAGE: "ALT_TEXT_IMAGES",
+};
+
+/**
+ * Version history "restore": tek item'lı, AI'sız bir job oluşturur ve direkt publish kuyruğuna atar.
+ * Normal publish yolundan geçtiği için snapshot / revert / change log aynen çalışır.
+ * - resource: { targetType, resourceId, productId, title } (IMAGE: resourceId = MediaImage GID)
+ * - values: { seoTitle, seoDescription } (IMAGE: seoTitle = ALT text). Boş alanlar yazılmaz.
+ */
+export async function createRestoreJob({ shop, resource, values, requestedBy = null }) {
+  const targetType = String(resource?.targetType || "PRODUCT");
+  const jobType = RESTORE_JOB_TYPES[targetType];
+  if (!jobType) throw new Error(`Restore is not supported for ${targetType}`);
+
+  const resourceId = String(resource?.resourceId || "").trim();
+  if (!resourceId) throw new Error("Missing resource");
+
+  const isImage = targetType === "IMAGE";
+  const seoTitle = String(values?.seoTitle ?? "").trim();
+  const seoDescription = isImage ? "" : String(values?.seoDescription ?? "").trim();
+  if (!seoTitle && !seoDescription) throw new Error("This version has no value to restore");
+
+  const jobId = newJobId();
+  const job = await prisma.seoJob.create({
+    data: {
+      id: jobId,
+      shop,
+      status: "queued",
+      phase: "publishing",
+      jobType,
+      total: 1,
+      okCount: 1,
+      failedCount: 0,
+      metaTitle: Boolean(seoTitle),
+      metaDescription: Boolean(seoDescription),
+      source: "restore",
+      publishRequestedBy: requestedBy,
+      // nothing to reserve (no AI usage)
+      usageReserved: true,
+      usageCount: 0,
+      items: {
+        create: [
+          {
+            targetType,
+            targetId: resourceId,
+            productId: isImage ? String(resource?.productId || "") || null : resourceId,
+            productTitle: resource?.title ? String(resource.title) : null,
+            mediaId: isImage ? resourceId : null,
+            status: "success",
+            finishedAt: new Date(),
+            seoTitle: seoTitle || null,
+            seoDescription: seoDescription || null,
+            reviewStatus: "approved",
+            reviewedBy: requestedBy,
+            reviewedAt: new Date(),
+            publishStatus: "queued",
+          },
+        ],
+      },
+    },
+  });
+
+  await enqueueSeoJob(job.id, "publish");
+  return job;
+}
+
+/**
+ * "Tümünü seç" (filtreye uyan tüm ürünler) generate job'u: ID listesi yerine Shopify arama sorgusu saklanır.
+ * - Item'lar worker'da bulk query ile oluşturulur (resolveSelectionQuery)
+ * - Kullanım rezervasyonu (Free plan / kredi) çözülen ürün sayısına göre worker'da yapılır
+ */
+export async function createMatchingGenerateJob({ shop, seed, searchQuery = "", seoStatus = "" }) {
+  const metaTitle = seed?.fields?.metaTitle !== false;
+  const metaDescription = seed?.fields?.metaDescription !== false;
+
+  return prisma.seoJob.create({
+    data: {
+      id: newJobId(),
+      shop,
+      status: "queued",
+      jobType: "PRODUCT_SEO",
+      total: 0,
+      okCount: 0,
+      failedCount: 0,
+      language: sanitizeLanguage(seed?.language),
+      settingsJson: seed?.settings ? JSON.stringify(seed.settings) : null,
+      forceFresh: Boolean(seed?.forceFresh),
+      metaTitle,
+      metaDescription,
+      selectionQuery: String(searchQuery || ""),
+      selectionSeoStatus: String(seoStatus || "") || null,
+      usageReserved: false,
+      usageCount: 0,
+    },
+  });
+}
+
+/**
+ * Import job: CSV'den gelen hazır SEO değerleriyle "generated" fazında job oluşturur (AI yok, usage yok).
+ * - rows: validateSeoImport (import.server.js) sonucundaki hatasız satırlar
+ * - Canlı değerler conflict baseline olarak kaydedilir (AI draft'larındaki gibi)
+ */
+export async function createImportJob({
+  shop,
+  jobType,
+  rows = [],
+  metaTitle = true,
+  metaDescription = true,
+  importedBy = null,
+}) {
+  const jobId = newJobId();
+  const now = new Date();
+  const isImage = jobType === "ALT_TEXT_IMAGES";
+  const norm = (v) => String(v ?? "").replace(/\s+/g, " ").trim();
+
+  const itemsCreate = rows.map((r) =>
+    isImage
+      ? {
+          targetType: "IMAGE",
+          targetId: r.resourceId,
+          productId: r.productId,
+          productTitle: r.title || null,
+          mediaId: r.resourceId,
+          imageUrl: r.imageUrl || null,
+          status: "success",
+          finishedAt: now,
+          seoTitle: r.seoTitle || null,
+          // current alt text (same slot as AI image jobs)
+          seoDescription: r.live?.seoTitle || null,
+          editedAt: now,
+          editedBy: importedBy,
+        }
+      : {
+          targetType: { COLLECTION_SEO: "COLLECTION", BLOG_SEO_META: "BLOG_ARTICLE" }[jobType] || "PRODUCT",
+          targetId: r.resourceId,
+          productId: r.resourceId,
+          productTitle: r.title || null,
+          status: "success",
+          finishedAt: now,
+          seoTitle: metaTitle ? r.seoTitle || null : null,
+          seoDescription: metaDescription ? r.seoDescription || null : null,
+          editedAt: now,
+          editedBy: importedBy,
+          originalSeoTitle: norm(r.live?.seoTitle),
+          originalSeoDescription: norm(r.live?.seoDescription),
+          originalCapturedAt: now,
+        },
+  );
+
+  return prisma.seoJob.create({
+    data: {
+      id: jobId,
+      shop,
+      status: "success",
+      phase: "generated",
+      jobType,
+      total: itemsCreate.length,
+      okCount: itemsCreate.length,
+      failedCount: 0,
+      startedAt: now,
+      finishedAt: now,
+      metaTitle: Boolean(metaTitle),
+      metaDescription: Boolean(metaDescription),
+      source: "import",
+      // nothing to reserve (no AI usage)
+      usageReserved: true,
+      usageCount: 0,
+      items: { create: itemsCreate },
+    },
+  });
+}
+
+/**
+ * SEO audit job oluşturur (item yok; sonuçlar SeoAuditRun/SeoAuditFinding tablolarında)
+ * - AI kullanmaz -> free plan usage rezerve edilmez
+ */
+export async function createAuditJob({ shop, seed }) {
+  const jobId = newJobId();
+  const settingsJson = seed?.settings ? JSON.stringify(seed.settings) : null;
+
+  const job = await prisma.seoJob.create({
+    data: {
+      id: jobId,
+      shop,
+      status: "queued",
+      jobType: "SEO_AUDIT",
+      total: 0,
+      okCount: 0,
+      failedCount: 0,
+      language: sanitizeLanguage(seed?.language),
+      settingsJson,
+      metaTitle: true,
+      metaDescription: true,
+      // nothing to reserve (no AI usage)
+      usageReserved: true,
+      usageCount: 0,
+    },
+  });
+
+  await prisma.seoAuditRun.create({
+    data: { id: jobId, shop, status: "queued" },
+  });
+
+  return job;
+}
 
 /**
  * Publish başlatma (şemanı bilmeden minimum güvenli)
@@ -199,6 +607,66 @@ export async function startPublishPhase({ jobId }) {
   return true;
 }
 
+/**
+ * Revert phase başlatır: yayınlanmış item'ları publish öncesi snapshot değerlerine geri alır.
+ * - itemIds verilmezse job'daki tüm revert edilebilir item'lar
+ * - Sadece publishStatus=success ve snapshot'ı olan item'lar revert edilebilir
+ * - requestedBy: staff label (change log actor)
+ */
+export async function startRevertPhase({ shop, jobId, itemIds = null, requestedBy = null }) {
+  const id = String(jobId || "").trim();
+  const job = await prisma.seoJob.findFirst({ where: { id, shop } });
+  if (!job) return { ok: false, message: "Job not found" };
+
+  const phase = String(job.phase || "").toLowerCase();
+  const status = String(job.status || "").toLowerCase();
+  const busy = status === "queued" || status === "running";
+  if (busy && (phase === "generating" || phase === "publishing" || phase === "reverting")) {
+    return { ok: false, message: "Job is still in progress. Wait for it to finish before reverting." };
+  }
+
+  const where = {
+    jobId: id,
+    publishStatus: "success",
+    snapshotAt: { not: null },
+  };
+  if (Array.isArray(itemIds)) {
+    const ids = itemIds.map((x) => String(x || "")).filter(Boolean);
+    if (!ids.length) return { ok: false, message: "No items selected" };
+    where.id = { in: ids };
+  }
+
+  const count = await prisma.seoJobItem.count({ where });
+  if (!count) {
+    return { ok: false, message: "Nothing to revert (no published items with a pre-publish snapshot)." };
+  }
+
+  await prisma.seoJobItem.updateMany({
+    where,
+    data: { revertStatus: "queued", revertError: null, revertedAt: null },
+  });
+
+  await prisma.seoJob.update({
+    where: { id },
+    data: {
+      status: "queued",
+      phase: "reverting",
+      lastError: null,
+      revertTotal: count,
+      revertOkCount: 0,
+      revertFailedCount: 0,
+      revertStartedAt: null,
+      revertFinishedAt: null,
+      revertRequestedBy: requestedBy,
+      lockOwner: null,
+      lockExpiresAt: null,
+    },
+  });
+
+  await enqueueSeoJob(id, "revert");
+  return { ok: true, count, message: `Revert started for ${count} item(s).` };
+}
+
 export async function getJobsForShop(shop, options = {}) {
   const {
     limit = 50,
@@ -287,7 +755,50 @@ export async function retryFailedForJob({ shop, jobId, kind = null }) {
   if (!job) throw new Error("Job not found");
 
   const phase = String(job.phase || "").toLowerCase();
-  const inferredKind = kind || (phase === "publishing" || phase === "published" ? "publish" : "generate");
+  const inferredKind =
+    kind ||
+    (phase === "reverting" || phase === "reverted"
+      ? "revert"
+      : phase === "publishing" || phase === "published"
+        ? "publish"
+        : "generate");
+
+  if (inferredKind === "revert") {
+    const failedItems = await prisma.seoJobItem.count({
+      where: { jobId: job.id, revertStatus: "failed" },
+    });
+
+    if (!failedItems) {
+      return { ok: true, message: "No failed revert items to retry.", kind: "revert" };
+    }
+
+    await prisma.seoJobItem.updateMany({
+      where: { jobId: job.id, revertStatus: "failed" },
+      data: { revertStatus: "queued", revertError: null, revertedAt: null },
+    });
+
+    const revertOk = await prisma.seoJobItem.count({
+      where: { jobId: job.id, revertStatus: "success" },
+    });
+
+    await prisma.seoJob.update({
+      where: { id: job.id },
+      data: {
+        status: "queued",
+        phase: "reverting",
+        lastError: null,
+        revertOkCount: revertOk,
+        revertFailedCount: 0,
+        revertStartedAt: null,
+        revertFinishedAt: null,
+        lockOwner: null,
+        lockExpiresAt: null,
+      },
+    });
+
+    await enqueueSeoJob(job.id, "revert");
+    return { ok: true, message: `Retry started for ${failedItems} failed revert item(s).`, kind: "revert" };
+  }
 
   if (inferredKind === "publish") {
     const failedItems = await prisma.seoJobItem.count({
@@ -367,7 +878,7 @@ export async function retryFailedForJob({ shop, jobId, kind = null }) {
  * - Marks job.status = "cancelled" (string enum is not enforced in Prisma)
  * - Marks remaining queued/running items as failed with a cancel message
  * - Clears locks so the worker can move on
- * - Best-effort removes BullMQ jobs for both generate/publish
+ * - Best-effort removes BullMQ jobs for generate/publish/revert
  */
 export async function cancelJobForShop({ shop, jobId }) {
   const id = String(jobId || "").trim();
@@ -381,10 +892,12 @@ export async function cancelJobForShop({ shop, jobId }) {
 
   const phase = String(job.phase || "generating").toLowerCase();
   const isPublish = phase === "publishing" || phase === "published";
+  const isRevert = phase === "reverting" || phase === "reverted";
 
-  // Best-effort remove from Bull queue (both kinds, because id is deterministic)
+  // Best-effort remove from Bull queue (all kinds, because id is deterministic)
   await removeSeoQueueJob(id, "generate");
   await removeSeoQueueJob(id, "publish");
+  await removeSeoQueueJob(id, "revert");
 
   // Mark in-flight generation items as failed (do not touch publishStatus here)
   await prisma.seoJobItem.updateMany({
@@ -398,11 +911,19 @@ export async function cancelJobForShop({ shop, jobId }) {
     data: { publishStatus: "failed", publishError: msg, publishedAt: null },
   });
 
+  // Mark in-flight revert items as failed (the published value stays live)
+  await prisma.seoJobItem.updateMany({
+    where: { jobId: id, revertStatus: { in: ["queued", "running"] } },
+    data: { revertStatus: "failed", revertError: msg },
+  });
+
   // Normalize counters
   const ok = await prisma.seoJobItem.count({ where: { jobId: id, status: "success" } });
   const failed = await prisma.seoJobItem.count({ where: { jobId: id, status: "failed" } });
   const pok = await prisma.seoJobItem.count({ where: { jobId: id, publishStatus: "success" } });
   const pfailed = await prisma.seoJobItem.count({ where: { jobId: id, publishStatus: "failed" } });
+  const rok = await prisma.seoJobItem.count({ where: { jobId: id, revertStatus: "success" } });
+  const rfailed = await prisma.seoJobItem.count({ where: { jobId: id, revertStatus: "failed" } });
 
   await prisma.seoJob.update({
     where: { id },
@@ -410,16 +931,24 @@ export async function cancelJobForShop({ shop, jobId }) {
       status: "cancelled",
       lastError: msg,
       finishedAt: now,
-      phase: isPublish ? "publishing" : "generating",
+      phase: isRevert ? "reverting" : isPublish ? "publishing" : "generating",
       okCount: ok,
       failedCount: failed,
       publishOkCount: pok,
       publishFailedCount: pfailed,
       publishFinishedAt: isPublish ? now : job.publishFinishedAt,
+      revertOkCount: rok,
+      revertFailedCount: rfailed,
+      revertFinishedAt: isRevert ? now : job.revertFinishedAt,
       lockOwner: null,
       lockExpiresAt: null,
     },
   });
 
+  // Give back usage (credits / Free allowance) for the items that will never be generated.
+  const refunded = await reconcileJobUsage(id);
+  const units = Math.max(0, refunded.credits) + refunded.free.refunded;
+  if (units > 0) return { ok: true, message: `Job cancelled. ${units} usage unit(s) refunded.` };
+
   return { ok: true, message: "Job cancelled." };
 }
\ No newline at end of file
@@ -1,9 +1,23 @@
 // app/queue.server.js
 import { Queue } from "bullmq";
+import prisma from "./db.server.js";
+import { getPlanForShop } from "./billing.server.js";
 
 const QUEUE_NAME = "seo-jobs";
 const JOB_NAME = "process-seo-job";
 
+// BullMQ priority: 1 = en yüksek. Pro mağazalar önce ("Priority queue processing"); aynı mağazanın
+// kuyrukta bekleyen her işi bir sonrakini geri iter, büyük işler küçüklerin önünü kesmez (fair scheduling).
+// Bantlar ayrı: en çok geri itilmiş Pro işi bile en taze Free işinin önünde kalır.
+const PRIORITY_PER_QUEUED_JOB = 2;
+const PRIORITY_QUEUED_JOBS_CAP = 10;
+const PRIORITY_LARGE_JOB = 5;
+const PRIORITY_MAX_PENALTY = PRIORITY_QUEUED_JOBS_CAP * PRIORITY_PER_QUEUED_JOB + PRIORITY_LARGE_JOB;
+const PRIORITY_PRO = 1;
+const PRIORITY_FREE = PRIORITY_PRO + PRIORITY_MAX_PENALTY + 1;
+const LARGE_JOB_ITEMS = Number(process.env.QUEUE_LARGE_JOB_ITEMS || 1000);
+const QUEUE_POSITION_SCAN = 1000;
+
 function getRedisUrl() {
   const url = process.env.REDIS_URL;
   if (!url) throw new Error("REDIS_URL is not set. Cannot enqueue jobs.");
@@ -33,7 +47,31 @@ function safeBullId(input) {
 }
 
 /**
- * kind: "generate" | "publish" (opsiyonel)
+ * Plan + shop backlog + job size -> BullMQ priority (lower runs first).
+ * Lookup failures fall back to the free priority: enqueueing must never fail because of it.
+ */
+async function jobPriority(jobId) {
+  try {
+    const job = await prisma.seoJob.findUnique({ where: { id: jobId }, select: { shop: true, total: true } });
+    if (!job?.shop) return PRIORITY_FREE;
+
+    const [plan, queuedJobs] = await Promise.all([
+      getPlanForShop(job.shop),
+      prisma.seoJob.count({ where: { shop: job.shop, status: "queued", id: { not: jobId } } }),
+    ]);
+
+    return (
+      (plan?.isPro ? PRIORITY_PRO : PRIORITY_FREE) +
+      Math.min(queuedJobs, PRIORITY_QUEUED_JOBS_CAP) * PRIORITY_PER_QUEUED_JOB +
+      (Number(job.total || 0) >= LARGE_JOB_ITEMS ? PRIORITY_LARGE_JOB : 0)
+    );
+  } catch {
+    return PRIORITY_FREE;
+  }
+}
+
+/**
+ * kind: "generate" | "publish" | "revert" (opsiyonel)
  * - Worker bullJob.data.jobId okuyor
  * - kind sadece debug/ayrım için data içinde kalsın (jobId stringinde ':' yok)
  */
@@ -50,12 +88,14 @@ export async function enqueueSeoJob(jobId, kind = "generate") {
 
   // ✅ custom id -> ":" yok
   const customId = `${safeKind}-${safeJobId}`;
+  const priority = await jobPriority(normalizedJobId);
 
   await queue.add(
     JOB_NAME,
     { jobId: normalizedJobId, kind },
     {
       jobId: customId,                 // publish-<jobId> aynı kalabilir (idempotent)
+      priority,
       attempts: 3,
       backoff: { type: "exponential", delay: 2000 },
 
@@ -92,4 +132,29 @@ export async function removeSeoQueueJob(jobId, kind = "generate") {
   }
 }
 
-export { QUEUE_NAME, JOB_NAME };
\ No newline at end of file
+/**
+ * Estimated queue position (1 = next) of waiting SEO jobs: { [seoJobId]: position }.
+ * Order = how BullMQ picks them (non-prioritized first, then priority, then age). Delayed jobs
+ * (shop lock busy) and running ones are not listed. Best effort: {} when Redis is unavailable.
+ */
+export async function getQueuePositions(jobIds) {
+  const wanted = new Set((jobIds || []).map((id) => String(id)));
+  if (!wanted.size) return {};
+
+  try {
+    const queue = getQueue();
+    const jobs = (await queue.getJobs(["waiting", "prioritized"], 0, QUEUE_POSITION_SCAN - 1)).filter(Boolean);
+    jobs.sort((a, b) => (a.priority || 0) - (b.priority || 0) || (a.timestamp || 0) - (b.timestamp || 0));
+
+    const positions = {};
+    jobs.forEach((j, idx) => {
+      const id = String(j.data?.jobId || "");
+      if (wanted.has(id) && !(id in positions)) positions[id] = idx + 1;
+    });
+    return positions;
+  } catch {
+    return {};
+  }
+}
+
+export { QUEUE_NAME, JOB_NAME };
@@ -0,0 +1,35 @@
+// app/routes/app.billing.confirm.jsx
+// Shopify billing return URL: Shopify redirects here after the merchant approves/declines the charge
+// (?charge_id=...). We sync the subscription / credit purchase and go back to the billing page.
+// ?credits=pack -> one-time credit pack, ?credits=metered -> pay-as-you-go usage subscription.
+import { redirect } from "react-router";
+import { authenticate } from "../shopify.server";
+import { syncProSubscription } from "../billing.server.js";
+import { confirmCreditPurchase, syncMeteredSubscription } from "../billing.credits.server.js";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const chargeId = url.searchParams.get("charge_id");
+  const credits = url.searchParams.get("credits");
+
+  try {
+    if (credits === "pack") await confirmCreditPurchase({ admin, shop: session.shop, chargeId });
+    else if (credits === "metered") await syncMeteredSubscription({ admin, shop: session.shop });
+    else await syncProSubscription({ admin, shop: session.shop, chargeId });
+  } catch (e) {
+    // The billing page syncs again on load; the webhook also updates the record.
+    console.error("Billing confirm sync failed:", e);
+  }
+
+  // Keep embedded params so App Bridge stays initialized.
+  const next = new URLSearchParams();
+  for (const k of ["shop", "host", "embedded"]) {
+    const v = url.searchParams.get(k);
+    if (v) next.set(k, v);
+  }
+  const qs = next.toString();
+
+  return redirect(qs ? `/app/billing?${qs}` : "/app/billing");
+};
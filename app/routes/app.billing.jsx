@@ -12,12 +12,29 @@ import {
   InlineStack,
   Banner,
   Divider,
+  DataTable,
 } from "@shopify/polaris";
 
 import { authenticate } from "../shopify.server";
-import { BILLING_PLANS } from "../billing.plans.js";
+import { BILLING_PLANS, CREDIT_PACKS, METERED_PLAN } from "../billing.plans.js";
 import { getBillingContext } from "../billing.gating.server.js";
-import { activatePro, cancelPro } from "../billing.mock.server.js";
+import { getFreeUsageSummary } from "../billing.usage.server.js";
+import {
+  BILLING_BACKEND,
+  cancelProSubscription,
+  proTrialDays,
+  startProSubscription,
+  syncProSubscription,
+} from "../billing.server.js";
+import {
+  CREDITS_MODE,
+  cancelMeteredSubscription,
+  getCreditSummary,
+  settleMeteredUsage,
+  startCreditPurchase,
+  startMeteredSubscription,
+  syncMeteredSubscription,
+} from "../billing.credits.server.js";
 
 function jsonResponse(data, status = 200) {
   return new Response(JSON.stringify(data), {
@@ -27,8 +44,31 @@ function jsonResponse(data, status = 200) {
 }
 
 export const loader = async ({ request }) => {
-  const { session } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
+
+  // Shopify billing: refresh the local mirror (covers missed app_subscriptions/update webhooks).
+  if (BILLING_BACKEND === "shopify") {
+    try {
+      await syncProSubscription({ admin, shop: session.shop });
+    } catch (e) {
+      console.error("Billing sync failed:", e);
+    }
+  }
+
+  // Pay-as-you-go: refresh cap usage and bill finished jobs (cancelled jobs never reach the worker's settle step).
+  if (CREDITS_MODE === "metered") {
+    try {
+      await syncMeteredSubscription({ admin, shop: session.shop });
+      await settleMeteredUsage({ admin, shop: session.shop });
+    } catch (e) {
+      console.error("Usage settlement failed:", e);
+    }
+  }
+  const credits = CREDITS_MODE !== "off" ? await getCreditSummary(session.shop) : null;
+  const usage = await getFreeUsageSummary(session.shop);
+
   const ctx = await getBillingContext(session.shop);
+  const sub = ctx.subscription || null;
 
   return jsonResponse({
     shop: session.shop,
@@ -37,26 +77,84 @@ export const loader = async ({ request }) => {
       isPro: ctx.isPro,
       mode: ctx.mode,
       free: ctx.free,
+      trialDays: proTrialDays(),
+      subscription: sub
+        ? {
+            plan: sub.plan,
+            status: sub.status,
+            interval: sub.interval || null,
+            trialDays: sub.trialDays ?? null,
+            test: Boolean(sub.test),
+            currentPeriodEnd: sub.currentPeriodEnd || null,
+          }
+        : null,
+    },
+    usage: {
+      reserved: usage.reserved,
+      refunded: usage.refunded,
+      consumed: usage.consumed,
+      inProgress: usage.inProgress,
+      entries: usage.entries.map((e) => ({
+        id: e.id,
+        kind: e.kind,
+        units: e.units,
+        jobId: e.jobId,
+        createdAt: e.createdAt,
+      })),
     },
+    credits: credits
+      ? {
+          mode: credits.mode,
+          balance: credits.balance,
+          metered: credits.metered,
+          ledger: credits.ledger.map((e) => ({
+            id: e.id,
+            kind: e.kind,
+            units: e.units,
+            balanceAfter: e.balanceAfter,
+            amount: e.amount,
+            jobId: e.jobId,
+            note: e.note,
+            createdAt: e.createdAt,
+          })),
+        }
+      : null,
   });
 };
 
 export const action = async ({ request }) => {
-  const { session } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const form = await request.formData();
   const intent = String(form.get("intent") || "");
 
   try {
-    if (intent === "subscribe_monthly") {
-      await activatePro(session.shop, "monthly");
-      return jsonResponse({ ok: true });
+    if (intent === "subscribe_monthly" || intent === "subscribe_annual") {
+      const res = await startProSubscription({
+        admin,
+        shop: session.shop,
+        interval: intent === "subscribe_annual" ? "annual" : "monthly",
+      });
+      // Shopify billing: the merchant approves the charge on Shopify's page (top-level redirect on the client).
+      return jsonResponse({ ok: true, confirmationUrl: res?.confirmationUrl || null });
+    }
+    if (intent === "buy_credits") {
+      const res = await startCreditPurchase({
+        admin,
+        shop: session.shop,
+        packKey: String(form.get("packKey") || ""),
+      });
+      return jsonResponse({ ok: true, confirmationUrl: res?.confirmationUrl || null });
+    }
+    if (intent === "enable_metered") {
+      const res = await startMeteredSubscription({ admin, shop: session.shop });
+      return jsonResponse({ ok: true, confirmationUrl: res?.confirmationUrl || null });
     }
-    if (intent === "subscribe_annual") {
-      await activatePro(session.shop, "annual");
+    if (intent === "cancel_metered") {
+      await cancelMeteredSubscription({ admin, shop: session.shop });
       return jsonResponse({ ok: true });
     }
     if (intent === "cancel") {
-      await cancelPro(session.shop);
+      await cancelProSubscription({ admin, shop: session.shop });
       return jsonResponse({ ok: true });
     }
     if (intent === "reset_usage") {
@@ -77,13 +175,17 @@ export const action = async ({ request }) => {
 };
 
 export default function Billing() {
-  const { billing } = useLoaderData();
+  const { billing, credits, usage } = useLoaderData();
   const fetcher = useFetcher();
 
   const error = fetcher.data?.ok === false ? fetcher.data?.error : null;
 
-  // Refresh after actions
+  // Refresh after actions (Shopify billing: go to the charge approval page instead)
   useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.ok && fetcher.data?.confirmationUrl) {
+      window.open(fetcher.data.confirmationUrl, "_top");
+      return;
+    }
     if (fetcher.state === "idle" && fetcher.data?.ok) {
       // Force a reload by re-submitting nothing is awkward; easiest is window reload in embedded.
       // Keeps it simple and reliable.
@@ -96,6 +198,9 @@ export default function Billing() {
   const monthLabel = free.month ? `Resets monthly (period: ${free.month})` : "Resets monthly";
 
   const proActive = billing?.isPro;
+  const sub = billing?.subscription || null;
+  const pending = !proActive && sub?.status === "pending";
+  const trialDays = Number(billing?.trialDays || 0);
 
   const freeFeatures = useMemo(() => BILLING_PLANS.FREE.features, []);
   const proFeatures = useMemo(() => BILLING_PLANS.PRO.features, []);
@@ -127,8 +232,34 @@ export default function Billing() {
                   <Text as="p" variant="bodyMd"><b>Monthly limit:</b> {BILLING_PLANS.FREE.monthlyProductLimit} products</Text>
                   <Text as="p" variant="bodyMd"><b>Usage:</b> {usageText}</Text>
                   <Text as="p" variant="bodySm" tone="subdued">{monthLabel}</Text>
+                  {usage ? (
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {`Reserved ${usage.reserved} · Consumed ${usage.consumed} · Refunded ${usage.refunded}${
+                        usage.inProgress ? ` · In progress ${usage.inProgress}` : ""
+                      }`}
+                    </Text>
+                  ) : null}
                 </BlockStack>
 
+                {usage?.entries?.length ? (
+                  <BlockStack gap="150">
+                    <Text as="h3" variant="headingSm">Usage history</Text>
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      Items that fail or get cancelled are given back to your monthly allowance.
+                    </Text>
+                    <DataTable
+                      columnContentTypes={["text", "text", "numeric", "text"]}
+                      headings={["Date", "Type", "Units", "Job"]}
+                      rows={usage.entries.map((e) => [
+                        new Date(e.createdAt).toLocaleString(),
+                        USAGE_KIND_LABELS[e.kind] || e.kind,
+                        e.units > 0 ? `+${e.units}` : String(e.units),
+                        e.jobId || "",
+                      ])}
+                    />
+                  </BlockStack>
+                ) : null}
+
                 <Divider />
 
                 <BlockStack gap="150">
@@ -166,8 +297,26 @@ export default function Billing() {
                 <BlockStack gap="200">
                   <Text as="p" variant="bodyMd"><b>Monthly:</b> {BILLING_PLANS.PRO.priceMonthlyText}</Text>
                   <Text as="p" variant="bodyMd"><b>Annual:</b> {BILLING_PLANS.PRO.priceAnnualText}</Text>
+                  {!proActive && trialDays > 0 ? (
+                    <Text as="p" variant="bodySm" tone="subdued">{`${trialDays}-day free trial`}</Text>
+                  ) : null}
+                  {proActive && sub ? (
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {`${sub.plan}${sub.test ? " (test charge)" : ""}${
+                        sub.currentPeriodEnd ? ` · renews ${new Date(sub.currentPeriodEnd).toLocaleDateString()}` : ""
+                      }`}
+                    </Text>
+                  ) : null}
                 </BlockStack>
 
+                {pending ? (
+                  <Banner tone="info" title="Waiting for approval">
+                    <Text as="p" variant="bodyMd">
+                      The subscription was created but not approved yet. Start it again to open the approval page.
+                    </Text>
+                  </Banner>
+                ) : null}
+
                 <Divider />
 
                 <BlockStack gap="150">
@@ -202,7 +351,112 @@ export default function Billing() {
             </Card>
           </Layout.Section>
         </Layout>
+
+        {credits ? <CreditsCard credits={credits} proActive={proActive} fetcher={fetcher} /> : null}
       </BlockStack>
     </Page>
   );
 }
+
+const USAGE_KIND_LABELS = {
+  reserve: "Reserved",
+  refund: "Refunded",
+  recharge: "Retried (charged again)",
+};
+
+const LEDGER_KIND_LABELS = {
+  purchase: "Purchase",
+  grant: "Grant",
+  debit: "Used",
+  refund: "Refund",
+  charge: "Usage charge",
+};
+
+function formatMoney(amount) {
+  return amount == null ? "" : `$${Number(amount).toFixed(2)}`;
+}
+
+function CreditsCard({ credits, proActive, fetcher }) {
+  const metered = credits.metered;
+  const meteredActive = metered?.status === "active";
+
+  const rows = (credits.ledger || []).map((e) => [
+    new Date(e.createdAt).toLocaleString(),
+    LEDGER_KIND_LABELS[e.kind] || e.kind,
+    e.kind === "charge" ? String(e.units) : e.units > 0 ? `+${e.units}` : String(e.units),
+    formatMoney(e.amount),
+    e.balanceAfter == null ? "" : String(e.balanceAfter),
+    e.note || "",
+  ]);
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <BlockStack gap="100">
+            <Text variant="headingMd" as="h2">Pay as you go</Text>
+            <Text as="p" variant="bodySm" tone="subdued">
+              One credit = one generated item beyond the Free plan allowance. Failed or cancelled items are refunded.
+            </Text>
+          </BlockStack>
+          {credits.mode === "packs" ? (
+            <Badge tone={credits.balance > 0 ? "success" : "attention"}>{`${credits.balance} credits`}</Badge>
+          ) : (
+            <Badge tone={meteredActive ? "success" : undefined}>{meteredActive ? "Active" : "Not enabled"}</Badge>
+          )}
+        </InlineStack>
+
+        {proActive ? (
+          <Text as="p" variant="bodySm" tone="subdued">Pro includes unlimited generations; credits are not used while Pro is active.</Text>
+        ) : null}
+
+        <Divider />
+
+        {credits.mode === "packs" ? (
+          <InlineStack gap="200">
+            {CREDIT_PACKS.map((p) => (
+              <fetcher.Form method="post" key={p.key}>
+                <input type="hidden" name="intent" value="buy_credits" />
+                <input type="hidden" name="packKey" value={p.key} />
+                <Button submit>{`${p.name} · ${formatMoney(p.price)}`}</Button>
+              </fetcher.Form>
+            ))}
+          </InlineStack>
+        ) : (
+          <BlockStack gap="200">
+            <Text as="p" variant="bodyMd">{METERED_PLAN.terms}</Text>
+            {metered ? (
+              <Text as="p" variant="bodySm" tone="subdued">
+                {`Billed this period: ${formatMoney(metered.balanceUsed)} of ${formatMoney(metered.cappedAmount)} cap · ${metered.pendingUnits} item(s) not billed yet`}
+              </Text>
+            ) : null}
+            {metered?.status === "pending" ? (
+              <Banner tone="info" title="Waiting for approval">
+                <Text as="p" variant="bodyMd">Approve the usage charge on Shopify to start pay-as-you-go billing.</Text>
+              </Banner>
+            ) : null}
+            <fetcher.Form method="post">
+              <input type="hidden" name="intent" value={meteredActive ? "cancel_metered" : "enable_metered"} />
+              <Button submit tone={meteredActive ? "critical" : undefined} variant={meteredActive ? "secondary" : "primary"}>
+                {meteredActive ? "Disable pay as you go" : "Enable pay as you go"}
+              </Button>
+            </fetcher.Form>
+          </BlockStack>
+        )}
+
+        <Divider />
+
+        <Text as="h3" variant="headingSm">History</Text>
+        {rows.length ? (
+          <DataTable
+            columnContentTypes={["text", "text", "numeric", "numeric", "numeric", "text"]}
+            headings={["Date", "Type", "Units", "Amount", "Balance", "Note"]}
+            rows={rows}
+          />
+        ) : (
+          <Text as="p" variant="bodySm" tone="subdued">No credit activity yet.</Text>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
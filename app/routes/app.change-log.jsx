@@ -0,0 +1,369 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  useFetcher,
+  useLoaderData,
+  useLocation,
+  useNavigate,
+  useRouteError,
+  isRouteErrorResponse,
+} from "react-router";
+import { authenticate } from "../shopify.server";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  Badge,
+  Button,
+  BlockStack,
+  InlineStack,
+  Banner,
+  Select,
+  TextField,
+  Pagination,
+} from "@shopify/polaris";
+
+import { exportSeoChangesCsv, listSeoChanges } from "../changelog.server.js";
+
+const FIELD_LABELS = {
+  seo_title: "Meta title",
+  seo_description: "Meta description",
+  alt_text: "ALT text",
+};
+
+const RESOURCE_LABELS = {
+  PRODUCT: "Product",
+  COLLECTION: "Collection",
+  PAGE: "Page",
+  BLOG_ARTICLE: "Blog article",
+  IMAGE: "Image",
+};
+
+const SOURCE_LABELS = {
+  publish: "Publish",
+  revert: "Revert",
+  direct: "Direct edit",
+};
+
+const FILTER_KEYS = ["resource", "actor", "from", "to"];
+
+/** ----------------------- Response helper ----------------------- **/
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
+
+function filtersFromParams(params) {
+  const out = {};
+  for (const key of FILTER_KEYS) out[key] = String(params.get(key) || "").trim();
+  return out;
+}
+
+/** ---------------- server ---------------- */
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop || "";
+
+  const url = new URL(request.url);
+  const host = url.searchParams.get("host") || "";
+  const embedded = url.searchParams.get("embedded") || "";
+
+  const filters = filtersFromParams(url.searchParams);
+  const result = await listSeoChanges(shop, filters, { page: url.searchParams.get("page") || 1 });
+
+  return { shop, host, embedded, filters, ...result };
+}
+
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const form = await request.formData();
+  const intent = String(form.get("intent") || "");
+
+  // CSV is returned as JSON and downloaded client-side (the embedded app authenticates fetches, not plain links).
+  if (intent === "export_csv") {
+    const filters = {};
+    for (const key of FILTER_KEYS) filters[key] = String(form.get(key) || "").trim();
+    const csv = await exportSeoChangesCsv(session.shop, filters);
+    const stamp = new Date().toISOString().slice(0, 10);
+    return jsonResponse({ ok: true, intent, csv, filename: `seo-change-log-${stamp}.csv` });
+  }
+
+  return jsonResponse({ ok: false, intent, error: "Unknown intent" }, 400);
+}
+
+/** ---------------- helpers ---------------- */
+// ✅ Embedded query’yi her zaman koru (shop/host/embedded)
+function getEmbeddedQuery(locationSearch, loaderData) {
+  const p = new URLSearchParams(locationSearch || "");
+  const ss = typeof window !== "undefined" ? window.sessionStorage : null;
+
+  const shop = p.get("shop") || ss?.getItem("shopifyShop") || loaderData?.shop || "";
+  const host = p.get("host") || ss?.getItem("shopifyHost") || loaderData?.host || "";
+  const embedded = p.get("embedded") || ss?.getItem("shopifyEmbedded") || loaderData?.embedded || "";
+
+  const out = new URLSearchParams();
+  if (shop) out.set("shop", shop);
+  if (host) out.set("host", host);
+  if (embedded) out.set("embedded", embedded);
+
+  const qs = out.toString();
+  return qs ? `?${qs}` : "";
+}
+
+function formatDate(v) {
+  if (!v) return "-";
+  try {
+    return new Date(v).toLocaleString();
+  } catch {
+    return String(v);
+  }
+}
+
+function shortId(gid) {
+  const s = String(gid || "");
+  return s.split("/").pop() || s;
+}
+
+function ValueText({ value }) {
+  const s = String(value ?? "");
+  if (!s) {
+    return (
+      <Text as="span" variant="bodySm" tone="subdued">
+        (empty)
+      </Text>
+    );
+  }
+  return (
+    <Text as="span" variant="bodySm" breakWord>
+      {s.length > 160 ? `${s.slice(0, 160)}…` : s}
+    </Text>
+  );
+}
+
+/** ---------------- component ---------------- */
+export default function ChangeLog() {
+  const data = useLoaderData();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const exportFetcher = useFetcher();
+
+  const rows = Array.isArray(data?.rows) ? data.rows : [];
+  const page = Number(data?.page || 1);
+  const pageCount = Number(data?.pageCount || 1);
+
+  const [filters, setFilters] = useState(() => ({ resource: "", actor: "", from: "", to: "", ...(data?.filters || {}) }));
+  const setFilter = (k) => (v) => setFilters((prev) => ({ ...prev, [k]: v }));
+
+  useEffect(() => {
+    setFilters({ resource: "", actor: "", from: "", to: "", ...(data?.filters || {}) });
+  }, [data?.filters?.resource, data?.filters?.actor, data?.filters?.from, data?.filters?.to]);
+
+  const embeddedQs = useMemo(
+    () => getEmbeddedQuery(location.search, data),
+    [location.search, data?.shop, data?.host, data?.embedded],
+  );
+
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    if (data?.shop) window.sessionStorage.setItem("shopifyShop", data.shop);
+    if (data?.host) window.sessionStorage.setItem("shopifyHost", data.host);
+    if (data?.embedded) window.sessionStorage.setItem("shopifyEmbedded", data.embedded);
+  }, [data?.shop, data?.host, data?.embedded]);
+
+  const goTo = (nextFilters, nextPage = 1) => {
+    const p = new URLSearchParams(embeddedQs.replace(/^\?/, ""));
+    for (const key of FILTER_KEYS) {
+      const v = String(nextFilters[key] || "").trim();
+      if (v) p.set(key, v);
+    }
+    if (nextPage > 1) p.set("page", String(nextPage));
+    const qs = p.toString();
+    navigate(`/app/change-log${qs ? `?${qs}` : ""}`);
+  };
+
+  const openHistory = (resourceId) => {
+    const p = new URLSearchParams(embeddedQs.replace(/^\?/, ""));
+    p.set("id", String(resourceId || ""));
+    navigate(`/app/resource-history?${p.toString()}`);
+  };
+
+  const applyFilters = () => goTo(filters, 1);
+  const clearFilters = () => goTo({}, 1);
+
+  const exportCsv = () => {
+    const fd = new FormData();
+    fd.set("intent", "export_csv");
+    // Export what the table shows (applied filters, not unsaved form edits)
+    for (const key of FILTER_KEYS) fd.set(key, String(data?.filters?.[key] || ""));
+    exportFetcher.submit(fd, { method: "post" });
+  };
+
+  useEffect(() => {
+    if (exportFetcher.state !== "idle") return;
+    const d = exportFetcher.data;
+    if (!d?.ok || typeof d.csv !== "string" || typeof window === "undefined") return;
+    const blob = new Blob([d.csv], { type: "text/csv;charset=utf-8" });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = d.filename || "seo-change-log.csv";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    window.URL.revokeObjectURL(url);
+  }, [exportFetcher.state, exportFetcher.data]);
+
+  const tableRows = rows.map((r) => [
+    formatDate(r.createdAt),
+    <BlockStack key="resource" gap="050">
+      <Button variant="plain" onClick={() => openHistory(r.productId || r.resourceId)}>
+        {r.resourceTitle || `#${shortId(r.resourceId)}`}
+      </Button>
+      <Text as="span" variant="bodySm" tone="subdued">
+        {RESOURCE_LABELS[r.resourceType] || r.resourceType} · {shortId(r.resourceId)}
+        {r.locale ? ` · ${r.locale}` : ""}
+      </Text>
+    </BlockStack>,
+    FIELD_LABELS[r.field] || r.field,
+    <ValueText key="old" value={r.oldValue} />,
+    <ValueText key="new" value={r.newValue} />,
+    <BlockStack key="actor" gap="050">
+      <Text as="span" variant="bodySm">
+        {r.actor}
+      </Text>
+      <InlineStack gap="100">
+        <Badge tone={r.actorType === "staff" ? "info" : undefined}>{r.actorType === "staff" ? "Staff" : "Automation"}</Badge>
+        <Badge>{SOURCE_LABELS[r.source] || r.source}</Badge>
+      </InlineStack>
+    </BlockStack>,
+    r.jobId ? (
+      <Button key="job" variant="plain" onClick={() => navigate(`/app/generation-history/${r.jobId}${embeddedQs}`)}>
+        #{r.jobId}
+      </Button>
+    ) : (
+      "-"
+    ),
+  ]);
+
+  const actorOptions = [
+    { label: "Everyone", value: "" },
+    { label: "Staff users", value: "staff" },
+    { label: "Automation (Auto SEO, schedules)", value: "automation" },
+  ];
+  const actorIsType = filters.actor === "" || filters.actor === "staff" || filters.actor === "automation";
+
+  return (
+    <Page
+      title="Change log"
+      subtitle="Every SEO field written to your store: old value, new value, who changed it and when."
+      secondaryActions={[
+        { content: "Export CSV", onAction: exportCsv, loading: exportFetcher.state !== "idle", disabled: !data?.total },
+      ]}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack gap="300" wrap blockAlign="end">
+                <div style={{ minWidth: 240, flex: 1 }}>
+                  <TextField
+                    label="Resource"
+                    value={filters.resource}
+                    onChange={setFilter("resource")}
+                    placeholder="Title, ID or GID"
+                    autoComplete="off"
+                  />
+                </div>
+                <Select
+                  label="Actor"
+                  options={actorIsType ? actorOptions : [...actorOptions, { label: filters.actor, value: filters.actor }]}
+                  value={filters.actor}
+                  onChange={setFilter("actor")}
+                />
+                <TextField label="From (UTC)" type="date" value={filters.from} onChange={setFilter("from")} autoComplete="off" />
+                <TextField label="To (UTC)" type="date" value={filters.to} onChange={setFilter("to")} autoComplete="off" />
+                <Button variant="primary" onClick={applyFilters}>
+                  Search
+                </Button>
+                <Button onClick={clearFilters}>Clear</Button>
+              </InlineStack>
+              {exportFetcher.data && !exportFetcher.data.ok ? (
+                <Banner tone="critical" title="Export failed">
+                  <Text as="p" variant="bodyMd">
+                    {String(exportFetcher.data.error || "Unknown error")}
+                  </Text>
+                </Banner>
+              ) : null}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            {tableRows.length ? (
+              <DataTable
+                columnContentTypes={["text", "text", "text", "text", "text", "text", "text"]}
+                headings={["When", "Resource", "Field", "Old value", "New value", "Actor", "Job"]}
+                rows={tableRows}
+                verticalAlign="top"
+              />
+            ) : (
+              <div style={{ padding: 16 }}>
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  No changes found.
+                </Text>
+              </div>
+            )}
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <InlineStack align="space-between" blockAlign="center">
+            <Text as="span" variant="bodySm" tone="subdued">
+              {Number(data?.total || 0)} change(s)
+            </Text>
+            <Pagination
+              hasPrevious={page > 1}
+              onPrevious={() => goTo(data?.filters || {}, page - 1)}
+              hasNext={page < pageCount}
+              onNext={() => goTo(data?.filters || {}, page + 1)}
+              label={`Page ${page} of ${pageCount}`}
+            />
+          </InlineStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
+
+/** ---------------- route ErrorBoundary ---------------- */
+export function ErrorBoundary() {
+  const err = useRouteError();
+  // eslint-disable-next-line no-console
+  console.error("Change log ErrorBoundary:", err);
+
+  let bannerTitle = "Something went wrong";
+  let message = "Unknown error";
+
+  if (isRouteErrorResponse(err)) {
+    bannerTitle = `Error ${err.status}`;
+    message = err.data || err.statusText;
+  } else if (err instanceof Error) {
+    message = err.message;
+  } else {
+    message = String(err);
+  }
+
+  return (
+    <Page title="Change log">
+      <Banner tone="critical" title={bannerTitle}>
+        <Text as="p" variant="bodyMd">
+          {message}
+        </Text>
+      </Banner>
+    </Page>
+  );
+}
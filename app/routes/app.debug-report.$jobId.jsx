@@ -42,11 +42,17 @@ export async function loader({ request, params }) {
       failedCount: job.failedCount,
       publishOkCount: job.publishOkCount,
       publishFailedCount: job.publishFailedCount,
+      revertTotal: job.revertTotal,
+      revertOkCount: job.revertOkCount,
+      revertFailedCount: job.revertFailedCount,
       createdAt: job.createdAt,
       startedAt: job.startedAt,
       finishedAt: job.finishedAt,
       publishStartedAt: job.publishStartedAt,
       publishFinishedAt: job.publishFinishedAt,
+      publishRequestedBy: job.publishRequestedBy,
+      revertStartedAt: job.revertStartedAt,
+      revertFinishedAt: job.revertFinishedAt,
       lastError: job.lastError,
       lockExpiresAt: job.lockExpiresAt,
       usageReserved: job.usageReserved,
@@ -54,6 +60,8 @@ export async function loader({ request, params }) {
       telemetry: {
         totalAttempts: job.totalAttempts,
         totalRetryWaitMs: job.totalRetryWaitMs,
+        totalCacheHits: job.totalCacheHits,
+        forceFresh: job.forceFresh,
       },
       settingsJson: job.settingsJson ? safeJsonParse(job.settingsJson) : null,
     },
@@ -70,9 +78,30 @@ export async function loader({ request, params }) {
       seoDescription: it.seoDescription,
       error: it.error,
       publishError: it.publishError,
+      snapshotAt: it.snapshotAt,
+      revertStatus: it.revertStatus,
+      revertedAt: it.revertedAt,
+      revertError: it.revertError,
+      locale: it.locale || null,
+      sourceTitle: it.sourceTitle,
+      sourceDescription: it.sourceDescription,
+      altTextMode: it.altTextMode,
+      altTextModeNote: it.altTextModeNote,
+      originalSeoTitle: it.originalSeoTitle,
+      originalSeoDescription: it.originalSeoDescription,
+      originalCapturedAt: it.originalCapturedAt,
+      conflictSeoTitle: it.conflictSeoTitle,
+      conflictSeoDescription: it.conflictSeoDescription,
+      conflictOverride: it.conflictOverride,
+      reviewStatus: it.reviewStatus,
+      reviewComment: it.reviewComment,
+      reviewedBy: it.reviewedBy,
+      reviewedAt: it.reviewedAt,
+      publishedBy: it.publishedBy,
       telemetry: {
         genAttempts: it.genAttempts,
         genRetryWaitMs: it.genRetryWaitMs,
+        genCacheHits: it.genCacheHits,
         publishAttempts: it.publishAttempts,
         publishRetryWaitMs: it.publishRetryWaitMs,
       },
@@ -13,8 +13,23 @@ import {
 import prisma from "../db.server.js";
 import { authenticate } from "../shopify.server";
 import { enqueueSeoJob } from "../queue.server";
-import { createGenerateJob } from "../jobs.server";
-import { reserveIfFreePlan } from "../billing.gating.server.js";
+import {
+  createGenerateJob,
+  createCollectionSeoJob,
+  createPageSeoJob,
+  createTranslateSeoJob,
+  startRevertPhase,
+} from "../jobs.server";
+import { reserveIfFreePlan, reserveRetryUsage, reservationErrorMessage } from "../billing.gating.server.js";
+import { canReviewDrafts, editedByNames, staffUserFromSession } from "../staff.server.js";
+import { applyDraftImport, buildDraftsCsv, validateDraftImport } from "../drafts.csv.server.js";
+import {
+  TRANSLATABLE_JOB_TYPES,
+  fetchSeoTranslations,
+  listShopLocales,
+  toTranslatableResourceId,
+} from "../translations.server.js";
+import { computeQuality } from "../seo.quality.js";
 
 
 
@@ -24,6 +39,7 @@ import {
   Card,
   Button,
   InlineStack,
+  InlineGrid,
   BlockStack,
   Text,
   Badge,
@@ -36,6 +52,9 @@ import {
   Box,
   Toast,
   ProgressBar,
+  Tooltip,
+  ChoiceList,
+  DropZone,
 } from "@shopify/polaris";
 
 const SETTINGS_NAMESPACE = "ai_seo_assistant";
@@ -62,6 +81,14 @@ async function getSettingsFromMetafield(admin) {
 }
 
 
+/** ---------------- response helper ---------------- */
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
+
 /** ---------------- time helpers ---------------- */
 function nowIso() {
   return new Date().toISOString();
@@ -88,86 +115,6 @@ function clampText(s, max) {
   if (!max || max <= 0) return str;
   return str.length > max ? str.slice(0, Math.max(0, max - 1)) + "…" : str;
 }
-function splitCsv(s) {
-  return String(s || "")
-    .split(",")
-    .map((x) => x.trim())
-    .filter(Boolean);
-}
-function includesAll(text, terms) {
-  const t = String(text || "").toLowerCase();
-  return (terms || []).every((w) => t.includes(String(w).toLowerCase()));
-}
-function includesAny(text, terms) {
-  const t = String(text || "").toLowerCase();
-  return (terms || []).some((w) => t.includes(String(w).toLowerCase()));
-}
-function computeQuality({ title, desc, settings }) {
-  const maxTitle = Number(settings?.seoTitleMaxChars || 60);
-  const maxDesc = Number(settings?.seoDescriptionMaxChars || 160);
-
-  const required = splitCsv(settings?.requiredKeywords);
-  const banned = splitCsv(settings?.bannedWords);
-  const target = String(settings?.targetKeyword || "").trim();
-
-  const combined = `${title || ""} ${desc || ""}`.trim();
-
-  const checks = [
-    {
-      key: "title_len",
-      label: `Title length ≤ ${maxTitle}`,
-      ok: String(title || "").length > 0 && String(title || "").length <= maxTitle,
-    },
-    {
-      key: "desc_len",
-      label: `Description length ≤ ${maxDesc}`,
-      ok: String(desc || "").length > 0 && String(desc || "").length <= maxDesc,
-    },
-    ...(target
-      ? [
-          {
-            key: "target_kw",
-            label: `Includes target keyword: ${target}`,
-            ok: includesAny(combined, [target]),
-          },
-        ]
-      : []),
-    ...(required.length
-      ? [
-          {
-            key: "required_kws",
-            label: `Includes required keywords (${required.length})`,
-            ok: includesAll(combined, required),
-          },
-        ]
-      : []),
-    ...(banned.length
-      ? [
-          {
-            key: "banned",
-            label: `Avoids banned words (${banned.length})`,
-            ok: !includesAny(combined, banned),
-          },
-        ]
-      : []),
-  ];
-
-  let score = 100;
-  const failed = checks.filter((c) => !c.ok).length;
-  score -= failed * 15;
-
-  const t = String(title || "");
-  if (t && t === t.toUpperCase() && /[A-ZÇĞİÖŞÜ]/.test(t)) score -= 10;
-  if (t.length > maxTitle) score -= Math.min(20, t.length - maxTitle);
-
-  const d = String(desc || "");
-  if (d.length > maxDesc) score -= Math.min(20, d.length - maxDesc);
-
-  score = Math.max(0, Math.min(100, Math.round(score)));
-
-  return { score, checks, maxTitle, maxDesc };
-}
-
 
 /** ---------------- ID normalization ---------------- */
 function toProductGid(id) {
@@ -217,6 +164,22 @@ function productIdVariants(rawId) {
   return Array.from(out).filter(Boolean);
 }
 
+/** ---------------- approval workflow helpers ---------------- */
+// Payload item -> DB row (IMAGE / TRANSLATE items are keyed by item id, the rest by productId).
+function matchItemRow(rows, v, byId) {
+  if (byId) return rows.find((r) => String(r.id) === v.id) || null;
+  const ids = productIdVariants(v.productId);
+  return rows.find((r) => ids.includes(String(r.productId || ""))) || null;
+}
+
+// Approval is for the reviewed text: an edited payload is not the approved draft anymore.
+function sameReviewedText(row, v, isImageJob) {
+  const t = (x) => String(x ?? "").trim();
+  if (v.seoTitle != null && t(v.seoTitle) !== t(row.seoTitle)) return false;
+  if (!isImageJob && v.seoDescription != null && t(v.seoDescription) !== t(row.seoDescription)) return false;
+  return true;
+}
+
 /** ---------------- publish status normalize ---------------- */
 function isPublishRunningStatus(ps) {
   const s = String(ps || "").toLowerCase();
@@ -270,6 +233,73 @@ async function fetchLiveArticleSeo(admin, articleIds) {
   return map;
 }
 
+/** ---------------- Shopify live Page SEO helper (metafields) ---------------- */
+async function fetchLivePageSeo(admin, pageIds) {
+  const ids = Array.from(new Set((pageIds || []).map((id) => String(id || "").trim()).filter(Boolean)));
+  if (!ids.length) return {};
+
+  const query = `#graphql
+    query PagesSeo($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Page {
+          id
+          titleTag: metafield(namespace: "global", key: "title_tag") { value }
+          descriptionTag: metafield(namespace: "global", key: "description_tag") { value }
+        }
+      }
+    }`;
+
+  const res = await admin.graphql(query, { variables: { ids } });
+  const json = await res.json();
+
+  const nodes = json?.data?.nodes || [];
+  const map = {};
+
+  for (const n of nodes) {
+    const gid = n?.id ? String(n.id) : "";
+    if (!gid) continue;
+    map[gid] = {
+      seoTitle: n?.titleTag?.value ?? "",
+      seoDescription: n?.descriptionTag?.value ?? "",
+    };
+  }
+
+  return map;
+}
+
+/** ---------------- Shopify live Collection SEO helper ---------------- */
+async function fetchLiveCollectionSeo(admin, collectionIds) {
+  const ids = Array.from(new Set((collectionIds || []).map((id) => String(id || "").trim()).filter(Boolean)));
+  if (!ids.length) return {};
+
+  const query = `#graphql
+    query CollectionsSeo($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Collection {
+          id
+          seo { title description }
+        }
+      }
+    }`;
+
+  const res = await admin.graphql(query, { variables: { ids } });
+  const json = await res.json();
+
+  const nodes = json?.data?.nodes || [];
+  const map = {};
+
+  for (const n of nodes) {
+    const gid = n?.id ? String(n.id) : "";
+    if (!gid) continue;
+    map[gid] = {
+      seoTitle: n?.seo?.title ?? "",
+      seoDescription: n?.seo?.description ?? "",
+    };
+  }
+
+  return map;
+}
+
 async function fetchLiveProductSeo(admin, productIds) {
   const ids = Array.from(new Set((productIds || []).map(toProductGid).filter(Boolean)));
   if (!ids.length) return {};
@@ -302,6 +332,48 @@ async function fetchLiveProductSeo(admin, productIds) {
   return map;
 }
 
+/** ---------------- Shopify translations helper (TRANSLATE_SEO) ---------------- */
+function adminGql(admin) {
+  return async ({ query, variables }) => {
+    const res = await admin.graphql(query, { variables });
+    return await res.json();
+  };
+}
+
+// Keyed by item id (one item per resource + locale): current translation on Shopify.
+async function fetchLiveTranslationSeo(admin, items) {
+  const rows = (items || []).map((it) => ({
+    id: String(it.id),
+    resourceId: toTranslatableResourceId(it.targetType, it.targetId || it.productId),
+    locale: String(it.locale || ""),
+  }));
+  const liveByResource = await fetchSeoTranslations(
+    adminGql(admin),
+    rows.map((r) => r.resourceId),
+    rows.map((r) => r.locale),
+  );
+
+  const map = {};
+  for (const r of rows) {
+    const live = liveByResource?.[r.resourceId]?.[r.locale];
+    if (live) map[r.id] = live;
+  }
+  return map;
+}
+
+// Non-primary locales a finished job can be translated into ([] if the shop has none / no scope yet).
+async function fetchTranslationLocales(admin) {
+  try {
+    const locales = await listShopLocales(adminGql(admin));
+    return {
+      primaryLocale: locales.find((l) => l.primary)?.locale || "",
+      targetLocales: locales.filter((l) => !l.primary),
+    };
+  } catch {
+    return { primaryLocale: "", targetLocales: [] };
+  }
+}
+
 /** ---------------- embedded query helper ---------------- */
 function buildEmbeddedSearch(currentSearch) {
   const p = new URLSearchParams(currentSearch || "");
@@ -335,31 +407,58 @@ export async function loader({ request, params }) {
 
   const job = await prisma.seoJob.findFirst({
     where: { id: jobId, shop: session.shop },
-    include: { items: true },
+    include: {
+      items: {
+        include: { candidates: { orderBy: [{ field: "desc" }, { position: "asc" }] } },
+      },
+    },
   });
 
   if (!job) throw new Response("Not found", { status: 404 });
 
+  const liveSeoMap = await fetchLiveSeoForJob(admin, job, job.items);
+
+  const settings = await getSettingsFromMetafield(admin);
+
+  // Finished SEO jobs can be translated into the other shop locales.
+  const translation = TRANSLATABLE_JOB_TYPES[String(job.jobType || "PRODUCT_SEO")]
+    ? await fetchTranslationLocales(admin)
+    : { primaryLocale: "", targetLocales: [] };
+
+  return { job, liveSeoMap, settings, translation };
+}
+
+// Live SEO of the job's resources (compare view, CSV export). IMAGE jobs keep the live ALT on the item.
+async function fetchLiveSeoForJob(admin, job, items) {
   const isImageJob = String(job.jobType || "PRODUCT_SEO") === "ALT_TEXT_IMAGES";
   const isBlogJob = String(job.jobType || "PRODUCT_SEO") === "BLOG_SEO_META";
+  const isCollectionJob = String(job.jobType || "PRODUCT_SEO") === "COLLECTION_SEO";
+  const isPageJob = String(job.jobType || "PRODUCT_SEO") === "PAGE_SEO";
+  const isTranslateJob = String(job.jobType || "PRODUCT_SEO") === "TRANSLATE_SEO";
 
-  const productIds = isImageJob || isBlogJob
+  const productIds = isImageJob || isBlogJob || isCollectionJob || isPageJob || isTranslateJob
     ? []
-    : (job.items || []).map((it) => toProductGid(it.productId)).filter(Boolean);
+    : (items || []).map((it) => toProductGid(it.productId)).filter(Boolean);
 
   const articleIds = isBlogJob
-    ? (job.items || []).map((it) => String(it.targetId || it.productId || "")).filter(Boolean)
+    ? (items || []).map((it) => String(it.targetId || it.productId || "")).filter(Boolean)
     : [];
 
-  const liveSeoMap = isImageJob
+  const collectionIds = isCollectionJob || isPageJob
+    ? (items || []).map((it) => String(it.targetId || it.productId || "")).filter(Boolean)
+    : [];
+
+  return isImageJob
     ? {}
-    : isBlogJob
+    : isTranslateJob
+      ? await fetchLiveTranslationSeo(admin, items)
+      : isBlogJob
       ? await fetchLiveArticleSeo(admin, articleIds)
-      : await fetchLiveProductSeo(admin, productIds);
-
-  const settings = await getSettingsFromMetafield(admin);
-
-  return { job, liveSeoMap, settings };
+      : isCollectionJob
+        ? await fetchLiveCollectionSeo(admin, collectionIds)
+        : isPageJob
+          ? await fetchLivePageSeo(admin, collectionIds)
+          : await fetchLiveProductSeo(admin, productIds);
 }
 
 /** ---------------- action ---------------- */
@@ -377,6 +476,12 @@ export async function action({ request, params }) {
 
   const isImageJob = String(job.jobType || "PRODUCT_SEO") === "ALT_TEXT_IMAGES";
   const isBlogJob = String(job.jobType || "PRODUCT_SEO") === "BLOG_SEO_META";
+  const isCollectionJob = String(job.jobType || "PRODUCT_SEO") === "COLLECTION_SEO";
+  const isPageJob = String(job.jobType || "PRODUCT_SEO") === "PAGE_SEO";
+  const isTranslateJob = String(job.jobType || "PRODUCT_SEO") === "TRANSLATE_SEO";
+
+  // Staff user behind this request (approvals / "published by")
+  const staff = staffUserFromSession(session);
 
   // Retry whole job (used for stuck recovery)
   if (intent === "retry_job_generate") {
@@ -422,6 +527,7 @@ export async function action({ request, params }) {
           publishOkCount: 0,
           publishFailedCount: 0,
           lastError: null,
+          publishRequestedBy: staff.label,
           lastHeartbeatAt: new Date(),
         },
       }),
@@ -443,17 +549,50 @@ export async function action({ request, params }) {
             seoTitle: x?.seoTitle == null ? null : String(x.seoTitle),
             seoDescription: x?.seoDescription == null ? null : String(x.seoDescription),
           }))
-          .filter((x) => (isImageJob ? x.id : x.productId))
+          .filter((x) => (isImageJob || isTranslateJob ? x.id : x.productId))
       : [];
 
     if (!valid.length) return { ok: false, error: "No items selected" };
 
+    // Edited approved / rejected drafts need a new review.
+    const reviewedRows = await prisma.seoJobItem.findMany({
+      where: { jobId, reviewStatus: { not: "draft" } },
+      select: { id: true, productId: true, seoTitle: true, seoDescription: true },
+    });
+    const editedIds = valid
+      .map((v) => {
+        const row = matchItemRow(reviewedRows, v, isImageJob || isTranslateJob);
+        return row && !sameReviewedText(row, v, isImageJob) ? row.id : null;
+      })
+      .filter(Boolean);
+    if (editedIds.length) {
+      await prisma.seoJobItem.updateMany({
+        where: { jobId, id: { in: editedIds } },
+        data: { reviewStatus: "draft", reviewedBy: null, reviewedByUserId: null, reviewedAt: null },
+      });
+    }
+
+    // Version history: last manual edit of the draft
+    const edited = { editedAt: new Date(), editedBy: staff.label };
+
+    if (isTranslateJob) {
+      await prisma.$transaction(
+        valid.map((v) =>
+          prisma.seoJobItem.updateMany({
+            where: { jobId, id: v.id },
+            data: { seoTitle: v.seoTitle, seoDescription: v.seoDescription, ...edited },
+          }),
+        ),
+      );
+      return { ok: true, intent: "save_draft_selected", saved: valid.map((v) => v.id) };
+    }
+
     if (isImageJob) {
       await prisma.$transaction(
         valid.map((v) =>
           prisma.seoJobItem.updateMany({
             where: { jobId, id: v.id },
-            data: { seoTitle: v.seoTitle },
+            data: { seoTitle: v.seoTitle, ...edited },
           }),
         ),
       );
@@ -467,6 +606,7 @@ export async function action({ request, params }) {
           data: {
             seoTitle: v.seoTitle,
             seoDescription: v.seoDescription,
+            ...edited,
           },
         }),
       ),
@@ -475,11 +615,45 @@ export async function action({ request, params }) {
     return { ok: true, intent: "save_draft_selected", saved: valid.map((v) => v.productId) };
   }
 
+  // Offline editing: CSV export of drafts + live values (excel=true -> UTF-8 BOM for Excel)
+  if (intent === "export_drafts_csv") {
+    const items = await prisma.seoJobItem.findMany({ where: { jobId }, orderBy: { id: "asc" } });
+    const liveSeoMap = await fetchLiveSeoForJob(admin, job, items);
+    const liveByItemId = {};
+    for (const it of items) {
+      liveByItemId[it.id] = isTranslateJob ? liveSeoMap[String(it.id)] : liveSeoMap[toProductGid(it.productId)];
+    }
+
+    const excel = String(formData.get("excel") || "") === "true";
+    const csv = buildDraftsCsv({ job, items, liveByItemId, excel });
+    return { ok: true, intent, csv, filename: `seo-drafts-${jobId}${excel ? "-excel" : ""}.csv` };
+  }
+
+  // CSV import: preview validates only; apply re-validates the same file and writes the valid rows.
+  if (intent === "preview_draft_import" || intent === "apply_draft_import") {
+    const status = String(job.status || "").toLowerCase();
+    if (status === "queued" || status === "running") {
+      return { ok: false, intent, error: "Job is still in progress. Import drafts after it finishes." };
+    }
+
+    const items = await prisma.seoJobItem.findMany({ where: { jobId }, orderBy: { id: "asc" } });
+    const settings = await getSettingsFromMetafield(admin);
+    const result = validateDraftImport({ job, items, csvText: String(formData.get("csv") || ""), settings });
+    if (!result.ok) return { ok: false, intent, error: result.error };
+
+    if (intent === "preview_draft_import") {
+      return { ok: true, intent, preview: result };
+    }
+
+    const updated = await applyDraftImport({ job, rows: result.rows, editedBy: staff.label });
+    return { ok: true, intent, imported: updated, summary: result.summary };
+  }
+
   if (intent === "publish_selected") {
     const itemsJson = String(formData.get("items") || "[]");
     const items = safeParse(itemsJson, []);
 
-    const valid = Array.isArray(items)
+    let valid = Array.isArray(items)
       ? items
           .map((x) => ({
             id: String(x?.id || "").trim(),
@@ -487,15 +661,101 @@ export async function action({ request, params }) {
             seoTitle: x?.seoTitle == null ? null : String(x.seoTitle),
             seoDescription: x?.seoDescription == null ? null : String(x.seoDescription),
           }))
-          .filter((x) => (isImageJob ? x.id : x.productId))
+          .filter((x) => (isImageJob || isTranslateJob ? x.id : x.productId))
       : [];
 
     if (!valid.length) {
       return { ok: false, error: "No items selected" };
     }
 
+    // Approval workflow: only approved items, with the text that was approved.
+    const settings = await getSettingsFromMetafield(admin);
+    let notApproved = 0;
+    if (settings?.requireApproval) {
+      const approvedRows = await prisma.seoJobItem.findMany({
+        where: { jobId, reviewStatus: "approved" },
+        select: { id: true, productId: true, seoTitle: true, seoDescription: true },
+      });
+      const approved = valid.filter((v) => {
+        const row = matchItemRow(approvedRows, v, isImageJob || isTranslateJob);
+        return row && sameReviewedText(row, v, isImageJob);
+      });
+      notApproved = valid.length - approved.length;
+      valid = approved;
+      if (!valid.length) {
+        return { ok: false, error: "None of the selected items are approved. Approve drafts (and save edits) before applying." };
+      }
+    }
+
     const onlyChanged = String(formData.get("onlyChanged") || "true") === "true";
 
+    if (isTranslateJob) {
+      // Items are per resource + locale -> keyed by item id; "only changed" compares with the live translation.
+      let filtered = valid;
+      if (onlyChanged) {
+        const rows = await prisma.seoJobItem.findMany({
+          where: { jobId, id: { in: valid.map((v) => v.id) } },
+        });
+        const liveMap = await fetchLiveTranslationSeo(admin, rows);
+        const mt = Boolean(job?.metaTitle ?? true);
+        const md = Boolean(job?.metaDescription ?? true);
+
+        filtered = valid.filter((v) => {
+          const live = liveMap?.[v.id];
+          if (!live) return true;
+          const titleChanged = String(v.seoTitle ?? "").trim() !== String(live.seoTitle ?? "").trim();
+          const descChanged = String(v.seoDescription ?? "").trim() !== String(live.seoDescription ?? "").trim();
+          return (mt && titleChanged) || (md && descChanged) || Boolean(live.outdated);
+        });
+      }
+
+      if (!filtered.length) {
+        return { ok: false, error: onlyChanged ? "No changes to apply" : "No items selected" };
+      }
+
+      const selectedIds = Array.from(new Set(filtered.map((v) => v.id)));
+
+      await prisma.$transaction([
+        prisma.seoJobItem.updateMany({
+          where: { jobId },
+          data: { publishStatus: "skipped", publishError: null },
+        }),
+        prisma.seoJobItem.updateMany({
+          where: { jobId, id: { in: selectedIds } },
+          data: { publishStatus: "queued", publishError: null, publishedAt: null },
+        }),
+        ...filtered.map((it) =>
+          prisma.seoJobItem.updateMany({
+            where: { jobId, id: it.id },
+            data: { seoTitle: it.seoTitle, seoDescription: it.seoDescription },
+          }),
+        ),
+      ]);
+
+      await prisma.seoJob.update({
+        where: { id: jobId },
+        data: {
+          phase: "publishing",
+          status: "queued",
+          publishStartedAt: new Date(),
+          publishFinishedAt: null,
+          publishOkCount: 0,
+          publishFailedCount: 0,
+          lastError: null,
+          publishRequestedBy: staff.label,
+        },
+      });
+
+      await enqueueSeoJob(jobId, "publish");
+      return {
+        ok: true,
+        intent: "publish_selected",
+        queued: filtered.length,
+        skipped: Math.max(0, valid.length - filtered.length),
+        notApproved,
+      };
+    }
+
     if (isImageJob) {
       // Only-changed check uses stored current alt text in seoDescription
       let filtered = valid;
@@ -541,6 +801,7 @@ export async function action({ request, params }) {
           publishOkCount: 0,
           publishFailedCount: 0,
           lastError: null,
+          publishRequestedBy: staff.label,
         },
       });
 
@@ -549,16 +810,21 @@ export async function action({ request, params }) {
 
     }
 
-    if (isBlogJob) {
-      // For BLOG_ARTICLE items, productId carries the Article GID.
+    if (isBlogJob || isCollectionJob || isPageJob) {
+      // For BLOG_ARTICLE / COLLECTION / PAGE items, productId carries the resource GID.
       let filtered = valid;
+      const toGid = isBlogJob ? toArticleGid : (id) => String(id || "").trim();
 
       if (onlyChanged) {
-        const gids = Array.from(new Set(valid.map((v) => toArticleGid(v.productId)).filter(Boolean)));
-        const liveMap = await fetchLiveArticleSeo(admin, gids);
+        const gids = Array.from(new Set(valid.map((v) => toGid(v.productId)).filter(Boolean)));
+        const liveMap = isBlogJob
+          ? await fetchLiveArticleSeo(admin, gids)
+          : isPageJob
+            ? await fetchLivePageSeo(admin, gids)
+            : await fetchLiveCollectionSeo(admin, gids);
 
         filtered = valid.filter((v) => {
-          const gid = toArticleGid(v.productId);
+          const gid = toGid(v.productId);
           const live = liveMap?.[gid];
           if (!live) return true;
 
@@ -567,7 +833,10 @@ export async function action({ request, params }) {
           const curTitle = String(live.seoTitle ?? "");
           const curDesc = String(live.seoDescription ?? "");
 
-          return nextTitle.trim() !== curTitle.trim() || nextDesc.trim() !== curDesc.trim();
+          // Collection / page jobs may be title-only / description-only.
+          const mt = isBlogJob || Boolean(job?.metaTitle ?? true);
+          const md = isBlogJob || Boolean(job?.metaDescription ?? true);
+          return (mt && nextTitle.trim() !== curTitle.trim()) || (md && nextDesc.trim() !== curDesc.trim());
         });
       }
 
@@ -604,6 +873,7 @@ export async function action({ request, params }) {
           publishOkCount: 0,
           publishFailedCount: 0,
           lastError: null,
+          publishRequestedBy: staff.label,
         },
       });
 
@@ -696,6 +966,7 @@ export async function action({ request, params }) {
         publishOkCount: 0,
         publishFailedCount: 0,
         lastError: null,
+        publishRequestedBy: staff.label,
       },
     });
 
@@ -705,6 +976,7 @@ export async function action({ request, params }) {
       intent: "publish_selected",
       queued: filtered.length,
       skipped: Math.max(0, valid.length - filtered.length),
+      notApproved,
     };
   }
 
@@ -735,7 +1007,7 @@ export async function action({ request, params }) {
       return {
         ok: false,
         code: reservation.code || "FREE_LIMIT_EXCEEDED",
-        error: "Free plan limit exceeded",
+        error: reservationErrorMessage(reservation.code),
         billing: reservation,
       };
     }
@@ -751,17 +1023,38 @@ export async function action({ request, params }) {
       if (r?.productId && r?.productTitle) titlesById[String(r.productId)] = String(r.productTitle);
     }
 
-    const newJob = await createGenerateJob({
-      shop: session.shop,
-      seed: {
-        language: String(job.language || "tr"),
-        settings: seedSettings,
-        fields: { metaTitle: Boolean(job.metaTitle ?? true), metaDescription: Boolean(job.metaDescription ?? true) },
-      },
-      usageReserved: true,
-      productIds,
-      productTitlesById: titlesById,
-    });
+    const seed = {
+      language: String(job.language || "tr"),
+      settings: seedSettings,
+      fields: { metaTitle: Boolean(job.metaTitle ?? true), metaDescription: Boolean(job.metaDescription ?? true) },
+      // Unchecked: unchanged products are answered from the AI result cache (no new AI call)
+      forceFresh: String(formData.get("forceFresh") || "") === "true",
+    };
+
+    const newJob = isCollectionJob
+      ? await createCollectionSeoJob({
+          shop: session.shop,
+          seed,
+          usageReserved: true,
+          reservation,
+          collections: productIds.map((id) => ({ collectionId: id, title: titlesById[id] || null })),
+        })
+      : isPageJob
+        ? await createPageSeoJob({
+            shop: session.shop,
+            seed,
+            usageReserved: true,
+            reservation,
+            pages: productIds.map((id) => ({ pageId: id, title: titlesById[id] || null })),
+          })
+        : await createGenerateJob({
+          shop: session.shop,
+          seed,
+          usageReserved: true,
+          reservation,
+          productIds,
+          productTitlesById: titlesById,
+        });
 
     await enqueueSeoJob(newJob.id, "generate");
     return { ok: true, intent, newJobId: newJob.id };
@@ -790,13 +1083,25 @@ export async function action({ request, params }) {
 
     const idsAll = Array.from(new Set(productIds.flatMap((p) => productIdVariants(p))));
 
-    const failedCount = await prisma.seoJobItem.count({
-      where: { jobId, productId: { in: idsAll }, publishStatus: "failed" },
-    });
+    // Only failed items are retried; with the approval workflow on, only approved ones.
+    const settings = await getSettingsFromMetafield(admin);
+    const retryWhere = {
+      jobId,
+      productId: { in: idsAll },
+      publishStatus: "failed",
+      ...(settings?.requireApproval ? { reviewStatus: "approved" } : {}),
+    };
+    const failedCount = await prisma.seoJobItem.count({ where: retryWhere });
+    if (!failedCount) {
+      return {
+        ok: false,
+        error: settings?.requireApproval ? "No approved failed items to retry" : "No failed items to retry",
+      };
+    }
 
     await prisma.$transaction([
       prisma.seoJobItem.updateMany({
-        where: { jobId, productId: { in: idsAll } },
+        where: retryWhere,
         data: {
           publishStatus: "queued",
           publishError: null,
@@ -811,13 +1116,14 @@ export async function action({ request, params }) {
           publishFinishedAt: null,
           publishStartedAt: new Date(),
           lastError: null,
-          ...(failedCount ? { publishFailedCount: { decrement: failedCount } } : {}),
+          publishRequestedBy: staff.label,
+          publishFailedCount: { decrement: failedCount },
         },
       }),
     ]);
 
     await enqueueSeoJob(jobId, "publish");
-    return { ok: true, intent: "retry_failed_publish", retried: idsAll.length };
+    return { ok: true, intent: "retry_failed_publish", retried: failedCount };
   }
 
   if (intent === "retry_failed_generate") {
@@ -844,6 +1150,25 @@ export async function action({ request, params }) {
       where: { jobId, productId: { in: idsAll }, status: "failed" },
     });
 
+    // Usage refunded for these items is reserved again first (no free generations on retry).
+    const retryRows = await prisma.seoJobItem.findMany({
+      where: { jobId, productId: { in: idsAll } },
+      select: { id: true },
+    });
+    const reservation = await reserveRetryUsage(session.shop, jobId, retryRows.map((r) => r.id));
+    if (!reservation.ok) {
+      return jsonResponse(
+        {
+          ok: false,
+          intent,
+          code: reservation.code || "FREE_LIMIT_EXCEEDED",
+          error: reservationErrorMessage(reservation.code),
+          billing: reservation,
+        },
+        402,
+      );
+    }
+
     await prisma.$transaction([
       prisma.seoJobItem.updateMany({
         where: { jobId, productId: { in: idsAll } },
@@ -870,9 +1195,181 @@ export async function action({ request, params }) {
     await enqueueSeoJob(jobId, "generate");
     return { ok: true, intent: "retry_failed_generate", retried: idsAll.length };
   }
+  // Translate this job's resources into other shop locales (new TRANSLATE_SEO job)
+  if (intent === "start_translate") {
+    const targetType = TRANSLATABLE_JOB_TYPES[String(job.jobType || "PRODUCT_SEO")];
+    if (!targetType) return { ok: false, error: "This job type cannot be translated" };
+
+    const { primaryLocale, targetLocales } = await fetchTranslationLocales(admin);
+    const allowed = new Set(targetLocales.map((l) => l.locale));
+    const requested = safeParse(String(formData.get("locales") || "[]"), []);
+    const locales = (Array.isArray(requested) ? requested : [])
+      .map((l) => String(l || "").trim())
+      .filter((l) => allowed.has(l));
+
+    if (!locales.length) return { ok: false, error: "Select at least one language" };
+
+    const rows = await prisma.seoJobItem.findMany({
+      where: { jobId, status: "success" },
+      select: { targetId: true, productId: true, productTitle: true },
+    });
+
+    const seen = new Set();
+    const resources = [];
+    for (const r of rows) {
+      const resourceId = toTranslatableResourceId(targetType, r.targetId || r.productId);
+      if (!resourceId || seen.has(resourceId)) continue;
+      seen.add(resourceId);
+      resources.push({ targetType, resourceId, title: r.productTitle || null });
+    }
+
+    if (!resources.length) return { ok: false, error: "No generated items to translate" };
+
+    // Every resource x locale is one AI call -> counts as usage.
+    const reservation = await reserveIfFreePlan({
+      shop: session.shop,
+      productCount: resources.length * locales.length,
+    });
+    if (!reservation.ok) {
+      return {
+        ok: false,
+        code: reservation.code || "FREE_LIMIT_EXCEEDED",
+        error: reservationErrorMessage(reservation.code),
+        billing: reservation,
+      };
+    }
+
+    const newJob = await createTranslateSeoJob({
+      shop: session.shop,
+      seed: {
+        language: primaryLocale || String(job.language || "tr"),
+        settings: safeParse(String(job.settingsJson || "{}"), {}),
+        fields: { metaTitle: Boolean(job.metaTitle ?? true), metaDescription: Boolean(job.metaDescription ?? true) },
+      },
+      sourceJobId: jobId,
+      resources,
+      locales,
+      usageReserved: true,
+      reservation,
+    });
+
+    await enqueueSeoJob(newJob.id, "generate");
+    return { ok: true, intent, newJobId: newJob.id };
+  }
+
+  // Revert: restore pre-publish values (snapshot taken by the worker on publish)
+  if (intent === "revert_selected" || intent === "revert_job") {
+    let itemIds = null;
+    if (intent === "revert_selected") {
+      const itemsJson = String(formData.get("items") || "[]");
+      const maybe = safeParse(itemsJson, []);
+      itemIds = Array.isArray(maybe) ? maybe.map((x) => String(x?.id || "").trim()).filter(Boolean) : [];
+      if (!itemIds.length) return { ok: false, error: "No items selected" };
+    }
+
+    const res = await startRevertPhase({ shop: session.shop, jobId, itemIds, requestedBy: staff.label });
+    if (!res.ok) return { ok: false, error: res.message };
+    return { ok: true, intent, reverting: res.count };
+  }
+
+  // Conflict (live SEO changed since generation): overwrite anyway -> re-queue without the check, or skip.
+  if (intent === "resolve_conflict") {
+    const itemId = String(formData.get("itemId") || "").trim();
+    const resolution = String(formData.get("resolution") || "").trim();
+    if (!itemId || !["overwrite", "skip"].includes(resolution)) return { ok: false, error: "Invalid conflict resolution" };
+
+    const item = await prisma.seoJobItem.findFirst({ where: { id: itemId, jobId, publishStatus: "conflict" } });
+    if (!item) return { ok: false, error: "Item has no pending conflict" };
+
+    if (resolution === "skip") {
+      await prisma.seoJobItem.update({
+        where: { id: itemId },
+        data: { publishStatus: "skipped", publishError: null, conflictSeoTitle: null, conflictSeoDescription: null },
+      });
+      return { ok: true, intent, resolution };
+    }
+
+    // Busy guard (same as startRevertPhase): never flip a running publish / revert back to publishing.
+    const started = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.seoJob.updateMany({
+        where: { id: jobId, status: { notIn: ["queued", "running"] }, phase: { in: ["published", "generated"] } },
+        data: { status: "queued", phase: "publishing", publishFinishedAt: null, lastError: null },
+      });
+      if (!claimed.count) return false;
+      await tx.seoJobItem.update({
+        where: { id: itemId },
+        data: { publishStatus: "queued", publishError: null, publishedAt: null, conflictOverride: true },
+      });
+      return true;
+    });
+    if (!started) {
+      return { ok: false, error: "Job is still in progress or being reverted. Wait for it to finish before overwriting." };
+    }
+
+    await enqueueSeoJob(jobId, "publish");
+    return { ok: true, intent, resolution };
+  }
+
+  // Approval workflow: approve / reject drafts (with an optional reviewer comment).
+  if (intent === "review_items") {
+    const decision = String(formData.get("decision") || "");
+    if (!["approved", "rejected", "draft"].includes(decision)) return { ok: false, error: "Invalid review decision" };
+
+    const settings = await getSettingsFromMetafield(admin);
+    if (!canReviewDrafts(settings, staff)) {
+      return { ok: false, error: "Only approvers can approve or reject drafts (Settings → Approval workflow)." };
+    }
+
+    const itemIds = safeParse(String(formData.get("itemIds") || "[]"), [])
+      .map((x) => String(x || "").trim())
+      .filter(Boolean);
+    if (!itemIds.length) return { ok: false, error: "No items selected" };
+
+    // Writers and approvers are separate: nobody approves a draft they edited themselves.
+    let ownEdits = 0;
+    const ownEditsFilter =
+      decision === "approved" ? { OR: [{ editedBy: null }, { editedBy: { notIn: editedByNames(staff) } }] } : {};
+    if (decision === "approved") {
+      ownEdits = await prisma.seoJobItem.count({
+        where: { jobId, id: { in: itemIds }, status: "success", editedBy: { in: editedByNames(staff) } },
+      });
+    }
+
+    const comment = String(formData.get("comment") || "").trim().slice(0, 1000);
+    const res = await prisma.seoJobItem.updateMany({
+      // Only items with a draft can be reviewed
+      where: { jobId, id: { in: itemIds }, status: "success", ...ownEditsFilter },
+      data:
+        decision === "draft"
+          ? { reviewStatus: "draft", reviewedBy: null, reviewedByUserId: null, reviewedAt: null }
+          : {
+              reviewStatus: decision,
+              reviewComment: comment || null,
+              reviewedBy: staff.label,
+              reviewedByUserId: staff.userId,
+              reviewedAt: new Date(),
+            },
+    });
+    if (!res.count && ownEdits) {
+      return { ok: false, error: "You edited these drafts yourself. Another approver has to approve them." };
+    }
+    return { ok: true, intent, decision, reviewed: res.count, ownEdits };
+  }
+
   if (intent === "start_publish_all") {
+    // Approval workflow: approved drafts only, the rest is skipped.
+    const settings = await getSettingsFromMetafield(admin);
+    if (settings?.requireApproval) {
+      const approvedCount = await prisma.seoJobItem.count({ where: { jobId, reviewStatus: "approved" } });
+      if (!approvedCount) return { ok: false, error: "No approved items to publish." };
+      await prisma.seoJobItem.updateMany({
+        where: { jobId, reviewStatus: { not: "approved" } },
+        data: { publishStatus: "skipped", publishError: null },
+      });
+    }
+
     await prisma.seoJobItem.updateMany({
-      where: { jobId },
+      where: { jobId, ...(settings?.requireApproval ? { reviewStatus: "approved" } : {}) },
       data: { publishStatus: "queued", publishError: null, publishedAt: null },
     });
 
@@ -886,6 +1383,7 @@ export async function action({ request, params }) {
         publishOkCount: 0,
         publishFailedCount: 0,
         lastError: null,
+        publishRequestedBy: staff.label,
       },
     });
 
@@ -932,8 +1430,10 @@ function computeSingleBadge({
   publishedBaseline,  // ✅ Shopify'daki canlı (published) değerler
   publishStatus,
   dbPublishedAt,
+  revertStatus,
 }) {
   const ps = String(publishStatus || "").toLowerCase();
+  const rs = String(revertStatus || "").toLowerCase();
 
   const publishRunning = isPublishRunningStatus(ps);
   const publishFailed = ps === "failed";
@@ -971,6 +1471,12 @@ function computeSingleBadge({
 
   if (publishRunning) return { tone: "info", label: "Publishing" };
   if (publishFailed) return { tone: "critical", label: "Failed" };
+  if (ps === "conflict") return { tone: "warning", label: "Conflict" };
+
+  // Revert state wins over Published/Edited (live value is the pre-publish one again).
+  if (rs === "queued" || rs === "running") return { tone: "info", label: "Reverting" };
+  if (rs === "failed") return { tone: "critical", label: "Revert failed" };
+  if (rs === "success") return { tone: "subdued", label: "Reverted" };
 
   // NOTE:
   // We don't show a separate "Selected" badge state.
@@ -1004,8 +1510,9 @@ function computeSingleBadge({
 
 // Image badge uses DB current alt text (stored in seoDescription) as baseline,
 // so after publish the badge correctly becomes Published instead of staying Edited.
-function computeImageBadge({ draftAlt, currentAlt, publishStatus, dbPublishedAt }) {
+function computeImageBadge({ draftAlt, currentAlt, publishStatus, dbPublishedAt, revertStatus }) {
   const ps = String(publishStatus || "").toLowerCase();
+  const rs = String(revertStatus || "").toLowerCase();
   const publishRunning = isPublishRunningStatus(ps);
   const publishFailed = ps === "failed";
   const publishedAtMs = toMs(dbPublishedAt);
@@ -1018,6 +1525,10 @@ function computeImageBadge({ draftAlt, currentAlt, publishStatus, dbPublishedAt
   if (publishRunning) return { tone: "info", label: "Publishing" };
   if (publishFailed) return { tone: "critical", label: "Failed" };
 
+  if (rs === "queued" || rs === "running") return { tone: "info", label: "Reverting" };
+  if (rs === "failed") return { tone: "critical", label: "Revert failed" };
+  if (rs === "success" && !isEdited) return { tone: "subdued", label: "Reverted" };
+
   if (isEdited) return { tone: "warning", label: "Edited" };
 
   if (isPublished) return { tone: "success", label: "Published" };
@@ -1025,6 +1536,326 @@ function computeImageBadge({ draftAlt, currentAlt, publishStatus, dbPublishedAt
   return { tone: "attention", label: "Unpublished" };
 }
 
+// How the worker produced the ALT draft (SeoJobItem.altTextMode).
+function altTextModeLabel(mode) {
+  const m = String(mode || "").toLowerCase();
+  if (m === "vision") return "Vision";
+  if (m === "fallback") return "Text (vision failed)";
+  return "Text only";
+}
+
+function altTextModeHelp(it) {
+  const m = String(it?.altTextMode || "").toLowerCase();
+  if (m === "vision") return "Generated by looking at the image itself.";
+  if (m === "fallback") {
+    return `Vision request failed, generated from product title/description.${it?.altTextModeNote ? ` Reason: ${it.altTextModeNote}` : ""}`;
+  }
+  return "Generated from product title/description (AI provider has no image input).";
+}
+
+const REVIEW_BADGES = {
+  draft: { tone: "attention", label: "Awaiting review" },
+  approved: { tone: "success", label: "Approved" },
+  rejected: { tone: "critical", label: "Rejected" },
+};
+
+// Generated alternatives (settings.variantCount > 1): pick one title and one description, they can be
+// mixed freely. Picking only changes the draft; "Save draft" / "Apply selected" work as usual.
+function CandidatePicker({ candidates, fields, draftTitle, draftDesc, busy, onPick }) {
+  const groups = [
+    fields.metaTitle ? { field: "title", label: "Title alternatives", draftField: "seoTitle", current: draftTitle } : null,
+    fields.metaDescription
+      ? { field: "description", label: "Description alternatives", draftField: "seoDescription", current: draftDesc }
+      : null,
+  ]
+    .filter(Boolean)
+    .map((g) => ({ ...g, options: (candidates || []).filter((c) => c.field === g.field) }))
+    .filter((g) => g.options.length > 1);
+
+  if (!groups.length) return null;
+
+  return (
+    <Box padding="300" background="bg-surface-secondary" borderRadius="200">
+      <BlockStack gap="300">
+        {groups.map((g) => (
+          <BlockStack key={g.field} gap="150">
+            <Text as="p" variant="bodySm" fontWeight="semibold">
+              {g.label}
+            </Text>
+            {g.options.map((c) => {
+              const inDraft = c.text === g.current;
+              return (
+                <InlineStack key={c.id} gap="200" blockAlign="center" align="space-between" wrap={false}>
+                  <InlineStack gap="200" blockAlign="center" wrap={false}>
+                    <Badge tone={c.score >= 80 ? "success" : c.score >= 60 ? "warning" : "critical"}>{`${c.score}`}</Badge>
+                    <Text as="p" variant="bodySm" breakWord>
+                      {c.text}
+                    </Text>
+                    {c.selected ? <Badge tone="info">Best</Badge> : null}
+                  </InlineStack>
+                  <Button size="slim" onClick={() => onPick(g.draftField, c.text)} disabled={busy || inDraft}>
+                    {inDraft ? "In draft" : "Use"}
+                  </Button>
+                </InlineStack>
+              );
+            })}
+          </BlockStack>
+        ))}
+        <Text as="p" variant="bodySm" tone="subdued">
+          Score: quality of the alternative together with the best-scoring value of the other field.
+        </Text>
+      </BlockStack>
+    </Box>
+  );
+}
+
+// Approval workflow (settings.requireApproval): review state + approve / reject with a comment.
+function ReviewPanel({ it, requireApproval, busy, onReview }) {
+  const [comment, setComment] = useState("");
+  const rs = String(it?.reviewStatus || "draft").toLowerCase();
+  const hasDraft = String(it?.status || "").toLowerCase() === "success";
+
+  if (!requireApproval && rs === "draft" && !it?.publishedBy) return null;
+  const badge = REVIEW_BADGES[rs] || REVIEW_BADGES.draft;
+
+  return (
+    <Box padding="200" background="bg-surface-secondary" borderRadius="200">
+      <BlockStack gap="200">
+        <InlineStack gap="200" blockAlign="center" wrap>
+          {requireApproval || rs !== "draft" ? <Badge tone={badge.tone}>{badge.label}</Badge> : null}
+          {it?.reviewedBy && rs !== "draft" ? (
+            <Text as="span" variant="bodySm" tone="subdued">
+              {`by ${it.reviewedBy}${it.reviewedAt ? ` · ${new Date(it.reviewedAt).toLocaleString()}` : ""}`}
+            </Text>
+          ) : null}
+          {it?.publishedBy ? (
+            <Text as="span" variant="bodySm" tone="subdued">
+              {`Published by ${it.publishedBy}`}
+            </Text>
+          ) : null}
+        </InlineStack>
+
+        {it?.reviewComment ? (
+          <Text as="p" variant="bodySm">
+            {`Reviewer comment: ${it.reviewComment}`}
+          </Text>
+        ) : null}
+
+        {requireApproval && hasDraft ? (
+          <InlineStack gap="200" blockAlign="end" wrap>
+            <Box minWidth="280px">
+              <TextField
+                label="Reviewer comment"
+                labelHidden
+                placeholder="Comment for the writer (optional)"
+                value={comment}
+                onChange={setComment}
+                autoComplete="off"
+              />
+            </Box>
+            <Button size="slim" onClick={() => onReview([it.id], "approved", comment)} disabled={busy || rs === "approved"}>
+              Approve
+            </Button>
+            <Button
+              size="slim"
+              tone="critical"
+              onClick={() => onReview([it.id], "rejected", comment)}
+              disabled={busy || rs === "rejected"}
+            >
+              Reject
+            </Button>
+          </InlineStack>
+        ) : null}
+      </BlockStack>
+    </Box>
+  );
+}
+
+const IMPORT_FIELD_LABELS = { seoTitle: "Title", seoDescription: "Description" };
+const IMPORT_PREVIEW_LIMIT = 100;
+
+function downloadCsv(csv, filename) {
+  if (typeof window === "undefined") return;
+  const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.URL.revokeObjectURL(url);
+}
+
+// Offline editing: export drafts to CSV, import an edited file (preview diff -> write drafts).
+function DraftCsvCard({ isImageJob, disabled, onImported }) {
+  const fetcher = useFetcher();
+  const [fileName, setFileName] = useState("");
+  const [csvText, setCsvText] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (fetcher.state !== "idle") return;
+    const d = fetcher.data;
+    if (!d || typeof d !== "object") return;
+
+    if (!d.ok) {
+      setMessage({ tone: "critical", text: d.error || "Import failed" });
+      return;
+    }
+    if (d.intent === "export_drafts_csv") downloadCsv(d.csv, d.filename || "seo-drafts.csv");
+    else if (d.intent === "preview_draft_import") {
+      setPreview(d.preview);
+      setMessage(null);
+    } else if (d.intent === "apply_draft_import") {
+      onImported?.(Array.isArray(d.imported) ? d.imported : []);
+      setPreview(null);
+      setCsvText("");
+      setFileName("");
+      setMessage(null);
+    }
+  }, [fetcher.state, fetcher.data, onImported]);
+
+  const busy = fetcher.state !== "idle";
+
+  const exportCsv = (excel) => {
+    const fd = new FormData();
+    fd.set("intent", "export_drafts_csv");
+    fd.set("excel", String(excel));
+    fetcher.submit(fd, { method: "post" });
+  };
+
+  const onDrop = async (_files, accepted) => {
+    const file = accepted?.[0];
+    if (!file) return;
+    const text = await file.text();
+    setFileName(file.name);
+    setCsvText(text);
+    setMessage(null);
+
+    const fd = new FormData();
+    fd.set("intent", "preview_draft_import");
+    fd.set("csv", text);
+    fetcher.submit(fd, { method: "post" });
+  };
+
+  const applyImport = () => {
+    const fd = new FormData();
+    fd.set("intent", "apply_draft_import");
+    fd.set("csv", csvText);
+    fetcher.submit(fd, { method: "post" });
+  };
+
+  const shownRows = (preview?.rows || []).filter((r) => r.status !== "unchanged").slice(0, IMPORT_PREVIEW_LIMIT);
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text as="h2" variant="headingMd">
+            Edit drafts offline (CSV)
+          </Text>
+          <InlineStack gap="200">
+            <Button onClick={() => exportCsv(false)} disabled={busy}>
+              Export CSV
+            </Button>
+            <Button onClick={() => exportCsv(true)} disabled={busy}>
+              Export for Excel
+            </Button>
+          </InlineStack>
+        </InlineStack>
+        <Text as="p" variant="bodySm" tone="subdued">
+          {`Edit the ${isImageJob ? "draft_alt_text" : "draft_seo_title / draft_seo_description"} column(s) and import the file. Keep item_id; empty cells keep the current draft.`}
+        </Text>
+
+        <DropZone
+          accept=".csv,text/csv,text/plain"
+          type="file"
+          allowMultiple={false}
+          onDrop={onDrop}
+          disabled={disabled || busy}
+        >
+          {fileName ? (
+            <Box padding="300">
+              <Text as="p" variant="bodySm">
+                {fileName}
+              </Text>
+            </Box>
+          ) : (
+            <DropZone.FileUpload actionTitle="Import CSV" actionHint="Accepts .csv (comma, semicolon or tab separated)" />
+          )}
+        </DropZone>
+
+        {message ? (
+          <Banner tone={message.tone} onDismiss={() => setMessage(null)}>
+            <Text as="p" variant="bodyMd">
+              {message.text}
+            </Text>
+          </Banner>
+        ) : null}
+
+        {preview ? (
+          <BlockStack gap="200">
+            <InlineStack gap="200" wrap>
+              <Badge tone="success">{`${preview.summary.update} to update`}</Badge>
+              <Badge>{`${preview.summary.unchanged} unchanged`}</Badge>
+              {preview.summary.invalid ? <Badge tone="critical">{`${preview.summary.invalid} invalid (skipped)`}</Badge> : null}
+            </InlineStack>
+
+            {shownRows.map((r) => (
+              <Box key={`${r.line}-${r.itemId}`} padding="200" background="bg-surface-secondary" borderRadius="200">
+                <BlockStack gap="100">
+                  <Text as="p" variant="bodySm" fontWeight="semibold">
+                    {`Row ${r.line}: ${r.title || r.resourceId || r.itemId || "-"}${r.locale ? ` (${r.locale})` : ""}`}
+                  </Text>
+                  {r.errors.map((e) => (
+                    <Text key={e} as="p" variant="bodySm" tone="critical">
+                      {e}
+                    </Text>
+                  ))}
+                  {Object.keys(r.after || {})
+                    .filter((f) => r.after[f] !== r.before[f])
+                    .map((f) => (
+                      <BlockStack key={f} gap="050">
+                        <Text as="p" variant="bodySm" tone="subdued">
+                          {`${isImageJob ? "ALT text" : IMPORT_FIELD_LABELS[f]}: ${r.before[f] || "(empty)"}`}
+                        </Text>
+                        <Text as="p" variant="bodySm">
+                          {`→ ${r.after[f] || "(empty)"}`}
+                        </Text>
+                      </BlockStack>
+                    ))}
+                </BlockStack>
+              </Box>
+            ))}
+            {preview.summary.update + preview.summary.invalid > shownRows.length ? (
+              <Text as="p" variant="bodySm" tone="subdued">
+                {`Showing the first ${shownRows.length} rows.`}
+              </Text>
+            ) : null}
+
+            <InlineStack gap="200">
+              <Button variant="primary" onClick={applyImport} disabled={busy || disabled || !preview.summary.update} loading={busy}>
+                {`Import ${preview.summary.update} draft(s)`}
+              </Button>
+              <Button
+                onClick={() => {
+                  setPreview(null);
+                  setCsvText("");
+                  setFileName("");
+                }}
+                disabled={busy}
+              >
+                Cancel
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        ) : null}
+      </BlockStack>
+    </Card>
+  );
+}
 
 /** ---------------- component ---------------- */
 export default function GenerationDetails() {
@@ -1032,7 +1863,7 @@ export default function GenerationDetails() {
   hookupJobIdGuard(jobId);
 
   // Loader returns job + liveSeoMap + settings (from metafield). We use settings for preview/quality.
-  const { job: jobFromLoader, liveSeoMap, settings } = useLoaderData();
+  const { job: jobFromLoader, liveSeoMap, settings, translation } = useLoaderData();
 
   const poller = useFetcher();
   const actionFetcher = useFetcher();
@@ -1047,6 +1878,8 @@ export default function GenerationDetails() {
   const [showCompare, setShowCompare] = useState(true);
   const [showFailedOnly, setShowFailedOnly] = useState(false);
   const [applyOnlyChanged, setApplyOnlyChanged] = useState(true);
+  const [regenerateFresh, setRegenerateFresh] = useState(false);
+  const [translateLocales, setTranslateLocales] = useState([]);
 
   // P1-7: toast UX
   const [toast, setToast] = useState(null);
@@ -1090,7 +1923,7 @@ export default function GenerationDetails() {
         d.intent === "save_draft_selected"
           ? "Draft saved"
           : d.intent === "publish_selected"
-            ? `Apply queued (${Number(d.queued || 0)})${Number(d.skipped || 0) ? `, skipped (${Number(d.skipped || 0)} no changes)` : ""}`
+            ? `Apply queued (${Number(d.queued || 0)})${Number(d.skipped || 0) ? `, skipped (${Number(d.skipped || 0)} no changes)` : ""}${Number(d.notApproved || 0) ? `, ${Number(d.notApproved)} not approved` : ""}`
           : d.intent === "regenerate_selected"
             ? "Regenerate queued (new job)"
             : d.intent === "regenerate_failed"
@@ -1101,8 +1934,14 @@ export default function GenerationDetails() {
               ? `Retry queued (${Number(d.retried || 0)})`
               : d.intent === "retry_job_publish"
                 ? "Retry apply queued"
+                : d.intent === "revert_selected" || d.intent === "revert_job"
+                  ? `Revert queued (${Number(d.reverting || 0)})`
                 : d.intent === "retry_job_generate"
                   ? "Retry generate queued"
+                : d.intent === "resolve_conflict"
+                  ? d.resolution === "skip" ? "Item skipped" : "Overwrite queued"
+                : d.intent === "review_items"
+                  ? `${d.decision === "approved" ? "Approved" : d.decision === "rejected" ? "Rejected" : "Reset to draft"} (${Number(d.reviewed || 0)})${d.ownEdits ? ` · ${Number(d.ownEdits)} skipped (your own edits)` : ""}`
               : "Action queued";
 
       setToast({ content: msg, error: false });
@@ -1143,13 +1982,17 @@ export default function GenerationDetails() {
   const loading = !job;
 
   const isImageJob = useMemo(() => String(job?.jobType || "PRODUCT_SEO") === "ALT_TEXT_IMAGES", [job?.jobType]);
+  const isCollectionJob = useMemo(() => String(job?.jobType || "PRODUCT_SEO") === "COLLECTION_SEO", [job?.jobType]);
+  const isPageJob = useMemo(() => String(job?.jobType || "PRODUCT_SEO") === "PAGE_SEO", [job?.jobType]);
+  const isTranslateJob = useMemo(() => String(job?.jobType || "PRODUCT_SEO") === "TRANSLATE_SEO", [job?.jobType]);
 
+  // IMAGE and TRANSLATE_SEO items share a productId (parent product / resource) -> key by item id.
   const itemKey = useCallback(
     (it) => {
       if (!it) return "";
-      return isImageJob ? String(it.id || "") : String(it.productId || "");
+      return isImageJob || isTranslateJob ? String(it.id || "") : String(it.productId || "");
     },
-    [isImageJob],
+    [isImageJob, isTranslateJob],
   );
 
   const fields = useMemo(() => {
@@ -1161,6 +2004,9 @@ export default function GenerationDetails() {
 
   const items = useMemo(() => (Array.isArray(job?.items) ? job.items : []), [job?.items]);
 
+  // Approval workflow: only approved drafts are published
+  const requireApproval = Boolean(settings?.requireApproval);
+
   const hydratedRef = useRef(false);
 
   useEffect(() => {
@@ -1313,6 +2159,23 @@ export default function GenerationDetails() {
     });
   }, [jobId, items, itemKey]);
 
+  // CSV import wrote new drafts -> replace local edits (they would otherwise win over the polled values)
+  const applyImportedDrafts = useCallback(
+    (imported) => {
+      const next = {};
+      for (const it of imported || []) {
+        const k = itemKey(it);
+        if (!k) continue;
+        next[k] = { seoTitle: String(it.seoTitle ?? ""), seoDescription: String(it.seoDescription ?? ""), draftSavedAt: null };
+      }
+      if (!Object.keys(next).length) return;
+      setDraftEdits((prev) => ({ ...(prev || {}), ...next }));
+      setDraftSavedSnapshot((prev) => ({ ...(prev || {}), ...next }));
+      setToast({ content: `Imported ${Object.keys(next).length} draft(s). Review and publish when ready.` });
+    },
+    [itemKey],
+  );
+
   const saveDraftSelected = useCallback(() => {
     if (!jobId) return;
     if (!selectedIds.length) return;
@@ -1327,6 +2190,13 @@ export default function GenerationDetails() {
           seoTitle: String(edit.seoTitle ?? ""),
         };
       }
+      if (isTranslateJob) {
+        return {
+          id: String(k),
+          seoTitle: fields.metaTitle ? String(edit.seoTitle ?? "") : null,
+          seoDescription: fields.metaDescription ? String(edit.seoDescription ?? "") : null,
+        };
+      }
       return {
         productId: String(k),
         seoTitle: fields.metaTitle ? String(edit.seoTitle ?? "") : null,
@@ -1344,7 +2214,7 @@ export default function GenerationDetails() {
     setDraftSavedSnapshot((prev) => {
       const next = { ...(prev || {}) };
       for (const row of payload) {
-        const key = isImageJob ? String(row.id || "") : String(row.productId || "");
+        const key = isImageJob || isTranslateJob ? String(row.id || "") : String(row.productId || "");
         if (!key) continue;
         const prevItem = next[key] || {};
         next[key] = {
@@ -1371,7 +2241,7 @@ export default function GenerationDetails() {
       }
       return next;
     });
-  }, [jobId, selectedIds, draftEdits, fields, actionFetcher, isImageJob]);
+  }, [jobId, selectedIds, draftEdits, fields, actionFetcher, isImageJob, isTranslateJob]);
 
   const publishSelected = useCallback(() => {
     if (!jobId) return;
@@ -1390,6 +2260,14 @@ export default function GenerationDetails() {
         };
       }
 
+      if (isTranslateJob) {
+        return {
+          id: String(k),
+          seoTitle: fields.metaTitle ? String(edit.seoTitle ?? baseTitle) : null,
+          seoDescription: fields.metaDescription ? String(edit.seoDescription ?? baseDesc) : null,
+        };
+      }
+
       return {
         productId: String(k),
         seoTitle: fields.metaTitle ? String(edit.seoTitle ?? baseTitle) : null,
@@ -1402,7 +2280,7 @@ export default function GenerationDetails() {
     fd.set("items", JSON.stringify(payload));
     fd.set("onlyChanged", applyOnlyChanged ? "true" : "false");
     actionFetcher.submit(fd, { method: "post" });
-  }, [jobId, selectedIds, draftEdits, fields, actionFetcher, items, applyOnlyChanged, isImageJob, itemKey]);
+  }, [jobId, selectedIds, draftEdits, fields, actionFetcher, items, applyOnlyChanged, isImageJob, isTranslateJob, itemKey]);
 
   const regenerateSelected = useCallback((onlyFailed = false) => {
     if (!jobId) return;
@@ -1425,8 +2303,9 @@ export default function GenerationDetails() {
     const fd = new FormData();
     fd.set("intent", onlyFailed ? "regenerate_failed" : "regenerate_selected");
     fd.set("items", JSON.stringify(payload));
+    fd.set("forceFresh", regenerateFresh ? "true" : "false");
     actionFetcher.submit(fd, { method: "post" });
-  }, [jobId, selectedIds, selected, items, actionFetcher]);
+  }, [jobId, selectedIds, selected, items, actionFetcher, regenerateFresh]);
 
   const retryFailedPublish = useCallback((onlySelected = true) => {
     if (!jobId) return;
@@ -1445,6 +2324,30 @@ export default function GenerationDetails() {
     actionFetcher.submit(fd, { method: "post" });
   }, [jobId, items, selected, actionFetcher]);
 
+  const reviewItems = useCallback((itemIds, decision, comment = "") => {
+    if (!jobId || !itemIds?.length) return;
+    const fd = new FormData();
+    fd.set("intent", "review_items");
+    fd.set("itemIds", JSON.stringify(itemIds.map(String)));
+    fd.set("decision", decision);
+    fd.set("comment", String(comment || ""));
+    actionFetcher.submit(fd, { method: "post" });
+  }, [jobId, actionFetcher]);
+
+  const approveSelected = useCallback(() => {
+    const ids = items.filter((it) => Boolean(selected[itemKey(it)])).map((it) => it.id);
+    reviewItems(ids, "approved");
+  }, [items, selected, itemKey, reviewItems]);
+
+  const resolveConflict = useCallback((itemId, resolution) => {
+    if (!jobId || !itemId) return;
+    const fd = new FormData();
+    fd.set("intent", "resolve_conflict");
+    fd.set("itemId", String(itemId));
+    fd.set("resolution", resolution);
+    actionFetcher.submit(fd, { method: "post" });
+  }, [jobId, actionFetcher]);
+
   const retryFailedGenerate = useCallback((onlySelected = true) => {
     if (!jobId) return;
 
@@ -1463,14 +2366,93 @@ export default function GenerationDetails() {
   }, [jobId, items, selected, actionFetcher]);
 
 
+  // Revertable = published by this job and the worker captured a pre-publish snapshot.
+  const isRevertable = useCallback(
+    (it) => isPublishSuccessStatus(it?.publishStatus) && Boolean(it?.snapshotAt),
+    [],
+  );
+
+  const revertSelectedCount = useMemo(() => {
+    return items.filter((it) => {
+      const k = itemKey(it);
+      return k && Boolean(selected[k]) && isRevertable(it);
+    }).length;
+  }, [items, selected, itemKey, isRevertable]);
+
+  const revertableCount = useMemo(() => items.filter((it) => isRevertable(it)).length, [items, isRevertable]);
+
+  const revertSelected = useCallback(() => {
+    if (!jobId) return;
+
+    const payload = items
+      .filter((it) => {
+        const k = itemKey(it);
+        return k && Boolean(selected[k]) && isRevertable(it);
+      })
+      .map((it) => ({ id: String(it.id) }));
+
+    const fd = new FormData();
+    fd.set("intent", "revert_selected");
+    fd.set("items", JSON.stringify(payload));
+    actionFetcher.submit(fd, { method: "post" });
+  }, [jobId, items, selected, itemKey, isRevertable, actionFetcher]);
+
+  const revertJob = useCallback(() => {
+    if (!jobId) return;
+    if (!window.confirm("Revert all published items of this job to their previous values?")) return;
+
+    const fd = new FormData();
+    fd.set("intent", "revert_job");
+    actionFetcher.submit(fd, { method: "post" });
+  }, [jobId, actionFetcher]);
+
+  const startTranslate = useCallback(() => {
+    if (!jobId || !translateLocales.length) return;
+
+    const fd = new FormData();
+    fd.set("intent", "start_translate");
+    fd.set("locales", JSON.stringify(translateLocales));
+    actionFetcher.submit(fd, { method: "post" });
+  }, [jobId, translateLocales, actionFetcher]);
+
+  // TRANSLATE_SEO: per-locale generate/publish counts
+  const localeSummary = useMemo(() => {
+    if (!isTranslateJob) return [];
+    const byLocale = {};
+    for (const it of items) {
+      const l = String(it?.locale || "");
+      if (!l) continue;
+      const row = byLocale[l] || (byLocale[l] = { locale: l, total: 0, generated: 0, published: 0, failed: 0 });
+      row.total += 1;
+      if (String(it?.status || "").toLowerCase() === "success") row.generated += 1;
+      if (isPublishSuccessStatus(it?.publishStatus)) row.published += 1;
+      if (String(it?.status || "").toLowerCase() === "failed" || String(it?.publishStatus || "").toLowerCase() === "failed") {
+        row.failed += 1;
+      }
+    }
+    return Object.values(byLocale).sort((a, b) => a.locale.localeCompare(b.locale));
+  }, [isTranslateJob, items]);
+
   const backSearch = useMemo(() => buildEmbeddedSearch(location.search), [location.search]);
 
+  // Per-resource version history (all jobs)
+  const openResourceHistory = useCallback(
+    (resourceId) => {
+      if (!resourceId) return;
+      const p = new URLSearchParams(backSearch.replace(/^\?/, ""));
+      p.set("id", String(resourceId));
+      navigate(`/app/resource-history?${p.toString()}`);
+    },
+    [backSearch, navigate],
+  );
+
   const phase = normalizePhase(job?.phase);
   const status = normalizeStatus(job?.status);
 
   const isStuck = status === "stuck";
   const isGeneratingPhase = phase === "generating";
   const isPublishingPhase = phase === "publishing";
+  const isRevertPhase = phase === "reverting" || phase === "reverted";
 
   const retryWholeJob = useCallback(
     (which) => {
@@ -1491,6 +2473,12 @@ export default function GenerationDetails() {
     return nonSkipped || items.length;
   }, [items]);
 
+  // Conflict items were processed by the publish run (nothing written, waiting for a decision).
+  const conflictCount = useMemo(
+    () => items.filter((it) => String(it?.publishStatus || "").toLowerCase() === "conflict").length,
+    [items],
+  );
+
   // P1-8: compute summaries
   const genOk = Number(job?.okCount ?? 0);
   const genFailed = Number(job?.failedCount ?? 0);
@@ -1500,9 +2488,13 @@ export default function GenerationDetails() {
 
   const pubOk = Number(job?.publishOkCount ?? 0);
   const pubFailed = Number(job?.publishFailedCount ?? 0);
-  const pubProcessed = pubOk + pubFailed;
+  const pubProcessed = pubOk + pubFailed + conflictCount;
   const pubDone = publishTotal > 0 && pubProcessed >= publishTotal && (phase === "publishing" || phase === "published");
 
+  const revOk = Number(job?.revertOkCount ?? 0);
+  const revFailed = Number(job?.revertFailedCount ?? 0);
+  const revTotal = Number(job?.revertTotal ?? 0);
+
   // P1-8: completion toast (once)
   useEffect(() => {
     if (genDone && !genDoneToastRef.current) {
@@ -1522,18 +2514,28 @@ export default function GenerationDetails() {
 
   const visibleItems = useMemo(() => {
     if (!showFailedOnly) return items;
+    if (isRevertPhase) {
+      return items.filter((it) => String(it?.revertStatus || "").toLowerCase() === "failed");
+    }
     if (phase === "publishing" || phase === "published") {
       return items.filter((it) => String(it?.publishStatus || "").toLowerCase() === "failed");
     }
     return items.filter((it) => String(it?.status || "").toLowerCase() === "failed");
-  }, [items, showFailedOnly, phase]);
+  }, [items, showFailedOnly, phase, isRevertPhase]);
 
   const progressText = useMemo(() => {
     if (!job) return "";
     const total = Number(job?.total ?? items.length ?? 0);
 
+    if (phase === "reverting" || phase === "reverted") {
+      const processed = Number(job?.revertOkCount ?? 0) + Number(job?.revertFailedCount ?? 0);
+      const revertTotal = Number(job?.revertTotal ?? 0);
+      if (phase === "reverting") return `${processed}/${revertTotal} Reverted`;
+      return `${revertTotal}/${revertTotal} Reverted`;
+    }
+
     if (phase === "publishing" || phase === "published") {
-      const processed = Number(job?.publishOkCount ?? 0) + Number(job?.publishFailedCount ?? 0);
+      const processed = Number(job?.publishOkCount ?? 0) + Number(job?.publishFailedCount ?? 0) + conflictCount;
       if (phase === "publishing") return `${processed}/${publishTotal} Published`;
       return `${publishTotal}/${publishTotal} Published`;
     }
@@ -1541,7 +2543,7 @@ export default function GenerationDetails() {
     const processed = Number(job?.okCount ?? 0) + Number(job?.failedCount ?? 0);
     if (phase === "generating") return `${processed}/${total} Generated`;
     return `${total}/${total} Generated`;
-  }, [job, items.length, phase, publishTotal]);
+  }, [job, items.length, phase, publishTotal, conflictCount]);
 
   const topStatusBar = useMemo(() => {
     if (!job) return null;
@@ -1556,6 +2558,16 @@ export default function GenerationDetails() {
       );
     }
 
+    if (phase === "reverting") {
+      return (
+        <Banner tone="info" title="Revert in progress">
+          <Text as="p" variant="bodyMd">
+            {progressText}
+          </Text>
+        </Banner>
+      );
+    }
+
     if (status === "failed") {
       return (
         <Banner tone="critical" title="Job failed">
@@ -1640,9 +2652,9 @@ export default function GenerationDetails() {
         {/* P1-8: Summary banner + one-click retry */}
         <Banner
           tone={
-            (phase === "publishing" || phase === "generating")
+            (phase === "publishing" || phase === "generating" || phase === "reverting")
               ? "info"
-              : (genFailed > 0 || pubFailed > 0)
+              : (genFailed > 0 || pubFailed > 0 || revFailed > 0 || conflictCount > 0)
                 ? "warning"
                 : "success"
           }
@@ -1652,9 +2664,26 @@ export default function GenerationDetails() {
             <Text as="p" variant="bodyMd">
               {`Generation: ${genOk}/${total} succeeded, ${genFailed} failed`}
             </Text>
-            {(phase === "publishing" || phase === "published") ? (
+            {Number(job?.totalAttempts || 0) > 0 || Number(job?.totalCacheHits || 0) > 0 ? (
+              <Text as="p" tone="subdued" variant="bodySm">
+                {`AI: ${Number(job?.totalAttempts || 0)} call(s), ${Number(job?.totalCacheHits || 0)} from cache${
+                  job?.forceFresh ? " (fresh results requested)" : ""
+                }`}
+              </Text>
+            ) : null}
+            {(phase === "publishing" || phase === "published" || isRevertPhase) ? (
+              <Text as="p" variant="bodyMd">
+                {`Apply: ${pubOk}/${publishTotal} succeeded, ${pubFailed} failed${conflictCount ? `, ${conflictCount} conflict(s)` : ""}`}
+              </Text>
+            ) : null}
+            {conflictCount ? (
+              <Text as="p" tone="caution" variant="bodySm">
+                {`${conflictCount} item(s) changed on Shopify after the draft was generated. Review them below: overwrite anyway or skip.`}
+              </Text>
+            ) : null}
+            {isRevertPhase ? (
               <Text as="p" variant="bodyMd">
-                {`Apply: ${pubOk}/${publishTotal} succeeded, ${pubFailed} failed`}
+                {`Revert: ${revOk}/${revTotal} succeeded, ${revFailed} failed`}
               </Text>
             ) : null}
 
@@ -1686,10 +2715,86 @@ export default function GenerationDetails() {
                   {`Retry all failed apply (${pubFailed})`}
                 </Button>
               ) : null}
+
+              {revertableCount > 0 ? (
+                <Button
+                  variant="secondary"
+                  tone="critical"
+                  onClick={revertJob}
+                  disabled={actionFetcher.state !== "idle" || phase === "publishing" || phase === "reverting"}
+                >
+                  {`Revert job (${revertableCount})`}
+                </Button>
+              ) : null}
             </InlineStack>
           </BlockStack>
         </Banner>
 
+        {isTranslateJob && localeSummary.length ? (
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                Languages
+              </Text>
+              <InlineStack gap="200" wrap>
+                {localeSummary.map((l) => (
+                  <Badge
+                    key={l.locale}
+                    tone={l.failed > 0 ? "critical" : l.published === l.total ? "success" : "info"}
+                  >
+                    {`${l.locale}: ${l.generated}/${l.total} generated · ${l.published}/${l.total} published${l.failed ? ` · ${l.failed} failed` : ""}`}
+                  </Badge>
+                ))}
+              </InlineStack>
+              {job?.sourceJobId ? (
+                <Text as="p" variant="bodySm" tone="subdued">
+                  {`Source job: #${job.sourceJobId}`}
+                </Text>
+              ) : null}
+            </BlockStack>
+          </Card>
+        ) : null}
+
+        {translation?.targetLocales?.length > 0 && genOk > 0 && !isGeneratingPhase ? (
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                Translate to other languages
+              </Text>
+              <Text as="p" variant="bodySm" tone="subdued">
+                {`Creates a translation job from the live ${translation.primaryLocale || "primary"} SEO of these items. Publish them first so translations match what the store shows.`}
+              </Text>
+              <ChoiceList
+                title="Languages"
+                titleHidden
+                allowMultiple
+                choices={translation.targetLocales.map((l) => ({
+                  label: `${l.name} (${l.locale})${l.published ? "" : " · unpublished"}`,
+                  value: l.locale,
+                }))}
+                selected={translateLocales}
+                onChange={setTranslateLocales}
+              />
+              <InlineStack>
+                <Button
+                  onClick={startTranslate}
+                  disabled={!translateLocales.length || actionFetcher.state !== "idle"}
+                >
+                  {`Translate (${translateLocales.length} language${translateLocales.length === 1 ? "" : "s"})`}
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        ) : null}
+
+        {genOk > 0 && !isGeneratingPhase ? (
+          <DraftCsvCard
+            isImageJob={isImageJob}
+            disabled={isPublishingPhase || actionFetcher.state !== "idle"}
+            onImported={applyImportedDrafts}
+          />
+        ) : null}
+
         <Card>
           <BlockStack gap="300">
             <InlineStack align="space-between" blockAlign="center">
@@ -1724,7 +2829,7 @@ export default function GenerationDetails() {
                 <Button
                   variant="secondary"
                   onClick={() => regenerateSelected(false)}
-                  disabled={isImageJob || selectedIds.length === 0 || actionFetcher.state !== "idle"}
+                  disabled={isImageJob || isTranslateJob || selectedIds.length === 0 || actionFetcher.state !== "idle"}
                 >
                   Regenerate selected (new job)
                 </Button>
@@ -1733,17 +2838,28 @@ export default function GenerationDetails() {
                   <Button
                     variant="secondary"
                     onClick={() => regenerateSelected(true)}
-                    disabled={isImageJob || actionFetcher.state !== "idle"}
+                    disabled={isImageJob || isTranslateJob || actionFetcher.state !== "idle"}
                   >
                     Regenerate failed (new job)
                   </Button>
                 ) : null}
 
+                {!isImageJob && !isTranslateJob ? (
+                  <Box paddingInlineStart="200">
+                    <Checkbox
+                      label="Fresh AI results (skip cache)"
+                      checked={regenerateFresh}
+                      onChange={(v) => setRegenerateFresh(Boolean(v))}
+                      disabled={actionFetcher.state !== "idle"}
+                    />
+                  </Box>
+                ) : null}
+
                 {failedGenerateSelectedCount > 0 ? (
                   <Button
                     variant="secondary"
                     onClick={() => retryFailedGenerate(true)}
-                    disabled={isImageJob || actionFetcher.state !== "idle"}
+                    disabled={isImageJob || isTranslateJob || actionFetcher.state !== "idle"}
                   >
                     Retry failed generate ({failedGenerateSelectedCount})
                   </Button>
@@ -1753,12 +2869,22 @@ export default function GenerationDetails() {
                   <Button
                     variant="secondary"
                     onClick={() => retryFailedPublish(true)}
-                    disabled={isImageJob || actionFetcher.state !== "idle"}
+                    disabled={isImageJob || isTranslateJob || actionFetcher.state !== "idle"}
                   >
                     Retry failed apply ({failedPublishSelectedCount})
                   </Button>
                 ) : null}
 
+                {revertSelectedCount > 0 ? (
+                  <Button
+                    variant="secondary"
+                    onClick={revertSelected}
+                    disabled={actionFetcher.state !== "idle" || phase === "publishing" || phase === "reverting"}
+                  >
+                    Revert selected ({revertSelectedCount})
+                  </Button>
+                ) : null}
+
                 <Box paddingInlineStart="200">
                   <Checkbox
                     label="Only changed"
@@ -1768,6 +2894,16 @@ export default function GenerationDetails() {
                   />
                 </Box>
 
+                {requireApproval ? (
+                  <Button
+                    variant="secondary"
+                    onClick={approveSelected}
+                    disabled={selectedIds.length === 0 || actionFetcher.state !== "idle"}
+                  >
+                    Approve selected
+                  </Button>
+                ) : null}
+
                 <Button
                   onClick={publishSelected}
                   disabled={selectedIds.length === 0 || actionFetcher.state !== "idle"}
@@ -1816,6 +2952,7 @@ export default function GenerationDetails() {
                       currentAlt: it.seoDescription,
                       publishStatus: it.publishStatus,
                       dbPublishedAt: it.publishedAt,
+                      revertStatus: it.revertStatus,
                     });
 
                     return (
@@ -1828,9 +2965,19 @@ export default function GenerationDetails() {
                                 {it.productTitle || "Image"}
                               </Text>
                               <Badge tone="info">{`Media: ${String(it.mediaId || it.targetId || "").slice(-8)}`}</Badge>
+                              {it.altTextMode ? (
+                                <Tooltip content={altTextModeHelp(it)}>
+                                  <Badge tone={it.altTextMode === "vision" ? "success" : it.altTextMode === "fallback" ? "warning" : undefined}>
+                                    {altTextModeLabel(it.altTextMode)}
+                                  </Badge>
+                                </Tooltip>
+                              ) : null}
                             </InlineStack>
 
                             <InlineStack gap="200" blockAlign="center">
+                              <Button variant="plain" onClick={() => openResourceHistory(it.productId || it.mediaId)}>
+                                History
+                              </Button>
                               <Badge tone={badge.tone}>{badge.label}</Badge>
                             </InlineStack>
                           </InlineStack>
@@ -1854,13 +3001,21 @@ export default function GenerationDetails() {
                               {`Product: ${it.productTitle || ""}`}
                             </Text>
                           </InlineStack>
+
+                          <ReviewPanel
+                            it={it}
+                            requireApproval={requireApproval}
+                            busy={actionFetcher.state !== "idle"}
+                            onReview={reviewItems}
+                          />
                         </BlockStack>
                       </Card>
                     );
                   }
 
-                  const pid = String(it.productId || "");
-                  const gid = toProductGid(pid);
+                  // TRANSLATE_SEO: key = item id, live = current translation for the item's locale
+                  const pid = isTranslateJob ? k : String(it.productId || "");
+                  const gid = isTranslateJob ? k : toProductGid(pid);
                   const live = publishedMap?.[gid] || liveSeoMap?.[gid] || { seoTitle: "", seoDescription: "" };
                   const liveTitle = String(live?.seoTitle ?? "");
                   const liveDesc = String(live?.seoDescription ?? "");
@@ -1880,6 +3035,7 @@ export default function GenerationDetails() {
                     draftSavedSnapshot,
                     publishedBaseline: live,
                     fields,
+                    revertStatus: it.revertStatus,
                   });
 
                   return (
@@ -1893,29 +3049,106 @@ export default function GenerationDetails() {
                               onChange={() => toggleOne(pid)}
                             />
                             <Text as="p" fontWeight="semibold">
-                              {it.productTitle || `Product #${pid}`}
+                              {it.productTitle || `${isCollectionJob ? "Collection" : isPageJob ? "Page" : "Product"} #${pid}`}
                             </Text>
-                            <Badge tone="info">{`ID: ${pid}`}</Badge>
+                            {isTranslateJob ? (
+                              <>
+                                <Badge tone="info">{`Language: ${String(it.locale || "")}`}</Badge>
+                                {live?.outdated ? <Badge tone="warning">Outdated translation</Badge> : null}
+                              </>
+                            ) : (
+                              <Badge tone="info">{`ID: ${pid}`}</Badge>
+                            )}
                           </InlineStack>
 
                           <InlineStack gap="200" blockAlign="center">
+                            <Button variant="plain" onClick={() => openResourceHistory(it.targetId || it.productId)}>
+                              History
+                            </Button>
                             <Badge tone={badge.tone}>{badge.label}</Badge>
                           </InlineStack>
                         </InlineStack>
 
                         {(Number(it.genAttempts || 0) > 0 ||
+                          Number(it.genCacheHits || 0) > 0 ||
                           Number(it.genRetryWaitMs || 0) > 0 ||
                           Number(it.publishAttempts || 0) > 0 ||
                           Number(it.publishRetryWaitMs || 0) > 0) ? (
                           <Text as="p" tone="subdued" variant="bodySm">
                             {`Gen: ${Number(it.genAttempts || 0)} attempt(s), ${Number(
                               it.genRetryWaitMs || 0,
-                            )}ms wait • Publish: ${Number(it.publishAttempts || 0)} attempt(s), ${Number(
+                            )}ms wait${Number(it.genCacheHits || 0) > 0 ? `, ${Number(it.genCacheHits)} cached` : ""} • Publish: ${Number(it.publishAttempts || 0)} attempt(s), ${Number(
                               it.publishRetryWaitMs || 0,
                             )}ms wait`}
                           </Text>
                         ) : null}
 
+                        {isTranslateJob && (it.sourceTitle || it.sourceDescription) ? (
+                          <Box padding="200" background="bg-surface-secondary" borderRadius="200">
+                            <BlockStack gap="100">
+                              <Text as="p" variant="bodySm" tone="subdued">
+                                {`Primary language (${String(job?.language || "")})`}
+                              </Text>
+                              {fields.metaTitle && it.sourceTitle ? (
+                                <Text as="p" variant="bodySm">{`Title: ${it.sourceTitle}`}</Text>
+                              ) : null}
+                              {fields.metaDescription && it.sourceDescription ? (
+                                <Text as="p" variant="bodySm">{`Description: ${it.sourceDescription}`}</Text>
+                              ) : null}
+                            </BlockStack>
+                          </Box>
+                        ) : null}
+
+                        <ReviewPanel
+                          it={it}
+                          requireApproval={requireApproval}
+                          busy={actionFetcher.state !== "idle"}
+                          onReview={reviewItems}
+                        />
+
+                        {String(it.publishStatus || "").toLowerCase() === "conflict" ? (
+                          <Banner tone="warning" title="Changed on Shopify since this draft was generated">
+                            <BlockStack gap="300">
+                              <InlineGrid columns={3} gap="300">
+                                {[
+                                  { label: "Original (at generation)", title: it.originalSeoTitle, desc: it.originalSeoDescription },
+                                  { label: "Live now", title: it.conflictSeoTitle ?? liveTitle, desc: it.conflictSeoDescription ?? liveDesc },
+                                  { label: "AI draft", title: draftTitle, desc: draftDesc },
+                                ].map((col) => (
+                                  <BlockStack key={col.label} gap="100">
+                                    <Text as="p" variant="bodySm" fontWeight="semibold">
+                                      {col.label}
+                                    </Text>
+                                    {fields.metaTitle ? (
+                                      <Text as="p" variant="bodySm">{`Title: ${String(col.title || "") || "—"}`}</Text>
+                                    ) : null}
+                                    {fields.metaDescription ? (
+                                      <Text as="p" variant="bodySm">{`Description: ${String(col.desc || "") || "—"}`}</Text>
+                                    ) : null}
+                                  </BlockStack>
+                                ))}
+                              </InlineGrid>
+                              <InlineStack gap="200">
+                                <Button
+                                  size="slim"
+                                  variant="primary"
+                                  onClick={() => resolveConflict(it.id, "overwrite")}
+                                  disabled={actionFetcher.state !== "idle"}
+                                >
+                                  Overwrite anyway
+                                </Button>
+                                <Button
+                                  size="slim"
+                                  onClick={() => resolveConflict(it.id, "skip")}
+                                  disabled={actionFetcher.state !== "idle"}
+                                >
+                                  Skip
+                                </Button>
+                              </InlineStack>
+                            </BlockStack>
+                          </Banner>
+                        ) : null}
+
                         {applyOnlyChanged && Boolean(selected[pid]) && !(willChangeTitle || willChangeDesc) ? (
                           <Text as="p" tone="subdued" variant="bodySm">
                             No changes — this item will be skipped when applying.
@@ -1958,7 +3191,7 @@ export default function GenerationDetails() {
                               <Layout.Section oneHalf>
                                 <BlockStack gap="200">
                                   <Text as="p" variant="bodySm" tone="subdued">
-                                    Current on Shopify
+                                    {isTranslateJob ? `Current translation (${String(it.locale || "")})` : "Current on Shopify"}
                                   </Text>
 
                                   {fields.metaTitle ? (
@@ -2046,6 +3279,17 @@ export default function GenerationDetails() {
                             </Text>
                           ) : null}
 
+                          {!isTranslateJob ? (
+                            <CandidatePicker
+                              candidates={it.candidates}
+                              fields={fields}
+                              draftTitle={draftTitle}
+                              draftDesc={draftDesc}
+                              busy={actionFetcher.state !== "idle"}
+                              onPick={(field, text) => setDraftField(pid, field, text)}
+                            />
+                          ) : null}
+
 {(fields.metaTitle || fields.metaDescription) ? (
   <Box
     padding="400"
@@ -2074,7 +3318,7 @@ export default function GenerationDetails() {
         <Text as="p" variant="bodySm" tone="subdued">
           {`https://${String(settings?.brandName || "your-store")
             .toLowerCase()
-            .replace(/\s+/g, "")}.com/products/...`}
+            .replace(/\s+/g, "")}.com/${isCollectionJob ? "collections" : isPageJob ? "pages" : "products"}/...`}
         </Text>
         <Text as="p" variant="bodySm" tone="subdued">
           {clampText(draftDesc || "", q.maxDesc)}
@@ -2102,9 +3346,9 @@ export default function GenerationDetails() {
 
 
 
-{it.error || it.publishError ? (
+{it.error || it.publishError || it.revertError ? (
                             <Banner tone="critical" title="Error">
-                              <p>{String(it.publishError || it.error || "")}</p>
+                              <p>{String(it.revertError || it.publishError || it.error || "")}</p>
                             </Banner>
                           ) : null}
                         </BlockStack>
@@ -12,6 +12,7 @@ import {
 import { authenticate } from "../shopify.server";
 import { getJobsForShop, retryFailedForJob, cancelJobForShop } from "../jobs.server";
 import prisma from "../db.server.js";
+import { getQueuePositions } from "../queue.server.js";
 import {
   Page,
   Layout,
@@ -61,6 +62,11 @@ export async function loader({ request }) {
     sort,
   });
 
+  // Waiting jobs: estimated position in the shared queue (all shops)
+  const queuePositions = await getQueuePositions(
+    jobs.filter((j) => String(j.status || "").toLowerCase() === "queued").map((j) => j.id),
+  );
+
   const meta = {
     q,
     status,
@@ -72,7 +78,13 @@ export async function loader({ request }) {
     nextCursor: nextCursor || "",
   };
 
-  return { jobs, meta, shop, host, embedded };
+  return {
+    jobs: jobs.map((j) => ({ ...j, queuePosition: queuePositions[String(j.id)] || null })),
+    meta,
+    shop,
+    host,
+    embedded,
+  };
 }
 
 export async function action({ request }) {
@@ -126,6 +138,8 @@ function phaseLabel(phase) {
   if (p === "generated") return "Generated";
   if (p === "publishing") return "Publishing";
   if (p === "published") return "Published";
+  if (p === "reverting") return "Reverting";
+  if (p === "reverted") return "Reverted";
   return p || "-";
 }
 
@@ -154,9 +168,13 @@ function jobTypeLabel(jobType) {
   const t = String(jobType || "").toUpperCase();
   if (t === "PRODUCT_SEO") return "Product SEO";
   if (t === "ALT_TEXT_IMAGES") return "Alt Text (Images)";
+  if (t === "COLLECTION_SEO") return "Collection SEO";
+  if (t === "PAGE_SEO") return "Page SEO";
+  if (t === "TRANSLATE_SEO") return "Translate SEO";
   // Backward/forward compat
   if (t === "BLOG_SEO_META") return "Blog SEO Meta";
   if (t === "BLOG_META") return "Blog Meta";
+  if (t === "SEO_AUDIT") return "SEO Audit";
   return t || "-";
 }
 
@@ -167,6 +185,18 @@ function getProgress(job) {
 
   if (!total) return { total: 0, processed: 0, label: "-" };
 
+  if (phase === "reverting" || phase === "reverted") {
+    const revertTotal = Math.max(0, Number(job?.revertTotal ?? 0));
+    const processed =
+      Number(job?.revertOkCount ?? 0) + Number(job?.revertFailedCount ?? 0);
+
+    const doneLabel = status === "running" || status === "queued"
+      ? `${processed}/${revertTotal} Reverted`
+      : `${revertTotal}/${revertTotal} Reverted`;
+
+    return { total: revertTotal, processed: Math.min(revertTotal, Math.max(0, processed)), label: doneLabel };
+  }
+
   if (phase === "publishing" || phase === "published") {
     const processed =
       Number(job?.publishOkCount ?? 0) + Number(job?.publishFailedCount ?? 0);
@@ -301,6 +331,7 @@ export default function GenerationHistory() {
       phase: j.phase,
       status: j.status,
       jobType: j.jobType,
+      source: j.source,
       lastError: j.lastError,
       startedAt: j.startedAt,
       finishedAt: j.finishedAt,
@@ -311,6 +342,10 @@ export default function GenerationHistory() {
       failedCount: j.failedCount,
       publishOkCount: j.publishOkCount,
       publishFailedCount: j.publishFailedCount,
+      revertTotal: j.revertTotal,
+      revertOkCount: j.revertOkCount,
+      revertFailedCount: j.revertFailedCount,
+      queuePosition: j.queuePosition,
     }));
   }, [effectiveJobs]); 
 
@@ -447,6 +482,8 @@ export default function GenerationHistory() {
               { label: "Generated", value: "generated" },
               { label: "Publishing", value: "publishing" },
               { label: "Published", value: "published" },
+              { label: "Reverting", value: "reverting" },
+              { label: "Reverted", value: "reverted" },
             ]}
             selected={[String(effectiveMeta?.phase || "")]}
             onChange={(selected) => {
@@ -467,8 +504,12 @@ export default function GenerationHistory() {
               { label: "All", value: "" },
               { label: "Product SEO", value: "PRODUCT_SEO" },
               { label: "Alt Text (Images)", value: "ALT_TEXT_IMAGES" },
+              { label: "Collection SEO", value: "COLLECTION_SEO" },
+              { label: "Page SEO", value: "PAGE_SEO" },
+              { label: "Translate SEO", value: "TRANSLATE_SEO" },
               { label: "Blog Meta", value: "BLOG_META" },
               { label: "Blog SEO Meta", value: "BLOG_SEO_META" },
+              { label: "SEO Audit", value: "SEO_AUDIT" },
             ]}
             selected={[String(effectiveMeta?.jobType || "")]}
             onChange={(selected) => {
@@ -510,12 +551,15 @@ export default function GenerationHistory() {
 
     const phase = normalizePhase(job.phase);
     const isPublishPhase = phase === "publishing" || phase === "published";
-    const failedForRetry = isPublishPhase
-      ? Number(job?.publishFailedCount || 0)
-      : Number(job?.failedCount || 0);
+    const isRevertPhase = phase === "reverting" || phase === "reverted";
+    const failedForRetry = isRevertPhase
+      ? Number(job?.revertFailedCount || 0)
+      : isPublishPhase
+        ? Number(job?.publishFailedCount || 0)
+        : Number(job?.failedCount || 0);
     const canRetry =
       failedForRetry > 0 && !["running", "queued"].includes(normalizeStatus(job.status));
-    const retryKind = isPublishPhase ? "publish" : "generate";
+    const retryKind = isRevertPhase ? "revert" : isPublishPhase ? "publish" : "generate";
     const retryLoading = actionFetcher.state !== "idle" && lastActionKey === `retry:${job.id}`;
 
     const canCancel = ["running", "queued"].includes(normalizeStatus(job.status));
@@ -537,7 +581,13 @@ export default function GenerationHistory() {
         </IndexTable.Cell>
 
         <IndexTable.Cell>
-          <Badge tone="subdued">{jobTypeLabel(job.jobType)}</Badge>
+          <InlineStack gap="100" blockAlign="center">
+            <Badge tone="subdued">{jobTypeLabel(job.jobType)}</Badge>
+            {job.source === "auto" ? <Badge tone="info">Auto</Badge> : null}
+            {job.source === "schedule" ? <Badge tone="info">Scheduled</Badge> : null}
+            {job.source === "restore" ? <Badge tone="info">Restore</Badge> : null}
+            {job.source === "import" ? <Badge tone="info">Imported</Badge> : null}
+          </InlineStack>
         </IndexTable.Cell>
 
         <IndexTable.Cell>
@@ -545,7 +595,14 @@ export default function GenerationHistory() {
         </IndexTable.Cell>
 
         <IndexTable.Cell>
-          <Badge tone={tone}>{statusLabel(job.status)}</Badge>
+          <BlockStack gap="100" inlineAlign="start">
+            <Badge tone={tone}>{statusLabel(job.status)}</Badge>
+            {job.queuePosition && normalizeStatus(job.status) === "queued" ? (
+              <Text as="span" variant="bodySm" tone="subdued">
+                {`#${job.queuePosition} in queue`}
+              </Text>
+            ) : null}
+          </BlockStack>
         </IndexTable.Cell>
 
         <IndexTable.Cell>
@@ -613,7 +670,11 @@ export default function GenerationHistory() {
   if (isChildRoute) return outlet;
 
   return (
-    <Page title="Generation History" fullWidth>
+    <Page
+      title="Generation History"
+      fullWidth
+      secondaryActions={[{ content: "Import job", onAction: () => navigate(`/app/import-job${embeddedQs}`) }]}
+    >
       <Layout>
         <Layout.Section>
           <Card>
@@ -0,0 +1,346 @@
+import { useEffect, useMemo, useState } from "react";
+import { useFetcher, useLoaderData, useLocation, useNavigate, useRouteError, isRouteErrorResponse } from "react-router";
+import { authenticate } from "../shopify.server";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Badge,
+  Button,
+  BlockStack,
+  InlineStack,
+  Banner,
+  Select,
+  DropZone,
+  Box,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+
+import { createImportJob } from "../jobs.server.js";
+import { getSettingsFromMetafield } from "../autoseo.server.js";
+import { staffUserFromSession } from "../staff.server.js";
+import { IMPORT_MAX_ROWS, IMPORT_RESOURCE_TYPES, validateSeoImport } from "../import.server.js";
+
+const PREVIEW_ROW_LIMIT = 50;
+
+const TYPE_OPTIONS = Object.entries(IMPORT_RESOURCE_TYPES).map(([value, t]) => ({ label: t.label, value }));
+
+const TEMPLATES = {
+  PRODUCT: "resource_id,seo_title,seo_description",
+  COLLECTION: "resource_id,seo_title,seo_description",
+  BLOG_ARTICLE: "resource_id,seo_title,seo_description",
+  IMAGE: "resource_id,product_id,alt_text",
+};
+
+/** ----------------------- Response helper ----------------------- **/
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
+
+/** ---------------- server ---------------- */
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  return {
+    shop: session.shop || "",
+    host: url.searchParams.get("host") || "",
+    embedded: url.searchParams.get("embedded") || "",
+  };
+}
+
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop || "";
+  const form = await request.formData();
+  const intent = String(form.get("intent") || "");
+
+  if (intent === "preview_import" || intent === "create_import_job") {
+    const resourceType = String(form.get("resourceType") || "");
+    const settings = await getSettingsFromMetafield(admin);
+
+    let result;
+    try {
+      result = await validateSeoImport(admin, { resourceType, csvText: String(form.get("csv") || ""), settings });
+    } catch (e) {
+      return jsonResponse({ ok: false, intent, error: String(e?.message || e) }, 400);
+    }
+    if (!result.ok) return jsonResponse({ ok: false, intent, error: result.error }, 400);
+
+    if (intent === "preview_import") return jsonResponse({ ok: true, intent, preview: result });
+
+    // Create: the file is re-validated on the server, invalid rows are skipped.
+    const rows = result.rows.filter((r) => !r.errors.length);
+    if (!rows.length) return jsonResponse({ ok: false, intent, error: "No valid rows to import." }, 400);
+
+    const job = await createImportJob({
+      shop,
+      jobType: IMPORT_RESOURCE_TYPES[resourceType].jobType,
+      rows,
+      metaTitle: result.metaTitle,
+      metaDescription: result.metaDescription,
+      importedBy: staffUserFromSession(session).label,
+    });
+    return jsonResponse({ ok: true, intent, newJobId: job.id, skipped: result.summary.invalid });
+  }
+
+  return jsonResponse({ ok: false, intent, error: "Unknown intent" }, 400);
+}
+
+/** ---------------- helpers ---------------- */
+// ✅ Embedded query’yi her zaman koru (shop/host/embedded)
+function getEmbeddedQuery(locationSearch, loaderData) {
+  const p = new URLSearchParams(locationSearch || "");
+  const ss = typeof window !== "undefined" ? window.sessionStorage : null;
+
+  const shop = p.get("shop") || ss?.getItem("shopifyShop") || loaderData?.shop || "";
+  const host = p.get("host") || ss?.getItem("shopifyHost") || loaderData?.host || "";
+  const embedded = p.get("embedded") || ss?.getItem("shopifyEmbedded") || loaderData?.embedded || "";
+
+  const out = new URLSearchParams();
+  if (shop) out.set("shop", shop);
+  if (host) out.set("host", host);
+  if (embedded) out.set("embedded", embedded);
+
+  const qs = out.toString();
+  return qs ? `?${qs}` : "";
+}
+
+function shortId(gid) {
+  const s = String(gid || "");
+  return s.split("/").pop() || s;
+}
+
+function PreviewValue({ label, value, live }) {
+  if (!value) return null;
+  return (
+    <BlockStack gap="050">
+      <Text as="p" variant="bodySm" tone="subdued">
+        {`${label}: ${live || "(empty)"}`}
+      </Text>
+      <Text as="p" variant="bodySm" breakWord>
+        {`→ ${value}`}
+      </Text>
+    </BlockStack>
+  );
+}
+
+/** ---------------- component ---------------- */
+export default function ImportJob() {
+  const data = useLoaderData();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const fetcher = useFetcher();
+  const [toast, setToast] = useState(null);
+  const [resourceType, setResourceType] = useState("PRODUCT");
+  const [csvText, setCsvText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+
+  const embeddedQs = useMemo(
+    () => getEmbeddedQuery(location.search, data),
+    [location.search, data?.shop, data?.host, data?.embedded],
+  );
+
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    if (data?.shop) window.sessionStorage.setItem("shopifyShop", data.shop);
+    if (data?.host) window.sessionStorage.setItem("shopifyHost", data.host);
+    if (data?.embedded) window.sessionStorage.setItem("shopifyEmbedded", data.embedded);
+  }, [data?.shop, data?.host, data?.embedded]);
+
+  // Action results
+  useEffect(() => {
+    if (fetcher.state !== "idle") return;
+    const d = fetcher.data;
+    if (!d || typeof d !== "object") return;
+
+    if (!d.ok) {
+      setError(d.error || "Import failed");
+      return;
+    }
+    setError(null);
+    if (d.intent === "preview_import") setPreview(d.preview);
+    else if (d.intent === "create_import_job") {
+      setToast({ content: d.skipped ? `Import job created (${d.skipped} invalid row(s) skipped)` : "Import job created" });
+      navigate(`/app/generation-history/${d.newJobId}${embeddedQs}`);
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  const submit = (intent, text, type) => {
+    const fd = new FormData();
+    fd.set("intent", intent);
+    fd.set("resourceType", type);
+    fd.set("csv", text);
+    fetcher.submit(fd, { method: "post" });
+  };
+
+  const onDrop = async (_files, accepted) => {
+    const file = accepted?.[0];
+    if (!file) return;
+    const text = await file.text();
+    setFileName(file.name);
+    setCsvText(text);
+    setPreview(null);
+    setError(null);
+    submit("preview_import", text, resourceType);
+  };
+
+  const onTypeChange = (value) => {
+    setResourceType(value);
+    setPreview(null);
+    setError(null);
+    if (csvText) submit("preview_import", csvText, value);
+  };
+
+  const reset = () => {
+    setPreview(null);
+    setCsvText("");
+    setFileName("");
+    setError(null);
+  };
+
+  const busy = fetcher.state !== "idle";
+  const isImage = resourceType === "IMAGE";
+  const rows = Array.isArray(preview?.rows) ? preview.rows : [];
+  const shownRows = [...rows.filter((r) => r.errors.length), ...rows.filter((r) => !r.errors.length)].slice(0, PREVIEW_ROW_LIMIT);
+
+  return (
+    <Frame>
+      {toast ? <Toast content={toast.content} error={toast.error} onDismiss={() => setToast(null)} /> : null}
+      <Page
+        title="Import job"
+        subtitle="Create a job from SEO values prepared outside the app (e.g. by an agency). No AI credits are used."
+        backAction={{ content: "Generation History", onAction: () => navigate(`/app/generation-history${embeddedQs}`) }}
+      >
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Select label="What are you importing?" options={TYPE_OPTIONS} value={resourceType} onChange={onTypeChange} disabled={busy} />
+                <Text as="p" variant="bodySm" tone="subdued">
+                  {`Columns: ${TEMPLATES[resourceType]}. IDs can be numeric or GIDs; up to ${IMPORT_MAX_ROWS} rows. ${
+                    isImage ? "resource_id is the MediaImage ID of the product image." : "Leave a cell empty to keep the live value."
+                  }`}
+                </Text>
+
+                <DropZone accept=".csv,text/csv,text/plain" type="file" allowMultiple={false} onDrop={onDrop} disabled={busy}>
+                  {fileName ? (
+                    <Box padding="300">
+                      <Text as="p" variant="bodySm">
+                        {fileName}
+                      </Text>
+                    </Box>
+                  ) : (
+                    <DropZone.FileUpload actionTitle="Upload CSV" actionHint="Accepts .csv (comma, semicolon or tab separated)" />
+                  )}
+                </DropZone>
+
+                {error ? (
+                  <Banner tone="critical" onDismiss={() => setError(null)}>
+                    <Text as="p" variant="bodyMd">
+                      {error}
+                    </Text>
+                  </Banner>
+                ) : null}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          {preview ? (
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <InlineStack gap="200" wrap>
+                      <Badge tone="success">{`${preview.summary.valid} valid`}</Badge>
+                      {preview.summary.invalid ? <Badge tone="critical">{`${preview.summary.invalid} invalid (skipped)`}</Badge> : null}
+                    </InlineStack>
+                    <InlineStack gap="200">
+                      <Button onClick={reset} disabled={busy}>
+                        Cancel
+                      </Button>
+                      <Button
+                        variant="primary"
+                        onClick={() => submit("create_import_job", csvText, resourceType)}
+                        disabled={busy || !preview.summary.valid}
+                        loading={busy}
+                      >
+                        {`Create import job (${preview.summary.valid})`}
+                      </Button>
+                    </InlineStack>
+                  </InlineStack>
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    The job opens with the imported values as drafts: review, approve and publish them like generated
+                    results. Published changes can be reverted.
+                  </Text>
+
+                  {shownRows.map((r) => (
+                    <Box key={r.line} padding="200" background="bg-surface-secondary" borderRadius="200">
+                      <BlockStack gap="100">
+                        <Text as="p" variant="bodySm" fontWeight="semibold">
+                          {`Row ${r.line}: ${r.title || (r.resourceId ? `#${shortId(r.resourceId)}` : "-")}`}
+                        </Text>
+                        {r.errors.map((e) => (
+                          <Text key={e} as="p" variant="bodySm" tone="critical">
+                            {e}
+                          </Text>
+                        ))}
+                        {!r.errors.length ? (
+                          <>
+                            <PreviewValue label={isImage ? "ALT text" : "Meta title"} value={r.seoTitle} live={r.live?.seoTitle} />
+                            <PreviewValue label="Meta description" value={r.seoDescription} live={r.live?.seoDescription} />
+                          </>
+                        ) : null}
+                      </BlockStack>
+                    </Box>
+                  ))}
+                  {rows.length > shownRows.length ? (
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {`Showing the first ${shownRows.length} rows.`}
+                    </Text>
+                  ) : null}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          ) : null}
+        </Layout>
+      </Page>
+    </Frame>
+  );
+}
+
+/** ---------------- route ErrorBoundary ---------------- */
+export function ErrorBoundary() {
+  const err = useRouteError();
+  // eslint-disable-next-line no-console
+  console.error("Import job ErrorBoundary:", err);
+
+  let bannerTitle = "Something went wrong";
+  let message = "Unknown error";
+
+  if (isRouteErrorResponse(err)) {
+    bannerTitle = `Error ${err.status}`;
+    message = err.data || err.statusText;
+  } else if (err instanceof Error) {
+    message = err.message;
+  } else {
+    message = String(err);
+  }
+
+  return (
+    <Page title="Import job">
+      <Banner tone="critical" title={bannerTitle}>
+        <Text as="p" variant="bodyMd">
+          {message}
+        </Text>
+      </Banner>
+    </Page>
+  );
+}
@@ -177,7 +177,12 @@ export default function App() {
           <a href={`/app${navQuery}`} rel="home">Home</a>
           <a href={`/app/onboarding${navQuery}`}>Get started</a>
           <a href={`/app/seo-tools${navQuery}`}>SEO Tools</a>
+          <a href={`/app/seo-audit${navQuery}`}>SEO Audit</a>
           <a href={`/app/generation-history${navQuery}`}>Generation History</a>
+          <a href={`/app/import-job${navQuery}`}>Import job</a>
+          <a href={`/app/schedules${navQuery}`}>Schedules</a>
+          <a href={`/app/resource-history${navQuery}`}>Version history</a>
+          <a href={`/app/change-log${navQuery}`}>Change log</a>
           <a href={`/app/billing${navQuery}`}>Billing</a>
           <a href={`/app/settings${navQuery}`}>Settings</a>
       </NavMenu>
@@ -0,0 +1,430 @@
+import { useEffect, useMemo, useState } from "react";
+import { useFetcher, useLoaderData, useLocation, useNavigate, useRouteError, isRouteErrorResponse } from "react-router";
+import { authenticate } from "../shopify.server";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Badge,
+  Button,
+  BlockStack,
+  InlineStack,
+  Banner,
+  TextField,
+  Thumbnail,
+  Divider,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+
+import { createRestoreJob } from "../jobs.server.js";
+import { getSettingsFromMetafield } from "../autoseo.server.js";
+import { canReviewDrafts, staffUserFromSession } from "../staff.server.js";
+import {
+  VERSION_KIND_LABELS,
+  findHistoryVersion,
+  getResourceHistory,
+  normalizeHistoryResourceId,
+  searchHistoryResources,
+} from "../history.server.js";
+
+const RESOURCE_LABELS = {
+  PRODUCT: "Product",
+  COLLECTION: "Collection",
+  PAGE: "Page",
+  BLOG_ARTICLE: "Blog article",
+  IMAGE: "Image",
+};
+
+const KIND_TONES = {
+  published: "success",
+  reverted: "attention",
+  direct: "info",
+  edited: "info",
+};
+
+/** ----------------------- Response helper ----------------------- **/
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
+
+/** ---------------- server ---------------- */
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop || "";
+
+  const url = new URL(request.url);
+  const host = url.searchParams.get("host") || "";
+  const embedded = url.searchParams.get("embedded") || "";
+  const q = String(url.searchParams.get("q") || "").trim();
+
+  // ?id= GID / numeric product ID; ?q= title search (or an ID typed into the search box)
+  const resourceId = normalizeHistoryResourceId(url.searchParams.get("id") || q);
+  const history = resourceId ? await getResourceHistory(shop, resourceId) : null;
+  const matches = !resourceId && q ? await searchHistoryResources(shop, q) : [];
+
+  return { shop, host, embedded, q, history, matches };
+}
+
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop || "";
+  const form = await request.formData();
+  const intent = String(form.get("intent") || "");
+
+  if (intent === "restore_version") {
+    const resourceId = normalizeHistoryResourceId(form.get("resourceId"));
+    if (!resourceId) return jsonResponse({ ok: false, intent, error: "Missing resource" }, 400);
+
+    // Restoring publishes without review -> same rule as approving drafts.
+    const settings = await getSettingsFromMetafield(admin);
+    const staff = staffUserFromSession(session);
+    if (settings?.requireApproval && !canReviewDrafts(settings, staff)) {
+      return jsonResponse({ ok: false, intent, error: "Only approvers can restore a version." }, 403);
+    }
+
+    // Values come from the server-side history, never from the form.
+    const history = await getResourceHistory(shop, resourceId);
+    const found = findHistoryVersion(history, String(form.get("groupKey") || ""), String(form.get("versionId") || ""));
+    if (!found) return jsonResponse({ ok: false, intent, error: "Version not found" }, 404);
+    if (!found.group.restorable) {
+      return jsonResponse({ ok: false, intent, error: "Translations cannot be restored. Regenerate the translation instead." }, 400);
+    }
+
+    try {
+      const job = await createRestoreJob({
+        shop,
+        resource: { ...found.group.target, title: found.group.target.title || history.title },
+        values: found.version.values,
+        requestedBy: staff.label,
+      });
+      return jsonResponse({ ok: true, intent, newJobId: job.id });
+    } catch (e) {
+      return jsonResponse({ ok: false, intent, error: String(e?.message || e) }, 400);
+    }
+  }
+
+  return jsonResponse({ ok: false, intent, error: "Unknown intent" }, 400);
+}
+
+/** ---------------- helpers ---------------- */
+// ✅ Embedded query’yi her zaman koru (shop/host/embedded)
+function getEmbeddedQuery(locationSearch, loaderData) {
+  const p = new URLSearchParams(locationSearch || "");
+  const ss = typeof window !== "undefined" ? window.sessionStorage : null;
+
+  const shop = p.get("shop") || ss?.getItem("shopifyShop") || loaderData?.shop || "";
+  const host = p.get("host") || ss?.getItem("shopifyHost") || loaderData?.host || "";
+  const embedded = p.get("embedded") || ss?.getItem("shopifyEmbedded") || loaderData?.embedded || "";
+
+  const out = new URLSearchParams();
+  if (shop) out.set("shop", shop);
+  if (host) out.set("host", host);
+  if (embedded) out.set("embedded", embedded);
+
+  const qs = out.toString();
+  return qs ? `?${qs}` : "";
+}
+
+function formatDate(v) {
+  if (!v) return "-";
+  try {
+    return new Date(v).toLocaleString();
+  } catch {
+    return String(v);
+  }
+}
+
+function shortId(gid) {
+  const s = String(gid || "");
+  return s.split("/").pop() || s;
+}
+
+function hasRestorableValue(version) {
+  return Object.values(version?.values || {}).some((v) => String(v || "").trim());
+}
+
+function VersionValue({ label, value, previous }) {
+  return (
+    <BlockStack gap="050">
+      <Text as="span" variant="bodySm" tone="subdued">
+        {label}
+      </Text>
+      {value ? (
+        <Text as="p" variant="bodyMd" breakWord>
+          {value}
+        </Text>
+      ) : (
+        <Text as="p" variant="bodyMd" tone="subdued">
+          (empty)
+        </Text>
+      )}
+      {previous !== undefined && previous !== value ? (
+        <Text as="p" variant="bodySm" tone="subdued" breakWord>
+          {`Was: ${previous || "(empty)"}`}
+        </Text>
+      ) : null}
+    </BlockStack>
+  );
+}
+
+/** ---------------- component ---------------- */
+export default function ResourceHistory() {
+  const data = useLoaderData();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const actionFetcher = useFetcher();
+  const [toast, setToast] = useState(null);
+  const [query, setQuery] = useState(data?.q || "");
+  const [restoringId, setRestoringId] = useState(null);
+  const [restoredJobId, setRestoredJobId] = useState(null);
+
+  const history = data?.history || null;
+  const groups = Array.isArray(history?.groups) ? history.groups : [];
+  const matches = Array.isArray(data?.matches) ? data.matches : [];
+
+  const embeddedQs = useMemo(
+    () => getEmbeddedQuery(location.search, data),
+    [location.search, data?.shop, data?.host, data?.embedded],
+  );
+
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    if (data?.shop) window.sessionStorage.setItem("shopifyShop", data.shop);
+    if (data?.host) window.sessionStorage.setItem("shopifyHost", data.host);
+    if (data?.embedded) window.sessionStorage.setItem("shopifyEmbedded", data.embedded);
+  }, [data?.shop, data?.host, data?.embedded]);
+
+  const openWith = (key, value) => {
+    const p = new URLSearchParams(embeddedQs.replace(/^\?/, ""));
+    if (value) p.set(key, value);
+    const qs = p.toString();
+    navigate(`/app/resource-history${qs ? `?${qs}` : ""}`);
+  };
+
+  // Action results -> toast
+  useEffect(() => {
+    if (actionFetcher.state !== "idle") return;
+    const d = actionFetcher.data;
+    if (!d || typeof d !== "object") return;
+    setRestoringId(null);
+
+    if (!d.ok) {
+      setToast({ content: d.error || "Action failed", error: true });
+      return;
+    }
+    if (d.intent === "restore_version") {
+      setToast({ content: "Restore started" });
+      setRestoredJobId(d.newJobId);
+    }
+  }, [actionFetcher.state, actionFetcher.data]);
+
+  const restoreVersion = (group, version) => {
+    setRestoringId(version.id);
+    actionFetcher.submit(
+      { intent: "restore_version", resourceId: history.resourceId, groupKey: group.key, versionId: version.id },
+      { method: "post" },
+    );
+  };
+
+  const busy = actionFetcher.state !== "idle";
+  const title = history?.title || (history ? `${RESOURCE_LABELS[history.resourceType] || "Resource"} #${shortId(history.resourceId)}` : "");
+
+  return (
+    <Frame>
+      {toast ? <Toast content={toast.content} error={toast.error} onDismiss={() => setToast(null)} /> : null}
+      <Page
+        title="Version history"
+        subtitle={history ? title : "Every title, description and ALT text value a resource has had, across all jobs."}
+        backAction={history ? { content: "Search", onAction: () => openWith("q", "") } : undefined}
+      >
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <InlineStack gap="300" blockAlign="end" wrap={false}>
+                <div style={{ flex: 1 }}>
+                  <TextField
+                    label="Find a resource"
+                    value={query}
+                    onChange={setQuery}
+                    placeholder="Product title, product ID or GID"
+                    autoComplete="off"
+                  />
+                </div>
+                <Button variant="primary" onClick={() => openWith("q", query.trim())} disabled={!query.trim()}>
+                  Search
+                </Button>
+              </InlineStack>
+            </Card>
+          </Layout.Section>
+
+          {restoredJobId ? (
+            <Layout.Section>
+              <Banner tone="info" title="Restore queued" onDismiss={() => setRestoredJobId(null)}>
+                <InlineStack gap="200" blockAlign="center">
+                  <Text as="p" variant="bodyMd">
+                    The selected version is being published as a new job.
+                  </Text>
+                  <Button variant="plain" onClick={() => navigate(`/app/generation-history/${restoredJobId}${embeddedQs}`)}>
+                    View job
+                  </Button>
+                </InlineStack>
+              </Banner>
+            </Layout.Section>
+          ) : null}
+
+          {!history && data?.q ? (
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="200">
+                  {matches.length ? (
+                    matches.map((m) => (
+                      <InlineStack key={m.resourceId} align="space-between" blockAlign="center">
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text as="span" variant="bodyMd" fontWeight="semibold">
+                            {m.title || `#${shortId(m.resourceId)}`}
+                          </Text>
+                          <Badge>{RESOURCE_LABELS[m.resourceType] || m.resourceType}</Badge>
+                        </InlineStack>
+                        <Button size="slim" onClick={() => openWith("id", m.resourceId)}>
+                          View history
+                        </Button>
+                      </InlineStack>
+                    ))
+                  ) : (
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      No resources with SEO history match “{data.q}”.
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          ) : null}
+
+          {history && !groups.length ? (
+            <Layout.Section>
+              <Card>
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  No SEO history for this resource yet.
+                </Text>
+              </Card>
+            </Layout.Section>
+          ) : null}
+
+          {groups.map((group) => {
+            const isImage = group.target.targetType === "IMAGE";
+            return (
+              <Layout.Section key={group.key}>
+                <Card>
+                  <BlockStack gap="300">
+                    <InlineStack gap="300" blockAlign="center">
+                      {isImage && group.target.imageUrl ? (
+                        <Thumbnail source={group.target.imageUrl} alt={group.label} size="small" />
+                      ) : null}
+                      <Text as="h2" variant="headingMd">
+                        {group.label}
+                      </Text>
+                      <Badge tone="subdued">{`${group.versions.length} version(s)`}</Badge>
+                    </InlineStack>
+
+                    {group.versions.map((v, idx) => (
+                      <BlockStack key={v.id} gap="200">
+                        {idx > 0 ? <Divider /> : null}
+                        <InlineStack align="space-between" blockAlign="start" wrap={false}>
+                          <BlockStack gap="200">
+                            <InlineStack gap="200" blockAlign="center">
+                              <Badge tone={KIND_TONES[v.kind]}>{VERSION_KIND_LABELS[v.kind] || v.kind}</Badge>
+                              <Text as="span" variant="bodySm" tone="subdued">
+                                {formatDate(v.at)}
+                                {v.actor ? ` · ${v.actor}` : ""}
+                              </Text>
+                              {v.jobId ? (
+                                <Button variant="plain" onClick={() => navigate(`/app/generation-history/${v.jobId}${embeddedQs}`)}>
+                                  {`Job #${v.jobId}`}
+                                </Button>
+                              ) : null}
+                            </InlineStack>
+
+                            {isImage ? (
+                              <VersionValue label="ALT text" value={v.values.seoTitle} previous={v.previous?.seoTitle} />
+                            ) : (
+                              <>
+                                {"seoTitle" in v.values ? (
+                                  <VersionValue label="Meta title" value={v.values.seoTitle} previous={v.previous?.seoTitle} />
+                                ) : null}
+                                {"seoDescription" in v.values ? (
+                                  <VersionValue
+                                    label="Meta description"
+                                    value={v.values.seoDescription}
+                                    previous={v.previous?.seoDescription}
+                                  />
+                                ) : null}
+                              </>
+                            )}
+                          </BlockStack>
+
+                          {group.restorable && hasRestorableValue(v) ? (
+                            <Button
+                              size="slim"
+                              onClick={() => restoreVersion(group, v)}
+                              loading={busy && restoringId === v.id}
+                              disabled={busy}
+                            >
+                              Restore
+                            </Button>
+                          ) : null}
+                        </InlineStack>
+                      </BlockStack>
+                    ))}
+                  </BlockStack>
+                </Card>
+              </Layout.Section>
+            );
+          })}
+
+          {groups.length ? (
+            <Layout.Section>
+              <Text as="p" variant="bodySm" tone="subdued">
+                Restore publishes the selected version as a new job (empty fields are left unchanged), so it can be
+                reverted like any other publish.
+              </Text>
+            </Layout.Section>
+          ) : null}
+        </Layout>
+      </Page>
+    </Frame>
+  );
+}
+
+/** ---------------- route ErrorBoundary ---------------- */
+export function ErrorBoundary() {
+  const err = useRouteError();
+  // eslint-disable-next-line no-console
+  console.error("Version history ErrorBoundary:", err);
+
+  let bannerTitle = "Something went wrong";
+  let message = "Unknown error";
+
+  if (isRouteErrorResponse(err)) {
+    bannerTitle = `Error ${err.status}`;
+    message = err.data || err.statusText;
+  } else if (err instanceof Error) {
+    message = err.message;
+  } else {
+    message = String(err);
+  }
+
+  return (
+    <Page title="Version history">
+      <Banner tone="critical" title={bannerTitle}>
+        <Text as="p" variant="bodyMd">
+          {message}
+        </Text>
+      </Banner>
+    </Page>
+  );
+}
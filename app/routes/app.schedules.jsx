@@ -0,0 +1,544 @@
+import { useEffect, useMemo, useState } from "react";
+import { useFetcher, useLoaderData, useLocation, useNavigate, useRouteError, isRouteErrorResponse } from "react-router";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server.js";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  Badge,
+  Button,
+  BlockStack,
+  InlineStack,
+  Banner,
+  Select,
+  TextField,
+  Checkbox,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+
+import { getBillingContext } from "../billing.gating.server.js";
+import {
+  createSchedule,
+  deleteSchedule,
+  describeSchedule,
+  getShopTimeZone,
+  listSchedules,
+  setScheduleEnabled,
+} from "../schedules.server.js";
+
+const JOB_TYPE_LABELS = {
+  PRODUCT_SEO: "Product meta",
+  ALT_TEXT_IMAGES: "Image ALT text",
+  BLOG_SEO_META: "Blog article meta",
+  COLLECTION_SEO: "Collection meta",
+  PAGE_SEO: "Page meta",
+  TRANSLATE_SEO: "Translations",
+};
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/** ----------------------- Response helper ----------------------- **/
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
+
+/** ---------------- server ---------------- */
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop || "";
+
+  const url = new URL(request.url);
+  const host = url.searchParams.get("host") || "";
+  const embedded = url.searchParams.get("embedded") || "";
+
+  const billing = await getBillingContext(shop);
+  const timezone = await getShopTimeZone(admin);
+  const schedules = await listSchedules(shop);
+
+  // Jobs that can be published later (generated, waiting for review)
+  const publishableJobs = await prisma.seoJob.findMany({
+    where: { shop, phase: "generated", status: "success", jobType: { not: "SEO_AUDIT" } },
+    orderBy: { createdAt: "desc" },
+    take: 50,
+    select: { id: true, jobType: true, createdAt: true, okCount: true },
+  });
+
+  return {
+    shop,
+    host,
+    embedded,
+    isPro: Boolean(billing.isPro),
+    timezone,
+    schedules,
+    publishableJobs,
+  };
+}
+
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop || "";
+  const form = await request.formData();
+  const intent = String(form.get("intent") || "");
+
+  if (intent === "create_schedule") {
+    const billing = await getBillingContext(shop);
+    const timezone = await getShopTimeZone(admin);
+    const res = await createSchedule({
+      shop,
+      timezone,
+      isPro: Boolean(billing.isPro),
+      input: {
+        name: String(form.get("name") || ""),
+        action: String(form.get("action") || "generate"),
+        jobType: String(form.get("jobType") || "PRODUCT_SEO"),
+        targetJobId: String(form.get("targetJobId") || ""),
+        createdWithinDays: String(form.get("createdWithinDays") || ""),
+        onlyMissing: String(form.get("onlyMissing") || "true") === "true",
+        maxItems: String(form.get("maxItems") || "50"),
+        metaTitle: String(form.get("metaTitle") || "true") === "true",
+        metaDescription: String(form.get("metaDescription") || "true") === "true",
+        autoPublish: String(form.get("autoPublish") || "false") === "true",
+        cadence: String(form.get("cadence") || "once"),
+        runDate: String(form.get("runDate") || ""),
+        runTime: String(form.get("runTime") || ""),
+        timeOfDay: String(form.get("timeOfDay") || ""),
+        weekday: String(form.get("weekday") || ""),
+      },
+    });
+    if (!res.ok) return jsonResponse({ ok: false, intent, error: res.error }, 400);
+    return jsonResponse({ ok: true, intent, id: res.schedule.id });
+  }
+
+  if (intent === "toggle_schedule") {
+    const res = await setScheduleEnabled({
+      shop,
+      id: String(form.get("id") || ""),
+      enabled: String(form.get("enabled") || "") === "true",
+    });
+    if (!res.ok) return jsonResponse({ ok: false, intent, error: res.error }, 400);
+    return jsonResponse({ ok: true, intent });
+  }
+
+  if (intent === "delete_schedule") {
+    const res = await deleteSchedule({ shop, id: String(form.get("id") || "") });
+    if (!res.ok) return jsonResponse({ ok: false, intent, error: "Schedule not found" }, 404);
+    return jsonResponse({ ok: true, intent });
+  }
+
+  return jsonResponse({ ok: false, intent, error: "Unknown intent" }, 400);
+}
+
+/** ---------------- helpers ---------------- */
+// ✅ Embedded query’yi her zaman koru (shop/host/embedded)
+function getEmbeddedQuery(locationSearch, loaderData) {
+  const p = new URLSearchParams(locationSearch || "");
+  const ss = typeof window !== "undefined" ? window.sessionStorage : null;
+
+  const shop = p.get("shop") || ss?.getItem("shopifyShop") || loaderData?.shop || "";
+  const host = p.get("host") || ss?.getItem("shopifyHost") || loaderData?.host || "";
+  const embedded = p.get("embedded") || ss?.getItem("shopifyEmbedded") || loaderData?.embedded || "";
+
+  const out = new URLSearchParams();
+  if (shop) out.set("shop", shop);
+  if (host) out.set("host", host);
+  if (embedded) out.set("embedded", embedded);
+
+  const qs = out.toString();
+  return qs ? `?${qs}` : "";
+}
+
+function formatDate(v) {
+  if (!v) return "-";
+  try {
+    return new Date(v).toLocaleString();
+  } catch {
+    return String(v);
+  }
+}
+
+function scheduleWhat(s) {
+  const type = JOB_TYPE_LABELS[s.jobType] || s.jobType;
+  if (s.action === "publish") return `Publish ${type} job #${s.targetJobId}`;
+  const parts = [`Generate ${type}`];
+  parts.push(s.createdWithinDays ? `created in the last ${s.createdWithinDays} day(s)` : "any age");
+  if (s.onlyMissing) parts.push("only missing");
+  parts.push(`max ${s.maxItems}`);
+  if (s.autoPublish) parts.push("publish automatically");
+  return parts.join(" · ");
+}
+
+function scheduleStatusBadge(s) {
+  if (s.enabled) return <Badge tone="success">Active</Badge>;
+  if (s.cadence === "once" && s.lastRunAt) return <Badge>Done</Badge>;
+  return <Badge tone="attention">Paused</Badge>;
+}
+
+/** ---------------- component ---------------- */
+export default function Schedules() {
+  const data = useLoaderData();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const actionFetcher = useFetcher();
+  const [toast, setToast] = useState(null);
+
+  const schedules = Array.isArray(data?.schedules) ? data.schedules : [];
+  const publishableJobs = Array.isArray(data?.publishableJobs) ? data.publishableJobs : [];
+  const isPro = Boolean(data?.isPro);
+  const timezone = data?.timezone || "UTC";
+
+  const [form, setForm] = useState({
+    name: "",
+    action: "generate",
+    jobType: "PRODUCT_SEO",
+    targetJobId: "",
+    createdWithinDays: "7",
+    onlyMissing: true,
+    maxItems: "50",
+    metaTitle: true,
+    metaDescription: true,
+    autoPublish: false,
+    cadence: "weekly",
+    runDate: "",
+    runTime: "02:00",
+    timeOfDay: "02:00",
+    weekday: "1",
+  });
+  const setField = (k) => (v) => setForm((prev) => ({ ...prev, [k]: v }));
+
+  const embeddedQs = useMemo(
+    () => getEmbeddedQuery(location.search, data),
+    [location.search, data?.shop, data?.host, data?.embedded],
+  );
+
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    if (data?.shop) window.sessionStorage.setItem("shopifyShop", data.shop);
+    if (data?.host) window.sessionStorage.setItem("shopifyHost", data.host);
+    if (data?.embedded) window.sessionStorage.setItem("shopifyEmbedded", data.embedded);
+  }, [data?.shop, data?.host, data?.embedded]);
+
+  // Action results -> toast
+  useEffect(() => {
+    if (actionFetcher.state !== "idle") return;
+    const d = actionFetcher.data;
+    if (!d || typeof d !== "object") return;
+
+    if (!d.ok) {
+      setToast({ content: d.error || "Action failed", error: true });
+      return;
+    }
+    if (d.intent === "create_schedule") setToast({ content: "Schedule created" });
+    else if (d.intent === "delete_schedule") setToast({ content: "Schedule deleted" });
+    else if (d.intent === "toggle_schedule") setToast({ content: "Schedule updated" });
+  }, [actionFetcher.state, actionFetcher.data]);
+
+  const busy = actionFetcher.state !== "idle";
+  const isPublish = form.action === "publish";
+  const cadence = isPublish ? "once" : form.cadence;
+  const needsPro = !isPublish && form.jobType !== "PRODUCT_SEO" && !isPro;
+
+  const createSchedule = () => {
+    actionFetcher.submit(
+      {
+        intent: "create_schedule",
+        ...form,
+        cadence,
+        onlyMissing: String(form.onlyMissing),
+        metaTitle: String(form.metaTitle),
+        metaDescription: String(form.metaDescription),
+        autoPublish: String(form.autoPublish),
+      },
+      { method: "post" },
+    );
+  };
+
+  const toggleSchedule = (s) => {
+    actionFetcher.submit({ intent: "toggle_schedule", id: s.id, enabled: String(!s.enabled) }, { method: "post" });
+  };
+
+  const removeSchedule = (s) => {
+    if (!window.confirm("Delete this schedule?")) return;
+    actionFetcher.submit({ intent: "delete_schedule", id: s.id }, { method: "post" });
+  };
+
+  const rows = schedules.map((s) => [
+    s.name || "-",
+    scheduleWhat(s),
+    describeSchedule(s),
+    s.enabled ? formatDate(s.nextRunAt) : "-",
+    <BlockStack key="last" gap="100">
+      <Text as="span" variant="bodySm">
+        {formatDate(s.lastRunAt)}
+      </Text>
+      {s.lastJobId ? (
+        <Button variant="plain" onClick={() => navigate(`/app/generation-history/${s.lastJobId}${embeddedQs}`)}>
+          View job
+        </Button>
+      ) : null}
+      {s.lastError ? (
+        <Text as="span" variant="bodySm" tone="critical">
+          {String(s.lastError).slice(0, 160)}
+        </Text>
+      ) : null}
+    </BlockStack>,
+    scheduleStatusBadge(s),
+    <InlineStack key="actions" gap="200" wrap={false}>
+      {s.cadence !== "once" || !s.lastRunAt ? (
+        <Button size="slim" onClick={() => toggleSchedule(s)} disabled={busy}>
+          {s.enabled ? "Pause" : "Resume"}
+        </Button>
+      ) : null}
+      <Button size="slim" tone="critical" onClick={() => removeSchedule(s)} disabled={busy}>
+        Delete
+      </Button>
+    </InlineStack>,
+  ]);
+
+  const jobTypeOptions = [
+    { label: "Product meta title & description", value: "PRODUCT_SEO" },
+    { label: `Image ALT text${isPro ? "" : " (Pro)"}`, value: "ALT_TEXT_IMAGES" },
+    { label: `Blog article meta${isPro ? "" : " (Pro)"}`, value: "BLOG_SEO_META" },
+  ];
+
+  const publishJobOptions = [
+    { label: publishableJobs.length ? "Select a job" : "No generated jobs waiting for publish", value: "" },
+    ...publishableJobs.map((j) => ({
+      label: `#${j.id} · ${JOB_TYPE_LABELS[j.jobType] || j.jobType} · ${j.okCount} item(s) · ${formatDate(j.createdAt)}`,
+      value: j.id,
+    })),
+  ];
+
+  return (
+    <Frame>
+      {toast ? <Toast content={toast.content} error={toast.error} onDismiss={() => setToast(null)} /> : null}
+      <Page
+        title="Schedules"
+        subtitle="Run generation or publishing at a specific time, once or on a recurring basis."
+      >
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  New schedule
+                </Text>
+
+                <InlineStack gap="400" wrap>
+                  <TextField
+                    label="Name (optional)"
+                    value={form.name}
+                    onChange={setField("name")}
+                    autoComplete="off"
+                    placeholder="Weekly new products"
+                  />
+                  <Select
+                    label="Action"
+                    options={[
+                      { label: "Generate drafts", value: "generate" },
+                      { label: "Publish a generated job", value: "publish" },
+                    ]}
+                    value={form.action}
+                    onChange={setField("action")}
+                  />
+                </InlineStack>
+
+                {isPublish ? (
+                  <Select
+                    label="Job to publish"
+                    options={publishJobOptions}
+                    value={form.targetJobId}
+                    onChange={setField("targetJobId")}
+                    helpText="Successfully generated items are published; failed items are skipped."
+                  />
+                ) : (
+                  <BlockStack gap="300">
+                    <InlineStack gap="400" wrap>
+                      <Select
+                        label="Generate"
+                        options={jobTypeOptions}
+                        value={form.jobType}
+                        onChange={setField("jobType")}
+                      />
+                      <TextField
+                        label="Created in the last (days)"
+                        type="number"
+                        min={0}
+                        value={form.createdWithinDays}
+                        onChange={setField("createdWithinDays")}
+                        autoComplete="off"
+                        helpText="Empty or 0 = any age"
+                      />
+                      <TextField
+                        label="Max items per run"
+                        type="number"
+                        min={1}
+                        max={250}
+                        value={form.maxItems}
+                        onChange={setField("maxItems")}
+                        autoComplete="off"
+                      />
+                    </InlineStack>
+                    <InlineStack gap="400" wrap>
+                      <Checkbox
+                        label={form.jobType === "ALT_TEXT_IMAGES" ? "Only images without ALT text" : "Only items without meta"}
+                        checked={form.onlyMissing}
+                        onChange={setField("onlyMissing")}
+                      />
+                      {form.jobType !== "ALT_TEXT_IMAGES" ? (
+                        <>
+                          <Checkbox label="Meta title" checked={form.metaTitle} onChange={setField("metaTitle")} />
+                          <Checkbox
+                            label="Meta description"
+                            checked={form.metaDescription}
+                            onChange={setField("metaDescription")}
+                          />
+                        </>
+                      ) : null}
+                      <Checkbox
+                        label="Publish automatically (no review)"
+                        checked={form.autoPublish}
+                        onChange={setField("autoPublish")}
+                      />
+                    </InlineStack>
+                  </BlockStack>
+                )}
+
+                <InlineStack gap="400" wrap>
+                  {!isPublish ? (
+                    <Select
+                      label="Repeat"
+                      options={[
+                        { label: "Once", value: "once" },
+                        { label: "Every day", value: "daily" },
+                        { label: "Every week", value: "weekly" },
+                      ]}
+                      value={form.cadence}
+                      onChange={setField("cadence")}
+                    />
+                  ) : null}
+                  {cadence === "once" ? (
+                    <>
+                      <TextField
+                        label="Date"
+                        type="date"
+                        value={form.runDate}
+                        onChange={setField("runDate")}
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Time"
+                        type="time"
+                        value={form.runTime}
+                        onChange={setField("runTime")}
+                        autoComplete="off"
+                      />
+                    </>
+                  ) : (
+                    <>
+                      {cadence === "weekly" ? (
+                        <Select
+                          label="Day"
+                          options={WEEKDAYS.map((label, i) => ({ label, value: String(i) }))}
+                          value={form.weekday}
+                          onChange={setField("weekday")}
+                        />
+                      ) : null}
+                      <TextField
+                        label="Time"
+                        type="time"
+                        value={form.timeOfDay}
+                        onChange={setField("timeOfDay")}
+                        autoComplete="off"
+                      />
+                    </>
+                  )}
+                </InlineStack>
+
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Times are in your store’s time zone ({timezone}). Generation uses your plan’s usage like a manual
+                  run.
+                </Text>
+
+                {needsPro ? (
+                  <Banner tone="warning" title="Pro required">
+                    <Text as="p" variant="bodyMd">
+                      Image ALT text and blog generation are available on Pro.
+                    </Text>
+                  </Banner>
+                ) : null}
+
+                <InlineStack align="end">
+                  <Button
+                    variant="primary"
+                    onClick={createSchedule}
+                    loading={busy && actionFetcher.formData?.get("intent") === "create_schedule"}
+                    disabled={busy || needsPro || (isPublish && !form.targetJobId)}
+                  >
+                    Create schedule
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Schedules ({schedules.length})
+                </Text>
+                {rows.length ? (
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "text", "text", "text"]}
+                    headings={["Name", "What", "When", "Next run", "Last run", "Status", ""]}
+                    rows={rows}
+                  />
+                ) : (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    No schedules yet.
+                  </Text>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </Frame>
+  );
+}
+
+/** ---------------- route ErrorBoundary ---------------- */
+export function ErrorBoundary() {
+  const err = useRouteError();
+  // eslint-disable-next-line no-console
+  console.error("Schedules ErrorBoundary:", err);
+
+  let bannerTitle = "Something went wrong";
+  let message = "Unknown error";
+
+  if (isRouteErrorResponse(err)) {
+    bannerTitle = `Error ${err.status}`;
+    message = err.data || err.statusText;
+  } else if (err instanceof Error) {
+    message = err.message;
+  } else {
+    message = String(err);
+  }
+
+  return (
+    <Page title="Schedules">
+      <Banner tone="critical" title={bannerTitle}>
+        <Text as="p" variant="bodyMd">
+          {message}
+        </Text>
+      </Banner>
+    </Page>
+  );
+}
@@ -0,0 +1,683 @@
+import { useEffect, useMemo, useState } from "react";
+import { useFetcher, useLoaderData, useLocation, useNavigate, useRouteError, isRouteErrorResponse } from "react-router";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server.js";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  Badge,
+  Button,
+  BlockStack,
+  InlineStack,
+  Banner,
+  Select,
+  Pagination,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+
+import {
+  createAuditJob,
+  createGenerateJob,
+  createCollectionSeoJob,
+  createPageSeoJob,
+  createAltTextJob,
+  createBlogMetaJob,
+} from "../jobs.server";
+import { enqueueSeoJob } from "../queue.server";
+import { BILLING_PLANS } from "../billing.plans.js";
+import { getBillingContext, reserveIfFreePlan, reservationErrorMessage } from "../billing.gating.server.js";
+import { AUDIT_ISSUES, AUDIT_RESOURCE_TYPES, auditIssueLabel, isAuditFindingFixable } from "../audit.issues.js";
+import { getSettingsFromMetafield } from "../autoseo.server.js";
+
+const FINDINGS_PAGE_SIZE = 50;
+// "Fix with AI" seeds one generation job; keep it reviewable.
+const FIX_MAX_ITEMS = 250;
+
+/** ----------------------- Response helper ----------------------- **/
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
+
+function sanitizeLanguage(input) {
+  const raw = String(input || "")
+    .trim()
+    .toLowerCase();
+  const m = raw.match(/^[a-z]{2}/);
+  return m ? m[0] : "tr";
+}
+
+function freeLimitResponse(reservation) {
+  return jsonResponse(
+    {
+      ok: false,
+      intent: "fix_with_ai",
+      code: reservation.code || "FREE_LIMIT_EXCEEDED",
+      error: reservationErrorMessage(reservation.code),
+      billing: {
+        planKey: reservation.planKey,
+        mode: reservation.mode,
+        free: reservation.free,
+        limit: BILLING_PLANS.FREE.monthlyProductLimit,
+      },
+    },
+    402,
+  );
+}
+
+/** ---------------- server ---------------- */
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop || "";
+
+  const url = new URL(request.url);
+  const host = url.searchParams.get("host") || "";
+  const embedded = url.searchParams.get("embedded") || "";
+
+  const issue = url.searchParams.get("issue") || "";
+  const type = url.searchParams.get("type") || "";
+  const page = Math.max(1, Number(url.searchParams.get("page") || 1) || 1);
+
+  const billing = await getBillingContext(shop);
+
+  const runs = await prisma.seoAuditRun.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take: 10,
+  });
+
+  const activeJob = await prisma.seoJob.findFirst({
+    where: { shop, jobType: "SEO_AUDIT", status: { in: ["queued", "running"] } },
+    orderBy: { createdAt: "desc" },
+    select: { id: true, status: true, createdAt: true },
+  });
+
+  const successRuns = runs.filter((r) => r.status === "success");
+  const latest = successRuns[0] || null;
+  const previous = successRuns[1] || null;
+
+  let groups = [];
+  let findings = [];
+  let findingsTotal = 0;
+
+  if (latest) {
+    const grouped = await prisma.seoAuditFinding.groupBy({
+      by: ["issue", "resourceType"],
+      where: { runId: latest.id },
+      _count: { _all: true },
+    });
+    groups = grouped
+      .map((g) => ({ issue: g.issue, resourceType: g.resourceType, count: g._count._all }))
+      .sort((a, b) => b.count - a.count);
+
+    const where = {
+      runId: latest.id,
+      ...(issue ? { issue } : {}),
+      ...(type ? { resourceType: type } : {}),
+    };
+    findingsTotal = await prisma.seoAuditFinding.count({ where });
+    findings = await prisma.seoAuditFinding.findMany({
+      where,
+      orderBy: [{ resourceType: "asc" }, { title: "asc" }],
+      skip: (page - 1) * FINDINGS_PAGE_SIZE,
+      take: FINDINGS_PAGE_SIZE,
+    });
+  }
+
+  return {
+    shop,
+    host,
+    embedded,
+    isPro: Boolean(billing.isPro),
+    runs,
+    activeJob,
+    latest,
+    previous,
+    groups,
+    findings,
+    findingsTotal,
+    meta: { issue, type, page, pageSize: FINDINGS_PAGE_SIZE },
+  };
+}
+
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop || "";
+  const form = await request.formData();
+  const intent = String(form.get("intent") || "");
+
+  if (intent === "start_audit") {
+    const active = await prisma.seoJob.findFirst({
+      where: { shop, jobType: "SEO_AUDIT", status: { in: ["queued", "running"] } },
+      select: { id: true },
+    });
+    if (active) {
+      return jsonResponse({ ok: false, intent, error: "An audit is already running." }, 409);
+    }
+
+    const settings = (await getSettingsFromMetafield(admin)) || {};
+    const job = await createAuditJob({
+      shop,
+      seed: { language: sanitizeLanguage(settings?.language), settings },
+    });
+    await enqueueSeoJob(job.id);
+
+    return jsonResponse({ ok: true, intent, jobId: job.id });
+  }
+
+  if (intent === "fix_with_ai") {
+    const runId = String(form.get("runId") || "");
+    const issue = String(form.get("issue") || "");
+    const resourceType = String(form.get("resourceType") || "").toUpperCase();
+
+    if (!runId || !issue || !isAuditFindingFixable(resourceType)) {
+      return jsonResponse({ ok: false, intent, error: "These findings cannot be fixed with AI." }, 400);
+    }
+
+    const billing = await getBillingContext(shop);
+    if ((resourceType === "IMAGE" || resourceType === "ARTICLE") && !billing.isPro) {
+      return jsonResponse(
+        {
+          ok: false,
+          intent,
+          code: "PRO_REQUIRED",
+          error:
+            resourceType === "IMAGE"
+              ? "Image ALT text generation is available on Pro."
+              : "Blog article generation is available on Pro.",
+          billing: { planKey: billing.planKey, mode: billing.mode, free: billing.free },
+        },
+        402,
+      );
+    }
+
+    const findings = await prisma.seoAuditFinding.findMany({
+      where: { runId, shop, issue, resourceType },
+      orderBy: { title: "asc" },
+      take: FIX_MAX_ITEMS,
+    });
+    // One finding per resource (a product can't be queued twice in the same job)
+    const unique = Array.from(new Map(findings.map((f) => [String(f.resourceId), f])).values());
+    if (!unique.length) {
+      return jsonResponse({ ok: false, intent, error: "No findings to fix." }, 400);
+    }
+
+    const reservation = await reserveIfFreePlan({ shop, productCount: unique.length });
+    if (!reservation.ok) return freeLimitResponse(reservation);
+
+    const settings = (await getSettingsFromMetafield(admin)) || {};
+    const language = sanitizeLanguage(settings?.language);
+
+    let job = null;
+    if (resourceType === "PRODUCT") {
+      job = await createGenerateJob({
+        shop,
+        seed: { language, settings, fields: { metaTitle: true, metaDescription: true } },
+        usageReserved: true,
+        reservation,
+        productIds: unique.map((f) => String(f.resourceId)),
+        productTitlesById: Object.fromEntries(unique.map((f) => [String(f.resourceId), f.title])),
+      });
+    } else if (resourceType === "COLLECTION") {
+      job = await createCollectionSeoJob({
+        shop,
+        seed: { language, settings, fields: { metaTitle: true, metaDescription: true } },
+        usageReserved: true,
+        reservation,
+        collections: unique.map((f) => ({ collectionId: String(f.resourceId), title: f.title || null })),
+      });
+    } else if (resourceType === "PAGE") {
+      job = await createPageSeoJob({
+        shop,
+        seed: { language, settings, fields: { metaTitle: true, metaDescription: true } },
+        usageReserved: true,
+        reservation,
+        pages: unique.map((f) => ({ pageId: String(f.resourceId), title: f.title || null })),
+      });
+    } else if (resourceType === "IMAGE") {
+      job = await createAltTextJob({
+        shop,
+        seed: { language, settings },
+        usageReserved: true,
+        reservation,
+        images: unique.map((f) => ({
+          productId: f.parentId ? String(f.parentId) : null,
+          productTitle: f.title || null,
+          mediaId: String(f.resourceId),
+          imageUrl: f.imageUrl || null,
+          currentAltText: "",
+        })),
+      });
+    } else if (resourceType === "ARTICLE") {
+      job = await createBlogMetaJob({
+        shop,
+        seed: { language, settings },
+        usageReserved: true,
+        reservation,
+        articles: unique.map((f) => ({ articleId: String(f.resourceId), title: f.title || null })),
+      });
+    }
+
+    await enqueueSeoJob(job.id);
+    return jsonResponse({ ok: true, intent, jobId: job.id, count: unique.length });
+  }
+
+  return jsonResponse({ ok: false, intent, error: "Unknown intent" }, 400);
+}
+
+/** ---------------- helpers ---------------- */
+// ✅ Embedded query’yi her zaman koru (shop/host/embedded)
+function getEmbeddedQuery(locationSearch, loaderData) {
+  const p = new URLSearchParams(locationSearch || "");
+  const ss = typeof window !== "undefined" ? window.sessionStorage : null;
+
+  const shop = p.get("shop") || ss?.getItem("shopifyShop") || loaderData?.shop || "";
+  const host = p.get("host") || ss?.getItem("shopifyHost") || loaderData?.host || "";
+  const embedded = p.get("embedded") || ss?.getItem("shopifyEmbedded") || loaderData?.embedded || "";
+
+  const out = new URLSearchParams();
+  if (shop) out.set("shop", shop);
+  if (host) out.set("host", host);
+  if (embedded) out.set("embedded", embedded);
+
+  const qs = out.toString();
+  return qs ? `?${qs}` : "";
+}
+
+function buildSearch(locationSearch, patch = {}) {
+  const sp = new URLSearchParams(locationSearch || "");
+  Object.entries(patch || {}).forEach(([k, v]) => {
+    if (v === undefined) return;
+    if (v === null || v === "") sp.delete(k);
+    else sp.set(k, String(v));
+  });
+  // Filters changed -> back to first page
+  if ("issue" in patch || "type" in patch) sp.delete("page");
+  const qs = sp.toString();
+  return qs ? `?${qs}` : "";
+}
+
+function formatDate(v) {
+  if (!v) return "-";
+  try {
+    return new Date(v).toLocaleString();
+  } catch {
+    return String(v);
+  }
+}
+
+function runStatusBadge(status) {
+  const s = String(status || "").toLowerCase();
+  if (s === "success") return <Badge tone="success">Completed</Badge>;
+  if (s === "failed") return <Badge tone="critical">Failed</Badge>;
+  if (s === "cancelled") return <Badge>Cancelled</Badge>;
+  if (s === "running") return <Badge tone="info">Running</Badge>;
+  return <Badge tone="attention">Queued</Badge>;
+}
+
+function scannedTotal(run) {
+  if (!run) return 0;
+  return (
+    Number(run.scannedProducts || 0) +
+    Number(run.scannedCollections || 0) +
+    Number(run.scannedPages || 0) +
+    Number(run.scannedArticles || 0)
+  );
+}
+
+function deltaText(current, previous) {
+  if (previous === null || previous === undefined) return "";
+  const d = Number(current || 0) - Number(previous || 0);
+  if (d === 0) return "no change";
+  return d > 0 ? `+${d} since last audit` : `${d} since last audit`;
+}
+
+/** ---------------- component ---------------- */
+export default function SeoAudit() {
+  const data = useLoaderData();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const poller = useFetcher();
+  const actionFetcher = useFetcher();
+  const [toast, setToast] = useState(null);
+
+  // Polling results win over the initial loader data
+  const view = poller.data && typeof poller.data === "object" && "runs" in poller.data ? poller.data : data;
+
+  const runs = Array.isArray(view?.runs) ? view.runs : [];
+  const groups = Array.isArray(view?.groups) ? view.groups : [];
+  const findings = Array.isArray(view?.findings) ? view.findings : [];
+  const latest = view?.latest || null;
+  const previous = view?.previous || null;
+  const activeJob = view?.activeJob || null;
+  const meta = view?.meta || {};
+  const isPro = Boolean(view?.isPro);
+
+  const embeddedQs = useMemo(
+    () => getEmbeddedQuery(location.search, data),
+    [location.search, data?.shop, data?.host, data?.embedded],
+  );
+
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    if (data?.shop) window.sessionStorage.setItem("shopifyShop", data.shop);
+    if (data?.host) window.sessionStorage.setItem("shopifyHost", data.host);
+    if (data?.embedded) window.sessionStorage.setItem("shopifyEmbedded", data.embedded);
+  }, [data?.shop, data?.host, data?.embedded]);
+
+  // ✅ Polling: only while an audit job is queued/running
+  useEffect(() => {
+    if (!activeJob) return;
+    const t = setInterval(() => {
+      poller.load(`${location.pathname}${location.search || ""}`);
+    }, 3000);
+    return () => clearInterval(t);
+  }, [activeJob, poller, location.pathname, location.search]);
+
+  // Action results -> toast / navigation
+  useEffect(() => {
+    if (actionFetcher.state !== "idle") return;
+    const d = actionFetcher.data;
+    if (!d || typeof d !== "object") return;
+
+    if (!d.ok) {
+      setToast({ content: d.error || "Action failed", error: true });
+      return;
+    }
+    if (d.intent === "start_audit") {
+      setToast({ content: "Audit started" });
+      poller.load(`${location.pathname}${location.search || ""}`);
+      return;
+    }
+    if (d.intent === "fix_with_ai" && d.jobId) {
+      navigate(`/app/generation-history/${d.jobId}${embeddedQs}`);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [actionFetcher.state, actionFetcher.data]);
+
+  const busy = actionFetcher.state !== "idle";
+
+  const startAudit = () => {
+    actionFetcher.submit({ intent: "start_audit" }, { method: "post" });
+  };
+
+  const fixWithAi = (g) => {
+    if (!latest) return;
+    const n = Math.min(g.count, FIX_MAX_ITEMS);
+    const ok = window.confirm(
+      `Create a generation job for ${n} ${AUDIT_RESOURCE_TYPES[g.resourceType] || g.resourceType} (${auditIssueLabel(g.issue)})?`,
+    );
+    if (!ok) return;
+    actionFetcher.submit(
+      { intent: "fix_with_ai", runId: latest.id, issue: g.issue, resourceType: g.resourceType },
+      { method: "post" },
+    );
+  };
+
+  const setFilter = (patch) => navigate(`${location.pathname}${buildSearch(location.search, patch)}`);
+
+  const issueOptions = [
+    { label: "All issues", value: "" },
+    ...Object.entries(AUDIT_ISSUES).map(([value, v]) => ({ label: v.label, value })),
+  ];
+  const typeOptions = [
+    { label: "All resources", value: "" },
+    ...Object.entries(AUDIT_RESOURCE_TYPES).map(([value, label]) => ({ label, value })),
+  ];
+
+  const page = Number(meta.page || 1);
+  const pageSize = Number(meta.pageSize || FINDINGS_PAGE_SIZE);
+  const findingsTotal = Number(view?.findingsTotal || 0);
+
+  const trendRows = runs.map((r) => [
+    formatDate(r.createdAt),
+    runStatusBadge(r.status),
+    String(scannedTotal(r)),
+    String(r.scannedImages ?? 0),
+    String(r.issueCount ?? 0),
+  ]);
+
+  const groupRows = groups.map((g) => {
+    const fixable = isAuditFindingFixable(g.resourceType);
+    const needsPro = g.resourceType === "IMAGE" || g.resourceType === "ARTICLE";
+    return [
+      <Badge key="i" tone={AUDIT_ISSUES[g.issue]?.tone}>
+        {auditIssueLabel(g.issue)}
+      </Badge>,
+      AUDIT_RESOURCE_TYPES[g.resourceType] || g.resourceType,
+      String(g.count),
+      fixable ? (
+        <Button key="f" size="slim" onClick={() => fixWithAi(g)} disabled={busy || (needsPro && !isPro)}>
+          {needsPro && !isPro ? "Fix with AI (Pro)" : "Fix with AI"}
+        </Button>
+      ) : (
+        <Text key="f" as="span" tone="subdued">
+          -
+        </Text>
+      ),
+    ];
+  });
+
+  const findingRows = findings.map((f) => [
+    AUDIT_RESOURCE_TYPES[f.resourceType] || f.resourceType,
+    f.title || String(f.resourceId).split("/").pop(),
+    auditIssueLabel(f.issue),
+    f.detail || "-",
+  ]);
+
+  return (
+    <Frame>
+      {toast ? <Toast content={toast.content} error={toast.error} onDismiss={() => setToast(null)} /> : null}
+      <Page
+        title="SEO Audit"
+        subtitle="Scan your catalog for missing, duplicate or over-length SEO meta and missing ALT text."
+        primaryAction={{
+          content: activeJob ? "Audit running…" : "Run audit",
+          onAction: startAudit,
+          loading: busy && actionFetcher.formData?.get("intent") === "start_audit",
+          disabled: Boolean(activeJob) || busy,
+        }}
+        secondaryActions={
+          activeJob
+            ? [
+                {
+                  content: "View job",
+                  onAction: () => navigate(`/app/generation-history/${activeJob.id}${embeddedQs}`),
+                },
+              ]
+            : []
+        }
+      >
+        <Layout>
+          {activeJob ? (
+            <Layout.Section>
+              <Banner tone="info" title="Audit in progress">
+                <Text as="p" variant="bodyMd">
+                  Shopify is exporting your catalog. Large stores can take a few minutes; this page refreshes
+                  automatically.
+                </Text>
+              </Banner>
+            </Layout.Section>
+          ) : null}
+
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  SEO health
+                </Text>
+                {latest ? (
+                  <>
+                    <InlineStack gap="800" wrap>
+                      <BlockStack gap="100">
+                        <Text as="p" variant="bodySm" tone="subdued">
+                          Issues
+                        </Text>
+                        <Text as="p" variant="headingLg">
+                          {latest.issueCount}
+                        </Text>
+                        <Text as="p" variant="bodySm" tone="subdued">
+                          {deltaText(latest.issueCount, previous ? previous.issueCount : null)}
+                        </Text>
+                      </BlockStack>
+                      <BlockStack gap="100">
+                        <Text as="p" variant="bodySm" tone="subdued">
+                          Resources scanned
+                        </Text>
+                        <Text as="p" variant="headingLg">
+                          {scannedTotal(latest)}
+                        </Text>
+                        <Text as="p" variant="bodySm" tone="subdued">
+                          {latest.scannedProducts} products · {latest.scannedCollections} collections ·{" "}
+                          {latest.scannedPages} pages · {latest.scannedArticles} articles
+                        </Text>
+                      </BlockStack>
+                      <BlockStack gap="100">
+                        <Text as="p" variant="bodySm" tone="subdued">
+                          Images scanned
+                        </Text>
+                        <Text as="p" variant="headingLg">
+                          {latest.scannedImages}
+                        </Text>
+                      </BlockStack>
+                    </InlineStack>
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      Last completed audit: {formatDate(latest.finishedAt || latest.createdAt)}
+                    </Text>
+                  </>
+                ) : (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    No completed audit yet. Run an audit to see your store’s SEO health.
+                  </Text>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          {latest ? (
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">
+                    Issues by type
+                  </Text>
+                  {groupRows.length ? (
+                    <DataTable
+                      columnContentTypes={["text", "text", "numeric", "text"]}
+                      headings={["Issue", "Resource", "Count", ""]}
+                      rows={groupRows}
+                    />
+                  ) : (
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      No issues found 🎉
+                    </Text>
+                  )}
+                  {groups.some((g) => g.count > FIX_MAX_ITEMS) ? (
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      Fix with AI queues up to {FIX_MAX_ITEMS} items per job. Re-run the audit to pick up the rest.
+                    </Text>
+                  ) : null}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          ) : null}
+
+          {latest ? (
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <InlineStack align="space-between" blockAlign="center" wrap>
+                    <Text as="h2" variant="headingMd">
+                      Findings ({findingsTotal})
+                    </Text>
+                    <InlineStack gap="200">
+                      <Select
+                        label="Issue"
+                        labelHidden
+                        options={issueOptions}
+                        value={meta.issue || ""}
+                        onChange={(v) => setFilter({ issue: v })}
+                      />
+                      <Select
+                        label="Resource"
+                        labelHidden
+                        options={typeOptions}
+                        value={meta.type || ""}
+                        onChange={(v) => setFilter({ type: v })}
+                      />
+                    </InlineStack>
+                  </InlineStack>
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text"]}
+                    headings={["Resource", "Title", "Issue", "Detail"]}
+                    rows={findingRows}
+                  />
+                  <InlineStack align="center">
+                    <Pagination
+                      hasPrevious={page > 1}
+                      onPrevious={() => setFilter({ page: page - 1 })}
+                      hasNext={page * pageSize < findingsTotal}
+                      onNext={() => setFilter({ page: page + 1 })}
+                    />
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          ) : null}
+
+          {runs.length ? (
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">
+                    Recent audits
+                  </Text>
+                  <DataTable
+                    columnContentTypes={["text", "text", "numeric", "numeric", "numeric"]}
+                    headings={["Date", "Status", "Resources", "Images", "Issues"]}
+                    rows={trendRows}
+                  />
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          ) : null}
+        </Layout>
+      </Page>
+    </Frame>
+  );
+}
+
+/** ---------------- route ErrorBoundary ---------------- */
+export function ErrorBoundary() {
+  const err = useRouteError();
+  // eslint-disable-next-line no-console
+  console.error("SEO Audit ErrorBoundary:", err);
+
+  let bannerTitle = "Something went wrong";
+  let message = "Unknown error";
+
+  if (isRouteErrorResponse(err)) {
+    bannerTitle = `Error ${err.status}`;
+    message = err.data || err.statusText;
+  } else if (err instanceof Error) {
+    message = err.message;
+  } else {
+    message = String(err);
+  }
+
+  return (
+    <Page title="SEO Audit">
+      <Banner tone="critical" title={bannerTitle}>
+        <Text as="p" variant="bodyMd">
+          {message}
+        </Text>
+      </Banner>
+    </Page>
+  );
+}
@@ -37,10 +37,19 @@ import {
 } from "@shopify/polaris";
 import { SearchIcon, FilterIcon, SortIcon, PlusIcon } from "@shopify/polaris-icons";
 
-import { createAltTextJob, createGenerateJob, createBlogMetaJob } from "../jobs.server";
+import {
+  createAltTextJob,
+  createGenerateJob,
+  createMatchingGenerateJob,
+  createBlogMetaJob,
+  createCollectionSeoJob,
+  createPageSeoJob,
+} from "../jobs.server";
 import { enqueueSeoJob } from "../queue.server";
 import { BILLING_PLANS } from "../billing.plans.js";
-import { getBillingContext, reserveIfFreePlan } from "../billing.gating.server.js";
+import { getBillingContext, reserveIfFreePlan, reservationErrorMessage } from "../billing.gating.server.js";
+import { recordSeoChanges } from "../changelog.server.js";
+import { staffUserFromSession } from "../staff.server.js";
 const SETTINGS_NAMESPACE = "ai_seo_assistant";
 const SETTINGS_KEY = "settings";
 
@@ -167,6 +176,109 @@ async function listCollections(admin) {
   const edges = json?.data?.collections?.edges || [];
   return edges.map((e) => ({ id: e.node.id, title: e.node.title }));
 }
+
+// Collections tab: SEO fields + product count (client-side search/paging like blog articles)
+async function listCollectionsWithSeo(admin) {
+  const query = `#graphql
+    query CollectionsWithSeo($first: Int!) {
+      collections(first: $first, sortKey: TITLE) {
+        edges {
+          node {
+            id
+            title
+            handle
+            productsCount { count }
+            seo { title description }
+          }
+        }
+      }
+    }
+  `;
+  const resp = await admin.graphql(query, { variables: { first: 250 } });
+  const json = await resp.json();
+
+  if (json?.errors?.length) {
+    const message = json.errors.map((e) => e.message).join(" | ");
+    throw new Error(`Collections fetch failed: ${message}`);
+  }
+
+  const edges = json?.data?.collections?.edges || [];
+  return edges.map((e) => ({
+    id: String(e.node.id),
+    title: e.node.title,
+    handle: e.node.handle,
+    productsCount: Number(e.node?.productsCount?.count || 0),
+    seoTitle: e.node?.seo?.title || "",
+    seoDescription: e.node?.seo?.description || "",
+  }));
+}
+
+// Pages tab: cursor pagination (same first/after, last/before pattern as listProducts)
+async function listPages(admin, q, opts = {}) {
+  const limit = Number(opts.limit || 25);
+  const after = opts.after || null;
+  const before = opts.before || null;
+
+  const query = `#graphql
+    query Pages($first: Int, $after: String, $last: Int, $before: String, $query: String) {
+      pages(first: $first, after: $after, last: $last, before: $before, query: $query, sortKey: TITLE) {
+        pageInfo {
+          hasNextPage
+          hasPreviousPage
+          startCursor
+          endCursor
+        }
+        edges {
+          node {
+            id
+            title
+            handle
+            isPublished
+            updatedAt
+            titleTag: metafield(namespace: "global", key: "title_tag") { value }
+            descriptionTag: metafield(namespace: "global", key: "description_tag") { value }
+          }
+        }
+      }
+    }
+  `;
+
+  const variables = {
+    query: q || null,
+    first: before ? null : limit,
+    after: before ? null : after,
+    last: before ? limit : null,
+    before: before,
+  };
+
+  const resp = await admin.graphql(query, { variables });
+  const json = await resp.json();
+
+  if (json?.errors?.length) {
+    const message = json.errors.map((e) => e.message).join(" | ");
+    throw new Error(`Pages fetch failed: ${message}`);
+  }
+
+  const connection = json?.data?.pages;
+  return {
+    items: (connection?.edges || []).map((e) => ({
+      id: String(e.node.id),
+      title: e.node.title,
+      handle: e.node.handle,
+      isPublished: Boolean(e.node.isPublished),
+      updatedAt: e.node.updatedAt,
+      seoTitle: e.node?.titleTag?.value || "",
+      seoDescription: e.node?.descriptionTag?.value || "",
+    })),
+    pageInfo: connection?.pageInfo || {
+      hasNextPage: false,
+      hasPreviousPage: false,
+      startCursor: null,
+      endCursor: null,
+    },
+  };
+}
+
 async function listProductImages(admin, q) {
   const query = `#graphql
     query ProductsWithImages($first: Int!, $query: String) {
@@ -372,6 +484,32 @@ export const loader = async ({ request }) => {
     }
   }
 
+  let pagesResult = { items: [], pageInfo: null };
+  let pagesError = "";
+  if (tab === "pages") {
+    const pageQ = String(url.searchParams.get("page_q") || "").trim();
+    try {
+      pagesResult = await listPages(admin, pageQ ? `title:*${pageQ}*` : "", {
+        limit: Math.max(1, Math.min(100, Number(url.searchParams.get("page_limit") || 25))),
+        after: url.searchParams.get("page_after") || null,
+        before: url.searchParams.get("page_before") || null,
+      });
+    } catch (e) {
+      pagesError = e?.message || String(e);
+    }
+  }
+
+  let seoCollections = [];
+  let collectionsError = "";
+  if (tab === "collections") {
+    try {
+      seoCollections = await listCollectionsWithSeo(admin);
+    } catch (e) {
+      collectionsError = e?.message || String(e);
+      seoCollections = [];
+    }
+  }
+
   const billing = await getBillingContext(session.shop);
 
   return jsonResponse({
@@ -387,11 +525,17 @@ export const loader = async ({ request }) => {
     imageProducts,
     blogArticles,
     blogError,
+    seoCollections,
+    collectionsError,
+    pages: pagesResult.items,
+    pagesPageInfo: pagesResult.pageInfo,
+    pagesError,
     billing: {
       isPro: billing.isPro,
       planKey: billing.planKey,
       mode: billing.mode,
       free: billing.free,
+      creditsMode: billing.creditsMode,
     },
     filters: { queryValue, statusTab, tag, category, collection, meta },
   });
@@ -415,6 +559,17 @@ export const action = async ({ request }) => {
       return jsonResponse({ ok: false, error: "Missing productId or mediaId" }, 400);
     }
 
+    // Current ALT text -> change log "old value"
+    const currentResp = await admin.graphql(
+      `#graphql
+        query CurrentMediaAlt($id: ID!) {
+          node(id: $id) { ... on MediaImage { id alt } }
+        }`,
+      { variables: { id: mediaId } },
+    );
+    const currentJson = await currentResp.json();
+    const previousAlt = currentJson?.data?.node?.alt ?? null;
+
     const mutation = `#graphql
       mutation UpdateMediaAltText($productId: ID!, $media: [UpdateMediaInput!]!) {
         productUpdateMedia(productId: $productId, media: $media) {
@@ -460,6 +615,19 @@ export const action = async ({ request }) => {
     const updated = (payload?.media || []).find((m) => String(m?.id || "") === mediaId);
     const updatedAlt = updated?.image?.altText ?? altText;
 
+    const staff = staffUserFromSession(session);
+    await recordSeoChanges({
+      shop: session.shop,
+      resourceType: "IMAGE",
+      resourceId: mediaId,
+      resourceTitle: String(form.get("productTitle") || "") || null,
+      productId,
+      source: "direct",
+      actor: staff.label,
+      actorType: "staff",
+      changes: [{ field: "alt_text", oldValue: previousAlt, newValue: String(updatedAlt || "") }],
+    });
+
     return jsonResponse({ ok: true, mediaId, altText: String(updatedAlt || "") });
   }
 
@@ -483,7 +651,7 @@ export const action = async ({ request }) => {
         {
           ok: false,
           code: reservation.code || "FREE_LIMIT_EXCEEDED",
-          error: "Free plan limit exceeded",
+          error: reservationErrorMessage(reservation.code),
           billing: {
             planKey: reservation.planKey,
             mode: reservation.mode,
@@ -516,6 +684,7 @@ export const action = async ({ request }) => {
         fields: { metaTitle, metaDescription },
       },
       usageReserved: true,
+      reservation,
       productIds,
       productTitlesById: titlesById,
     });
@@ -525,6 +694,37 @@ export const action = async ({ request }) => {
     return jsonResponse({ ok: true, jobId: job.id });
   }
 
+  // "Select all matching the current filters": the job stores the search, the worker resolves the products
+  // (bulk query) and reserves usage against the resolved count.
+  if (intent === "start_generate_matching") {
+    const filters = safeParse(String(form.get("filtersJson") || "{}"), {});
+    const searchQuery = buildShopifyProductQuery(filters || {});
+    const seoStatus = String(filters?.meta || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter((s) => ["filled", "partial", "empty"].includes(s))
+      .join(",");
+
+    const metaTitle = String(form.get("metaTitle") || "true") === "true";
+    const metaDescription = String(form.get("metaDescription") || "true") === "true";
+
+    const formSettings = safeParse(String(form.get("settingsJson") || "{}"), {});
+    const storedSettings = await getSettingsFromMetafield(admin);
+    const settings = storedSettings || formSettings || {};
+    const language = sanitizeLanguage(settings?.language || form.get("language") || "tr");
+
+    const job = await createMatchingGenerateJob({
+      shop: session.shop,
+      seed: { language, settings, fields: { metaTitle, metaDescription } },
+      searchQuery,
+      seoStatus,
+    });
+
+    await enqueueSeoJob(job.id);
+
+    return jsonResponse({ ok: true, jobId: job.id });
+  }
+
   if (intent === "start_generate_images") {
     // Pro-only: image ALT generation
     if (!billing.isPro) {
@@ -573,7 +773,7 @@ export const action = async ({ request }) => {
         {
           ok: false,
           code: reservation.code || "FREE_LIMIT_EXCEEDED",
-          error: "Free plan limit exceeded",
+          error: reservationErrorMessage(reservation.code),
           billing: {
             planKey: reservation.planKey,
             mode: reservation.mode,
@@ -596,6 +796,7 @@ export const action = async ({ request }) => {
       shop: session.shop,
       seed: { language, settings },
       usageReserved: true,
+      reservation,
       images,
     });
 
@@ -640,7 +841,7 @@ export const action = async ({ request }) => {
         {
           ok: false,
           code: reservation.code || "FREE_LIMIT_EXCEEDED",
-          error: "Free plan limit exceeded",
+          error: reservationErrorMessage(reservation.code),
           billing: {
             planKey: reservation.planKey,
             mode: reservation.mode,
@@ -672,6 +873,7 @@ export const action = async ({ request }) => {
       shop: session.shop,
       seed: { language, settings },
       usageReserved: true,
+      reservation,
       articles,
     });
 
@@ -679,6 +881,123 @@ export const action = async ({ request }) => {
     return jsonResponse({ ok: true, jobId: job.id });
   }
 
+  if (intent === "start_generate_pages") {
+    const pageIds = Array.from(
+      new Set(
+        safeParse(String(form.get("pageIds") || "[]"), [])
+          .map(String)
+          .filter(Boolean),
+      ),
+    );
+
+    if (!pageIds.length) {
+      return jsonResponse({ ok: false, error: "No selected pages" }, 400);
+    }
+
+    const metaTitle = String(form.get("metaTitle") || "true") === "true";
+    const metaDescription = String(form.get("metaDescription") || "true") === "true";
+    if (!metaTitle && !metaDescription) {
+      return jsonResponse({ ok: false, error: "Select at least one field" }, 400);
+    }
+
+    // Free plan monthly limit (count pages as units)
+    const reservation = await reserveIfFreePlan({
+      shop: session.shop,
+      productCount: pageIds.length,
+    });
+    if (!reservation.ok) {
+      return jsonResponse(
+        {
+          ok: false,
+          code: reservation.code || "FREE_LIMIT_EXCEEDED",
+          error: reservationErrorMessage(reservation.code),
+          billing: {
+            planKey: reservation.planKey,
+            mode: reservation.mode,
+            free: reservation.free,
+            limit: BILLING_PLANS.FREE.monthlyProductLimit,
+          },
+        },
+        402,
+      );
+    }
+
+    const settings = (await getSettingsFromMetafield(admin)) || {};
+    const language = sanitizeLanguage(settings?.language || form.get("language") || "tr");
+
+    const titlesById = safeParse(String(form.get("titlesJson") || "{}"), {});
+
+    const job = await createPageSeoJob({
+      shop: session.shop,
+      seed: { language, settings, fields: { metaTitle, metaDescription } },
+      usageReserved: true,
+      reservation,
+      pages: pageIds.map((id) => ({ pageId: id, title: titlesById?.[id] || null })),
+    });
+
+    await enqueueSeoJob(job.id);
+    return jsonResponse({ ok: true, jobId: job.id });
+  }
+
+  if (intent === "start_generate_collections") {
+    const rawCollectionIds = String(form.get("collectionIds") || "[]");
+    const collectionIds = Array.from(
+      new Set(
+        safeParse(rawCollectionIds, [])
+          .map(String)
+          .filter(Boolean),
+      ),
+    );
+
+    if (!collectionIds.length) {
+      return jsonResponse({ ok: false, error: "No selected collections" }, 400);
+    }
+
+    const metaTitle = String(form.get("metaTitle") || "true") === "true";
+    const metaDescription = String(form.get("metaDescription") || "true") === "true";
+    if (!metaTitle && !metaDescription) {
+      return jsonResponse({ ok: false, error: "Select at least one field" }, 400);
+    }
+
+    // Free plan monthly limit (count collections as units)
+    const reservation = await reserveIfFreePlan({
+      shop: session.shop,
+      productCount: collectionIds.length,
+    });
+    if (!reservation.ok) {
+      return jsonResponse(
+        {
+          ok: false,
+          code: reservation.code || "FREE_LIMIT_EXCEEDED",
+          error: reservationErrorMessage(reservation.code),
+          billing: {
+            planKey: reservation.planKey,
+            mode: reservation.mode,
+            free: reservation.free,
+            limit: BILLING_PLANS.FREE.monthlyProductLimit,
+          },
+        },
+        402,
+      );
+    }
+
+    const storedSettings = await getSettingsFromMetafield(admin);
+    const settings = storedSettings || {};
+    const language = sanitizeLanguage(settings?.language || form.get("language") || "tr");
+
+    const titlesById = safeParse(String(form.get("titlesJson") || "{}"), {});
+
+    const job = await createCollectionSeoJob({
+      shop: session.shop,
+      seed: { language, settings, fields: { metaTitle, metaDescription } },
+      usageReserved: true,
+      reservation,
+      collections: collectionIds.map((id) => ({ collectionId: id, title: titlesById?.[id] || null })),
+    });
+
+    await enqueueSeoJob(job.id);
+    return jsonResponse({ ok: true, jobId: job.id });
+  }
 
 return jsonResponse({ ok: false, error: "Unknown intent" }, 400);
 };
@@ -770,6 +1089,8 @@ export default function SeoTools() {
   const tabs = useMemo(
     () => [
       { id: "products", content: "Products" },
+      { id: "collections", content: "Collections" },
+      { id: "pages", content: "Pages" },
       { id: "images", content: "Images" },
       { id: "articles", content: "Blog articles" },
     ],
@@ -1104,6 +1425,107 @@ const filteredBlogArticles = useMemo(() => {
     handleSelectionChange: handleBlogSelectionChange,
   } = useIndexResourceState(filteredBlogArticles, { resourceIDResolver: (a) => a.id });
 
+  // Collections: loaded when tab === "collections"; search/SEO status filter + paging are client-side
+  const seoCollections = data.seoCollections || [];
+  const collectionsError = data?.collectionsError || null;
+  const [collectionsQueryValue, setCollectionsQueryValue] = useState("");
+  const [collectionsSeoStatus, setCollectionsSeoStatus] = useState("all"); // all | filled | partial | empty
+  const [collectionsPage, setCollectionsPage] = useState(1);
+  const [collectionsPageSize, setCollectionsPageSize] = useState(25);
+
+  const filteredCollections = useMemo(() => {
+    const q = String(collectionsQueryValue || "").trim().toLowerCase();
+    return (seoCollections || []).filter((c) => {
+      if (collectionsSeoStatus !== "all") {
+        const t = String(c?.seoTitle || "").trim();
+        const d = String(c?.seoDescription || "").trim();
+        const st = t && d ? "filled" : t || d ? "partial" : "empty";
+        if (st !== collectionsSeoStatus) return false;
+      }
+      if (!q) return true;
+      const hay = [c?.title, c?.handle, c?.seoTitle, c?.seoDescription].filter(Boolean).join(" ").toLowerCase();
+      return hay.includes(q);
+    });
+  }, [seoCollections, collectionsQueryValue, collectionsSeoStatus]);
+
+  const collectionsTotalPages = Math.max(1, Math.ceil((filteredCollections?.length || 0) / collectionsPageSize));
+  const pagedCollections = useMemo(() => {
+    const start = (collectionsPage - 1) * collectionsPageSize;
+    return (filteredCollections || []).slice(start, start + collectionsPageSize);
+  }, [filteredCollections, collectionsPage, collectionsPageSize]);
+
+  useEffect(() => {
+    setCollectionsPage(1);
+  }, [collectionsQueryValue, collectionsSeoStatus, collectionsPageSize]);
+
+  const {
+    selectedResources: selectedCollectionIds,
+    allResourcesSelected: allCollectionsSelected,
+    handleSelectionChange: handleCollectionSelectionChange,
+  } = useIndexResourceState(filteredCollections, { resourceIDResolver: (c) => c.id });
+
+  // Pages: server-side cursor pagination (page_after / page_before), search via page_q
+  const seoPages = data.pages || [];
+  const pagesPageInfo = data.pagesPageInfo || null;
+  const pagesError = data?.pagesError || null;
+  const [pagesQueryValue, setPagesQueryValue] = useState(String(searchParams.get("page_q") || ""));
+  const pagesUrlSyncTimerRef = useRef(null);
+
+  useEffect(() => {
+    if (selectedTab !== "pages") return;
+    if (String(searchParams.get("page_q") || "") === String(pagesQueryValue || "")) return;
+
+    if (pagesUrlSyncTimerRef.current) clearTimeout(pagesUrlSyncTimerRef.current);
+    pagesUrlSyncTimerRef.current = setTimeout(() => {
+      const next = new URLSearchParams(searchParams);
+      next.set("tab", "pages");
+      next.set("page_q", pagesQueryValue || "");
+      next.delete("page_after");
+      next.delete("page_before");
+      setSearchParams(next, { replace: true });
+    }, 350);
+
+    return () => {
+      if (pagesUrlSyncTimerRef.current) clearTimeout(pagesUrlSyncTimerRef.current);
+    };
+  }, [selectedTab, pagesQueryValue, searchParams, setSearchParams]);
+
+  const goPagesNextPage = useCallback(() => {
+    if (!pagesPageInfo?.hasNextPage || !pagesPageInfo?.endCursor) return;
+    const next = new URLSearchParams(searchParams);
+    next.set("tab", "pages");
+    next.set("page_after", pagesPageInfo.endCursor);
+    next.delete("page_before");
+    setSearchParams(next);
+  }, [pagesPageInfo, searchParams, setSearchParams]);
+
+  const goPagesPrevPage = useCallback(() => {
+    if (!pagesPageInfo?.hasPreviousPage || !pagesPageInfo?.startCursor) return;
+    const next = new URLSearchParams(searchParams);
+    next.set("tab", "pages");
+    next.set("page_before", pagesPageInfo.startCursor);
+    next.delete("page_after");
+    setSearchParams(next);
+  }, [pagesPageInfo, searchParams, setSearchParams]);
+
+  const onPagesRowsPerPageChange = useCallback(
+    (value) => {
+      const next = new URLSearchParams(searchParams);
+      next.set("tab", "pages");
+      next.set("page_limit", String(value || 25));
+      next.delete("page_after");
+      next.delete("page_before");
+      setSearchParams(next);
+    },
+    [searchParams, setSearchParams],
+  );
+
+  const {
+    selectedResources: selectedPageIds,
+    allResourcesSelected: allPagesSelected,
+    handleSelectionChange: handlePageSelectionChange,
+  } = useIndexResourceState(seoPages, { resourceIDResolver: (p) => p.id });
+
 
   // NOTE: Images selection is managed by Polaris `useIndexResourceState`.
   // We intentionally don't hard-reset selection here to avoid relying on
@@ -1283,6 +1705,14 @@ const filteredBlogArticles = useMemo(() => {
   const [productsGenModalOpen, setProductsGenModalOpen] = useState(false);
   const [blogGenModalOpen, setBlogGenModalOpen] = useState(false);
 
+  const [collectionsGenTitle, setCollectionsGenTitle] = useState(true);
+  const [collectionsGenDescription, setCollectionsGenDescription] = useState(true);
+  const [collectionsGenModalOpen, setCollectionsGenModalOpen] = useState(false);
+
+  const [pagesGenTitle, setPagesGenTitle] = useState(true);
+  const [pagesGenDescription, setPagesGenDescription] = useState(true);
+  const [pagesGenModalOpen, setPagesGenModalOpen] = useState(false);
+
 
   useEffect(() => {
     suppressUrlSyncRef.current = true;
@@ -1502,12 +1932,17 @@ const filteredBlogArticles = useMemo(() => {
 
   const selectedCount = selectedResources.length;
   const hasSelection = selectedCount > 0;
+  // "Select all N products" (IndexTable) = every product matching the filters, not just this page.
+  const selectAllMatching = allResourcesSelected && Boolean(data.productsPageInfo?.hasNextPage || data.productsPageInfo?.hasPreviousPage);
 
   const selectedImageCount = selectedImageResources.length;
   const hasImageSelection = selectedImageCount > 0;
 
   const freeRemaining = Number(free.remaining ?? BILLING_PLANS.FREE.monthlyProductLimit);
-  const exceedsFreeLimit = !billing.isPro && selectedCount > 0 && selectedCount > freeRemaining;
+  // Pay-as-you-go (CREDITS_MODE): going past the Free allowance debits credits (checked server-side).
+  const freeCapped = !billing.isPro && (billing.creditsMode || "off") === "off";
+  // Matching selections are checked by the worker against the resolved count.
+  const exceedsFreeLimit = freeCapped && !selectAllMatching && selectedCount > 0 && selectedCount > freeRemaining;
 
   const billingUrl = useMemo(() => {
     const qs = new URLSearchParams(location.search || "");
@@ -1521,6 +1956,21 @@ const filteredBlogArticles = useMemo(() => {
     if (!genTitle && !genDescription) return;
     if (exceedsFreeLimit) return;
 
+    if (selectAllMatching) {
+      startGenFetcher.submit(
+        {
+          intent: "start_generate_matching",
+          filtersJson: JSON.stringify({ queryValue, statusTab, tag, category, collection, meta }),
+          language: lang,
+          metaTitle: String(genTitle),
+          metaDescription: String(genDescription),
+          settingsJson: JSON.stringify({ fields: { metaTitle: genTitle, metaDescription: genDescription }, tab: "products" }),
+        },
+        { method: "post" },
+      );
+      return;
+    }
+
     const selected = (products || []).filter((p) => (selectedResources || []).includes(p.id));
     const ids = selected.map((p) => String(p.id));
 
@@ -1560,6 +2010,7 @@ const filteredBlogArticles = useMemo(() => {
     meta,
     lang,
     exceedsFreeLimit,
+    selectAllMatching,
   ]);
 
 const bulkGenerateBlog = useCallback(() => {
@@ -1583,7 +2034,7 @@ const bulkGenerateBlog = useCallback(() => {
 }, [billing.isPro, blogGenTitle, blogGenDescription, blogArticles, selectedBlogIds, startGenFetcher, lang, data.settings]);
 
   const productsPromotedBulkActions = useMemo(() => {
-    const disabled = !hasSelection || (!genTitle && !genDescription) || exceedsFreeLimit || (!billing.isPro && freeRemaining <= 0);
+    const disabled = !hasSelection || (!genTitle && !genDescription) || exceedsFreeLimit || (freeCapped && freeRemaining <= 0);
     return [
       {
         content: "Generate",
@@ -1591,7 +2042,95 @@ const bulkGenerateBlog = useCallback(() => {
         disabled,
       },
     ];
-  }, [hasSelection, genTitle, genDescription, exceedsFreeLimit, billing.isPro, freeRemaining]);
+  }, [hasSelection, genTitle, genDescription, exceedsFreeLimit, freeCapped, freeRemaining]);
+
+  const collectionsSelectedCount = selectedCollectionIds.length;
+  const collectionsExceedFreeLimit =
+    freeCapped && collectionsSelectedCount > 0 && collectionsSelectedCount > freeRemaining;
+
+  const bulkGenerateCollections = useCallback(() => {
+    if (!collectionsGenTitle && !collectionsGenDescription) return;
+    if (collectionsExceedFreeLimit) return;
+
+    const titlesById = Object.fromEntries((seoCollections || []).map((c) => [c.id, c.title]));
+    startGenFetcher.submit(
+      {
+        intent: "start_generate_collections",
+        collectionIds: JSON.stringify(selectedCollectionIds),
+        titlesJson: JSON.stringify(titlesById),
+        language: lang,
+        metaTitle: String(collectionsGenTitle),
+        metaDescription: String(collectionsGenDescription),
+      },
+      { method: "post" },
+    );
+  }, [
+    collectionsGenTitle,
+    collectionsGenDescription,
+    collectionsExceedFreeLimit,
+    seoCollections,
+    selectedCollectionIds,
+    startGenFetcher,
+    lang,
+  ]);
+
+  const collectionsPromotedBulkActions = useMemo(() => {
+    const disabled =
+      collectionsSelectedCount === 0 ||
+      (!collectionsGenTitle && !collectionsGenDescription) ||
+      collectionsExceedFreeLimit ||
+      (freeCapped && freeRemaining <= 0);
+    return [
+      {
+        content: "Generate",
+        onAction: () => setCollectionsGenModalOpen(true),
+        disabled,
+      },
+    ];
+  }, [
+    collectionsSelectedCount,
+    collectionsGenTitle,
+    collectionsGenDescription,
+    collectionsExceedFreeLimit,
+    freeCapped,
+    freeRemaining,
+  ]);
+
+  const pagesSelectedCount = selectedPageIds.length;
+  const pagesExceedFreeLimit = freeCapped && pagesSelectedCount > 0 && pagesSelectedCount > freeRemaining;
+
+  const bulkGeneratePages = useCallback(() => {
+    if (!pagesGenTitle && !pagesGenDescription) return;
+    if (pagesExceedFreeLimit) return;
+
+    const titlesById = Object.fromEntries((seoPages || []).map((p) => [p.id, p.title]));
+    startGenFetcher.submit(
+      {
+        intent: "start_generate_pages",
+        pageIds: JSON.stringify(selectedPageIds),
+        titlesJson: JSON.stringify(titlesById),
+        language: lang,
+        metaTitle: String(pagesGenTitle),
+        metaDescription: String(pagesGenDescription),
+      },
+      { method: "post" },
+    );
+  }, [pagesGenTitle, pagesGenDescription, pagesExceedFreeLimit, seoPages, selectedPageIds, startGenFetcher, lang]);
+
+  const pagesPromotedBulkActions = useMemo(() => {
+    const disabled =
+      pagesSelectedCount === 0 ||
+      (!pagesGenTitle && !pagesGenDescription) ||
+      pagesExceedFreeLimit ||
+      (freeCapped && freeRemaining <= 0);
+    return [
+      {
+        content: "Generate",
+        onAction: () => setPagesGenModalOpen(true),
+        disabled,
+      },
+    ];
+  }, [pagesSelectedCount, pagesGenTitle, pagesGenDescription, pagesExceedFreeLimit, freeCapped, freeRemaining]);
 
   const blogHasSelection = selectedBlogIds.length > 0;
   const blogPromotedBulkActions = useMemo(() => {
@@ -2229,7 +2768,7 @@ const bulkGenerateBlog = useCallback(() => {
                       disabled:
                         (!genTitle && !genDescription) ||
                         exceedsFreeLimit ||
-                        (!billing.isPro && freeRemaining <= 0),
+                        (freeCapped && freeRemaining <= 0),
                       loading: startGenFetcher.state === "submitting",
                     }}
                     secondaryActions={[
@@ -2241,6 +2780,13 @@ const bulkGenerateBlog = useCallback(() => {
                         <Text as="p" variant="bodyMd">
                           Which fields should be generated for the selected products?
                         </Text>
+                        {selectAllMatching ? (
+                          <Banner tone="info">
+                            <Text as="p" variant="bodyMd">
+                              {`All products matching the current filters (about ${Number(data?.productsTotalCount || 0)}) will be included. The exact list is resolved when the job starts and plan limits apply to it.`}
+                            </Text>
+                          </Banner>
+                        ) : null}
                         <InlineStack gap="400">
                           <Checkbox label="Title" checked={genTitle} onChange={setGenTitle} />
                           <Checkbox label="Description" checked={genDescription} onChange={setGenDescription} />
@@ -2258,6 +2804,9 @@ const bulkGenerateBlog = useCallback(() => {
                       selectable
                       selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
                       onSelectionChange={handleSelectionChange}
+                      hasMoreItems={Boolean(data.productsPageInfo?.hasNextPage || data.productsPageInfo?.hasPreviousPage)}
+                      paginatedSelectAllActionText={`Select all products matching the current filters (${Number(data?.productsTotalCount || 0)})`}
+                      paginatedSelectAllText="All products matching the current filters are selected."
                       promotedBulkActions={productsPromotedBulkActions}
                       headings={[
                       { title: "Product" },
@@ -2435,6 +2984,7 @@ const bulkGenerateBlog = useCallback(() => {
                         fd.set("intent", "update_image_alt");
                         fd.set("productId", String(imagePreviewRow.productId));
                         fd.set("mediaId", String(imagePreviewRow.mediaId));
+                        fd.set("productTitle", String(imagePreviewRow.productTitle || ""));
                         fd.set("altText", String(imageAltDraft || ""));
                         updateAltFetcher.submit(fd, { method: "post" });
                       },
@@ -2560,6 +3110,334 @@ const bulkGenerateBlog = useCallback(() => {
                     </>
                   )}
                 </BlockStack>
+              ) : selectedTab === "pages" ? (
+                <BlockStack gap="300">
+                  {/* Pages: search (server-side, title match) */}
+                  <InlineStack align="end" blockAlign="center">
+                    <div style={{ minWidth: 260 }}>
+                      <TextField
+                        label="Search pages"
+                        labelHidden
+                        value={pagesQueryValue}
+                        onChange={setPagesQueryValue}
+                        placeholder="Search pages"
+                        prefix={<Icon source={SearchIcon} />}
+                        clearButton
+                        onClearButtonClick={() => setPagesQueryValue("")}
+                        autoComplete="off"
+                      />
+                    </div>
+                  </InlineStack>
+
+                  {pagesError ? (
+                    <Banner tone="critical" title="Pages could not be loaded">
+                      <Text as="p" variant="bodyMd">
+                        {pagesError}
+                      </Text>
+                    </Banner>
+                  ) : null}
+
+                  {pagesExceedFreeLimit ? (
+                    <Banner tone="warning" title="Selection exceeds your free plan limit">
+                      <Text as="p" variant="bodyMd">
+                        You selected {pagesSelectedCount} pages but you only have {freeRemaining} remaining this month. Reduce selection or upgrade.
+                      </Text>
+                    </Banner>
+                  ) : null}
+
+                  <Modal
+                    open={pagesGenModalOpen}
+                    onClose={() => setPagesGenModalOpen(false)}
+                    title="Generate"
+                    primaryAction={{
+                      content: "Generate",
+                      onAction: () => {
+                        setPagesGenModalOpen(false);
+                        bulkGeneratePages();
+                      },
+                      disabled: (!pagesGenTitle && !pagesGenDescription) || pagesExceedFreeLimit,
+                      loading: startGenFetcher.state === "submitting",
+                    }}
+                    secondaryActions={[{ content: "Cancel", onAction: () => setPagesGenModalOpen(false) }]}
+                  >
+                    <Modal.Section>
+                      <BlockStack gap="300">
+                        <Text as="p" variant="bodyMd">
+                          Which fields should be generated for the selected pages?
+                        </Text>
+                        <InlineStack gap="400">
+                          <Checkbox label="Title" checked={pagesGenTitle} onChange={setPagesGenTitle} />
+                          <Checkbox label="Description" checked={pagesGenDescription} onChange={setPagesGenDescription} />
+                        </InlineStack>
+                      </BlockStack>
+                    </Modal.Section>
+                  </Modal>
+
+                  <div
+                    className="seoToolsBlogTable"
+                    style={{
+                      position: "relative",
+                      marginLeft: "calc(var(--p-space-400) * -1)",
+                      marginRight: "calc(var(--p-space-400) * -1)",
+                    }}
+                  >
+                    <IndexTable
+                      resourceName={{ singular: "page", plural: "pages" }}
+                      itemCount={seoPages.length}
+                      selectedItemsCount={allPagesSelected ? "All" : selectedPageIds.length}
+                      onSelectionChange={handlePageSelectionChange}
+                      promotedBulkActions={pagesPromotedBulkActions}
+                      headings={[
+                        { title: "Page" },
+                        { title: "Status" },
+                        { title: "SEO status" },
+                        { title: "SEO title" },
+                        { title: "SEO description" },
+                      ]}
+                    >
+                      {seoPages.map((p, index) => {
+                        const t = String(p?.seoTitle || "").trim();
+                        const d = String(p?.seoDescription || "").trim();
+                        const st = t && d ? "filled" : t || d ? "partial" : "empty";
+                        const lbl = st === "filled" ? "Filled" : st === "partial" ? "Missing" : "Empty";
+                        const tone = st === "filled" ? "success" : st === "partial" ? "warning" : "subdued";
+                        return (
+                          <IndexTable.Row id={p.id} key={p.id} position={index} selected={selectedPageIds.includes(p.id)}>
+                            <IndexTable.Cell>
+                              <Text as="span" variant="bodyMd" fontWeight="medium">
+                                {p.title}
+                              </Text>
+                            </IndexTable.Cell>
+                            <IndexTable.Cell>
+                              <Badge tone={p.isPublished ? "success" : "attention"}>
+                                {p.isPublished ? "Visible" : "Hidden"}
+                              </Badge>
+                            </IndexTable.Cell>
+                            <IndexTable.Cell>
+                              <Badge tone={tone}>{lbl}</Badge>
+                            </IndexTable.Cell>
+                            <IndexTable.Cell>
+                              <Text as="span" variant="bodySm">
+                                {p.seoTitle || "—"}
+                              </Text>
+                            </IndexTable.Cell>
+                            <IndexTable.Cell>
+                              <Text as="span" variant="bodySm">
+                                {p.seoDescription || "—"}
+                              </Text>
+                            </IndexTable.Cell>
+                          </IndexTable.Row>
+                        );
+                      })}
+                    </IndexTable>
+
+                    <div style={{ padding: "var(--p-space-300) var(--p-space-400)" }}>
+                      <InlineStack align="end" blockAlign="center" gap="300">
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text as="span" variant="bodySm" tone="subdued">Rows</Text>
+                          <div style={{ width: 96 }}>
+                            <Select
+                              label="Rows per page"
+                              labelHidden
+                              options={rowsPerPageOptions}
+                              value={String(searchParams.get("page_limit") || 25)}
+                              onChange={onPagesRowsPerPageChange}
+                            />
+                          </div>
+                        </InlineStack>
+
+                        <Pagination
+                          hasPrevious={Boolean(pagesPageInfo?.hasPreviousPage)}
+                          onPrevious={goPagesPrevPage}
+                          hasNext={Boolean(pagesPageInfo?.hasNextPage)}
+                          onNext={goPagesNextPage}
+                        />
+                      </InlineStack>
+                    </div>
+                  </div>
+                </BlockStack>
+              ) : selectedTab === "collections" ? (
+                <BlockStack gap="300">
+                  {/* Collections: SEO status tabs (left) + search (right) */}
+                  <InlineStack align="space-between" blockAlign="center" gap="300">
+                    <ButtonGroup>
+                      {[
+                        { id: "all", content: "All" },
+                        { id: "empty", content: "Empty" },
+                        { id: "partial", content: "Missing" },
+                        { id: "filled", content: "Filled" },
+                      ].map((t) => (
+                        <Button
+                          key={t.id}
+                          variant="tertiary"
+                          pressed={collectionsSeoStatus === t.id}
+                          onClick={() => setCollectionsSeoStatus(t.id)}
+                        >
+                          {t.content}
+                        </Button>
+                      ))}
+                    </ButtonGroup>
+
+                    <div style={{ minWidth: 260 }}>
+                      <TextField
+                        label="Search collections"
+                        labelHidden
+                        value={collectionsQueryValue}
+                        onChange={setCollectionsQueryValue}
+                        placeholder="Search collections"
+                        prefix={<Icon source={SearchIcon} />}
+                        clearButton
+                        onClearButtonClick={() => setCollectionsQueryValue("")}
+                        autoComplete="off"
+                      />
+                    </div>
+                  </InlineStack>
+
+                  {collectionsError ? (
+                    <Banner tone="critical" title="Collections could not be loaded">
+                      <Text as="p" variant="bodyMd">
+                        {collectionsError}
+                      </Text>
+                    </Banner>
+                  ) : null}
+
+                  {collectionsExceedFreeLimit ? (
+                    <Banner tone="warning" title="Selection exceeds your free plan limit">
+                      <Text as="p" variant="bodyMd">
+                        You selected {collectionsSelectedCount} collections but you only have {freeRemaining} remaining this month. Reduce selection or upgrade.
+                      </Text>
+                    </Banner>
+                  ) : null}
+
+                  <Modal
+                    open={collectionsGenModalOpen}
+                    onClose={() => setCollectionsGenModalOpen(false)}
+                    title="Generate"
+                    primaryAction={{
+                      content: "Generate",
+                      onAction: () => {
+                        setCollectionsGenModalOpen(false);
+                        bulkGenerateCollections();
+                      },
+                      disabled: (!collectionsGenTitle && !collectionsGenDescription) || collectionsExceedFreeLimit,
+                      loading: startGenFetcher.state === "submitting",
+                    }}
+                    secondaryActions={[
+                      { content: "Cancel", onAction: () => setCollectionsGenModalOpen(false) },
+                    ]}
+                  >
+                    <Modal.Section>
+                      <BlockStack gap="300">
+                        <Text as="p" variant="bodyMd">
+                          Which fields should be generated for the selected collections?
+                        </Text>
+                        <InlineStack gap="400">
+                          <Checkbox label="Title" checked={collectionsGenTitle} onChange={setCollectionsGenTitle} />
+                          <Checkbox
+                            label="Description"
+                            checked={collectionsGenDescription}
+                            onChange={setCollectionsGenDescription}
+                          />
+                        </InlineStack>
+                      </BlockStack>
+                    </Modal.Section>
+                  </Modal>
+
+                  <div
+                    className="seoToolsBlogTable"
+                    style={{
+                      position: "relative",
+                      marginLeft: "calc(var(--p-space-400) * -1)",
+                      marginRight: "calc(var(--p-space-400) * -1)",
+                    }}
+                  >
+                    <IndexTable
+                      resourceName={{ singular: "collection", plural: "collections" }}
+                      itemCount={filteredCollections.length}
+                      selectedItemsCount={allCollectionsSelected ? "All" : selectedCollectionIds.length}
+                      onSelectionChange={handleCollectionSelectionChange}
+                      promotedBulkActions={collectionsPromotedBulkActions}
+                      headings={[
+                        { title: "Collection" },
+                        { title: "Products" },
+                        { title: "SEO status" },
+                        { title: "SEO title" },
+                        { title: "SEO description" },
+                      ]}
+                    >
+                      {pagedCollections.map((c, index) => {
+                        const t = String(c?.seoTitle || "").trim();
+                        const d = String(c?.seoDescription || "").trim();
+                        const st = t && d ? "filled" : t || d ? "partial" : "empty";
+                        const lbl = st === "filled" ? "Filled" : st === "partial" ? "Missing" : "Empty";
+                        const tone = st === "filled" ? "success" : st === "partial" ? "warning" : "subdued";
+                        return (
+                          <IndexTable.Row
+                            id={c.id}
+                            key={c.id}
+                            position={index}
+                            selected={selectedCollectionIds.includes(c.id)}
+                          >
+                            <IndexTable.Cell>
+                              <Text as="span" variant="bodyMd" fontWeight="medium">
+                                {c.title}
+                              </Text>
+                            </IndexTable.Cell>
+                            <IndexTable.Cell>{c.productsCount}</IndexTable.Cell>
+                            <IndexTable.Cell>
+                              <Badge tone={tone}>{lbl}</Badge>
+                            </IndexTable.Cell>
+                            <IndexTable.Cell>
+                              <Text as="span" variant="bodySm">
+                                {c.seoTitle || "—"}
+                              </Text>
+                            </IndexTable.Cell>
+                            <IndexTable.Cell>
+                              <Text as="span" variant="bodySm">
+                                {c.seoDescription || "—"}
+                              </Text>
+                            </IndexTable.Cell>
+                          </IndexTable.Row>
+                        );
+                      })}
+                    </IndexTable>
+
+                    <div style={{ padding: "var(--p-space-300) var(--p-space-400)" }}>
+                      <InlineStack align="space-between" blockAlign="center" gap="400">
+                        <Text as="span" variant="bodySm" tone="subdued">
+                          {(() => {
+                            const total = Number(filteredCollections?.length || 0);
+                            const start = total === 0 ? 0 : (collectionsPage - 1) * collectionsPageSize + 1;
+                            const end = total === 0 ? 0 : Math.min(collectionsPage * collectionsPageSize, total);
+                            return `${start}–${end} / ${total}`;
+                          })()}
+                        </Text>
+
+                        <InlineStack gap="300" blockAlign="center">
+                          <InlineStack gap="200" blockAlign="center">
+                            <Text as="span" variant="bodySm" tone="subdued">Rows</Text>
+                            <div style={{ width: 96 }}>
+                              <Select
+                                label="Rows per page"
+                                labelHidden
+                                options={rowsPerPageOptions}
+                                value={String(collectionsPageSize)}
+                                onChange={(v) => setCollectionsPageSize(Number(v) || 25)}
+                              />
+                            </div>
+                          </InlineStack>
+
+                          <Pagination
+                            hasPrevious={collectionsPage > 1}
+                            onPrevious={() => setCollectionsPage((p) => Math.max(1, p - 1))}
+                            hasNext={collectionsPage < collectionsTotalPages}
+                            onNext={() => setCollectionsPage((p) => Math.min(collectionsTotalPages, p + 1))}
+                          />
+                        </InlineStack>
+                      </InlineStack>
+                    </div>
+                  </div>
+                </BlockStack>
               ) : (
                 <BlockStack gap="300">
                   {/* Blog articles: status tabs (left) + search button (right) */}
@@ -7,6 +7,7 @@ import {
   isRouteErrorResponse,
 } from "react-router";
 import { authenticate } from "../shopify.server";
+import { approverEmailList, canReviewDrafts, staffUserFromSession } from "../staff.server.js";
 import {
   Page,
   Layout,
@@ -31,6 +32,16 @@ import {
 const SETTINGS_NAMESPACE = "ai_seo_assistant";
 const SETTINGS_KEY = "settings";
 
+// settings.apiMode -> AI provider used by the worker (see app/ai.providers.server.js)
+const AI_PROVIDER_OPTIONS = [
+  { label: "Auto (server default)", value: "auto" },
+  { label: "OpenAI", value: "openai" },
+  { label: "Anthropic (Claude)", value: "anthropic" },
+  { label: "Azure OpenAI", value: "azure" },
+  { label: "Ollama (local)", value: "ollama" },
+  { label: "Mock (offline, for testing)", value: "mock" },
+];
+
 /** ----------------------- server helpers ----------------------- **/
 async function getSettingsFromMetafield(admin) {
   const query = `#graphql
@@ -104,7 +115,7 @@ export const loader = async ({ request }) => {
 };
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const form = await request.formData();
   const intent = String(form.get("intent") || "");
 
@@ -120,9 +131,20 @@ export const action = async ({ request }) => {
     settings = {};
   }
 
-  const { shopId } = await getSettingsFromMetafield(admin);
+  const { shopId, settings: current } = await getSettingsFromMetafield(admin);
   if (!shopId) return { ok: false, error: "Shop not found" };
 
+  // Approval workflow: once approvers are set, only they can change who approves.
+  if (!canReviewDrafts(current, staffUserFromSession(session))) {
+    settings.requireApproval = Boolean(current?.requireApproval);
+    settings.approverEmails = String(current?.approverEmails || "");
+  }
+
+  // Writers and approvers must be separate people: approval needs an explicit approver list.
+  if (settings.requireApproval && !approverEmailList(settings).length) {
+    return { ok: false, error: "Add at least one approver email to require approval before publishing." };
+  }
+
   const result = await setSettingsMetafield(admin, shopId, settings);
   if (!result.ok) {
     return { ok: false, error: "Failed to save settings", details: result.errors || [] };
@@ -143,7 +165,7 @@ export default function Settings() {
       language: "tr",
       tone: "default",
       maxLength: "standard",
-      apiMode: "auto",
+      apiMode: "auto", // AI provider (auto | openai | anthropic | azure | ollama | mock)
 
       // Brand voice & rules (Sprint D)
       brandName: "",
@@ -155,10 +177,21 @@ export default function Settings() {
       capitalization: "titlecase", // titlecase | sentence | uppercase | none
       titleMaxChars: "70",
       descriptionMaxChars: "160",
+      variantCount: "1", // alternatives per item (title + description), reviewers pick / mix them
 
       // Optional templates (use placeholders: {productTitle}, {brand}, {keyword})
       titleTemplate: "",
       descriptionTemplate: "",
+
+      // Auto SEO (products/create, products/update webhooks)
+      autoSeoEnabled: false,
+      autoSeoOnCreate: true,
+      autoSeoOnUpdate: false,
+      autoSeoMode: "hold", // hold | publish
+
+      // Approval workflow (Generation History): only approved drafts are published
+      requireApproval: false,
+      approverEmails: "", // comma-separated staff emails; required when requireApproval is on
     }),
     [],
   );
@@ -167,7 +200,11 @@ export default function Settings() {
   const [saved, setSaved] = useState(false);
 
   useEffect(() => {
-    if (settings) setForm({ ...defaults, ...settings });
+    if (!settings) return;
+    const next = { ...defaults, ...settings };
+    // Legacy values ("fast" / "quality") were never used by the worker -> Auto.
+    if (!AI_PROVIDER_OPTIONS.some((o) => o.value === next.apiMode)) next.apiMode = "auto";
+    setForm(next);
   }, [defaults, settings]);
 
   useEffect(() => {
@@ -249,14 +286,11 @@ export default function Settings() {
                 />
 
                 <Select
-                  label="API mode"
-                  options={[
-                    { label: "Auto", value: "auto" },
-                    { label: "Fast", value: "fast" },
-                    { label: "Quality", value: "quality" },
-                  ]}
+                  label="AI provider"
+                  options={AI_PROVIDER_OPTIONS}
                   value={form.apiMode}
                   onChange={set("apiMode")}
+                  helpText="Auto uses the server default. The selected provider must be configured on the server (API key / endpoint)."
                 />
 
                 <Divider />
@@ -340,6 +374,19 @@ export default function Settings() {
                   />
                 </FormLayout.Group>
 
+                <Select
+                  label="Alternatives per item"
+                  options={[
+                    { label: "1 (single draft)", value: "1" },
+                    { label: "2", value: "2" },
+                    { label: "3", value: "3" },
+                    { label: "5", value: "5" },
+                  ]}
+                  value={String(form.variantCount || "1")}
+                  onChange={set("variantCount")}
+                  helpText="Titles and descriptions generated per product, collection, page or article. The best-scoring pair becomes the draft; reviewers can pick or mix the others. Still one AI request per item."
+                />
+
                 <Divider />
                 <Text as="h3" variant="headingMd">
                   Templates (optional)
@@ -362,6 +409,66 @@ export default function Settings() {
                   helpText="Use placeholders: {productTitle}, {brand}, {keyword}"
                 />
 
+                <Divider />
+                <Text as="h3" variant="headingMd">
+                  Automation
+                </Text>
+
+                <Checkbox
+                  label="Auto-generate SEO for new or updated products"
+                  helpText="Runs for products with missing SEO title/description, or when the product content changed since the last auto run. Uses your monthly plan usage."
+                  checked={Boolean(form.autoSeoEnabled)}
+                  onChange={(v) => set("autoSeoEnabled")(Boolean(v))}
+                />
+
+                <FormLayout.Group condensed>
+                  <Checkbox
+                    label="When a product is created"
+                    checked={Boolean(form.autoSeoOnCreate)}
+                    onChange={(v) => set("autoSeoOnCreate")(Boolean(v))}
+                    disabled={!form.autoSeoEnabled}
+                  />
+                  <Checkbox
+                    label="When a product is updated"
+                    checked={Boolean(form.autoSeoOnUpdate)}
+                    onChange={(v) => set("autoSeoOnUpdate")(Boolean(v))}
+                    disabled={!form.autoSeoEnabled}
+                  />
+                </FormLayout.Group>
+
+                <Select
+                  label="After generation"
+                  options={[
+                    { label: "Hold drafts for review (Generation History)", value: "hold" },
+                    { label: "Publish automatically", value: "publish" },
+                  ]}
+                  value={form.autoSeoMode}
+                  onChange={set("autoSeoMode")}
+                  disabled={!form.autoSeoEnabled}
+                />
+
+                <Divider />
+                <Text as="h3" variant="headingMd">
+                  Approval workflow
+                </Text>
+
+                <Checkbox
+                  label="Require approval before publishing"
+                  helpText="Only drafts approved in Generation History are published (Apply selected, scheduled publishes). Auto SEO drafts are held for review."
+                  checked={Boolean(form.requireApproval)}
+                  onChange={(v) => set("requireApproval")(Boolean(v))}
+                />
+
+                <TextField
+                  label="Approvers"
+                  value={form.approverEmails}
+                  onChange={set("approverEmails")}
+                  autoComplete="off"
+                  placeholder="editor@example.com, lead@example.com"
+                  helpText="Comma-separated staff emails that can approve or reject drafts (required). Nobody can approve a draft they edited."
+                  disabled={!form.requireApproval}
+                />
+
                 <Button variant="primary" onClick={onSave} loading={fetcher.state !== "idle"}>
                   Save settings
                 </Button>
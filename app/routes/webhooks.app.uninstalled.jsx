@@ -12,7 +12,12 @@ export const action = async ({ request }) => {
     await db.$transaction([
       db.seoJob.deleteMany({ where: { shop } }),
       db.freePlanUsageMonthly.deleteMany({ where: { shop } }),
+      db.freePlanUsageEntry.deleteMany({ where: { shop } }),
       db.billingSubscription.deleteMany({ where: { shop } }),
+      db.autoSeoProduct.deleteMany({ where: { shop } }),
+      db.scheduledJob.deleteMany({ where: { shop } }),
+      db.seoChangeLog.deleteMany({ where: { shop } }),
+      db.seoAuditRun.deleteMany({ where: { shop } }),
       db.session.deleteMany({ where: { shop } }),
     ]);
   } catch (err) {
@@ -0,0 +1,23 @@
+import { authenticate } from "../shopify.server";
+import { applySubscriptionWebhook } from "../billing.shopify.server.js";
+import { applyMeteredSubscriptionWebhook } from "../billing.credits.server.js";
+
+/**
+ * app_subscriptions/update -> sync BillingSubscription (Shopify billing).
+ * Fires on approve / decline / cancel / freeze / expire.
+ */
+export const action = async ({ request }) => {
+  const { shop, topic, payload } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  try {
+    await applySubscriptionWebhook({ shop, payload });
+    // Pay-as-you-go usage subscription (CREDITS_MODE=metered)
+    await applyMeteredSubscriptionWebhook({ shop, payload });
+  } catch (e) {
+    console.error("app_subscriptions/update sync error:", e);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+import { scheduleAutoSeo } from "../autoseo.server";
+
+/**
+ * products/update -> Auto SEO (opt-in via Settings).
+ * Only schedules a debounced run; the worker creates the job.
+ */
+export const action = async ({ request }) => {
+  const { shop, topic, payload, admin } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Always 200 so Shopify doesn't retry (opted-out shops are a normal no-op).
+  try {
+    await scheduleAutoSeo({ shop, admin, trigger: "update", payload });
+  } catch (e) {
+    console.error("products/update auto SEO error:", e);
+  }
+
+  return new Response();
+};
@@ -20,10 +20,25 @@ export const action = async ({ request }) => {
 
       // Free plan usage counters
       db.freePlanUsageMonthly.deleteMany({ where: { shop } }),
+      db.freePlanUsageEntry.deleteMany({ where: { shop } }),
+
+      // Pay-as-you-go credits (kept on uninstall so prepaid credits survive a reinstall)
+      db.creditLedgerEntry.deleteMany({ where: { shop } }),
+      db.creditAccount.deleteMany({ where: { shop } }),
 
       // SEO jobs (cascades to SeoJobItem via onDelete: Cascade)
       db.seoJob.deleteMany({ where: { shop } }),
 
+      // Auto SEO (products webhooks) debounce state
+      db.autoSeoProduct.deleteMany({ where: { shop } }),
+
+      // Scheduled / recurring jobs
+      db.scheduledJob.deleteMany({ where: { shop } }),
+      db.seoChangeLog.deleteMany({ where: { shop } }),
+
+      // SEO audit runs (cascades to SeoAuditFinding)
+      db.seoAuditRun.deleteMany({ where: { shop } }),
+
       // OAuth sessions
       db.session.deleteMany({ where: { shop } }),
     ]);
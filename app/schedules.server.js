@@ -0,0 +1,504 @@
+// app/schedules.server.js
+/**
+ * Scheduled & recurring jobs (ScheduledJob)
+ * - Schedules UI (app.schedules.jsx) creates rows; nextRunAt is the next due time (UTC).
+ * - Worker calls processDueSchedules() periodically: due rows are claimed by moving nextRunAt
+ *   forward (compare-and-set), then a regular SeoJob is created with the existing job creators.
+ *
+ * action:
+ * - generate: PRODUCT_SEO | ALT_TEXT_IMAGES | BLOG_SEO_META for resources created in the last
+ *   N days (optionally only the ones without meta / ALT text). autoPublish -> publish without review.
+ * - publish: publish an already generated job (e.g. at 02:00 during low traffic).
+ *
+ * cadence: once | daily | weekly. Times are wall-clock in the shop timezone (Shop.ianaTimezone).
+ */
+
+import prisma from "./db.server.js";
+import { unauthenticated } from "./shopify.server.js";
+import { createAltTextJob, createBlogMetaJob, createGenerateJob } from "./jobs.server.js";
+import { enqueueSeoJob } from "./queue.server.js";
+import { getBillingContext, reserveIfFreePlan, reservationErrorMessage } from "./billing.gating.server.js";
+import { getSettingsFromMetafield } from "./autoseo.server.js";
+
+const SCHEDULE_BATCH_LIMIT = Number(process.env.SCHEDULE_BATCH_LIMIT || 20);
+const SCHEDULE_RETRY_DELAY_MS = Number(process.env.SCHEDULE_RETRY_DELAY_MS || 10 * 60_000); // 10 min
+const SCHEDULE_MAX_RETRIES = 3;
+const SCHEDULE_MAX_ITEMS = 250;
+
+export const SCHEDULE_JOB_TYPES = ["PRODUCT_SEO", "ALT_TEXT_IMAGES", "BLOG_SEO_META"];
+export const SCHEDULE_CADENCES = ["once", "daily", "weekly"];
+// Image ALT and blog generation are Pro-only (same as SEO Tools)
+const PRO_ONLY_JOB_TYPES = ["ALT_TEXT_IMAGES", "BLOG_SEO_META"];
+
+/** ---- Time zone helpers (wall-clock time in the shop timezone <-> UTC) ---- */
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    weekday: "short",
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+    second: Number(get("second")),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(get("weekday")),
+  };
+}
+
+function timeZoneOffsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - (date.getTime() - date.getMilliseconds());
+}
+
+// Wall-clock date/time in timeZone -> UTC Date (second pass handles DST switches).
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  let ts = guess - timeZoneOffsetMs(new Date(guess), timeZone);
+  ts = guess - timeZoneOffsetMs(new Date(ts), timeZone);
+  return new Date(ts);
+}
+
+export function normalizeTimeZone(tz) {
+  const s = String(tz || "").trim();
+  if (!s) return "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: s });
+    return s;
+  } catch {
+    return "UTC";
+  }
+}
+
+function parseTimeOfDay(value) {
+  const m = String(value || "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const hour = Number(m[1]);
+  const minute = Number(m[2]);
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+// One-off: "YYYY-MM-DD" + "HH:MM" in the shop timezone.
+export function parseScheduledRunAt(date, time, timeZone) {
+  const d = String(date || "").trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const t = parseTimeOfDay(time);
+  if (!d || !t) return null;
+  return zonedTimeToUtc({ year: Number(d[1]), month: Number(d[2]), day: Number(d[3]), ...t }, timeZone);
+}
+
+/**
+ * Next due time for a recurring schedule, strictly after `from`.
+ * once -> null (the single run time is set at creation).
+ */
+export function computeNextRunAt(schedule, from = new Date()) {
+  const cadence = String(schedule?.cadence || "once");
+  if (cadence === "once") return null;
+
+  const t = parseTimeOfDay(schedule?.timeOfDay);
+  if (!t) return null;
+
+  const tz = normalizeTimeZone(schedule?.timezone);
+  const today = zonedParts(from, tz);
+
+  let addDays = 0;
+  if (cadence === "weekly") {
+    const wd = Number(schedule?.weekday);
+    if (!Number.isInteger(wd) || wd < 0 || wd > 6) return null;
+    addDays = (wd - today.weekday + 7) % 7;
+  }
+
+  const at = (days) => {
+    // Date.UTC normalizes day overflow (month / year boundaries)
+    const d = new Date(Date.UTC(today.year, today.month - 1, today.day + days));
+    return zonedTimeToUtc(
+      { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), ...t },
+      tz,
+    );
+  };
+
+  let next = at(addDays);
+  if (next.getTime() <= from.getTime()) next = at(addDays + (cadence === "weekly" ? 7 : 1));
+  return next;
+}
+
+export function describeSchedule(s) {
+  const weekdays = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+  const cadence = String(s?.cadence || "once");
+  if (cadence === "daily") return `Every day at ${s.timeOfDay} (${s.timezone})`;
+  if (cadence === "weekly") return `Every ${weekdays[Number(s.weekday)] || "?"} at ${s.timeOfDay} (${s.timezone})`;
+  return `Once (${s.timezone})`;
+}
+
+/** ---- CRUD (Schedules UI) ---- */
+export async function getShopTimeZone(admin) {
+  try {
+    const res = await admin.graphql(`#graphql
+      query ShopTimeZone { shop { ianaTimezone } }`);
+    const json = await res.json();
+    return normalizeTimeZone(json?.data?.shop?.ianaTimezone);
+  } catch {
+    return "UTC";
+  }
+}
+
+export async function listSchedules(shop) {
+  return prisma.scheduledJob.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * input: { name, action, jobType, targetJobId, createdWithinDays, onlyMissing, maxItems,
+ *          metaTitle, metaDescription, autoPublish, cadence, runDate, runTime, timeOfDay, weekday }
+ */
+export async function createSchedule({ shop, timezone, input, isPro }) {
+  const tz = normalizeTimeZone(timezone);
+  const action = input?.action === "publish" ? "publish" : "generate";
+  const cadence = SCHEDULE_CADENCES.includes(input?.cadence) ? input.cadence : "once";
+
+  const data = {
+    shop,
+    name: String(input?.name || "").trim().slice(0, 120) || null,
+    action,
+    cadence,
+    timezone: tz,
+    enabled: true,
+  };
+
+  if (action === "publish") {
+    // Publishing the same job again on a cadence makes no sense -> one-off only.
+    if (cadence !== "once") return { ok: false, error: "Scheduled publish can only run once." };
+    const targetJobId = String(input?.targetJobId || "").trim();
+    const job = targetJobId ? await prisma.seoJob.findFirst({ where: { id: targetJobId, shop } }) : null;
+    if (!job) return { ok: false, error: "Job to publish not found." };
+    if (String(job.phase) !== "generated") return { ok: false, error: "Only generated (not yet published) jobs can be scheduled." };
+    data.targetJobId = job.id;
+    data.jobType = job.jobType;
+  } else {
+    const jobType = SCHEDULE_JOB_TYPES.includes(input?.jobType) ? input.jobType : "PRODUCT_SEO";
+    if (PRO_ONLY_JOB_TYPES.includes(jobType) && !isPro) {
+      return { ok: false, error: "Image ALT text and blog generation are available on Pro." };
+    }
+    const days = Number(input?.createdWithinDays);
+    data.jobType = jobType;
+    data.createdWithinDays = Number.isFinite(days) && days > 0 ? Math.min(365, Math.floor(days)) : null;
+    data.onlyMissing = input?.onlyMissing !== false;
+    data.maxItems = Math.max(1, Math.min(SCHEDULE_MAX_ITEMS, Math.floor(Number(input?.maxItems) || 50)));
+    data.metaTitle = input?.metaTitle !== false;
+    data.metaDescription = input?.metaDescription !== false;
+    data.autoPublish = Boolean(input?.autoPublish);
+    if (jobType === "PRODUCT_SEO" && !data.metaTitle && !data.metaDescription) {
+      return { ok: false, error: "Select at least one field (title or description)." };
+    }
+  }
+
+  if (cadence === "once") {
+    const runAt = parseScheduledRunAt(input?.runDate, input?.runTime, tz);
+    if (!runAt) return { ok: false, error: "Pick a valid date and time." };
+    if (runAt.getTime() <= Date.now()) return { ok: false, error: "Scheduled time is in the past." };
+    data.nextRunAt = runAt;
+  } else {
+    data.timeOfDay = String(input?.timeOfDay || "").trim();
+    data.weekday = cadence === "weekly" ? Number(input?.weekday) : null;
+    data.nextRunAt = computeNextRunAt(data);
+    if (!data.nextRunAt) return { ok: false, error: "Pick a valid time (and weekday)." };
+  }
+
+  const schedule = await prisma.scheduledJob.create({ data });
+  return { ok: true, schedule };
+}
+
+export async function setScheduleEnabled({ shop, id, enabled }) {
+  const s = await prisma.scheduledJob.findFirst({ where: { id: String(id || ""), shop } });
+  if (!s) return { ok: false, error: "Schedule not found" };
+
+  let nextRunAt = null;
+  if (enabled) {
+    nextRunAt = s.cadence === "once" ? s.nextRunAt : computeNextRunAt(s);
+    if (!nextRunAt || nextRunAt.getTime() <= Date.now()) {
+      return { ok: false, error: "This schedule has no upcoming run. Create a new one." };
+    }
+  }
+
+  await prisma.scheduledJob.update({
+    where: { id: s.id },
+    data: { enabled: Boolean(enabled), nextRunAt: enabled ? nextRunAt : s.cadence === "once" ? s.nextRunAt : null },
+  });
+  return { ok: true };
+}
+
+export async function deleteSchedule({ shop, id }) {
+  const res = await prisma.scheduledJob.deleteMany({ where: { id: String(id || ""), shop } });
+  return { ok: res.count > 0 };
+}
+
+/** ---- Candidate resources (generate) ---- */
+function createdSinceQuery(days) {
+  if (!days) return null;
+  const since = new Date(Date.now() - days * 24 * 60 * 60_000);
+  return `created_at:>='${since.toISOString()}'`;
+}
+
+async function gqlData(admin, query, variables, label) {
+  const res = await admin.graphql(query, { variables });
+  const json = await res.json();
+  if (json?.errors?.length) {
+    throw new Error(`${label} failed: ${json.errors.map((e) => e.message).join(" | ")}`);
+  }
+  return json?.data;
+}
+
+// Newest first, paginated until `limit` candidates are found (max 10 pages).
+async function collectProducts(admin, schedule, pick) {
+  const query = `#graphql
+    query ScheduledProducts($first: Int!, $after: String, $query: String) {
+      products(first: $first, after: $after, query: $query, sortKey: CREATED_AT, reverse: true) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          id
+          title
+          seo { title description }
+          media(first: 20) {
+            nodes {
+              __typename
+              ... on MediaImage { id image { url altText } }
+            }
+          }
+        }
+      }
+    }`;
+
+  const out = [];
+  let after = null;
+  for (let page = 0; page < 10 && out.length < schedule.maxItems; page++) {
+    const data = await gqlData(
+      admin,
+      query,
+      { first: 50, after, query: createdSinceQuery(schedule.createdWithinDays) },
+      "Scheduled products fetch",
+    );
+    for (const p of data?.products?.nodes || []) out.push(...pick(p));
+    if (!data?.products?.pageInfo?.hasNextPage) break;
+    after = data.products.pageInfo.endCursor;
+  }
+  return out.slice(0, schedule.maxItems);
+}
+
+async function collectArticles(admin, schedule) {
+  const query = `#graphql
+    query ScheduledArticles($first: Int!, $after: String, $query: String) {
+      articles(first: $first, after: $after, query: $query, sortKey: ID, reverse: true) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          id
+          title
+          titleTag: metafield(namespace: "global", key: "title_tag") { value }
+          descriptionTag: metafield(namespace: "global", key: "description_tag") { value }
+        }
+      }
+    }`;
+
+  const out = [];
+  let after = null;
+  for (let page = 0; page < 10 && out.length < schedule.maxItems; page++) {
+    const data = await gqlData(
+      admin,
+      query,
+      { first: 50, after, query: createdSinceQuery(schedule.createdWithinDays) },
+      "Scheduled articles fetch",
+    );
+    for (const a of data?.articles?.nodes || []) {
+      const missing =
+        (schedule.metaTitle && !String(a?.titleTag?.value || "").trim()) ||
+        (schedule.metaDescription && !String(a?.descriptionTag?.value || "").trim());
+      if (schedule.onlyMissing && !missing) continue;
+      out.push({ articleId: String(a.id), title: a.title || null });
+    }
+    if (!data?.articles?.pageInfo?.hasNextPage) break;
+    after = data.articles.pageInfo.endCursor;
+  }
+  return out.slice(0, schedule.maxItems);
+}
+
+/** ---- Runs ---- */
+async function runGenerate(schedule, admin) {
+  const shop = schedule.shop;
+  const billing = await getBillingContext(shop);
+  if (PRO_ONLY_JOB_TYPES.includes(schedule.jobType) && !billing.isPro) {
+    return { skipped: true, error: "Image ALT text and blog generation are available on Pro." };
+  }
+
+  const settings = await getSettingsFromMetafield(admin);
+  const seed = {
+    language: settings?.language || "tr",
+    settings,
+    fields: { metaTitle: schedule.metaTitle, metaDescription: schedule.metaDescription },
+  };
+
+  let targets = [];
+  if (schedule.jobType === "ALT_TEXT_IMAGES") {
+    targets = await collectProducts(admin, schedule, (p) =>
+      (p?.media?.nodes || [])
+        .filter((n) => n?.__typename === "MediaImage" && n?.image?.url)
+        .filter((n) => !schedule.onlyMissing || !String(n.image.altText || "").trim())
+        .map((n) => ({
+          productId: String(p.id),
+          productTitle: p.title || null,
+          mediaId: String(n.id),
+          imageUrl: String(n.image.url),
+          currentAltText: n.image.altText ? String(n.image.altText) : "",
+        })),
+    );
+  } else if (schedule.jobType === "BLOG_SEO_META") {
+    targets = await collectArticles(admin, schedule);
+  } else {
+    targets = await collectProducts(admin, schedule, (p) => {
+      const missing =
+        (schedule.metaTitle && !String(p?.seo?.title || "").trim()) ||
+        (schedule.metaDescription && !String(p?.seo?.description || "").trim());
+      return !schedule.onlyMissing || missing ? [{ id: String(p.id), title: p.title || null }] : [];
+    });
+  }
+
+  if (!targets.length) return { skipped: true, error: null };
+
+  const reservation = await reserveIfFreePlan({ shop, productCount: targets.length });
+  if (!reservation.ok) return { skipped: true, error: reservationErrorMessage(reservation.code) };
+
+  const common = { shop, seed, usageReserved: true, reservation, source: "schedule", autoPublish: schedule.autoPublish };
+  let job;
+  if (schedule.jobType === "ALT_TEXT_IMAGES") {
+    job = await createAltTextJob({ ...common, images: targets });
+  } else if (schedule.jobType === "BLOG_SEO_META") {
+    job = await createBlogMetaJob({ ...common, articles: targets });
+  } else {
+    job = await createGenerateJob({
+      ...common,
+      productIds: targets.map((t) => t.id),
+      productTitlesById: Object.fromEntries(targets.map((t) => [t.id, t.title])),
+    });
+  }
+
+  await enqueueSeoJob(job.id);
+  return { jobId: job.id, count: targets.length };
+}
+
+// Same as "publish automatically" after generation: successful drafts are queued, the rest skipped.
+// Approval workflow on (settings.requireApproval): only approved drafts are queued.
+async function runPublish(schedule, settings) {
+  const job = await prisma.seoJob.findFirst({ where: { id: String(schedule.targetJobId || ""), shop: schedule.shop } });
+  if (!job) return { skipped: true, error: "Job to publish no longer exists." };
+  if (String(job.phase) !== "generated") {
+    return { skipped: true, error: `Job is ${job.phase}, only generated jobs can be published.` };
+  }
+
+  const publishable = {
+    status: "success",
+    ...(settings?.requireApproval ? { reviewStatus: "approved" } : {}),
+  };
+  if (settings?.requireApproval && !(await prisma.seoJobItem.count({ where: { jobId: job.id, ...publishable } }))) {
+    return { skipped: true, error: "No approved items to publish (approval required)." };
+  }
+
+  await prisma.$transaction([
+    prisma.seoJobItem.updateMany({
+      where: { jobId: job.id, ...publishable, publishStatus: { not: "skipped" } },
+      data: { publishStatus: "queued", publishError: null, publishedAt: null },
+    }),
+    prisma.seoJobItem.updateMany({
+      where: { jobId: job.id, NOT: publishable },
+      data: { publishStatus: "skipped", publishError: null },
+    }),
+    prisma.seoJob.update({
+      where: { id: job.id },
+      data: {
+        status: "queued",
+        phase: "publishing",
+        publishOkCount: 0,
+        publishFailedCount: 0,
+        publishStartedAt: new Date(),
+        publishFinishedAt: null,
+        publishRequestedBy: `Schedule${schedule.name ? `: ${schedule.name}` : ""}`,
+        lastError: null,
+      },
+    }),
+  ]);
+
+  await enqueueSeoJob(job.id, "publish");
+  return { jobId: job.id };
+}
+
+async function runSchedule(schedule) {
+  const out = await unauthenticated.admin(schedule.shop);
+  const admin = out?.admin;
+  if (!admin?.graphql) throw new Error("Failed to create admin client for scheduled job.");
+
+  if (schedule.action === "publish") return runPublish(schedule, await getSettingsFromMetafield(admin));
+  return runGenerate(schedule, admin);
+}
+
+/**
+ * Worker entrypoint: run schedules whose nextRunAt has passed.
+ * Claim = compare-and-set on nextRunAt (recurring -> next occurrence, once -> null),
+ * so two workers never run the same occurrence.
+ */
+export async function processDueSchedules({ limit = SCHEDULE_BATCH_LIMIT } = {}) {
+  const now = new Date();
+
+  const due = await prisma.scheduledJob.findMany({
+    where: { enabled: true, nextRunAt: { not: null, lte: now } },
+    orderBy: { nextRunAt: "asc" },
+    take: Math.max(1, Number(limit) || SCHEDULE_BATCH_LIMIT),
+  });
+
+  for (const s of due) {
+    // A worker that was down for a while runs a missed occurrence once, not once per missed slot.
+    const nextRunAt = computeNextRunAt(s, now);
+    const claimed = await prisma.scheduledJob.updateMany({
+      where: { id: s.id, enabled: true, nextRunAt: s.nextRunAt },
+      data: { nextRunAt, ...(s.cadence === "once" ? { enabled: false } : {}) },
+    });
+    if (!claimed.count) continue;
+
+    try {
+      const res = await runSchedule(s);
+      await prisma.scheduledJob.update({
+        where: { id: s.id },
+        data: {
+          lastRunAt: new Date(),
+          lastJobId: res.jobId || undefined,
+          lastError: res.error || null,
+          failCount: 0,
+        },
+      });
+      // eslint-disable-next-line no-console
+      console.log("[schedule]", s.shop, s.id, res);
+    } catch (e) {
+      const msg = String(e?.message || e);
+      // One-off runs are retried a few times after a delay; recurring ones wait for the next occurrence.
+      const retry = s.cadence === "once" && Number(s.failCount || 0) + 1 < SCHEDULE_MAX_RETRIES;
+      await prisma.scheduledJob.update({
+        where: { id: s.id },
+        data: {
+          lastRunAt: new Date(),
+          lastError: msg,
+          failCount: { increment: 1 },
+          ...(retry ? { enabled: true, nextRunAt: new Date(Date.now() + SCHEDULE_RETRY_DELAY_MS) } : {}),
+        },
+      });
+      // eslint-disable-next-line no-console
+      console.error("[schedule] run failed", s.shop, s.id, msg);
+    }
+  }
+}
@@ -0,0 +1,87 @@
+// app/seo.quality.js
+// Client-safe SEO draft scoring (NO server-only imports here).
+
+function splitCsv(s) {
+  return String(s || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+function includesAll(text, terms) {
+  const t = String(text || "").toLowerCase();
+  return (terms || []).every((w) => t.includes(String(w).toLowerCase()));
+}
+function includesAny(text, terms) {
+  const t = String(text || "").toLowerCase();
+  return (terms || []).some((w) => t.includes(String(w).toLowerCase()));
+}
+
+/**
+ * Draft quality: checklist (lengths, keywords, banned words) + 0-100 score.
+ * Used by the review UI and by the worker to rank generated alternatives.
+ */
+export function computeQuality({ title, desc, settings }) {
+  const maxTitle = Number(settings?.seoTitleMaxChars || 60);
+  const maxDesc = Number(settings?.seoDescriptionMaxChars || 160);
+
+  const required = splitCsv(settings?.requiredKeywords);
+  const banned = splitCsv(settings?.bannedWords);
+  const target = String(settings?.targetKeyword || "").trim();
+
+  const combined = `${title || ""} ${desc || ""}`.trim();
+
+  const checks = [
+    {
+      key: "title_len",
+      label: `Title length ≤ ${maxTitle}`,
+      ok: String(title || "").length > 0 && String(title || "").length <= maxTitle,
+    },
+    {
+      key: "desc_len",
+      label: `Description length ≤ ${maxDesc}`,
+      ok: String(desc || "").length > 0 && String(desc || "").length <= maxDesc,
+    },
+    ...(target
+      ? [
+          {
+            key: "target_kw",
+            label: `Includes target keyword: ${target}`,
+            ok: includesAny(combined, [target]),
+          },
+        ]
+      : []),
+    ...(required.length
+      ? [
+          {
+            key: "required_kws",
+            label: `Includes required keywords (${required.length})`,
+            ok: includesAll(combined, required),
+          },
+        ]
+      : []),
+    ...(banned.length
+      ? [
+          {
+            key: "banned",
+            label: `Avoids banned words (${banned.length})`,
+            ok: !includesAny(combined, banned),
+          },
+        ]
+      : []),
+  ];
+
+  let score = 100;
+  const failed = checks.filter((c) => !c.ok).length;
+  score -= failed * 15;
+
+  const t = String(title || "");
+  if (t && t === t.toUpperCase() && /[A-ZÇĞİÖŞÜ]/.test(t)) score -= 10;
+  if (t.length > maxTitle) score -= Math.min(20, t.length - maxTitle);
+
+  const d = String(desc || "");
+  if (d.length > maxDesc) score -= Math.min(20, d.length - maxDesc);
+
+  score = Math.max(0, Math.min(100, Math.round(score)));
+
+  return { score, checks, maxTitle, maxDesc };
+}
@@ -17,6 +17,9 @@ const shopify = shopifyApp({
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
+  // Online (per staff user) sessions for admin requests: approvals / publishes record who did them.
+  // Background work (worker, webhooks) keeps using the offline session.
+  useOnlineTokens: true,
 
 webhooks: {
   CUSTOMERS_DATA_REQUEST: {
@@ -0,0 +1,35 @@
+// app/staff.server.js
+// Staff user behind an admin request (online session, see useOnlineTokens in shopify.server.js).
+
+export function staffUserFromSession(session) {
+  const u = session?.onlineAccessInfo?.associated_user || null;
+  const id = u?.id ?? session?.userId ?? null;
+  const email = String(u?.email || session?.email || "").trim();
+  const name = [u?.first_name || session?.firstName, u?.last_name || session?.lastName].filter(Boolean).join(" ");
+
+  return {
+    userId: id != null ? String(id) : null,
+    email,
+    label: email || name || (id != null ? `Staff #${id}` : "Unknown staff"),
+  };
+}
+
+// settings.approverEmails: comma-separated list (required when settings.requireApproval is on).
+export function approverEmailList(settings) {
+  return String(settings?.approverEmails || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Empty list = every staff user may review (approval workflow off or not configured yet).
+export function canReviewDrafts(settings, staff) {
+  const list = approverEmailList(settings);
+  if (!list.length) return true;
+  return Boolean(staff?.email) && list.includes(staff.email.toLowerCase());
+}
+
+// Drafts edited by this staff user (editedBy = staff label, see staffUserFromSession).
+export function editedByNames(staff) {
+  return [...new Set([staff?.label, staff?.email].map((s) => String(s || "").trim()).filter(Boolean))];
+}
@@ -0,0 +1,234 @@
+// app/translations.server.js
+/**
+ * SEO translations (Shopify Translations API, TRANSLATE_SEO jobs)
+ * - listShopLocales(): enabled shop locales (primary flagged)
+ * - readSeoTranslation(): primary meta_title/meta_description (+ digests) and the current translation for one locale
+ * - fetchSeoTranslations(): same, batched for the history detail page
+ * - registerSeoTranslation() / removeSeoTranslation(): write / clear translations for one locale
+ *
+ * `gql({ query, variables, label })` must return the GraphQL JSON body. The worker injects
+ * shopifyGraphqlJsonWithRetry (retry/throttle), routes wrap admin.graphql.
+ */
+
+// Translatable content keys for SEO fields (same for products, collections, pages and articles)
+export const SEO_TRANSLATION_KEYS = {
+  seoTitle: "meta_title",
+  seoDescription: "meta_description",
+};
+
+// Job types whose resources can be translated (source jobs) -> SeoJobItem.targetType
+export const TRANSLATABLE_JOB_TYPES = {
+  PRODUCT_SEO: "PRODUCT",
+  COLLECTION_SEO: "COLLECTION",
+  PAGE_SEO: "PAGE",
+  BLOG_SEO_META: "BLOG_ARTICLE",
+};
+
+const RESOURCE_GID_TYPES = {
+  PRODUCT: "Product",
+  COLLECTION: "Collection",
+  PAGE: "Page",
+  BLOG_ARTICLE: "Article",
+};
+
+export function toTranslatableResourceId(targetType, id) {
+  const s = String(id || "").trim();
+  if (!s || s.startsWith("gid://")) return s;
+  const type = RESOURCE_GID_TYPES[String(targetType || "PRODUCT")] || "Product";
+  return /^\d+$/.test(s) ? `gid://shopify/${type}/${s}` : s;
+}
+
+// "pt-BR" -> "Portuguese (Brazil)"; falls back to the code itself.
+export function localeName(locale) {
+  const code = String(locale || "").trim();
+  if (!code) return "";
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+// Locale codes are interpolated into aliased fields -> keep them strict.
+function safeLocale(locale) {
+  const s = String(locale || "").trim();
+  return /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(s) ? s : "";
+}
+
+function localeAlias(locale) {
+  return `t_${String(locale).replace(/[^A-Za-z0-9]/g, "_")}`;
+}
+
+export async function listShopLocales(gql) {
+  const json = await gql({
+    query: `#graphql
+      query ShopLocales {
+        shopLocales {
+          locale
+          name
+          primary
+          published
+        }
+      }`,
+    label: "shopLocales",
+  });
+
+  return (json?.data?.shopLocales || [])
+    .map((l) => ({
+      locale: String(l?.locale || ""),
+      name: String(l?.name || "") || localeName(l?.locale),
+      primary: Boolean(l?.primary),
+      published: Boolean(l?.published),
+    }))
+    .filter((l) => l.locale);
+}
+
+function pickSeo(contentOrTranslations) {
+  const out = { seoTitle: "", seoDescription: "" };
+  for (const [field, key] of Object.entries(SEO_TRANSLATION_KEYS)) {
+    const row = (contentOrTranslations || []).find((c) => c?.key === key);
+    out[field] = String(row?.value ?? "");
+  }
+  return out;
+}
+
+function pickDigests(content) {
+  const out = {};
+  for (const key of Object.values(SEO_TRANSLATION_KEYS)) {
+    const row = (content || []).find((c) => c?.key === key);
+    if (row?.digest) out[key] = String(row.digest);
+  }
+  return out;
+}
+
+function isOutdated(translations) {
+  const keys = Object.values(SEO_TRANSLATION_KEYS);
+  return (translations || []).some((t) => keys.includes(t?.key) && Boolean(t?.outdated));
+}
+
+/**
+ * Primary-language SEO + current translation for one resource / locale.
+ * Returns { source: { seoTitle, seoDescription, digests }, current: { seoTitle, seoDescription, outdated } }
+ * or null when the resource is not translatable / not found.
+ */
+export async function readSeoTranslation(gql, resourceId, locale) {
+  const json = await gql({
+    query: `#graphql
+      query SeoTranslation($resourceId: ID!, $locale: String!) {
+        translatableResource(resourceId: $resourceId) {
+          resourceId
+          translatableContent { key value digest locale }
+          translations(locale: $locale) { key value outdated }
+        }
+      }`,
+    variables: { resourceId, locale },
+    label: `translatableResource (${resourceId}, ${locale})`,
+  });
+
+  const r = json?.data?.translatableResource;
+  if (!r?.resourceId) return null;
+
+  return {
+    source: { ...pickSeo(r.translatableContent), digests: pickDigests(r.translatableContent) },
+    current: { ...pickSeo(r.translations), outdated: isOutdated(r.translations) },
+  };
+}
+
+/**
+ * Batched version for the UI: { [resourceId]: { source, [locale]: { seoTitle, seoDescription, outdated } } }
+ */
+export async function fetchSeoTranslations(gql, resourceIds, locales) {
+  const ids = Array.from(new Set((resourceIds || []).map((id) => String(id || "").trim()).filter(Boolean)));
+  const locs = Array.from(new Set((locales || []).map(safeLocale).filter(Boolean)));
+  if (!ids.length || !locs.length) return {};
+
+  const translationFields = locs
+    .map((l) => `${localeAlias(l)}: translations(locale: "${l}") { key value outdated }`)
+    .join("\n");
+
+  const map = {};
+  for (let i = 0; i < ids.length; i += 100) {
+    const chunk = ids.slice(i, i + 100);
+    const json = await gql({
+      query: `#graphql
+        query SeoTranslations($ids: [ID!]!, $first: Int!) {
+          translatableResourcesByIds(resourceIds: $ids, first: $first) {
+            nodes {
+              resourceId
+              translatableContent { key value digest locale }
+              ${translationFields}
+            }
+          }
+        }`,
+      variables: { ids: chunk, first: chunk.length },
+      label: "translatableResourcesByIds",
+    });
+
+    for (const n of json?.data?.translatableResourcesByIds?.nodes || []) {
+      const rid = String(n?.resourceId || "");
+      if (!rid) continue;
+      const entry = { source: { ...pickSeo(n.translatableContent), digests: pickDigests(n.translatableContent) } };
+      for (const l of locs) {
+        const t = n?.[localeAlias(l)] || [];
+        entry[l] = { ...pickSeo(t), outdated: isOutdated(t) };
+      }
+      map[rid] = entry;
+    }
+  }
+
+  return map;
+}
+
+function throwUserErrors(errs) {
+  if (errs?.length) throw new Error(errs.map((e) => e?.message).filter(Boolean).join(" | "));
+}
+
+/**
+ * Register translated SEO for one locale.
+ * - values: { seoTitle, seoDescription } (empty values are skipped, never registered)
+ * - digests: { meta_title, meta_description } of the primary content being translated
+ */
+export async function registerSeoTranslation(gql, resourceId, locale, values, digests) {
+  const translations = [];
+  for (const [field, key] of Object.entries(SEO_TRANSLATION_KEYS)) {
+    const value = String(values?.[field] ?? "").trim();
+    if (!value) continue;
+    if (!digests?.[key]) throw new Error(`Primary ${key} is empty; nothing to translate.`);
+    translations.push({ locale, key, value, translatableContentDigest: digests[key] });
+  }
+  if (!translations.length) return 0;
+
+  const json = await gql({
+    query: `#graphql
+      mutation RegisterSeoTranslations($resourceId: ID!, $translations: [TranslationInput!]!) {
+        translationsRegister(resourceId: $resourceId, translations: $translations) {
+          translations { key locale }
+          userErrors { field message }
+        }
+      }`,
+    variables: { resourceId, translations },
+    label: `translationsRegister (${resourceId}, ${locale})`,
+  });
+
+  throwUserErrors(json?.data?.translationsRegister?.userErrors);
+  return translations.length;
+}
+
+export async function removeSeoTranslation(gql, resourceId, locale, keys) {
+  const translationKeys = (keys || []).filter(Boolean);
+  if (!translationKeys.length) return;
+
+  const json = await gql({
+    query: `#graphql
+      mutation RemoveSeoTranslations($resourceId: ID!, $translationKeys: [String!]!, $locales: [String!]!) {
+        translationsRemove(resourceId: $resourceId, translationKeys: $translationKeys, locales: $locales) {
+          translations { key locale }
+          userErrors { field message }
+        }
+      }`,
+    variables: { resourceId, translationKeys, locales: [locale] },
+    label: `translationsRemove (${resourceId}, ${locale})`,
+  });
+
+  throwUserErrors(json?.data?.translationsRemove?.userErrors);
+}
@@ -4,8 +4,41 @@ import { Worker } from "bullmq";
 import Redis from "ioredis";
 import prisma from "../db.server.js";
 import { unauthenticated } from "../shopify.server.js";
-import { reserveIfFreePlan } from "../billing.gating.server.js";
+import {
+  attachReservationToJob,
+  reconcileJobUsage,
+  reservationErrorMessage,
+  reservationJobFields,
+  reserveIfFreePlan,
+} from "../billing.gating.server.js";
+import { BILLING_BACKEND, getPlanForShop } from "../billing.server.js";
+import { CREDITS_MODE, settleMeteredUsage } from "../billing.credits.server.js";
 import { initSentry, captureException } from "../utils/sentry.server.js";
+import {
+  aiChatJson,
+  computeBackoffMs,
+  providerSupportsVision,
+  resolveAiProvider,
+  setAiRateLimiter,
+  setAiResultCache,
+} from "../ai.providers.server.js";
+import { createAiRateLimiter } from "../ai.ratelimit.server.js";
+import { createAiResultCache } from "../ai.cache.server.js";
+import { enqueueSeoJob } from "../queue.server.js";
+import { getSettingsFromMetafield, processDueAutoSeo } from "../autoseo.server.js";
+import { processDueSchedules } from "../schedules.server.js";
+import { runSeoAudit } from "../audit.server.js";
+import { readJsonl, runBulkMutation, runBulkQuery } from "../bulk.server.js";
+import { changeActorForJob, recordSeoChanges } from "../changelog.server.js";
+import { computeQuality } from "../seo.quality.js";
+import {
+  SEO_TRANSLATION_KEYS,
+  localeName,
+  readSeoTranslation,
+  registerSeoTranslation,
+  removeSeoTranslation,
+  toTranslatableResourceId,
+} from "../translations.server.js";
 
 const QUEUE_NAME = "seo-jobs";
 
@@ -22,9 +55,17 @@ const connection = { url: getRedisUrl() };
 // which can cause rate limits, UI confusion, and "stuck" progress.
 const redis = new Redis(getRedisUrl(), { maxRetriesPerRequest: null });
 
+// AI requests / tokens per minute are shared by every worker process (same Redis).
+setAiRateLimiter(createAiRateLimiter(redis));
+// Repeated prompts (unchanged product + settings + model) are answered from Redis.
+setAiResultCache(createAiResultCache(redis));
+
 const SHOP_LOCK_TTL_MS = Number(process.env.SHOP_LOCK_TTL_MS || 15 * 60_000); // 15 min
 const SHOP_LOCK_RETRY_DELAY_MS = Number(process.env.SHOP_LOCK_RETRY_DELAY_MS || 10_000); // 10 sec
 const STUCK_JOB_MINUTES = Number(process.env.STUCK_JOB_MINUTES || 10);
+// Parallel Bull jobs per worker process. The shop lock keeps it at one job per shop, so a long job
+// of one shop no longer blocks the others; the queue priority (queue.server.js) decides who's next.
+const WORKER_CONCURRENCY = Math.max(1, Number(process.env.WORKER_CONCURRENCY || 3));
 
 function shopLockKey(shop) {
   return `seo:shop-lock:${String(shop || "").trim().toLowerCase()}`;
@@ -150,7 +191,7 @@ function isLanguageMismatch(lang, ...texts) {
   return false;
 }
 
-async function rewriteJsonToLanguage({ lang, inputJson, keys, max_tokens = 220, onAttempt, onRetry }) {
+async function rewriteJsonToLanguage({ provider, lang, inputJson, keys, max_tokens = 220, cache, onAttempt, onRetry }) {
   const l = sanitizeLanguage(lang);
   const keyList = keys.join(", ");
   const sys =
@@ -164,7 +205,7 @@ async function rewriteJsonToLanguage({ lang, inputJson, keys, max_tokens = 220,
     `Rewrite the following JSON values strictly into the target language.\n` +
     `JSON: ${JSON.stringify(inputJson)}`;
 
-  return await openAiChatJson({ sys, user, max_tokens, onAttempt, onRetry });
+  return await aiChatJson({ provider, sys, user, max_tokens, cache, onAttempt, onRetry });
 }
 
 
@@ -182,57 +223,6 @@ async function withTimeout(promise, ms, label = "timeout") {
   }
 }
 
-async function parseOpenAiErrorBody(resp) {
-  try {
-    const ct = resp.headers.get("content-type") || "";
-    if (ct.includes("application/json")) {
-      const j = await resp.json();
-      const msg = j?.error?.message || j?.message || JSON.stringify(j);
-      return String(msg || "");
-    }
-    return await resp.text();
-  } catch {
-    return "";
-  }
-}
-
-function classifyOpenAiFailure({ status, message, name }) {
-  // Transient errors worth retrying
-  const transientStatus = new Set([408, 409, 429, 500, 502, 503, 504]);
-  const isAbort = name === "AbortError" || /aborted/i.test(String(message || ""));
-  const isNetwork = /ECONNRESET|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|network/i.test(String(message || ""));
-  const isTransient = (status && transientStatus.has(status)) || isAbort || isNetwork;
-
-  // User-facing (short) messages
-  if (status === 401 || status === 403) {
-    return { isTransient: false, userMessage: "OpenAI API key is invalid or missing." };
-  }
-  if (status === 429) {
-    return { isTransient: true, userMessage: "OpenAI rate limit reached." };
-  }
-  if (status === 400 && /context length|max.*tokens|too long/i.test(String(message || ""))) {
-    return { isTransient: false, userMessage: "Input is too long for the model." };
-  }
-  if (status && status >= 400 && status < 500) {
-    return { isTransient: false, userMessage: `OpenAI request failed (${status}).` };
-  }
-  if (status && status >= 500) {
-    return { isTransient: true, userMessage: `OpenAI server error (${status}).` };
-  }
-  if (isAbort) return { isTransient: true, userMessage: "OpenAI request timed out." };
-  if (isNetwork) return { isTransient: true, userMessage: "Network error while calling OpenAI." };
-
-  return { isTransient, userMessage: "OpenAI request failed." };
-}
-
-function computeBackoffMs(attempt, baseMs = 1000) {
-  // attempt: 1..N (retry attempt number)
-  const exp = Math.min(3, attempt - 1); // cap growth
-  const ms = baseMs * Math.pow(2, exp) + attempt * 500; // 1s, ~3s, ~7s
-  const jitter = Math.floor(Math.random() * 250);
-  return ms + jitter;
-}
-
 function computeShopifyThrottleWaitMs(json, { minAvailable = 100, maxWaitMs = 5000 } = {}) {
   try {
     const cost = json?.extensions?.cost;
@@ -373,119 +363,29 @@ async function shopifyGraphqlJsonWithRetry({ admin, query, variables, label = "S
 }
 
 
-/**
- * OpenAI JSON call with retry/backoff + transient/permanent classification.
- * - Retries: 3 attempts (configurable)
- * - Backoff: 1s / 3s / 7s (+ jitter)
- * 
- * Hooks:
- * - onAttempt(attemptNumber)
- * - onRetry({ attemptNumber, waitMs, reason })
- */
-async function openAiChatJson({ sys, user, max_tokens = 220, onAttempt, onRetry }) {
-  const key = process.env.OPENAI_API_KEY || "";
-  if (!key) throw new Error("OPENAI_API_KEY is not set on the server.");
-
-  const baseUrl = (process.env.OPENAI_BASE_URL || "https://api.openai.com").replace(/\/$/, "");
-  const model = process.env.OPENAI_MODEL || "gpt-4o-mini";
-
-  const maxAttempts = Number(process.env.OPENAI_MAX_ATTEMPTS || 3);
-  const baseBackoffMs = Number(process.env.OPENAI_BACKOFF_BASE_MS || 1000);
-
-  let lastErr;
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    if (typeof onAttempt === "function") {
-      try { await onAttempt(attempt); } catch {}
-    }
-
-    try {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), Number(process.env.OPENAI_TIMEOUT_MS || 60_000));
-
-      const resp = await fetch(`${baseUrl}/v1/chat/completions`, {
-        method: "POST",
-        signal: controller.signal,
-        headers: {
-          Authorization: `Bearer ${key}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model,
-          temperature: 0.6,
-          max_tokens,
-          response_format: { type: "json_object" },
-          messages: [
-            { role: "system", content: sys },
-            { role: "user", content: user },
-          ],
-        }),
-      }).finally(() => clearTimeout(timeout));
-
-      if (!resp.ok) {
-        const bodyMsg = await parseOpenAiErrorBody(resp);
-        const status = resp.status;
-        const retryAfter = Number(resp.headers.get("retry-after") || 0);
-        const cls = classifyOpenAiFailure({ status, message: bodyMsg });
-
-        const err = new Error(`${cls.userMessage}${bodyMsg ? ` Details: ${bodyMsg}` : ""}`);
-        err.status = status;
-        err.isTransient = cls.isTransient;
-        err.userMessage = cls.userMessage;
-        err.retryAfter = retryAfter;
-        throw err;
-      }
-
-      const data = await resp.json();
-      const content = data?.choices?.[0]?.message?.content || "{}";
-
-      try {
-        return JSON.parse(content);
-      } catch {
-        const err = new Error(`OpenAI returned non-JSON content.`);
-        err.isTransient = true; // we can retry malformed outputs
-        err.userMessage = "OpenAI returned an invalid response.";
-        throw err;
-      }
-    } catch (e) {
-      lastErr = e;
-
-      const status = e?.status;
-      const cls = classifyOpenAiFailure({ status, message: e?.message, name: e?.name });
-      const isTransient = Boolean(e?.isTransient ?? cls.isTransient);
-
-      // Permanent: fail immediately
-      if (!isTransient) {
-        const msg = String(e?.userMessage || cls.userMessage || e?.message || e);
-        throw new Error(msg);
-      }
-
-      // No more attempts
-      if (attempt >= maxAttempts) {
-        const msg = String(e?.userMessage || cls.userMessage || e?.message || e);
-        throw new Error(msg);
-      }
-
-      // Wait + retry
-      const waitMs = e?.retryAfter ? Math.max(e.retryAfter * 1000, 1000) : computeBackoffMs(attempt, baseBackoffMs);
-      if (typeof onRetry === "function") {
-        try {
-          await onRetry({
-            attemptNumber: attempt,
-            waitMs,
-            reason: String(e?.userMessage || cls.userMessage || e?.message || "transient error"),
-          });
-        } catch {}
-      }
-      await sleep(waitMs);
-    }
-  }
+// settings.variantCount: alternatives per item (one AI call returns all of them)
+const VARIANT_COUNT_MAX = 5;
 
-  // Should never reach here
-  throw lastErr || new Error("OpenAI request failed.");
+function variantCountFromSettings(settings) {
+  const n = Number.parseInt(String(settings?.variantCount || "1"), 10) || 1;
+  return Math.max(1, Math.min(VARIANT_COUNT_MAX, n));
 }
 
-async function generateSeoForProduct({ title, descriptionText, language, settings, onAttempt, onRetry }) {
+// kind: "product" | "collection" | "page" (collections also pass a few sample product titles as context)
+// variants > 1: also returns candidates { titles, descriptions } (seoTitle / seoDescription = the first ones)
+async function generateSeoForProduct({
+  title,
+  descriptionText,
+  language,
+  settings,
+  cache,
+  onAttempt,
+  onRetry,
+  kind = "product",
+  sampleProductTitles = [],
+  productContext = null,
+  variants = 1,
+}) {
   const lang = sanitizeLanguage(language);
   const brand = String(settings?.brandName || "").trim();
   const tone = String(settings?.tone || "default").trim();
@@ -536,11 +436,18 @@ async function generateSeoForProduct({ title, descriptionText, language, setting
           ? "Use Title Case for the SEO title."
           : "";
 
+  const isCollection = kind === "collection";
+  const resourceLabel = isCollection ? "Collection" : kind === "page" ? "Page" : "Product";
+  const n = Math.max(1, Math.min(VARIANT_COUNT_MAX, Math.floor(Number(variants) || 1)));
   const sys =
-    "You are an SEO assistant for Shopify product pages. " +
+    `You are an SEO assistant for Shopify ${kind === "page" ? "online store content" : resourceLabel.toLowerCase()} pages. ` +
     outputLanguageGuard(lang) + " " +
-    "Return ONLY valid JSON with keys: seoTitle, seoDescription. " +
-    `seoTitle max ${titleMaxChars} chars, seoDescription max ${descriptionMaxChars} chars. ` +
+    (n > 1
+      ? `Return ONLY valid JSON with keys: seoTitles, seoDescriptions (arrays of ${n} distinct alternatives each, ` +
+        "different angles and wording). " +
+        `Each seoTitle max ${titleMaxChars} chars, each seoDescription max ${descriptionMaxChars} chars. `
+      : "Return ONLY valid JSON with keys: seoTitle, seoDescription. " +
+        `seoTitle max ${titleMaxChars} chars, seoDescription max ${descriptionMaxChars} chars. `) +
     "No markdown, no extra keys.";
 
   const user = [
@@ -561,22 +468,60 @@ async function generateSeoForProduct({ title, descriptionText, language, setting
     descriptionTemplate
       ? `Description template (optional): ${descriptionTemplate}`
       : "",
-    `Product title: ${title}`,
-    descriptionText ? `Product description: ${descriptionText}` : "",
+    `${resourceLabel} title: ${title}`,
+    descriptionText ? `${resourceLabel} ${kind === "page" ? "content" : "description"}: ${descriptionText}` : "",
+    isCollection && sampleProductTitles.length
+      ? `Products in this collection (sample): ${sampleProductTitles.join(", ")}`
+      : "",
+    ...productContextLines(productContext),
   ]
     .filter(Boolean)
     .join("\n");
 
-  const out = await openAiChatJson({ sys, user, max_tokens: 220, onAttempt, onRetry });
+  const provider = resolveAiProvider(settings?.apiMode);
+  const maxTokens = 220 + (n - 1) * 180;
+  const out = await aiChatJson({ provider, sys, user, max_tokens: maxTokens, cache, onAttempt, onRetry });
+
+  if (n > 1) {
+    const list = (v) => [...new Set((Array.isArray(v) ? v : [v]).map((x) => String(x ?? "").trim()).filter(Boolean))].slice(0, n);
+    let titles = list(out?.seoTitles);
+    let descriptions = list(out?.seoDescriptions);
+
+    if (isLanguageMismatch(lang, ...titles, ...descriptions)) {
+      const rewritten = await rewriteJsonToLanguage({
+        provider,
+        lang,
+        inputJson: { seoTitles: titles, seoDescriptions: descriptions },
+        keys: ["seoTitles", "seoDescriptions"],
+        max_tokens: maxTokens,
+        cache,
+        onAttempt,
+        onRetry,
+      });
+      if (list(rewritten?.seoTitles).length) titles = list(rewritten.seoTitles);
+      if (list(rewritten?.seoDescriptions).length) descriptions = list(rewritten.seoDescriptions);
+    }
+
+    titles = titles.map((t) => t.slice(0, titleMaxChars));
+    descriptions = descriptions.map((d) => d.slice(0, descriptionMaxChars));
+    return {
+      seoTitle: titles[0] || "",
+      seoDescription: descriptions[0] || "",
+      candidates: { titles, descriptions },
+    };
+  }
+
   let seoTitle = String(out?.seoTitle || "");
   let seoDescription = String(out?.seoDescription || "");
 
   if (isLanguageMismatch(lang, seoTitle, seoDescription)) {
     const rewritten = await rewriteJsonToLanguage({
+      provider,
       lang,
       inputJson: { seoTitle, seoDescription },
       keys: ["seoTitle", "seoDescription"],
       max_tokens: 220,
+      cache,
       onAttempt,
       onRetry,
     });
@@ -590,7 +535,77 @@ async function generateSeoForProduct({ title, descriptionText, language, setting
   };
 }
 
-async function generateAltTextForImage({ productTitle, productDescriptionText, currentAltText, language, settings, onAttempt, onRetry }) {
+/**
+ * Alternatives -> default draft: the title / description pair with the best computeQuality score
+ * (app/seo.quality.js, same checklist reviewers see). A candidate's score is the pair score with the
+ * selected value of the other field. Fields the job does not generate keep `current`.
+ */
+function rankCandidates(candidates, { settings, metaTitle = true, metaDescription = true, current = {} }) {
+  const titles = metaTitle ? candidates?.titles || [] : [];
+  const descriptions = metaDescription ? candidates?.descriptions || [] : [];
+  const titleOptions = titles.length ? titles : [String(current.seoTitle ?? "")];
+  const descOptions = descriptions.length ? descriptions : [String(current.seoDescription ?? "")];
+  const score = (title, desc) => computeQuality({ title, desc, settings }).score;
+
+  let best = { ti: 0, di: 0, score: -1 };
+  titleOptions.forEach((t, ti) => {
+    descOptions.forEach((d, di) => {
+      const sc = score(t, d);
+      if (sc > best.score) best = { ti, di, score: sc };
+    });
+  });
+
+  return {
+    seoTitle: titleOptions[best.ti],
+    seoDescription: descOptions[best.di],
+    rows: [
+      ...titles.map((text, position) => ({
+        field: "title",
+        position,
+        text,
+        score: score(text, descOptions[best.di]),
+        selected: position === best.ti,
+      })),
+      ...descriptions.map((text, position) => ({
+        field: "description",
+        position,
+        text,
+        score: score(titleOptions[best.ti], text),
+        selected: position === best.di,
+      })),
+    ],
+  };
+}
+
+// Stores the ranked alternatives of a generated item (replacing older ones) and returns `out` with the
+// auto-selected title / description. Single-variant results pass through unchanged.
+async function pickGeneratedCandidate(item, out, { settings, metaTitle = true, metaDescription = true }) {
+  if (!out?.candidates) return out;
+
+  const ranked = rankCandidates(out.candidates, {
+    settings,
+    metaTitle,
+    metaDescription,
+    current: { seoTitle: item.seoTitle, seoDescription: item.seoDescription },
+  });
+
+  await prisma.seoJobItemCandidate.deleteMany({ where: { itemId: item.id } });
+  if (ranked.rows.length) {
+    await prisma.seoJobItemCandidate.createMany({
+      data: ranked.rows.map((r) => ({ ...r, itemId: item.id })),
+    });
+  }
+
+  return { ...out, seoTitle: ranked.seoTitle, seoDescription: ranked.seoDescription };
+}
+
+/**
+ * ALT text for one product image.
+ * - Vision: the image itself is sent to the model (when the provider supports it).
+ * - Text: falls back to product title/description only (no vision support, or the vision call failed).
+ * Returns { altText, mode: "vision" | "text" | "fallback", fallbackReason }.
+ */
+async function generateAltTextForImage({ productTitle, productDescriptionText, productContext = null, currentAltText, imageUrl, language, settings, cache, onAttempt, onRetry }) {
   const lang = sanitizeLanguage(language);
   const brand = String(settings?.brandName || "").trim();
   const tone = String(settings?.tone || "default").trim();
@@ -617,14 +632,15 @@ async function generateAltTextForImage({ productTitle, productDescriptionText, c
         .slice(0, 30)
     : [];
 
-  const sys =
+  const sysFor = (vision) =>
     "You write concise, descriptive ALT text for Shopify product images. " +
+    (vision ? "Look at the attached image and describe what it actually shows (angle, color, detail, setting). " : "") +
     outputLanguageGuard(lang) + " " +
     "Return ONLY valid JSON with key: altText. " +
     `altText max ${maxChars} chars. ` +
     "No markdown, no extra keys.";
 
-  const user = [
+  const userFor = (vision) => [
     `Language: ${lang}`,
     brand ? `Brand: ${brand}` : "",
     `Tone: ${tone}`,
@@ -638,22 +654,58 @@ async function generateAltTextForImage({ productTitle, productDescriptionText, c
     currentAltText ? `Current ALT text: ${currentAltText}` : "",
     `Product title: ${productTitle || ""}`,
     productDescriptionText ? `Product description (plain text): ${productDescriptionText}` : "",
-    "Goal: Describe what the image likely shows for accessibility. " +
+    ...productContextLines(productContext),
+    (vision
+      ? "Goal: Describe what this specific image shows for accessibility; use the product info only to name the product. "
+      : "Goal: Describe what the image likely shows for accessibility. ") +
       "Do not keyword-stuff. Do not repeat brand name unless it helps identification. " +
       "Avoid salesy language. Avoid quotes." ,
   ]
     .filter(Boolean)
     .join("\n");
 
-  const out = await openAiChatJson({ sys, user, max_tokens: 120, onAttempt, onRetry });
+  const provider = resolveAiProvider(settings?.apiMode);
+
+  let mode = "text";
+  let fallbackReason = null;
+  let out = null;
+
+  if (imageUrl && providerSupportsVision(provider)) {
+    try {
+      out = await aiChatJson({
+        provider,
+        sys: sysFor(true),
+        user: userFor(true),
+        imageUrl,
+        max_tokens: 120,
+        cache,
+        onAttempt,
+        onRetry,
+      });
+      mode = "vision";
+    } catch (e) {
+      // Image could not be read / model rejected it -> text-only prompt below.
+      fallbackReason = String(e?.message || e).slice(0, 300);
+      mode = "fallback";
+      // eslint-disable-next-line no-console
+      console.warn("[worker] vision ALT text failed, falling back to text-only:", fallbackReason);
+    }
+  }
+
+  if (!out) {
+    out = await aiChatJson({ provider, sys: sysFor(false), user: userFor(false), max_tokens: 120, cache, onAttempt, onRetry });
+  }
+
   let altText = String(out?.altText || "");
 
   if (isLanguageMismatch(lang, altText)) {
     const rewritten = await rewriteJsonToLanguage({
+      provider,
       lang,
       inputJson: { altText },
       keys: ["altText"],
       max_tokens: 120,
+      cache,
       onAttempt,
       onRetry,
     });
@@ -662,28 +714,272 @@ async function generateAltTextForImage({ productTitle, productDescriptionText, c
 
   return {
     altText: altText.slice(0, maxChars),
+    mode,
+    fallbackReason,
+  };
+}
+
+// TRANSLATE_SEO: translate the primary-language SEO values into one shop locale.
+async function translateSeoFields({ source, locale, sourceLanguage, settings, metaTitle = true, metaDescription = true, cache, onAttempt, onRetry }) {
+  const input = {};
+  if (metaTitle && String(source?.seoTitle || "").trim()) input.seoTitle = String(source.seoTitle).trim();
+  if (metaDescription && String(source?.seoDescription || "").trim()) input.seoDescription = String(source.seoDescription).trim();
+
+  const keys = Object.keys(input);
+  if (!keys.length) return {};
+
+  const target = localeName(locale);
+  const brand = String(settings?.brandName || "").trim();
+  const maxTitle = Math.max(30, Number.parseInt(String(settings?.titleMaxChars || ""), 10) || 70);
+  const maxDesc = Math.max(60, Number.parseInt(String(settings?.descriptionMaxChars || ""), 10) || 160);
+  const bannedWords = String(settings?.bannedWords || "")
+    .split(",")
+    .map((w) => w.trim())
+    .filter(Boolean)
+    .slice(0, 30);
+
+  const sys =
+    "You translate Shopify SEO meta titles and meta descriptions for international storefronts. " +
+    `All user-visible text you generate MUST be in ${target}. ` +
+    "Return ONLY valid JSON with keys: " + keys.join(", ") + ". " +
+    `seoTitle max ${maxTitle} chars, seoDescription max ${maxDesc} chars. ` +
+    "Translate naturally for local search intent (not word-for-word). " +
+    "Keep brand names, product names, model numbers and units unchanged. No markdown, no extra keys.";
+
+  const user = [
+    `Source language: ${localeName(sourceLanguage)}`,
+    `Target language: ${target} (${locale})`,
+    brand ? `Brand (do not translate): ${brand}` : "",
+    bannedWords.length ? `Avoid these words: ${bannedWords.join(", ")}` : "",
+    `JSON: ${JSON.stringify(input)}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  const provider = resolveAiProvider(settings?.apiMode);
+  const out = await aiChatJson({ provider, sys, user, max_tokens: 260, cache, onAttempt, onRetry });
+
+  return {
+    seoTitle: input.seoTitle ? String(out?.seoTitle || "").slice(0, maxTitle) : "",
+    seoDescription: input.seoDescription ? String(out?.seoDescription || "").slice(0, maxDesc) : "",
   };
 }
 
+// Translations API helpers take an injected gql(); reuse retry/throttle handling with per-item hooks.
+function translationGql(admin, { onAttempt, onRetry, onThrottle } = {}) {
+  return ({ query, variables, label }) =>
+    shopifyGraphqlJsonWithRetry({ admin, query, variables, label: `Shopify GraphQL ${label}`, onAttempt, onRetry, onThrottle });
+}
+
+function parseDigests(json) {
+  try {
+    const d = JSON.parse(String(json || "{}"));
+    return d && typeof d === "object" ? d : {};
+  } catch {
+    return {};
+  }
+}
+
+// Product fields for generation: SEO baseline + catalog context for the prompts.
+const PRODUCT_CONTEXT_FIELDS = `
+  id
+  title
+  descriptionHtml
+  productType
+  vendor
+  tags
+  options { name optionValues { name } }
+  priceRangeV2 {
+    minVariantPrice { amount currencyCode }
+    maxVariantPrice { amount currencyCode }
+  }
+  variants(first: 10) { nodes { title price } }
+  collections(first: 5) { nodes { title } }
+  seo { title description }
+  titleTag: metafield(namespace: "global", key: "title_tag") { value }
+  descriptionTag: metafield(namespace: "global", key: "description_tag") { value }
+`;
+
+// nodes() batch size: variants + collections make each product ~20 query cost points.
+const PRODUCT_CONTEXT_BATCH = 25;
+
 async function fetchProduct(admin, id) {
   const query = `#graphql
     query Product($id: ID!) {
-      product(id: $id) {
+      product(id: $id) { ${PRODUCT_CONTEXT_FIELDS} }
+    }
+  `;
+  const resp = await withTimeout(
+    admin.graphql(query, { variables: { id } }),
+    30_000,
+    "Shopify GraphQL fetchProduct"
+  );
+  const json = await withTimeout(resp.json(), 30_000, "Shopify GraphQL fetchProduct json()");
+  return json?.data?.product || null;
+}
+
+async function fetchProductNodes(admin, ids) {
+  const json = await shopifyGraphqlJsonWithRetry({
+    admin,
+    query: `#graphql
+      query ProductContexts($ids: [ID!]!) {
+        nodes(ids: $ids) { ... on Product { ${PRODUCT_CONTEXT_FIELDS} } }
+      }
+    `,
+    variables: { ids },
+    label: "Shopify GraphQL fetchProductNodes",
+  });
+  const out = new Map();
+  for (const n of json?.data?.nodes || []) {
+    if (n?.id) out.set(String(n.id), n);
+  }
+  return out;
+}
+
+/**
+ * Per-job product cache for processGenerate: the first lookup of an id fetches it together with the
+ * next PRODUCT_CONTEXT_BATCH - 1 uncached ids of the job (job order), so an IMAGE job with 20 images
+ * of one product reads it once. A failed batch falls back to single fetchProduct calls.
+ * Entries are dropped after their last expected use (big PRODUCT_SEO jobs keep memory flat).
+ */
+function createProductLoader(admin, productIds) {
+  const uses = new Map(); // id -> remaining lookups
+  for (const raw of productIds) {
+    const id = String(raw || "");
+    if (id) uses.set(id, (uses.get(id) || 0) + 1);
+  }
+  const ids = [...uses.keys()];
+  const indexOf = new Map(ids.map((id, i) => [id, i]));
+  const cache = new Map(); // id -> Promise<product | null>
+
+  return (rawId) => {
+    const id = String(rawId || "");
+    if (!id) return Promise.resolve(null);
+
+    if (!cache.has(id)) {
+      const chunk = [id];
+      for (let i = (indexOf.get(id) ?? ids.length) + 1; i < ids.length && chunk.length < PRODUCT_CONTEXT_BATCH; i++) {
+        if (!cache.has(ids[i]) && uses.get(ids[i]) > 0) chunk.push(ids[i]);
+      }
+      const batch = fetchProductNodes(admin, chunk);
+      for (const cid of chunk) {
+        const entry = batch.then(
+          (nodes) => nodes.get(cid) || null,
+          () => fetchProduct(admin, cid),
+        );
+        entry.catch(() => {}); // prefetched ids of a cancelled job are never awaited
+        cache.set(cid, entry);
+      }
+    }
+
+    const product = cache.get(id);
+    const left = (uses.get(id) || 0) - 1;
+    uses.set(id, left);
+    if (left <= 0) cache.delete(id);
+    return product;
+  };
+}
+
+// Catalog context of a product (fetchProduct / createProductLoader result) for the prompts.
+function productContextOf(p) {
+  if (!p) return null;
+  const currency = p.priceRangeV2?.minVariantPrice?.currencyCode || "";
+  const min = p.priceRangeV2?.minVariantPrice?.amount;
+  const max = p.priceRangeV2?.maxVariantPrice?.amount;
+  const variants = (p.variants?.nodes || []).filter((v) => v?.title && v.title !== "Default Title");
+
+  return {
+    productType: String(p.productType || "").trim(),
+    vendor: String(p.vendor || "").trim(),
+    tags: (p.tags || []).map((t) => String(t).trim()).filter(Boolean).slice(0, 15),
+    options: (p.options || [])
+      .filter((o) => o?.name && o.name !== "Title")
+      .map((o) => ({ name: o.name, values: (o.optionValues || []).map((v) => v?.name).filter(Boolean).slice(0, 10) })),
+    priceRange: min != null ? `${Number(min) === Number(max) || max == null ? min : `${min}–${max}`} ${currency}`.trim() : "",
+    variantPrices: variants.map((v) => `${v.title}: ${v.price} ${currency}`.trim()),
+    collections: (p.collections?.nodes || []).map((c) => String(c?.title || "").trim()).filter(Boolean),
+  };
+}
+
+function productContextLines(ctx) {
+  if (!ctx) return [];
+  return [
+    ctx.productType ? `Product type: ${ctx.productType}` : "",
+    ctx.vendor ? `Vendor: ${ctx.vendor}` : "",
+    ctx.tags?.length ? `Tags: ${ctx.tags.join(", ")}` : "",
+    ctx.options?.length
+      ? `Options: ${ctx.options.map((o) => (o.values.length ? `${o.name} (${o.values.join(", ")})` : o.name)).join("; ")}`
+      : "",
+    ctx.priceRange ? `Price: ${ctx.priceRange}` : "",
+    ctx.variantPrices?.length ? `Variant prices: ${ctx.variantPrices.join(", ")}` : "",
+    ctx.collections?.length ? `Collections: ${ctx.collections.join(", ")}` : "",
+  ].filter(Boolean);
+}
+
+// Effective product SEO (global metafield wins over product.seo), same rule as updateProductSeo.
+function productLiveSeo(p) {
+  return {
+    seoTitle: String(p?.titleTag?.value ?? "").trim() || String(p?.seo?.title ?? "").trim(),
+    seoDescription: String(p?.descriptionTag?.value ?? "").trim() || String(p?.seo?.description ?? "").trim(),
+  };
+}
+
+// Pages / articles keep SEO in global metafields only.
+function metafieldLiveSeo(node) {
+  return {
+    seoTitle: String(node?.titleTag?.value ?? "").trim(),
+    seoDescription: String(node?.descriptionTag?.value ?? "").trim(),
+  };
+}
+
+async function fetchCollection(admin, id) {
+  const query = `#graphql
+    query Collection($id: ID!) {
+      collection(id: $id) {
         id
         title
         descriptionHtml
+        seo { title description }
+        products(first: 10) {
+          edges { node { title } }
+        }
       }
     }
   `;
   const resp = await withTimeout(
     admin.graphql(query, { variables: { id } }),
     30_000,
-    "Shopify GraphQL fetchProduct"
+    "Shopify GraphQL fetchCollection"
   );
-  const json = await withTimeout(resp.json(), 30_000, "Shopify GraphQL fetchProduct json()");
-  return json?.data?.product || null;
+  const json = await withTimeout(resp.json(), 30_000, "Shopify GraphQL fetchCollection json()");
+  return json?.data?.collection || null;
 }
 
+async function fetchPage(admin, id) {
+  const query = `#graphql
+    query Page($id: ID!) {
+      node(id: $id) {
+        __typename
+        ... on Page {
+          id
+          title
+          body
+          titleTag: metafield(namespace: "global", key: "title_tag") { value }
+          descriptionTag: metafield(namespace: "global", key: "description_tag") { value }
+        }
+      }
+    }
+  `;
+  const resp = await withTimeout(
+    admin.graphql(query, { variables: { id } }),
+    30_000,
+    "Shopify GraphQL fetchPage"
+  );
+  const json = await withTimeout(resp.json(), 30_000, "Shopify GraphQL fetchPage json()");
+  const node = json?.data?.node;
+  if (!node || node.__typename !== "Page") return null;
+  return node;
+}
 
 async function fetchArticle(admin, id) {
   const query = `#graphql
@@ -725,6 +1021,7 @@ async function updateArticleSeoMetafields(
     onAttempt,
     onRetry,
     onThrottle,
+    onSnapshot,
   } = {},
 ) {
   // Articles don't expose `seo` field like Products; SEO title/description are stored in global metafields.
@@ -747,6 +1044,7 @@ async function updateArticleSeoMetafields(
   }
   const liveTitle = String(live?.titleTag?.value ?? "").trim();
   const liveDesc = String(live?.descriptionTag?.value ?? "").trim();
+  let snapshotTaken = false;
 
   for (const currentOwnerId of ownerIdCandidates) {
     const metafields = [];
@@ -808,6 +1106,13 @@ async function updateArticleSeoMetafields(
     // Nothing to write -> keep existing values.
     if (!metafields.length) return;
 
+    // Pre-publish snapshot (for revert). Only when the live read succeeded,
+    // otherwise we can't tell "empty" from "unknown".
+    if (!snapshotTaken && live?.id && typeof onSnapshot === "function") {
+      snapshotTaken = true;
+      await onSnapshot({ seoTitle: liveTitle, seoDescription: liveDesc });
+    }
+
   try {
     const json = await shopifyGraphqlJsonWithRetry({
       admin,
@@ -856,6 +1161,7 @@ async function updateProductSeo(
     onAttempt,
     onRetry,
     onThrottle,
+    onSnapshot,
   } = {},
 ) {
   // IMPORTANT (root-cause fix):
@@ -955,6 +1261,11 @@ async function updateProductSeo(
 
   if (!metafields.length) return;
 
+  // Pre-publish snapshot (for revert): the effective live values the merchant sees.
+  if (p?.id && typeof onSnapshot === "function") {
+    await onSnapshot({ seoTitle: currentTitle, seoDescription: currentDesc });
+  }
+
   const mutation = `#graphql
     mutation SetProductSeoMetafields($metafields: [MetafieldsSetInput!]!) {
       metafieldsSet(metafields: $metafields) {
@@ -978,11 +1289,57 @@ async function updateProductSeo(
   if (errs.length) throw new Error(errs.map((e) => e.message).join(" | "));
 }
 
-async function updateProductMediaAltText(admin, productId, mediaId, altText, { onAttempt, onRetry, onThrottle } = {}) {
+async function updatePageSeoMetafields(
+  admin,
+  pageId,
+  seoTitle,
+  seoDescription,
+  { metaTitle = true, metaDescription = true, onAttempt, onRetry, onThrottle, onSnapshot } = {},
+) {
+  // Pages (like articles) have no `seo` field; SEO title/description live in global metafields.
+  const live = await fetchPage(admin, pageId);
+  if (!live?.id) throw new Error("Page not found");
+
+  const liveTitle = String(live?.titleTag?.value ?? "").trim();
+  const liveDesc = String(live?.descriptionTag?.value ?? "").trim();
+
+  // IMPORTANT: Never overwrite existing SEO fields with an empty string.
+  const titleVal = String(seoTitle ?? "").trim();
+  const descVal = String(seoDescription ?? "").trim();
+  const willWriteTitle = Boolean(metaTitle && titleVal);
+  const willWriteDesc = Boolean(metaDescription && descVal);
+
+  const metafields = [];
+  if (willWriteTitle) {
+    metafields.push({
+      ownerId: live.id,
+      namespace: "global",
+      key: "title_tag",
+      type: "single_line_text_field",
+      value: titleVal,
+    });
+  }
+  if (willWriteDesc) {
+    metafields.push({
+      ownerId: live.id,
+      namespace: "global",
+      key: "description_tag",
+      type: "single_line_text_field",
+      value: descVal,
+    });
+  }
+
+  if (!metafields.length) return;
+
+  // Pre-publish snapshot (for revert)
+  if (typeof onSnapshot === "function") {
+    await onSnapshot({ seoTitle: liveTitle, seoDescription: liveDesc });
+  }
+
   const mutation = `#graphql
-    mutation ProductUpdateMedia($productId: ID!, $media: [UpdateMediaInput!]!) {
-      productUpdateMedia(productId: $productId, media: $media) {
-        media { ... on MediaImage { id alt } }
+    mutation SetPageSeoMetafields($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields { id key namespace value }
         userErrors { field message }
       }
     }
@@ -991,20 +1348,247 @@ async function updateProductMediaAltText(admin, productId, mediaId, altText, { o
   const json = await shopifyGraphqlJsonWithRetry({
     admin,
     query: mutation,
-    variables: {
-      productId,
-      media: [{ id: mediaId, alt: altText }],
-    },
-    label: "Shopify GraphQL updateProductMediaAltText",
+    variables: { metafields },
+    label: `Shopify GraphQL updatePageSeoMetafields (ownerId=${live.id})`,
     onAttempt,
     onRetry,
     onThrottle,
   });
 
-  const errs = json?.data?.productUpdateMedia?.userErrors || [];
+  const errs = json?.data?.metafieldsSet?.userErrors || [];
   if (errs.length) throw new Error(errs.map((e) => e.message).join(" | "));
 }
 
+// Collection SEO is written through collectionUpdate(seo). Both fields are always sent
+// (the one we don't touch keeps its live value), so a title-only job can't clear the description.
+async function setCollectionSeo(admin, id, { seoTitle, seoDescription }, { onAttempt, onRetry, onThrottle } = {}) {
+  const mutation = `#graphql
+    mutation UpdateCollectionSeo($input: CollectionInput!) {
+      collectionUpdate(input: $input) {
+        collection { id seo { title description } }
+        userErrors { field message }
+      }
+    }
+  `;
+
+  const json = await shopifyGraphqlJsonWithRetry({
+    admin,
+    query: mutation,
+    variables: {
+      input: {
+        id,
+        seo: { title: String(seoTitle ?? ""), description: String(seoDescription ?? "") },
+      },
+    },
+    label: `Shopify GraphQL updateCollectionSeo (id=${id})`,
+    onAttempt,
+    onRetry,
+    onThrottle,
+  });
+
+  const errs = json?.data?.collectionUpdate?.userErrors || [];
+  if (errs.length) throw new Error(errs.map((e) => e.message).join(" | "));
+}
+
+async function readCollectionSeo(admin, id, { onAttempt, onRetry, onThrottle } = {}) {
+  const query = `#graphql
+    query CollectionSeo($id: ID!) {
+      collection(id: $id) {
+        id
+        seo { title description }
+      }
+    }
+  `;
+  const json = await shopifyGraphqlJsonWithRetry({
+    admin,
+    query,
+    variables: { id },
+    label: `Shopify GraphQL CollectionSeo (id=${id})`,
+    onAttempt,
+    onRetry,
+    onThrottle,
+  });
+  const c = json?.data?.collection;
+  if (!c?.id) throw new Error("Collection not found");
+
+  return {
+    seoTitle: String(c?.seo?.title ?? "").trim(),
+    seoDescription: String(c?.seo?.description ?? "").trim(),
+  };
+}
+
+async function updateCollectionSeo(
+  admin,
+  id,
+  seoTitle,
+  seoDescription,
+  { metaTitle = true, metaDescription = true, onAttempt, onRetry, onThrottle, onSnapshot } = {},
+) {
+  const current = await readCollectionSeo(admin, id, { onAttempt, onRetry, onThrottle });
+  const currentTitle = current.seoTitle;
+  const currentDesc = current.seoDescription;
+
+  const titleVal = String(seoTitle ?? "").trim();
+  const descVal = String(seoDescription ?? "").trim();
+  const willWriteTitle = Boolean(metaTitle && titleVal);
+  const willWriteDesc = Boolean(metaDescription && descVal);
+  if (!willWriteTitle && !willWriteDesc) return;
+
+  // Pre-publish snapshot (for revert)
+  if (typeof onSnapshot === "function") {
+    await onSnapshot({ seoTitle: currentTitle, seoDescription: currentDesc });
+  }
+
+  await setCollectionSeo(
+    admin,
+    id,
+    {
+      seoTitle: willWriteTitle ? titleVal : currentTitle,
+      seoDescription: willWriteDesc ? descVal : currentDesc,
+    },
+    { onAttempt, onRetry, onThrottle },
+  );
+}
+
+// Revert: restore only the fields the job published, keep the other one as it is now.
+async function restoreCollectionSeo(
+  admin,
+  id,
+  { seoTitle, seoDescription, restoreTitle = true, restoreDescription = true },
+  hooks = {},
+) {
+  const current = await readCollectionSeo(admin, id, hooks);
+  await setCollectionSeo(
+    admin,
+    id,
+    {
+      seoTitle: restoreTitle ? String(seoTitle ?? "") : current.seoTitle,
+      seoDescription: restoreDescription ? String(seoDescription ?? "") : current.seoDescription,
+    },
+    hooks,
+  );
+}
+
+async function updateProductMediaAltText(admin, productId, mediaId, altText, { onAttempt, onRetry, onThrottle, onSnapshot } = {}) {
+  // Pre-publish snapshot (for revert): read the live ALT text before overwriting it.
+  if (typeof onSnapshot === "function") {
+    const query = `#graphql
+      query MediaAltForSnapshot($id: ID!) {
+        node(id: $id) {
+          ... on MediaImage { id alt }
+        }
+      }
+    `;
+    const snapJson = await shopifyGraphqlJsonWithRetry({
+      admin,
+      query,
+      variables: { id: mediaId },
+      label: "Shopify GraphQL MediaAltForSnapshot",
+      onThrottle,
+    });
+    const node = snapJson?.data?.node;
+    if (node?.id) {
+      await onSnapshot({ seoTitle: String(node.alt ?? ""), seoDescription: null });
+    }
+  }
+
+  const mutation = `#graphql
+    mutation ProductUpdateMedia($productId: ID!, $media: [UpdateMediaInput!]!) {
+      productUpdateMedia(productId: $productId, media: $media) {
+        media { ... on MediaImage { id alt } }
+        userErrors { field message }
+      }
+    }
+  `;
+
+  const json = await shopifyGraphqlJsonWithRetry({
+    admin,
+    query: mutation,
+    variables: {
+      productId,
+      media: [{ id: mediaId, alt: altText }],
+    },
+    label: "Shopify GraphQL updateProductMediaAltText",
+    onAttempt,
+    onRetry,
+    onThrottle,
+  });
+
+  const errs = json?.data?.productUpdateMedia?.userErrors || [];
+  if (errs.length) throw new Error(errs.map((e) => e.message).join(" | "));
+}
+
+// Restore SEO metafields (title_tag / description_tag) to a pre-publish snapshot.
+// An empty snapshot value means the field was empty before publish, so we delete the
+// metafield instead of writing "" (metafieldsSet rejects blank values).
+async function restoreSeoMetafields(
+  admin,
+  ownerId,
+  { seoTitle, seoDescription, restoreTitle = true, restoreDescription = true },
+  { onAttempt, onRetry, onThrottle } = {},
+) {
+  const toSet = [];
+  const toDelete = [];
+
+  const fields = [
+    { key: "title_tag", enabled: restoreTitle, value: String(seoTitle ?? "").trim() },
+    { key: "description_tag", enabled: restoreDescription, value: String(seoDescription ?? "").trim() },
+  ];
+
+  for (const f of fields) {
+    if (!f.enabled) continue;
+    if (f.value) {
+      toSet.push({ ownerId, namespace: "global", key: f.key, type: "single_line_text_field", value: f.value });
+    } else {
+      toDelete.push({ ownerId, namespace: "global", key: f.key });
+    }
+  }
+
+  if (toSet.length) {
+    const mutation = `#graphql
+      mutation RestoreSeoMetafields($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { id key namespace value }
+          userErrors { field message }
+        }
+      }
+    `;
+    const json = await shopifyGraphqlJsonWithRetry({
+      admin,
+      query: mutation,
+      variables: { metafields: toSet },
+      label: `Shopify GraphQL restoreSeoMetafields (ownerId=${ownerId})`,
+      onAttempt,
+      onRetry,
+      onThrottle,
+    });
+    const errs = json?.data?.metafieldsSet?.userErrors || [];
+    if (errs.length) throw new Error(errs.map((e) => e.message).join(" | "));
+  }
+
+  if (toDelete.length) {
+    const mutation = `#graphql
+      mutation DeleteSeoMetafields($metafields: [MetafieldIdentifierInput!]!) {
+        metafieldsDelete(metafields: $metafields) {
+          deletedMetafields { key namespace ownerId }
+          userErrors { field message }
+        }
+      }
+    `;
+    const json = await shopifyGraphqlJsonWithRetry({
+      admin,
+      query: mutation,
+      variables: { metafields: toDelete },
+      label: `Shopify GraphQL deleteSeoMetafields (ownerId=${ownerId})`,
+      onAttempt,
+      onRetry,
+      onThrottle,
+    });
+    const errs = json?.data?.metafieldsDelete?.userErrors || [];
+    if (errs.length) throw new Error(errs.map((e) => e.message).join(" | "));
+  }
+}
+
 
 /** ---- Locking (atomic) ---- */
 async function lockJob(jobId, lockOwner, ttlMs = 5 * 60_000) {
@@ -1058,13 +1642,242 @@ async function getAdminClientForShop(shop) {
   return admin;
 }
 
+/** ---- Publish conflict detection ---- */
+// The live SEO is captured at generation time (originalSeo*). Right before a publish writes, the live
+// value is compared again: if a merchant or another app changed a field we are about to write, the
+// item becomes publishStatus "conflict" instead of silently overwriting it.
+class PublishConflictError extends Error {
+  constructor(live) {
+    super("Live SEO changed since this draft was generated. Overwrite anyway or skip.");
+    this.name = "PublishConflictError";
+    this.live = live;
+  }
+}
+
+function normalizeSeoValue(v) {
+  return String(v ?? "").replace(/\s+/g, " ").trim();
+}
+
+function originalSeoFields(live) {
+  if (!live) return {};
+  return {
+    originalSeoTitle: normalizeSeoValue(live.seoTitle),
+    originalSeoDescription: normalizeSeoValue(live.seoDescription),
+    originalCapturedAt: new Date(),
+    conflictSeoTitle: null,
+    conflictSeoDescription: null,
+    conflictOverride: false,
+  };
+}
+
+// Only fields this publish writes are compared (an untouched field may change freely).
+// A live value equal to the draft is our own earlier write (e.g. a retry after a lost result), not a conflict.
+function seoFieldChanged(liveValue, originalValue, draftValue) {
+  const v = normalizeSeoValue(liveValue);
+  return v !== normalizeSeoValue(originalValue) && v !== normalizeSeoValue(draftValue);
+}
+
+function checkPublishConflict(item, job, live) {
+  if (!item.originalCapturedAt || item.conflictOverride) return;
+
+  const writesTitle = Boolean(job?.metaTitle ?? true) && normalizeSeoValue(item.seoTitle);
+  const writesDesc = Boolean(job?.metaDescription ?? true) && normalizeSeoValue(item.seoDescription);
+
+  const titleChanged = writesTitle && seoFieldChanged(live?.seoTitle, item.originalSeoTitle, item.seoTitle);
+  const descChanged =
+    writesDesc && seoFieldChanged(live?.seoDescription, item.originalSeoDescription, item.seoDescription);
+  if (titleChanged || descChanged) throw new PublishConflictError(live);
+}
+
+// After a publish / revert, the value we just wrote is the new baseline. `undefined` = field not written.
+function advanceOriginalSeo(item, { seoTitle, seoDescription }) {
+  if (!item.originalCapturedAt) return {};
+  return {
+    originalSeoTitle: seoTitle === undefined ? item.originalSeoTitle : normalizeSeoValue(seoTitle),
+    originalSeoDescription: seoDescription === undefined ? item.originalSeoDescription : normalizeSeoValue(seoDescription),
+    originalCapturedAt: new Date(),
+    conflictSeoTitle: null,
+    conflictSeoDescription: null,
+    conflictOverride: false,
+  };
+}
+
+// AI output as generated (version history); a manual draft edit later only changes seoTitle / seoDescription.
+function aiDraftFields(seoTitle, seoDescription) {
+  return { aiSeoTitle: seoTitle || null, aiSeoDescription: seoDescription || null, editedAt: null, editedBy: null };
+}
+
+// Change log target of an item: ALT text -> MediaImage, everything else -> the SEO owner resource.
+function changeLogResource(item) {
+  const type = String(item.targetType || "PRODUCT");
+  if (type === "IMAGE") {
+    return { resourceType: type, resourceId: String(item.mediaId || item.targetId || ""), productId: item.productId || null };
+  }
+  const id = type === "PRODUCT" ? item.productId || item.targetId : item.targetId || item.productId;
+  return {
+    resourceType: type,
+    resourceId: type === "BLOG_ARTICLE" ? normalizeArticleOwnerId(String(id || "")) : String(id || ""),
+    productId: null,
+  };
+}
+
+async function logItemChanges(job, item, source, changes) {
+  await recordSeoChanges({
+    shop: job.shop,
+    ...changeLogResource(item),
+    resourceTitle: item.productTitle || null,
+    locale: item.locale || null,
+    jobId: job.id,
+    itemId: item.id,
+    source,
+    ...changeActorForJob(job, source),
+    changes,
+  });
+}
+
+// Publish bookkeeping shared by the per-item loop and bulk publishing.
+// liveBefore: live values read right before the write (change log "old value").
+async function markItemPublished(job, item, liveBefore, { isImageJob = false } = {}) {
+  await prisma.seoJobItem.update({
+    where: { id: item.id },
+    data: isImageJob
+      ? {
+          publishStatus: "success",
+          publishedAt: new Date(),
+          publishedBy: job.publishRequestedBy || null,
+          // Keep "current" ALT text in sync so UI badges (Edited/Published) behave correctly.
+          // We store the current/live ALT text in seoDescription for IMAGE items.
+          seoDescription: String(item.seoTitle || ""),
+          publishError: null,
+          // A fresh publish supersedes an earlier revert.
+          revertStatus: "none",
+          revertError: null,
+          revertedAt: null,
+        }
+      : {
+          publishStatus: "success",
+          publishedAt: new Date(),
+          publishedBy: job.publishRequestedBy || null,
+          revertStatus: "none",
+          revertError: null,
+          revertedAt: null,
+          ...advanceOriginalSeo(item, {
+            seoTitle: (job?.metaTitle ?? true) && normalizeSeoValue(item.seoTitle) ? item.seoTitle : undefined,
+            seoDescription:
+              (job?.metaDescription ?? true) && normalizeSeoValue(item.seoDescription) ? item.seoDescription : undefined,
+          }),
+        },
+  });
+
+  const writesTitle = Boolean(job?.metaTitle ?? true) && normalizeSeoValue(item.seoTitle);
+  const writesDesc = Boolean(job?.metaDescription ?? true) && normalizeSeoValue(item.seoDescription);
+  await logItemChanges(
+    job,
+    item,
+    "publish",
+    isImageJob
+      ? [{ field: "alt_text", oldValue: liveBefore?.seoTitle ?? null, newValue: String(item.seoTitle || "") }]
+      : [
+          writesTitle && { field: "seo_title", oldValue: liveBefore?.seoTitle ?? null, newValue: item.seoTitle },
+          writesDesc && { field: "seo_description", oldValue: liveBefore?.seoDescription ?? null, newValue: item.seoDescription },
+        ],
+  );
+
+  await prisma.seoJob.update({
+    where: { id: job.id },
+    data: { publishOkCount: { increment: 1 } },
+  });
+}
+
+async function markItemConflict(item, conflict) {
+  await prisma.seoJobItem.update({
+    where: { id: item.id },
+    data: {
+      publishStatus: "conflict",
+      publishError: conflict.message,
+      conflictSeoTitle: normalizeSeoValue(conflict.live?.seoTitle),
+      conflictSeoDescription: normalizeSeoValue(conflict.live?.seoDescription),
+    },
+  });
+}
+
+async function markItemPublishFailed(job, item, message) {
+  await prisma.seoJobItem.update({
+    where: { id: item.id },
+    data: { publishStatus: "failed", publishError: message },
+  });
+
+  await prisma.seoJob.update({
+    where: { id: job.id },
+    data: { publishFailedCount: { increment: 1 }, lastError: message },
+  });
+}
+
+/**
+ * Refund usage (credits / Free allowance) for items without a draft and bill metered usage.
+ * Never fails the job — cancel and the billing page settle again.
+ */
+async function settleJobUsage(jobId, shop) {
+  try {
+    await reconcileJobUsage(jobId);
+    if (CREDITS_MODE === "metered") {
+      const admin = BILLING_BACKEND === "shopify" ? await getAdminClientForShop(shop) : null;
+      await settleMeteredUsage({ admin, shop });
+    }
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn("[worker] usage settlement failed jobId=", jobId, String(e?.message || e));
+  }
+}
+
 /** ---- GENERATE ---- */
+// Items generated in parallel within one job (AI calls are paced by the shared rate limiter).
+const GENERATE_CONCURRENCY = Number(process.env.GENERATE_CONCURRENCY || 2);
+const GENERATE_CONCURRENCY_PRO = Number(process.env.GENERATE_CONCURRENCY_PRO || 5);
+const GENERATE_HEARTBEAT_MS = 60_000;
+
+async function generateConcurrency(shop) {
+  let isPro = false;
+  try {
+    isPro = Boolean((await getPlanForShop(shop))?.isPro);
+  } catch {
+    // plan lookup failed -> default lane count
+  }
+  const n = Math.floor(isPro ? GENERATE_CONCURRENCY_PRO : GENERATE_CONCURRENCY);
+  return Math.min(10, Math.max(1, Number.isFinite(n) ? n : 1));
+}
+
+// Runs fn over items with at most `limit` in flight (items keep their order within a lane).
+// On the first error no new item is started and every lane finishes its current one before the error
+// is rethrown: the caller must not settle usage / release locks while other lanes still write items.
+async function runWithConcurrency(items, limit, fn) {
+  let next = 0;
+  let failed = false;
+  const lane = async () => {
+    while (!failed && next < items.length) {
+      const item = items[next++];
+      try {
+        await fn(item);
+      } catch (e) {
+        failed = true;
+        throw e;
+      }
+    }
+  };
+  const results = await Promise.allSettled(Array.from({ length: Math.min(limit, items.length) }, lane));
+  const rejected = results.find((r) => r.status === "rejected");
+  if (rejected) throw rejected.reason;
+}
+
 async function processGenerate(job) {
   const settings = job.settingsJson ? JSON.parse(job.settingsJson) : {};
   const language = job.language || "tr";
 
   const isImageJob = String(job.jobType || "PRODUCT_SEO") === "ALT_TEXT_IMAGES";
   const isBlogJob = String(job.jobType || "PRODUCT_SEO") === "BLOG_SEO_META";
+  const isCollectionJob = String(job.jobType || "PRODUCT_SEO") === "COLLECTION_SEO";
+  const isPageJob = String(job.jobType || "PRODUCT_SEO") === "PAGE_SEO";
+  const isTranslateJob = String(job.jobType || "PRODUCT_SEO") === "TRANSLATE_SEO";
 
   const admin = await getAdminClientForShop(job.shop);
 
@@ -1077,240 +1890,501 @@ async function processGenerate(job) {
     where: {
       jobId: job.id,
       status: { in: ["queued", "failed"] },
-      ...(isImageJob ? { targetType: "IMAGE" } : isBlogJob ? { targetType: "BLOG_ARTICLE" } : { targetType: "PRODUCT" }),
+      ...(isTranslateJob
+        ? {} // one item per resource + locale, any resource type
+        : isImageJob
+          ? { targetType: "IMAGE" }
+          : isBlogJob
+            ? { targetType: "BLOG_ARTICLE" }
+            : isCollectionJob
+              ? { targetType: "COLLECTION" }
+              : isPageJob
+                ? { targetType: "PAGE" }
+                : { targetType: "PRODUCT" }),
     },
     orderBy: { id: "asc" },
   });
 
-  for (const item of items) {
-    if (await isJobCancelled(job.id)) {
-      // eslint-disable-next-line no-console
-      console.log("[worker] generate cancelled, stopping:", job.id);
-      return;
-    }
+  // Product / IMAGE jobs: product context is fetched in nodes() batches and shared by the items.
+  const isProductJob = !isTranslateJob && !isImageJob && !isBlogJob && !isCollectionJob && !isPageJob;
+  const loadProduct = createProductLoader(admin, isImageJob || isProductJob ? items.map((it) => it.productId) : []);
 
-    await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
+  const variantCount = variantCountFromSettings(settings);
 
-    await prisma.seoJobItem.update({
-      where: { id: item.id },
-      data: { status: "running", startedAt: new Date(), error: null },
-    });
+  // AI result cache: forceFresh jobs skip the lookup; hits are counted next to the attempts (telemetry).
+  const aiCacheFor = (item) => ({
+    fresh: Boolean(job.forceFresh),
+    onHit: async () => {
+      await prisma.seoJobItem.update({
+        where: { id: item.id },
+        data: { genCacheHits: { increment: 1 } },
+      });
+      await prisma.seoJob.update({
+        where: { id: job.id },
+        data: { totalCacheHits: { increment: 1 } },
+      });
+    },
+  });
 
-    try {
-      if (isImageJob) {
-        const parentId = String(item.productId || "");
-        if (!parentId) throw new Error("Missing productId for IMAGE item");
-
-        const p = await fetchProduct(admin, parentId);
-        const title = p?.title || item.productTitle || "";
-        const descText = stripHtml(p?.descriptionHtml || "");
-
-        const out = await generateAltTextForImage({
-          productTitle: title,
-          productDescriptionText: descText,
-          currentAltText: item.seoDescription || "",
-          language,
-          settings,
-          onAttempt: async (attempt) => {
-            await prisma.seoJobItem.update({
-              where: { id: item.id },
-              data: { genAttempts: { increment: 1 } },
-            });
-            await prisma.seoJob.update({
-              where: { id: job.id },
-              data: { totalAttempts: { increment: 1 } },
-            });
+  // Heartbeat for the whole run: with several lanes an item can wait on the rate limiter / retries
+  // longer than the per-item touchLock interval.
+  const heartbeat = setInterval(() => {
+    touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop).catch(() => {});
+  }, GENERATE_HEARTBEAT_MS);
 
-            if (attempt > 1) {
+  let cancelled = false;
+  try {
+    await runWithConcurrency(items, await generateConcurrency(job.shop), async (item) => {
+      if (cancelled) return;
+      if (await isJobCancelled(job.id)) {
+        cancelled = true;
+        return;
+      }
+
+      await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
+
+      await prisma.seoJobItem.update({
+        where: { id: item.id },
+        data: { status: "running", startedAt: new Date(), error: null },
+      });
+
+      try {
+        if (isTranslateJob) {
+          const resourceId = toTranslatableResourceId(item.targetType, item.targetId || item.productId);
+          const locale = String(item.locale || "");
+          if (!resourceId || !locale) throw new Error("Missing resource or locale for translation item");
+
+          const gql = translationGql(admin, {
+            onThrottle: async () => {
+              await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
+            },
+          });
+
+          const tr = await readSeoTranslation(gql, resourceId, locale);
+          if (!tr) throw new Error("Resource not found or not translatable");
+
+          const src = tr.source;
+          const hasTitle = Boolean(job.metaTitle && src.seoTitle.trim());
+          const hasDesc = Boolean(job.metaDescription && src.seoDescription.trim());
+          if (!hasTitle && !hasDesc) {
+            throw new Error("No primary-language SEO title/description to translate. Publish SEO in the primary language first.");
+          }
+
+          const out = await translateSeoFields({
+            source: src,
+            locale,
+            sourceLanguage: language,
+            settings,
+            metaTitle: Boolean(job.metaTitle),
+            metaDescription: Boolean(job.metaDescription),
+            cache: aiCacheFor(item),
+            onAttempt: async (attempt) => {
               await prisma.seoJobItem.update({
                 where: { id: item.id },
-                data: { error: `Retrying OpenAI request (attempt ${attempt})…` },
+                data: { genAttempts: { increment: 1 } },
               });
               await prisma.seoJob.update({
                 where: { id: job.id },
-                data: { lastError: `Retrying OpenAI request (attempt ${attempt})…` },
+                data: { totalAttempts: { increment: 1 } },
               });
-            }
-          },
-          onRetry: async ({ attemptNumber, waitMs, reason }) => {
-            await prisma.seoJobItem.update({
-              where: { id: item.id },
-              data: { genRetryWaitMs: { increment: Math.max(0, Math.floor(waitMs)) } },
-            });
-            await prisma.seoJob.update({
-              where: { id: job.id },
-              data: { totalRetryWaitMs: { increment: Math.max(0, Math.floor(waitMs)) } },
-            });
 
-            const sec = Math.max(1, Math.ceil(waitMs / 1000));
-            const msg = `OpenAI transient error (${reason}). Retrying in ${sec}s… (attempt ${attemptNumber + 1})`;
-            await prisma.seoJobItem.update({
-              where: { id: item.id },
-              data: { error: msg },
-            });
-            await prisma.seoJob.update({
-              where: { id: job.id },
-              data: { lastError: msg },
-            });
-          },
-        });
+              if (attempt > 1) {
+                await prisma.seoJobItem.update({
+                  where: { id: item.id },
+                  data: { error: `Retrying AI request (attempt ${attempt})…` },
+                });
+              }
+            },
+            onRetry: async ({ attemptNumber, waitMs, reason }) => {
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: { genRetryWaitMs: { increment: Math.max(0, Math.floor(waitMs)) } },
+              });
+              await prisma.seoJob.update({
+                where: { id: job.id },
+                data: { totalRetryWaitMs: { increment: Math.max(0, Math.floor(waitMs)) } },
+              });
 
-        await prisma.seoJobItem.update({
-          where: { id: item.id },
-          data: {
-            status: "success",
-            finishedAt: new Date(),
-            productTitle: title || item.productTitle,
-            // draft alt text stored in seoTitle
-            seoTitle: out.altText || null,
-          },
-        });
+              const sec = Math.max(1, Math.ceil(waitMs / 1000));
+              const msg = `AI provider transient error (${reason}). Retrying in ${sec}s… (attempt ${attemptNumber + 1})`;
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: { error: msg },
+              });
+              await prisma.seoJob.update({
+                where: { id: job.id },
+                data: { lastError: msg },
+              });
+            },
+          });
 
-        await prisma.seoJob.update({
-          where: { id: job.id },
-          data: { okCount: { increment: 1 } },
-        });
-      } else if (isBlogJob) {
-        const articleId = String(item.targetId || item.productId || "");
-        if (!articleId) throw new Error("Missing articleId for BLOG_ARTICLE item");
-
-        const a = await fetchArticle(admin, articleId);
-        const title = a?.title || item.productTitle || "";
-        const bodyText = stripHtml(a?.body || a?.contentHtml || a?.excerptHtml || "");
-
-        const out = await generateSeoForProduct({
-          title,
-          descriptionText: bodyText,
-          language,
-          settings,
-          onAttempt: async (attempt) => {
+          await prisma.seoJobItem.update({
+            where: { id: item.id },
+            data: {
+              status: "success",
+              finishedAt: new Date(),
+              seoTitle: out.seoTitle || null,
+              seoDescription: out.seoDescription || null,
+              ...aiDraftFields(out.seoTitle, out.seoDescription),
+              sourceTitle: src.seoTitle || null,
+              sourceDescription: src.seoDescription || null,
+              sourceDigestsJson: JSON.stringify(src.digests || {}),
+              error: null,
+            },
+          });
+
+          await prisma.seoJob.update({
+            where: { id: job.id },
+            data: { okCount: { increment: 1 } },
+          });
+        } else if (isImageJob) {
+          const parentId = String(item.productId || "");
+          if (!parentId) throw new Error("Missing productId for IMAGE item");
+
+          const p = await loadProduct(parentId);
+          const title = p?.title || item.productTitle || "";
+          const descText = stripHtml(p?.descriptionHtml || "");
+
+          const out = await generateAltTextForImage({
+            productTitle: title,
+            productDescriptionText: descText,
+            productContext: productContextOf(p),
+            currentAltText: item.seoDescription || "",
+            imageUrl: item.imageUrl || "",
+            language,
+            settings,
+            cache: aiCacheFor(item),
+            onAttempt: async (attempt) => {
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: { genAttempts: { increment: 1 } },
+              });
+              await prisma.seoJob.update({
+                where: { id: job.id },
+                data: { totalAttempts: { increment: 1 } },
+              });
+
+              if (attempt > 1) {
+                await prisma.seoJobItem.update({
+                  where: { id: item.id },
+                  data: { error: `Retrying AI request (attempt ${attempt})…` },
+                });
+                await prisma.seoJob.update({
+                  where: { id: job.id },
+                  data: { lastError: `Retrying AI request (attempt ${attempt})…` },
+                });
+              }
+            },
+            onRetry: async ({ attemptNumber, waitMs, reason }) => {
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: { genRetryWaitMs: { increment: Math.max(0, Math.floor(waitMs)) } },
+              });
+              await prisma.seoJob.update({
+                where: { id: job.id },
+                data: { totalRetryWaitMs: { increment: Math.max(0, Math.floor(waitMs)) } },
+              });
+
+              const sec = Math.max(1, Math.ceil(waitMs / 1000));
+              const msg = `AI provider transient error (${reason}). Retrying in ${sec}s… (attempt ${attemptNumber + 1})`;
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: { error: msg },
+              });
+              await prisma.seoJob.update({
+                where: { id: job.id },
+                data: { lastError: msg },
+              });
+            },
+          });
+
+          await prisma.seoJobItem.update({
+            where: { id: item.id },
+            data: {
+              status: "success",
+              finishedAt: new Date(),
+              productTitle: title || item.productTitle,
+              // draft alt text stored in seoTitle
+              seoTitle: out.altText || null,
+              ...aiDraftFields(out.altText, null),
+              altTextMode: out.mode,
+              altTextModeNote: out.fallbackReason,
+            },
+          });
+
+          await prisma.seoJob.update({
+            where: { id: job.id },
+            data: { okCount: { increment: 1 } },
+          });
+        } else if (isBlogJob) {
+          const articleId = String(item.targetId || item.productId || "");
+          if (!articleId) throw new Error("Missing articleId for BLOG_ARTICLE item");
+
+          const a = await fetchArticle(admin, articleId);
+          const title = a?.title || item.productTitle || "";
+          const bodyText = stripHtml(a?.body || a?.contentHtml || a?.excerptHtml || "");
+
+          const generated = await generateSeoForProduct({
+            title,
+            descriptionText: bodyText,
+            language,
+            settings,
+            variants: variantCount,
+            cache: aiCacheFor(item),
+            onAttempt: async (attempt) => {
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: { genAttempts: { increment: 1 } },
+              });
+              await prisma.seoJob.update({
+                where: { id: job.id },
+                data: { totalAttempts: { increment: 1 } },
+              });
+            },
+            onRetry: async (waitMs, err) => {
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: {
+                  genRetryWaitMs: { increment: Math.max(0, Number(waitMs || 0)) },
+                  error: err?.message ? String(err.message).slice(0, 900) : null,
+                },
+              });
+              await prisma.seoJob.update({
+                where: { id: job.id },
+                data: { totalRetryWaitMs: { increment: Math.max(0, Number(waitMs || 0)) } },
+              });
+            },
+          });
+
+          const out = await pickGeneratedCandidate(item, generated, { settings });
+
+          await prisma.seoJobItem.update({
+            where: { id: item.id },
+            data: {
+              status: "success",
+              finishedAt: new Date(),
+              seoTitle: out?.seoTitle || null,
+              seoDescription: out?.seoDescription || null,
+              ...aiDraftFields(out?.seoTitle, out?.seoDescription),
+              error: null,
+              ...originalSeoFields(a?.id ? metafieldLiveSeo(a) : null),
+            },
+          });
+
+          await prisma.seoJob.update({
+            where: { id: job.id },
+            data: { okCount: { increment: 1 } },
+          });
+        } else if (isCollectionJob || isPageJob) {
+          const targetId = String(item.targetId || item.productId || "");
+          if (!targetId) throw new Error(`Missing targetId for ${isPageJob ? "PAGE" : "COLLECTION"} item`);
+
+          let title = item.productTitle || "";
+          let descText = "";
+          let sampleProductTitles = [];
+          let liveSeo = null;
+          if (isPageJob) {
+            const pg = await fetchPage(admin, targetId);
+            if (!pg) throw new Error("Page not found");
+            title = pg?.title || title;
+            liveSeo = metafieldLiveSeo(pg);
+            descText = stripHtml(pg?.body || "").slice(0, 4000);
+          } else {
+            const c = await fetchCollection(admin, targetId);
+            if (!c) throw new Error("Collection not found");
+            title = c?.title || title;
+            descText = stripHtml(c?.descriptionHtml || "");
+            liveSeo = { seoTitle: c?.seo?.title, seoDescription: c?.seo?.description };
+            sampleProductTitles = (c?.products?.edges || [])
+              .map((e) => String(e?.node?.title || "").trim())
+              .filter(Boolean);
+          }
+
+          const generated = await generateSeoForProduct({
+            kind: isPageJob ? "page" : "collection",
+            title,
+            descriptionText: descText,
+            sampleProductTitles,
+            language,
+            settings,
+            variants: variantCount,
+            cache: aiCacheFor(item),
+            onAttempt: async (attempt) => {
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: { genAttempts: { increment: 1 } },
+              });
+              await prisma.seoJob.update({
+                where: { id: job.id },
+                data: { totalAttempts: { increment: 1 } },
+              });
+
+              if (attempt > 1) {
+                await prisma.seoJobItem.update({
+                  where: { id: item.id },
+                  data: { error: `Retrying AI request (attempt ${attempt})…` },
+                });
+                await prisma.seoJob.update({
+                  where: { id: job.id },
+                  data: { lastError: `Retrying AI request (attempt ${attempt})…` },
+                });
+              }
+            },
+            onRetry: async ({ attemptNumber, waitMs, reason }) => {
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: { genRetryWaitMs: { increment: Math.max(0, Math.floor(waitMs)) } },
+              });
+              await prisma.seoJob.update({
+                where: { id: job.id },
+                data: { totalRetryWaitMs: { increment: Math.max(0, Math.floor(waitMs)) } },
+              });
+
+              const sec = Math.max(1, Math.ceil(waitMs / 1000));
+              const msg = `AI provider transient error (${reason}). Retrying in ${sec}s… (attempt ${attemptNumber + 1})`;
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: { error: msg },
+              });
+              await prisma.seoJob.update({
+                where: { id: job.id },
+                data: { lastError: msg },
+              });
+            },
+          });
+
+          const out = await pickGeneratedCandidate(item, generated, {
+            settings,
+            metaTitle: Boolean(job.metaTitle),
+            metaDescription: Boolean(job.metaDescription),
+          });
+
+          await prisma.seoJobItem.update({
+            where: { id: item.id },
+            data: {
+              status: "success",
+              finishedAt: new Date(),
+              productTitle: title || item.productTitle,
+              seoTitle: job.metaTitle ? out.seoTitle || null : item.seoTitle,
+              seoDescription: job.metaDescription ? out.seoDescription || null : item.seoDescription,
+              ...aiDraftFields(job.metaTitle ? out.seoTitle : null, job.metaDescription ? out.seoDescription : null),
+              error: null,
+              ...originalSeoFields(liveSeo),
+            },
+          });
+
+          await prisma.seoJob.update({
+            where: { id: job.id },
+            data: { okCount: { increment: 1 } },
+          });
+        } else {
+          const p = await loadProduct(item.productId);
+          const title = p?.title || item.productTitle || "";
+          const descText = stripHtml(p?.descriptionHtml || "");
+
+          const generated = await generateSeoForProduct({
+            title,
+            descriptionText: descText,
+            productContext: productContextOf(p),
+            language,
+            settings,
+            variants: variantCount,
+            cache: aiCacheFor(item),
+            onAttempt: async (attempt) => {
+            // telemetry: count attempts
             await prisma.seoJobItem.update({
               where: { id: item.id },
               data: { genAttempts: { increment: 1 } },
-            });
+        });
             await prisma.seoJob.update({
               where: { id: job.id },
               data: { totalAttempts: { increment: 1 } },
             });
-          },
-          onRetry: async (waitMs, err) => {
+
+            if (attempt > 1) {
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: { error: `Retrying AI request (attempt ${attempt})…` },
+              });
+              await prisma.seoJob.update({
+                where: { id: job.id },
+                data: { lastError: `Retrying AI request (attempt ${attempt})…` },
+              });
+            }
+            },
+            onRetry: async ({ attemptNumber, waitMs, reason }) => {
+            // telemetry: retry wait time
             await prisma.seoJobItem.update({
               where: { id: item.id },
-              data: {
-                genRetryWaitMs: { increment: Math.max(0, Number(waitMs || 0)) },
-                error: err?.message ? String(err.message).slice(0, 900) : null,
-              },
+              data: { genRetryWaitMs: { increment: Math.max(0, Math.floor(waitMs)) } },
             });
             await prisma.seoJob.update({
               where: { id: job.id },
-              data: { totalRetryWaitMs: { increment: Math.max(0, Number(waitMs || 0)) } },
+              data: { totalRetryWaitMs: { increment: Math.max(0, Math.floor(waitMs)) } },
             });
-          },
-        });
-
-        await prisma.seoJobItem.update({
-          where: { id: item.id },
-          data: {
-            status: "success",
-            finishedAt: new Date(),
-            seoTitle: out?.seoTitle || null,
-            seoDescription: out?.seoDescription || null,
-            error: null,
-          },
-        });
-
-        await prisma.seoJob.update({
-          where: { id: job.id },
-          data: { okCount: { increment: 1 } },
-        });
-      } else {
-        const p = await fetchProduct(admin, item.productId);
-        const title = p?.title || item.productTitle || "";
-        const descText = stripHtml(p?.descriptionHtml || "");
-
-        const out = await generateSeoForProduct({
-          title,
-          descriptionText: descText,
-          language,
-          settings,
-          onAttempt: async (attempt) => {
-          // telemetry: count attempts
-          await prisma.seoJobItem.update({
-            where: { id: item.id },
-            data: { genAttempts: { increment: 1 } },
-      });
-          await prisma.seoJob.update({
-            where: { id: job.id },
-            data: { totalAttempts: { increment: 1 } },
-          });
 
-          if (attempt > 1) {
+            const sec = Math.max(1, Math.ceil(waitMs / 1000));
+            const msg = `AI provider transient error (${reason}). Retrying in ${sec}s… (attempt ${attemptNumber + 1})`;
             await prisma.seoJobItem.update({
               where: { id: item.id },
-              data: { error: `Retrying OpenAI request (attempt ${attempt})…` },
+              data: { error: msg },
             });
             await prisma.seoJob.update({
               where: { id: job.id },
-              data: { lastError: `Retrying OpenAI request (attempt ${attempt})…` },
+              data: { lastError: msg },
             });
-          }
-          },
-          onRetry: async ({ attemptNumber, waitMs, reason }) => {
-          // telemetry: retry wait time
-          await prisma.seoJobItem.update({
-            where: { id: item.id },
-            data: { genRetryWaitMs: { increment: Math.max(0, Math.floor(waitMs)) } },
+            },
           });
-          await prisma.seoJob.update({
-            where: { id: job.id },
-            data: { totalRetryWaitMs: { increment: Math.max(0, Math.floor(waitMs)) } },
+
+          const out = await pickGeneratedCandidate(item, generated, {
+            settings,
+            metaTitle: Boolean(job.metaTitle),
+            metaDescription: Boolean(job.metaDescription),
           });
 
-          const sec = Math.max(1, Math.ceil(waitMs / 1000));
-          const msg = `OpenAI transient error (${reason}). Retrying in ${sec}s… (attempt ${attemptNumber + 1})`;
+          const seoTitle = job.metaTitle ? out.seoTitle : item.seoTitle;
+          const seoDescription = job.metaDescription ? out.seoDescription : item.seoDescription;
+
           await prisma.seoJobItem.update({
             where: { id: item.id },
-            data: { error: msg },
+            data: {
+              status: "success",
+              finishedAt: new Date(),
+              productTitle: title || item.productTitle,
+              seoTitle: seoTitle || null,
+              seoDescription: seoDescription || null,
+              ...aiDraftFields(job.metaTitle ? out.seoTitle : null, job.metaDescription ? out.seoDescription : null),
+              ...originalSeoFields(p?.id ? productLiveSeo(p) : null),
+            },
           });
+
           await prisma.seoJob.update({
             where: { id: job.id },
-            data: { lastError: msg },
+            data: { okCount: { increment: 1 } },
           });
-          },
-        });
-
-        const seoTitle = job.metaTitle ? out.seoTitle : item.seoTitle;
-        const seoDescription = job.metaDescription ? out.seoDescription : item.seoDescription;
-
+        }
+      } catch (e) {
         await prisma.seoJobItem.update({
           where: { id: item.id },
-          data: {
-            status: "success",
-            finishedAt: new Date(),
-            productTitle: title || item.productTitle,
-            seoTitle: seoTitle || null,
-            seoDescription: seoDescription || null,
-          },
+          data: { status: "failed", finishedAt: new Date(), error: String(e?.message || e) },
         });
 
         await prisma.seoJob.update({
           where: { id: job.id },
-          data: { okCount: { increment: 1 } },
+          data: { failedCount: { increment: 1 }, lastError: String(e?.message || e) },
         });
       }
-    } catch (e) {
-      await prisma.seoJobItem.update({
-        where: { id: item.id },
-        data: { status: "failed", finishedAt: new Date(), error: String(e?.message || e) },
-      });
 
-      await prisma.seoJob.update({
-        where: { id: job.id },
-        data: { failedCount: { increment: 1 }, lastError: String(e?.message || e) },
-      });
-    }
+      await sleep(450);
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
 
-    await sleep(450);
+  if (cancelled) {
+    // eslint-disable-next-line no-console
+    console.log("[worker] generate cancelled, stopping:", job.id);
+    return;
   }
 
   if (await isJobCancelled(job.id)) {
@@ -1319,18 +2393,277 @@ async function processGenerate(job) {
     return;
   }
 
+  // Auto SEO jobs with "publish automatically": go straight to publish (no review).
+  // Only successfully generated items are published; the rest are skipped.
+  // With the approval workflow on (settings.requireApproval) drafts are held for review instead.
+  if (job.autoPublish && !settings?.requireApproval) {
+    await prisma.seoJobItem.updateMany({
+      where: { jobId: job.id, status: "success" },
+      data: { publishStatus: "queued", publishError: null, publishedAt: null },
+    });
+    await prisma.seoJobItem.updateMany({
+      where: { jobId: job.id, status: { not: "success" } },
+      data: { publishStatus: "skipped", publishError: null },
+    });
+    await prisma.seoJob.update({
+      where: { id: job.id },
+      data: {
+        status: "queued",
+        finishedAt: new Date(),
+        phase: "publishing",
+        publishOkCount: 0,
+        publishFailedCount: 0,
+        publishStartedAt: null,
+        publishFinishedAt: null,
+        publishRequestedBy: null,
+      },
+    });
+    await enqueueSeoJob(job.id, "publish");
+    return;
+  }
+
   await prisma.seoJob.update({
     where: { id: job.id },
     data: { status: "success", finishedAt: new Date(), phase: "generated" },
   });
 }
 
+/** ---- BULK PUBLISH (Shopify bulk operations) ---- */
+// Product / page jobs of this size write their metafields with one bulkOperationRunMutation instead of
+// one metafieldsSet per item (throttle waits make a 10k product publish take hours).
+const PUBLISH_BULK_MIN_ITEMS = Number(process.env.PUBLISH_BULK_MIN_ITEMS || 250);
+const PUBLISH_BULK_READ_BATCH = 100;
+const PUBLISH_BULK_RESULT_ATTEMPTS = 3;
+
+const BULK_METAFIELDS_SET = `mutation call($metafields: [MetafieldsSetInput!]!) {
+  metafieldsSet(metafields: $metafields) {
+    metafields { id }
+    userErrors { field message }
+  }
+}`;
+
+const BULK_LIVE_FRAGMENTS = {
+  PRODUCT: `... on Product {
+    id
+    seo { title description }
+    titleTag: metafield(namespace: "global", key: "title_tag") { value }
+    descriptionTag: metafield(namespace: "global", key: "description_tag") { value }
+  }`,
+  PAGE: `... on Page {
+    id
+    titleTag: metafield(namespace: "global", key: "title_tag") { value }
+    descriptionTag: metafield(namespace: "global", key: "description_tag") { value }
+  }`,
+};
+
+function seoMetafield(ownerId, key, value) {
+  return { ownerId, namespace: "global", key, type: "single_line_text_field", value };
+}
+
+// Same write rules as updateProductSeo / updatePageSeoMetafields: empty values are never written,
+// products backfill a missing counterpart metafield from product.seo.
+function bulkSeoMetafields(job, item, node, { isPageJob }) {
+  const metaTitle = Boolean(job?.metaTitle ?? true);
+  const metaDescription = Boolean(job?.metaDescription ?? true);
+  const titleVal = String(item.seoTitle ?? "").trim();
+  const descVal = String(item.seoDescription ?? "").trim();
+  const willWriteTitle = Boolean(metaTitle && titleVal);
+  const willWriteDesc = Boolean(metaDescription && descVal);
+  const live = isPageJob ? metafieldLiveSeo(node) : productLiveSeo(node);
+
+  const metafields = [];
+  if (willWriteTitle) metafields.push(seoMetafield(node.id, "title_tag", titleVal));
+  if (willWriteDesc) metafields.push(seoMetafield(node.id, "description_tag", descVal));
+
+  if (!isPageJob) {
+    const hasTitleTag = Boolean(String(node?.titleTag?.value ?? "").trim());
+    const hasDescTag = Boolean(String(node?.descriptionTag?.value ?? "").trim());
+    if (willWriteTitle && !willWriteDesc && metaDescription && !hasDescTag && live.seoDescription) {
+      metafields.push(seoMetafield(node.id, "description_tag", live.seoDescription));
+    }
+    if (willWriteDesc && !willWriteTitle && metaTitle && !hasTitleTag && live.seoTitle) {
+      metafields.push(seoMetafield(node.id, "title_tag", live.seoTitle));
+    }
+  }
+
+  return { metafields, live };
+}
+
+/**
+ * Publishes product / page items with one bulk mutation:
+ * live read (nodes, batched) -> conflict check + snapshot -> JSONL upload -> bulkOperationRunMutation
+ * -> result lines (__lineNumber) mapped back onto publishStatus.
+ * Returns the items still to publish one by one: all writable items when the operation could not be
+ * started (nothing written yet), otherwise none.
+ */
+async function publishSeoMetafieldsInBulk(job, admin, items, { isPageJob }) {
+  const keepAlive = async () => {
+    try {
+      await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
+    } catch {
+      // ignore
+    }
+  };
+  const gql = ({ query, variables, label }) =>
+    shopifyGraphqlJsonWithRetry({
+      admin,
+      query,
+      variables,
+      label: `Shopify GraphQL ${label}`,
+      onRetry: keepAlive,
+      onThrottle: keepAlive,
+    });
+
+  await prisma.seoJobItem.updateMany({
+    where: { id: { in: items.map((it) => it.id) } },
+    data: { publishStatus: "running", publishError: null },
+  });
+
+  // 1) Live values (conflict check, snapshot, change log "old value")
+  const ownerOf = (item) => String((isPageJob ? item.targetId || item.productId : item.productId) || "");
+  const liveQuery = `#graphql
+    query BulkPublishLive($ids: [ID!]!) {
+      nodes(ids: $ids) { ${BULK_LIVE_FRAGMENTS[isPageJob ? "PAGE" : "PRODUCT"]} }
+    }`;
+  const ids = [...new Set(items.map(ownerOf).filter(Boolean))];
+  const nodes = new Map();
+  for (let i = 0; i < ids.length; i += PUBLISH_BULK_READ_BATCH) {
+    if (await isJobCancelled(job.id)) {
+      // Nothing written yet -> back to queued so a later publish picks them up again.
+      await prisma.seoJobItem.updateMany({
+        where: { id: { in: items.map((it) => it.id) }, publishStatus: "running" },
+        data: { publishStatus: "queued" },
+      });
+      return [];
+    }
+    await keepAlive();
+    const json = await gql({
+      query: liveQuery,
+      variables: { ids: ids.slice(i, i + PUBLISH_BULK_READ_BATCH) },
+      label: "bulk publish live read",
+    });
+    for (const n of json?.data?.nodes || []) {
+      if (n?.id) nodes.set(String(n.id), n);
+    }
+  }
+
+  // 2) One JSONL line (metafieldsSet variables) per writable item
+  const lines = [];
+  const pending = [];
+  for (const item of items) {
+    const node = nodes.get(ownerOf(item));
+    if (!node) {
+      await markItemPublishFailed(job, item, isPageJob ? "Page not found" : "Product not found");
+      continue;
+    }
+
+    const { metafields, live } = bulkSeoMetafields(job, item, node, { isPageJob });
+    if (!metafields.length) {
+      // Nothing to write -> keep existing values (same as the per-item path).
+      await markItemPublished(job, item, null);
+      continue;
+    }
+
+    try {
+      checkPublishConflict(item, job, live);
+    } catch (e) {
+      if (!(e instanceof PublishConflictError)) throw e;
+      await markItemConflict(item, e);
+      continue;
+    }
+
+    if (!item.snapshotAt) {
+      await prisma.seoJobItem.update({
+        where: { id: item.id },
+        data: { prevSeoTitle: live.seoTitle ?? null, prevSeoDescription: live.seoDescription ?? null, snapshotAt: new Date() },
+      });
+    }
+    lines.push({ metafields });
+    pending.push({ item, liveBefore: live });
+  }
+
+  if (!pending.length) return [];
+
+  // 3) Upload + run + poll
+  let result;
+  try {
+    // eslint-disable-next-line no-console
+    console.log("[worker] bulk publish start:", job.id, "items=", pending.length);
+    result = await runBulkMutation({ gql, mutation: BULK_METAFIELDS_SET, lines, label: "bulk publish", onPoll: keepAlive });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    if (!e?.bulkStarted) {
+      // eslint-disable-next-line no-console
+      console.warn("[worker] bulk publish could not start, publishing one by one:", job.id, msg);
+      // Re-read: snapshots were taken above.
+      return prisma.seoJobItem.findMany({
+        where: { id: { in: pending.map((p) => p.item.id) } },
+        orderBy: { id: "asc" },
+      });
+    }
+    // Accepted but the final state is unknown (status polling failed / cancel did not stop it):
+    // part of the lines may already be written.
+    for (const p of pending) {
+      await markItemPublishFailed(job, p.item, `Bulk publish result unknown (${msg}). Verify the live values before retrying.`);
+    }
+    return [];
+  }
+
+  // FAILED / CANCELED / EXPIRED (or timed out + cancelled): partialDataUrl still lists the lines that ran.
+  if (result.message) {
+    // eslint-disable-next-line no-console
+    console.warn("[worker] bulk publish did not complete:", job.id, result.message);
+  }
+
+  // 4) Results: __lineNumber = index into `lines` (= pending)
+  // The writes already happened, so a failed download is retried and never thrown out of the publish.
+  const resultUrl = result.url || result.partialDataUrl;
+  const outcome = new Map();
+  let downloadError = null;
+  for (let attempt = 1; resultUrl && attempt <= PUBLISH_BULK_RESULT_ATTEMPTS; attempt++) {
+    try {
+      for await (const row of readJsonl(resultUrl)) {
+        const line = Number(row?.__lineNumber);
+        if (!Number.isInteger(line)) continue;
+        const errs = [...(row?.errors || []), ...(row?.data?.metafieldsSet?.userErrors || [])];
+        outcome.set(line, errs.map((e) => e?.message || String(e)).join(" | "));
+      }
+      downloadError = null;
+      break;
+    } catch (e) {
+      downloadError = String(e?.message || e);
+      // eslint-disable-next-line no-console
+      console.warn("[worker] bulk publish result download failed:", job.id, `attempt=${attempt}`, downloadError);
+      await keepAlive();
+      if (attempt < PUBLISH_BULK_RESULT_ATTEMPTS) await sleep(2000 * attempt);
+    }
+  }
+
+  const noResult = downloadError
+    ? `Bulk publish result unavailable (${downloadError}). Verify the live values before retrying.`
+    : result.message
+      ? `${result.message}, this item was not written`
+      : "No result for this item in the bulk operation";
+  for (let i = 0; i < pending.length; i++) {
+    if (i % 200 === 0) await keepAlive();
+    const { item, liveBefore } = pending[i];
+    if (!outcome.has(i)) await markItemPublishFailed(job, item, noResult);
+    else if (outcome.get(i)) await markItemPublishFailed(job, item, outcome.get(i));
+    else await markItemPublished(job, item, liveBefore);
+  }
+
+  return [];
+}
+
 /** ---- PUBLISH ---- */
 async function processPublish(job) {
   const admin = await getAdminClientForShop(job.shop);
 
   const isImageJob = String(job.jobType || "PRODUCT_SEO") === "ALT_TEXT_IMAGES";
   const isBlogJob = String(job.jobType || "PRODUCT_SEO") === "BLOG_SEO_META";
+  const isCollectionJob = String(job.jobType || "PRODUCT_SEO") === "COLLECTION_SEO";
+  const isPageJob = String(job.jobType || "PRODUCT_SEO") === "PAGE_SEO";
+  const isTranslateJob = String(job.jobType || "PRODUCT_SEO") === "TRANSLATE_SEO";
 
   await prisma.seoJob.update({
     where: { id: job.id },
@@ -1343,11 +2676,33 @@ async function processPublish(job) {
     },
   });
 
+  // Approval workflow: enforced here so every publish path (publish all, retry, conflict overwrite,
+  // auto publish) writes approved drafts only. Read live, the setting may have changed since generation.
+  const settings = await getSettingsFromMetafield(admin);
+  const approvalWhere = settings?.requireApproval ? { reviewStatus: "approved" } : {};
+  if (settings?.requireApproval) {
+    await prisma.seoJobItem.updateMany({
+      where: { jobId: job.id, publishStatus: "queued", reviewStatus: { not: "approved" } },
+      data: { publishStatus: "skipped", publishError: "Not approved (approval workflow)" },
+    });
+  }
+
   const items = await prisma.seoJobItem.findMany({
     where: {
       jobId: job.id,
       publishStatus: { in: ["queued", "failed"] },
-      ...(isImageJob ? { targetType: "IMAGE" } : isBlogJob ? { targetType: "BLOG_ARTICLE" } : { targetType: "PRODUCT" }),
+      ...approvalWhere,
+      ...(isTranslateJob
+        ? {} // one item per resource + locale, any resource type
+        : isImageJob
+          ? { targetType: "IMAGE" }
+          : isBlogJob
+            ? { targetType: "BLOG_ARTICLE" }
+            : isCollectionJob
+              ? { targetType: "COLLECTION" }
+              : isPageJob
+                ? { targetType: "PAGE" }
+                : { targetType: "PRODUCT" }),
     },
     orderBy: { id: "asc" },
   });
@@ -1366,7 +2721,14 @@ async function processPublish(job) {
     return;
   }
 
-  for (const item of items) {
+  // Large product / page publishes: one Shopify bulk operation instead of one metafieldsSet per item.
+  const isProductJob = String(job.jobType || "PRODUCT_SEO") === "PRODUCT_SEO";
+  const queue =
+    (isProductJob || isPageJob) && items.length >= PUBLISH_BULK_MIN_ITEMS
+      ? await publishSeoMetafieldsInBulk(job, admin, items, { isPageJob })
+      : items;
+
+  for (const item of queue) {
     if (await isJobCancelled(job.id)) {
       // eslint-disable-next-line no-console
       console.log("[worker] publish cancelled, stopping:", job.id);
@@ -1405,6 +2767,24 @@ async function processPublish(job) {
         }
       };
 
+      // Pre-publish snapshot for revert. Only the first publish of an item is kept, so a
+      // revert always goes back to the value the store had before this job touched it.
+      // The live values arrive here right before the write -> conflict check first.
+      let liveBefore = null; // change log "old value"
+      const onSnapshot = async ({ seoTitle, seoDescription }) => {
+        checkPublishConflict(item, job, { seoTitle, seoDescription });
+        liveBefore = { seoTitle, seoDescription };
+        if (item.snapshotAt) return;
+        await prisma.seoJobItem.update({
+          where: { id: item.id },
+          data: {
+            prevSeoTitle: seoTitle ?? null,
+            prevSeoDescription: seoDescription ?? null,
+            snapshotAt: new Date(),
+          },
+        });
+      };
+
       if (isImageJob) {
         const productId = String(item.productId || "");
         const mediaId = String(item.mediaId || item.targetId || "");
@@ -1426,33 +2806,170 @@ async function processPublish(job) {
             onRetry: async ({ attemptNumber, waitMs, reason, status, errorMessage }) => {
               await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
 
-              const sec = Math.max(1, Math.ceil(waitMs / 1000));
-              const detail = (errorMessage || "").trim();
-              const why = (reason || "").trim();
-              const parts = [`Shopify transient error (${status || "?"}).`];
-              if (why) parts.push(why);
-              if (detail && !detail.includes("Shopify transient error")) parts.push(`Details: ${detail}`);
-              parts.push(`Retrying in ${sec}s… (attempt ${attemptNumber + 1})`);
-              const msg = parts.join(" ");
+              const sec = Math.max(1, Math.ceil(waitMs / 1000));
+              const detail = (errorMessage || "").trim();
+              const why = (reason || "").trim();
+              const parts = [`Shopify transient error (${status || "?"}).`];
+              if (why) parts.push(why);
+              if (detail && !detail.includes("Shopify transient error")) parts.push(`Details: ${detail}`);
+              parts.push(`Retrying in ${sec}s… (attempt ${attemptNumber + 1})`);
+              const msg = parts.join(" ");
+
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: { publishRetryWaitMs: { increment: waitMs }, publishError: msg },
+              });
+              await prisma.seoJob.update({
+                where: { id: job.id },
+                data: { lastError: msg },
+              });
+
+              // eslint-disable-next-line no-console
+              console.log("[publish-retry]", job.id, mediaId, msg, reason ? `(${reason})` : "");
+            },
+            onThrottle,
+            onSnapshot,
+          }
+        );
+      } else {
+        // BLOG jobs must update Article SEO metafields, not Product SEO.
+        if (isTranslateJob) {
+          const resourceId = toTranslatableResourceId(item.targetType, item.targetId || item.productId);
+          const locale = String(item.locale || "");
+          if (!resourceId || !locale) throw new Error("Missing resource or locale for translation item");
+
+          const gql = translationGql(admin, {
+            onAttempt: async (attemptNumber) => {
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: { publishAttempts: attemptNumber },
+              });
+            },
+            onRetry: async ({ attemptNumber, waitMs, reason, status }) => {
+              await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
+
+              const sec = Math.max(1, Math.ceil(waitMs / 1000));
+              const msg = `Shopify transient error (${status || "?"}). Retrying in ${sec}s… (attempt ${attemptNumber + 1})`;
+
+              await prisma.seoJobItem.update({
+                where: { id: item.id },
+                data: { publishRetryWaitMs: { increment: waitMs }, publishError: msg },
+              });
+              await prisma.seoJob.update({
+                where: { id: job.id },
+                data: { lastError: msg },
+              });
+
+              // eslint-disable-next-line no-console
+              console.log("[publish-retry]", job.id, resourceId, locale, msg, reason ? `(${reason})` : "");
+            },
+            onThrottle,
+          });
+
+          const tr = await readSeoTranslation(gql, resourceId, locale);
+          if (!tr) throw new Error("Resource not found or not translatable");
+
+          // Translations are bound to the primary content digest. If the primary SEO changed after
+          // generation, the draft no longer translates what the store shows -> regenerate instead.
+          const generatedDigests = parseDigests(item.sourceDigestsJson);
+          const values = {
+            seoTitle: (job?.metaTitle ?? true) ? String(item.seoTitle || "") : "",
+            seoDescription: (job?.metaDescription ?? true) ? String(item.seoDescription || "") : "",
+          };
+          for (const [field, key] of Object.entries(SEO_TRANSLATION_KEYS)) {
+            if (!values[field].trim() || !generatedDigests[key]) continue;
+            if (tr.source.digests[key] !== generatedDigests[key]) {
+              throw new Error("Primary-language SEO changed since this translation was generated. Regenerate the translation.");
+            }
+          }
+
+          if (!values.seoTitle.trim() && !values.seoDescription.trim()) {
+            throw new Error("Translation is empty; nothing to publish.");
+          }
+
+          await onSnapshot({ seoTitle: tr.current.seoTitle, seoDescription: tr.current.seoDescription });
+          await registerSeoTranslation(gql, resourceId, locale, values, tr.source.digests);
+        } else if (isPageJob) {
+          const pageId = String(item.targetId || item.productId || "");
+          if (!pageId) throw new Error("Missing pageId for PAGE item");
+
+          await updatePageSeoMetafields(
+            admin,
+            pageId,
+            item.seoTitle || "",
+            item.seoDescription || "",
+            {
+              metaTitle: Boolean(job?.metaTitle ?? true),
+              metaDescription: Boolean(job?.metaDescription ?? true),
+              onAttempt: async (attemptNumber) => {
+                await prisma.seoJobItem.update({
+                  where: { id: item.id },
+                  data: { publishAttempts: attemptNumber },
+                });
+              },
+              onRetry: async ({ attemptNumber, waitMs, reason, status }) => {
+                await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
+
+                const sec = Math.max(1, Math.ceil(waitMs / 1000));
+                const msg = `Shopify transient error (${status || "?"}). Retrying in ${sec}s… (attempt ${attemptNumber + 1})`;
+
+                await prisma.seoJobItem.update({
+                  where: { id: item.id },
+                  data: { publishRetryWaitMs: { increment: waitMs }, publishError: msg },
+                });
+                await prisma.seoJob.update({
+                  where: { id: job.id },
+                  data: { lastError: msg },
+                });
+
+                // eslint-disable-next-line no-console
+                console.log("[publish-retry]", job.id, pageId, msg, reason ? `(${reason})` : "");
+              },
+              onThrottle,
+              onSnapshot,
+            }
+          );
+        } else if (isCollectionJob) {
+          const collectionId = String(item.targetId || item.productId || "");
+          if (!collectionId) throw new Error("Missing collectionId for COLLECTION item");
+
+          await updateCollectionSeo(
+            admin,
+            collectionId,
+            item.seoTitle || "",
+            item.seoDescription || "",
+            {
+              metaTitle: Boolean(job?.metaTitle ?? true),
+              metaDescription: Boolean(job?.metaDescription ?? true),
+              onAttempt: async (attemptNumber) => {
+                await prisma.seoJobItem.update({
+                  where: { id: item.id },
+                  data: { publishAttempts: attemptNumber },
+                });
+              },
+              onRetry: async ({ attemptNumber, waitMs, reason, status }) => {
+                await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
+
+                const sec = Math.max(1, Math.ceil(waitMs / 1000));
+                const msg = `Shopify transient error (${status || "?"}). Retrying in ${sec}s… (attempt ${attemptNumber + 1})`;
 
-              await prisma.seoJobItem.update({
-                where: { id: item.id },
-                data: { publishRetryWaitMs: { increment: waitMs }, publishError: msg },
-              });
-              await prisma.seoJob.update({
-                where: { id: job.id },
-                data: { lastError: msg },
-              });
+                await prisma.seoJobItem.update({
+                  where: { id: item.id },
+                  data: { publishRetryWaitMs: { increment: waitMs }, publishError: msg },
+                });
+                await prisma.seoJob.update({
+                  where: { id: job.id },
+                  data: { lastError: msg },
+                });
 
-              // eslint-disable-next-line no-console
-              console.log("[publish-retry]", job.id, mediaId, msg, reason ? `(${reason})` : "");
-            },
-            onThrottle,
-          }
-        );
-      } else {
-        // BLOG jobs must update Article SEO metafields, not Product SEO.
-        if (isBlogJob) {
+                // eslint-disable-next-line no-console
+                console.log("[publish-retry]", job.id, collectionId, msg, reason ? `(${reason})` : "");
+              },
+              onThrottle,
+              onSnapshot,
+            }
+          );
+        } else if (isBlogJob) {
           const articleId = String(item.targetId || item.productId || "");
           if (!articleId) throw new Error("Missing articleId for BLOG_ARTICLE item");
 
@@ -1496,6 +3013,7 @@ async function processPublish(job) {
                 console.log("[publish-retry]", job.id, articleId, msg, reason ? `(${reason})` : "");
               },
               onThrottle,
+              onSnapshot,
             }
           );
         } else {
@@ -1538,38 +3056,321 @@ async function processPublish(job) {
                 console.log("[publish-retry]", job.id, item.productId, msg, reason ? `(${reason})` : "");
               },
               onThrottle,
+              onSnapshot,
             }
           );
         }
       }
 
+      await markItemPublished(job, item, liveBefore, { isImageJob });
+    } catch (e) {
+      if (e instanceof PublishConflictError) {
+        // Not a failure: nothing was written, the merchant decides (overwrite anyway / skip).
+        await markItemConflict(item, e);
+        await sleep(350);
+        continue;
+      }
+
+      await markItemPublishFailed(job, item, String(e?.message || e));
+    }
+
+    await sleep(350);
+  }
+
+  if (await isJobCancelled(job.id)) {
+    // eslint-disable-next-line no-console
+    console.log("[worker] publish cancelled at finalize, skipping success:", job.id);
+    return;
+  }
+
+  await prisma.seoJob.update({
+    where: { id: job.id },
+    data: {
+      status: "success",
+      publishFinishedAt: new Date(),
+      phase: "published",
+    },
+  });
+}
+
+/** ---- SEO AUDIT (bulk scan, no AI) ---- */
+async function processAudit(job) {
+  const admin = await getAdminClientForShop(job.shop);
+  const settings = job.settingsJson ? JSON.parse(job.settingsJson) : {};
+
+  await prisma.seoJob.update({
+    where: { id: job.id },
+    data: { status: "running", startedAt: new Date(), lastHeartbeatAt: new Date(), phase: "generating", lastError: null },
+  });
+  await prisma.seoAuditRun.upsert({
+    where: { id: job.id },
+    create: { id: job.id, shop: job.shop, status: "running" },
+    update: { status: "running", lastError: null, finishedAt: null },
+  });
+
+  const gql = ({ query, variables, label }) =>
+    shopifyGraphqlJsonWithRetry({
+      admin,
+      query,
+      variables,
+      label: `Shopify GraphQL ${label}`,
+      onRetry: async () => {
+        await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
+      },
+    });
+
+  try {
+    const res = await runSeoAudit({
+      shop: job.shop,
+      runId: job.id,
+      gql,
+      settings,
+      // Bulk operations can take minutes on big catalogs -> keep locks alive while polling.
+      onProgress: async () => {
+        await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
+      },
+      isCancelled: () => isJobCancelled(job.id),
+    });
+
+    if (res.cancelled) {
+      await prisma.seoAuditRun.update({
+        where: { id: job.id },
+        data: { status: "cancelled", finishedAt: new Date() },
+      });
+      // eslint-disable-next-line no-console
+      console.log("[worker] audit cancelled, stopping:", job.id);
+      return;
+    }
+
+    await prisma.seoAuditRun.update({
+      where: { id: job.id },
+      data: { status: "success", finishedAt: new Date() },
+    });
+    await prisma.seoJob.update({
+      where: { id: job.id },
+      data: { status: "success", finishedAt: new Date(), phase: "generated" },
+    });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    await prisma.seoAuditRun.update({
+      where: { id: job.id },
+      data: { status: "failed", finishedAt: new Date(), lastError: msg },
+    });
+    await prisma.seoJob.update({
+      where: { id: job.id },
+      data: { status: "failed", finishedAt: new Date(), lastError: msg },
+    });
+  }
+}
+
+/** ---- REVERT (restore pre-publish snapshot) ---- */
+async function processRevert(job) {
+  const admin = await getAdminClientForShop(job.shop);
+
+  const isImageJob = String(job.jobType || "PRODUCT_SEO") === "ALT_TEXT_IMAGES";
+  const isBlogJob = String(job.jobType || "PRODUCT_SEO") === "BLOG_SEO_META";
+  const isCollectionJob = String(job.jobType || "PRODUCT_SEO") === "COLLECTION_SEO";
+  const isPageJob = String(job.jobType || "PRODUCT_SEO") === "PAGE_SEO";
+  const isTranslateJob = String(job.jobType || "PRODUCT_SEO") === "TRANSLATE_SEO";
+
+  await prisma.seoJob.update({
+    where: { id: job.id },
+    data: {
+      status: "running",
+      revertStartedAt: new Date(),
+      lastHeartbeatAt: new Date(),
+      phase: "reverting",
+      lastError: null,
+    },
+  });
+
+  const items = await prisma.seoJobItem.findMany({
+    where: {
+      jobId: job.id,
+      revertStatus: { in: ["queued", "failed"] },
+      ...(isTranslateJob
+        ? {} // one item per resource + locale, any resource type
+        : isImageJob
+          ? { targetType: "IMAGE" }
+          : isBlogJob
+            ? { targetType: "BLOG_ARTICLE" }
+            : isCollectionJob
+              ? { targetType: "COLLECTION" }
+              : isPageJob
+                ? { targetType: "PAGE" }
+                : { targetType: "PRODUCT" }),
+    },
+    orderBy: { id: "asc" },
+  });
+
+  for (const item of items) {
+    if (await isJobCancelled(job.id)) {
+      // eslint-disable-next-line no-console
+      console.log("[worker] revert cancelled, stopping:", job.id);
+      return;
+    }
+    await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
+
+    await prisma.seoJobItem.update({
+      where: { id: item.id },
+      data: { revertStatus: "running", revertError: null },
+    });
+
+    try {
+      if (!item.snapshotAt) throw new Error("No pre-publish snapshot for this item");
+
+      // Change log "old value": the value this job published (translations: read live below).
+      let liveBefore = { seoTitle: item.seoTitle, seoDescription: item.seoDescription };
+
+      const hooks = {
+        onRetry: async ({ attemptNumber, waitMs, reason, status }) => {
+          await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
+
+          const sec = Math.max(1, Math.ceil(waitMs / 1000));
+          const msg = `Shopify transient error (${status || "?"}). Retrying in ${sec}s… (attempt ${attemptNumber + 1})`;
+
+          await prisma.seoJobItem.update({
+            where: { id: item.id },
+            data: { revertError: msg },
+          });
+          await prisma.seoJob.update({
+            where: { id: job.id },
+            data: { lastError: msg, totalRetryWaitMs: { increment: Math.max(0, Math.floor(waitMs)) } },
+          });
+
+          // eslint-disable-next-line no-console
+          console.log("[revert-retry]", job.id, item.id, msg, reason ? `(${reason})` : "");
+        },
+        onThrottle: async () => {
+          try {
+            await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
+          } catch {
+            // ignore
+          }
+        },
+      };
+
+      if (isImageJob) {
+        const productId = String(item.productId || "");
+        const mediaId = String(item.mediaId || item.targetId || "");
+        if (!productId) throw new Error("Missing productId for IMAGE item");
+        if (!mediaId) throw new Error("Missing mediaId for IMAGE item");
+
+        await updateProductMediaAltText(admin, productId, mediaId, String(item.prevSeoTitle || ""), hooks);
+      } else if (isTranslateJob) {
+        const resourceId = toTranslatableResourceId(item.targetType, item.targetId || item.productId);
+        const locale = String(item.locale || "");
+        if (!resourceId || !locale) throw new Error("Missing resource or locale for translation item");
+
+        const gql = translationGql(admin, hooks);
+        const tr = await readSeoTranslation(gql, resourceId, locale);
+        if (!tr) throw new Error("Resource not found or not translatable");
+        liveBefore = tr.current;
+
+        // Previous translation -> register again; no previous translation -> remove ours.
+        const restore = {};
+        const remove = [];
+        for (const [field, key] of Object.entries(SEO_TRANSLATION_KEYS)) {
+          const enabled = field === "seoTitle" ? Boolean(job?.metaTitle ?? true) : Boolean(job?.metaDescription ?? true);
+          if (!enabled) continue;
+          const prev = String((field === "seoTitle" ? item.prevSeoTitle : item.prevSeoDescription) ?? "").trim();
+          if (prev) restore[field] = prev;
+          else remove.push(key);
+        }
+
+        await registerSeoTranslation(gql, resourceId, locale, restore, tr.source.digests);
+        await removeSeoTranslation(gql, resourceId, locale, remove);
+      } else if (isCollectionJob) {
+        const collectionId = String(item.targetId || item.productId || "");
+        if (!collectionId) throw new Error("Missing collectionId for COLLECTION item");
+
+        await restoreCollectionSeo(
+          admin,
+          collectionId,
+          {
+            seoTitle: item.prevSeoTitle,
+            seoDescription: item.prevSeoDescription,
+            restoreTitle: Boolean(job?.metaTitle ?? true),
+            restoreDescription: Boolean(job?.metaDescription ?? true),
+          },
+          hooks,
+        );
+      } else {
+        const ownerId = isBlogJob
+          ? normalizeArticleOwnerId(String(item.targetId || item.productId || ""))
+          : isPageJob
+            ? String(item.targetId || item.productId || "")
+            : String(item.productId || "");
+        if (!ownerId) {
+          throw new Error(
+            isBlogJob ? "Missing articleId for BLOG_ARTICLE item" : isPageJob ? "Missing pageId for PAGE item" : "Missing productId",
+          );
+        }
+
+        // Only restore the fields this job actually published.
+        await restoreSeoMetafields(
+          admin,
+          ownerId,
+          {
+            seoTitle: item.prevSeoTitle,
+            seoDescription: item.prevSeoDescription,
+            restoreTitle: Boolean(job?.metaTitle ?? true),
+            restoreDescription: Boolean(job?.metaDescription ?? true),
+          },
+          hooks,
+        );
+      }
+
       await prisma.seoJobItem.update({
         where: { id: item.id },
         data: isImageJob
           ? {
-              publishStatus: "success",
-              publishedAt: new Date(),
-              // Keep "current" ALT text in sync so UI badges (Edited/Published) behave correctly.
-              // We store the current/live ALT text in seoDescription for IMAGE items.
-              seoDescription: String(item.seoTitle || ""),
-              publishError: null,
+              revertStatus: "success",
+              revertedAt: new Date(),
+              revertError: null,
+              // Keep "current" ALT text in sync with the restored value.
+              seoDescription: String(item.prevSeoTitle || ""),
             }
-          : { publishStatus: "success", publishedAt: new Date() },
+          : {
+              revertStatus: "success",
+              revertedAt: new Date(),
+              revertError: null,
+              ...advanceOriginalSeo(item, {
+                seoTitle: (job?.metaTitle ?? true) ? item.prevSeoTitle : undefined,
+                seoDescription: (job?.metaDescription ?? true) ? item.prevSeoDescription : undefined,
+              }),
+            },
       });
 
+      await logItemChanges(
+        job,
+        item,
+        "revert",
+        isImageJob
+          ? [{ field: "alt_text", oldValue: liveBefore.seoTitle ?? null, newValue: String(item.prevSeoTitle || "") }]
+          : [
+              (job?.metaTitle ?? true) && { field: "seo_title", oldValue: liveBefore.seoTitle ?? null, newValue: item.prevSeoTitle },
+              (job?.metaDescription ?? true) && {
+                field: "seo_description",
+                oldValue: liveBefore.seoDescription ?? null,
+                newValue: item.prevSeoDescription,
+              },
+            ],
+      );
+
       await prisma.seoJob.update({
         where: { id: job.id },
-        data: { publishOkCount: { increment: 1 } },
+        data: { revertOkCount: { increment: 1 } },
       });
     } catch (e) {
       await prisma.seoJobItem.update({
         where: { id: item.id },
-        data: { publishStatus: "failed", publishError: String(e?.message || e) },
+        data: { revertStatus: "failed", revertError: String(e?.message || e) },
       });
 
       await prisma.seoJob.update({
         where: { id: job.id },
-        data: { publishFailedCount: { increment: 1 }, lastError: String(e?.message || e) },
+        data: { revertFailedCount: { increment: 1 }, lastError: String(e?.message || e) },
       });
     }
 
@@ -1578,7 +3379,7 @@ async function processPublish(job) {
 
   if (await isJobCancelled(job.id)) {
     // eslint-disable-next-line no-console
-    console.log("[worker] publish cancelled at finalize, skipping success:", job.id);
+    console.log("[worker] revert cancelled at finalize, skipping success:", job.id);
     return;
   }
 
@@ -1586,12 +3387,111 @@ async function processPublish(job) {
     where: { id: job.id },
     data: {
       status: "success",
-      publishFinishedAt: new Date(),
-      phase: "published",
+      revertFinishedAt: new Date(),
+      phase: "reverted",
     },
   });
 }
 
+/** ---- "Select all matching" (product search -> items) ---- */
+const SELECTION_MAX_ITEMS = Number(process.env.SELECTION_MAX_ITEMS || 10_000);
+const SELECTION_ITEMS_CHUNK = 500;
+
+// Same rule as the SEO status filter on the SEO Tools page (product.seo).
+function productSeoStatus(node) {
+  const seoTitle = String(node?.seo?.title || "").trim();
+  const seoDesc = String(node?.seo?.description || "").trim();
+  return seoTitle && seoDesc ? "filled" : seoTitle || seoDesc ? "partial" : "empty";
+}
+
+/**
+ * Resolves job.selectionQuery into items (bulk query, items created in chunks) and sets total / usageCount,
+ * so the usage reservation below runs against the resolved count.
+ * Returns the refreshed job, or null when the job failed (nothing matched, too many products, Shopify error).
+ */
+async function resolveSelectionQuery(job) {
+  const keepAlive = async () => {
+    try {
+      await touchLock(job.id, job.lockOwner, 5 * 60_000, job.shop);
+    } catch {
+      // ignore
+    }
+  };
+
+  await prisma.seoJob.update({
+    where: { id: job.id },
+    data: { status: "running", startedAt: new Date(), lastHeartbeatAt: new Date(), lastError: null },
+  });
+
+  const statuses = String(job.selectionSeoStatus || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const search = String(job.selectionQuery || "").trim();
+  const query = `{
+    products${search ? `(query: ${JSON.stringify(search)})` : ""} {
+      edges { node { id title seo { title description } } }
+    }
+  }`;
+
+  try {
+    const admin = await getAdminClientForShop(job.shop);
+    const gql = ({ query: q, variables, label }) =>
+      shopifyGraphqlJsonWithRetry({ admin, query: q, variables, label: `Shopify GraphQL ${label}`, onRetry: keepAlive });
+
+    const { url } = await runBulkQuery({ gql, query, label: "selection", onPoll: keepAlive });
+    if (await isJobCancelled(job.id)) return null;
+
+    let count = 0;
+    let chunk = [];
+    const flush = async () => {
+      if (!chunk.length) return;
+      await prisma.seoJobItem.createMany({ data: chunk, skipDuplicates: true });
+      chunk = [];
+      await keepAlive();
+    };
+
+    for await (const row of readJsonl(url)) {
+      if (!row?.id || row.__parentId) continue;
+      if (statuses.length && !statuses.includes(productSeoStatus(row))) continue;
+
+      count += 1;
+      if (count > SELECTION_MAX_ITEMS) {
+        throw new Error(`More than ${SELECTION_MAX_ITEMS} products match these filters. Narrow the filters and try again.`);
+      }
+      chunk.push({
+        jobId: job.id,
+        targetType: "PRODUCT",
+        targetId: String(row.id),
+        productId: String(row.id),
+        productTitle: row.title ? String(row.title) : null,
+        status: "queued",
+      });
+      if (chunk.length >= SELECTION_ITEMS_CHUNK) await flush();
+    }
+    await flush();
+
+    if (!count) throw new Error("No products match these filters.");
+
+    // eslint-disable-next-line no-console
+    console.log("[worker] selection resolved:", job.id, "products=", count);
+    return prisma.seoJob.update({
+      where: { id: job.id },
+      data: { total: count, usageCount: count, selectionResolvedAt: new Date() },
+    });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    await prisma.seoJobItem.deleteMany({ where: { jobId: job.id } });
+    await prisma.seoJob.update({
+      where: { id: job.id },
+      data: { status: "failed", finishedAt: new Date(), total: 0, lastError: msg },
+    });
+    // eslint-disable-next-line no-console
+    console.warn("[worker] selection failed:", job.id, msg);
+    return null;
+  }
+}
+
 async function handleJob(jobId, _kind, lockOwner, preloadedJob = null) {
   const normalizedJobId = String(jobId || "").trim();
   if (!normalizedJobId) return;
@@ -1604,7 +3504,7 @@ async function handleJob(jobId, _kind, lockOwner, preloadedJob = null) {
   }
 
   try {
-    const job = preloadedJob || (await prisma.seoJob.findUnique({ where: { id: normalizedJobId } }));
+    let job = preloadedJob || (await prisma.seoJob.findUnique({ where: { id: normalizedJobId } }));
     if (!job) return;
 
     // If user cancelled the job, exit early (best-effort).
@@ -1616,6 +3516,12 @@ async function handleJob(jobId, _kind, lockOwner, preloadedJob = null) {
       return;
     }
 
+    // "Select all matching" jobs get their items here (before the total / usage checks below)
+    if (job.selectionQuery != null && !job.selectionResolvedAt && String(job.phase || "generating") === "generating") {
+      job = await resolveSelectionQuery({ ...job, lockOwner });
+      if (!job) return;
+    }
+
     // total safety
     const total = await prisma.seoJobItem.count({ where: { jobId: normalizedJobId } });
     if (job.total !== total) {
@@ -1624,6 +3530,12 @@ async function handleJob(jobId, _kind, lockOwner, preloadedJob = null) {
 
     const phase = String(job.phase || "generating");
 
+    // SEO audit: bulk scan only (no items, no AI usage)
+    if (String(job.jobType || "") === "SEO_AUDIT") {
+      if (phase === "generating") await processAudit({ ...job, lockOwner });
+      return;
+    }
+
     if (phase === "generating") {
       // --- Free plan enforcement (worker-side) ---
       // The UI reserves usage before enqueueing, but jobs could be enqueued from other entrypoints.
@@ -1635,7 +3547,7 @@ async function handleJob(jobId, _kind, lockOwner, preloadedJob = null) {
 
         if (!reservation.ok) {
           const now = new Date();
-          const msg = `Free plan limit exceeded (worker enforcement).`;
+          const msg = `${reservationErrorMessage(reservation.code)} (worker enforcement).`;
           await prisma.seoJobItem.updateMany({
             where: { jobId: normalizedJobId, status: { in: ["queued", "running"] } },
             data: { status: "failed", finishedAt: now, error: msg },
@@ -1661,11 +3573,20 @@ async function handleJob(jobId, _kind, lockOwner, preloadedJob = null) {
         // Mark as reserved so we never reserve twice for the same job.
         await prisma.seoJob.update({
           where: { id: normalizedJobId },
-          data: { usageReserved: true, usageCount: Number(job.usageCount || job.total || 0) },
+          data: {
+            usageReserved: true,
+            usageCount: Number(job.usageCount || job.total || 0),
+            ...reservationJobFields(reservation),
+          },
         });
+        await attachReservationToJob(reservation, normalizedJobId);
       }
 
-      await processGenerate({ ...job, lockOwner });
+      try {
+        await processGenerate({ ...job, lockOwner });
+      } finally {
+        await settleJobUsage(normalizedJobId, job.shop);
+      }
       return;
     }
 
@@ -1674,6 +3595,11 @@ async function handleJob(jobId, _kind, lockOwner, preloadedJob = null) {
       await processPublish({ ...job, lockOwner });
       return;
     }
+
+    if (phase === "reverting") {
+      await processRevert({ ...job, lockOwner });
+      return;
+    }
   } finally {
     // ✅ KRİTİK: işlem bittiğinde lock'u serbest bırak
     await prisma.seoJob.updateMany({
@@ -1701,6 +3627,7 @@ async function recoverStuckJobs() {
         { lastHeartbeatAt: { not: null, lt: cutoff } },
         { startedAt: { not: null, lt: cutoff } },
         { publishStartedAt: { not: null, lt: cutoff } },
+        { revertStartedAt: { not: null, lt: cutoff } },
         // fallback: if no startedAt fields but lock expired, still recover
         { startedAt: null, publishStartedAt: null, lastHeartbeatAt: null },
       ],
@@ -1721,6 +3648,11 @@ async function recoverStuckJobs() {
           where: { jobId: job.id, publishStatus: "running" },
           data: { publishStatus: "failed", publishError: msg },
         });
+      } else if (phase === "reverting") {
+        await prisma.seoJobItem.updateMany({
+          where: { jobId: job.id, revertStatus: "running" },
+          data: { revertStatus: "failed", revertError: msg },
+        });
       } else {
         await prisma.seoJobItem.updateMany({
           where: { jobId: job.id, status: "running" },
@@ -1734,12 +3666,15 @@ async function recoverStuckJobs() {
           status: "failed",
           finishedAt: now,
           publishFinishedAt: phase === "publishing" ? now : job.publishFinishedAt,
+          revertFinishedAt: phase === "reverting" ? now : job.revertFinishedAt,
           lastError: msg,
           lockOwner: null,
           lockExpiresAt: null,
         },
       });
 
+      if (phase === "generating") await settleJobUsage(job.id, job.shop);
+
       // eslint-disable-next-line no-console
       console.warn("[worker]", msg, "jobId=", job.id, "shop=", job.shop);
     } catch (e) {
@@ -1754,7 +3689,7 @@ export function startSeoWorker() {
   initSentry();
   // eslint-disable-next-line no-console
   console.log(
-    `[worker] SEO Worker started… queue="${QUEUE_NAME}" redis="${process.env.REDIS_URL || ""}"`
+    `[worker] SEO Worker started… queue="${QUEUE_NAME}" concurrency=${WORKER_CONCURRENCY} redis="${process.env.REDIS_URL || ""}"`
   );
 
   const worker = new Worker(
@@ -1762,7 +3697,8 @@ export function startSeoWorker() {
     async (bullJob) => {
       const jobId = bullJob?.data?.jobId;
       const kind = bullJob?.data?.kind;
-      const lockOwner = `worker-${process.pid}`;
+      // Per processor slot: with concurrency > 1 a pid-only owner would make the job / shop locks re-entrant.
+      const lockOwner = `worker-${process.pid}-${bullJob?.id}`;
 
       // eslint-disable-next-line no-console
       console.log("[worker] received job:", bullJob?.id, "data:", bullJob?.data);
@@ -1801,7 +3737,7 @@ export function startSeoWorker() {
         await releaseShopLock(dbJob.shop, lockOwner);
       }
     },
-    { connection }
+    { connection, concurrency: WORKER_CONCURRENCY }
   );
 
   // Stuck job recovery: if a job is "running" but its DB lock expired (no heartbeat)
@@ -1814,7 +3750,29 @@ export function startSeoWorker() {
     });
   }, intervalMs);
 
-  worker.on("closed", () => clearInterval(timer));
+  // Auto SEO (products webhooks): debounced rows -> one PRODUCT_SEO job per shop batch.
+  const autoSeoIntervalMs = Number(process.env.AUTO_SEO_SWEEP_MS || 30_000);
+  const autoSeoTimer = setInterval(() => {
+    processDueAutoSeo().catch((e) => {
+      // eslint-disable-next-line no-console
+      console.error("[worker] processDueAutoSeo error:", e);
+    });
+  }, autoSeoIntervalMs);
+
+  // Scheduled / recurring jobs (Schedules page): due rows -> regular generate / publish jobs.
+  const scheduleIntervalMs = Number(process.env.SCHEDULE_SWEEP_MS || 60_000);
+  const scheduleTimer = setInterval(() => {
+    processDueSchedules().catch((e) => {
+      // eslint-disable-next-line no-console
+      console.error("[worker] processDueSchedules error:", e);
+    });
+  }, scheduleIntervalMs);
+
+  worker.on("closed", () => {
+    clearInterval(timer);
+    clearInterval(autoSeoTimer);
+    clearInterval(scheduleTimer);
+  });
 
   worker.on("failed", (bullJob, err) => {
     // eslint-disable-next-line no-console